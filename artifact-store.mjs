@@ -0,0 +1,128 @@
+/**
+ * Artifact Store — signed, expiring downloads for large task results
+ *
+ * Files too large to inline in a task (screenshots, PDFs) are written to the store's
+ * directory and delivered as A2A FileWithUri parts. A download URL carries its expiry and an
+ * HMAC over the artifact id and that expiry:
+ *   /artifacts/<id>?expires=<unix seconds>&sig=<hex HMAC-SHA256 of "<id>.<expires>">
+ * Each file has a JSON sidecar (task, name, MIME type, expiry), so links survive a restart.
+ * Uploaded images waiting for their skill to run are kept here too, without a link.
+ * Files are deleted when they expire or when their task is evicted.
+ */
+
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+
+export const ARTIFACT_ERRORS = {
+  NOT_FOUND: 'NOT_FOUND',
+  EXPIRED: 'EXPIRED',
+  BAD_SIGNATURE: 'BAD_SIGNATURE',
+};
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+/**
+ * @param {string} dir - Directory for files, sidecars and the generated signing key
+ * @param {{ secret?: string, ttlSeconds?: number }} [options]
+ *   secret: URL signing key (generated and kept in `<dir>/.secret` when not given)
+ */
+export function createArtifactStore(dir, { secret, ttlSeconds = 24 * 3600 } = {}) {
+  const root = resolve(dir);
+  mkdirSync(root, { recursive: true });
+  const secretPath = join(root, '.secret');
+  if (!secret) {
+    if (!existsSync(secretPath)) writeFileSync(secretPath, randomBytes(32).toString('hex'), { mode: 0o600 });
+    secret = readFileSync(secretPath, 'utf8').trim();
+  }
+
+  const entries = new Map(); // id -> { id, taskId, name, mimeType, size, expiresAt }
+  for (const file of readdirSync(root)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const entry = JSON.parse(readFileSync(join(root, file), 'utf8'));
+      entries.set(entry.id, entry);
+    } catch (err) {
+      console.error(`[artifacts] Skipping unreadable sidecar ${file}: ${err.message}`);
+    }
+  }
+
+  const sign = (id, expires) => createHmac('sha256', secret).update(`${id}.${expires}`).digest('hex');
+  const dataPath = (id) => join(root, id);
+
+  function remove(id) {
+    rmSync(dataPath(id), { force: true });
+    rmSync(`${dataPath(id)}.json`, { force: true });
+    entries.delete(id);
+  }
+
+  return {
+    /**
+     * Keep a file for a task until the TTL runs out
+     * @param {string} taskId
+     * @param {Buffer} bytes
+     * @param {{ name?: string, mimeType?: string }} [meta]
+     */
+    put(taskId, bytes, { name = 'file', mimeType = 'application/octet-stream' } = {}) {
+      const entry = { id: randomUUID(), taskId, name, mimeType, size: bytes.length, expiresAt: Math.floor(Date.now() / 1000) + ttlSeconds };
+      writeFileSync(dataPath(entry.id), bytes);
+      writeFileSync(`${dataPath(entry.id)}.json`, JSON.stringify(entry));
+      entries.set(entry.id, entry);
+      return entry;
+    },
+
+    /** Contents of a stored file, or null once it has expired or been deleted */
+    read(id) {
+      const entry = entries.get(id);
+      if (!entry || entry.expiresAt * 1000 <= Date.now()) return null;
+      return readFileSync(dataPath(id));
+    },
+
+    /** Signed download URL for an entry, valid until the entry expires */
+    urlFor(entry, baseUrl) {
+      const params = new URLSearchParams({ expires: String(entry.expiresAt), sig: sign(entry.id, entry.expiresAt) });
+      return `${baseUrl}/artifacts/${entry.id}?${params}`;
+    },
+
+    /**
+     * Check a download request
+     * @param {string} id
+     * @param {{ expires?: string, sig?: string }} query
+     * @returns {{ ok: true, entry: object, path: string } | { ok: false, error: string }}
+     */
+    open(id, { expires, sig } = {}, now = Date.now()) {
+      const entry = ID_PATTERN.test(id) ? entries.get(id) : null;
+      if (!entry) return { ok: false, error: ARTIFACT_ERRORS.NOT_FOUND };
+      const expected = Buffer.from(sign(id, expires), 'hex');
+      const actual = Buffer.from(String(sig || ''), 'hex');
+      if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return { ok: false, error: ARTIFACT_ERRORS.BAD_SIGNATURE };
+      if (Number(expires) * 1000 <= now || entry.expiresAt * 1000 <= now) return { ok: false, error: ARTIFACT_ERRORS.EXPIRED };
+      return { ok: true, entry, path: dataPath(id) };
+    },
+
+    /** Delete every file of a task */
+    deleteTask(taskId) {
+      for (const entry of [...entries.values()]) {
+        if (entry.taskId === taskId) remove(entry.id);
+      }
+    },
+
+    /**
+     * Delete expired files
+     * @returns {number} Files deleted
+     */
+    sweep(now = Date.now()) {
+      let removed = 0;
+      for (const entry of [...entries.values()]) {
+        if (entry.expiresAt * 1000 <= now) { remove(entry.id); removed++; }
+      }
+      return removed;
+    },
+
+    stats() {
+      let bytes = 0;
+      for (const entry of entries.values()) bytes += entry.size;
+      return { files: entries.size, bytes, ttlSeconds };
+    },
+  };
+}
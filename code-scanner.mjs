@@ -2,7 +2,8 @@
  * Lightweight Code Security Scanner
  *
  * Regex-based pattern matching for common security vulnerabilities:
- * SQL injection, XSS, command injection, path traversal, hardcoded secrets, insecure crypto
+ * SQL injection, XSS, command injection, path traversal, hardcoded secrets, insecure crypto.
+ * Reports can be exported as SARIF 2.1.0 for code-scanning tools; scanFiles() covers many files at once.
  */
 
 const VULNERABILITY_PATTERNS = [
@@ -135,7 +136,11 @@ export function scanCode(code, language) {
   const severityOrder = { critical: 0, high: 1, medium: 2, low: 3, info: 4 };
   vulnerabilities.sort((a, b) => (severityOrder[a.severity] ?? 5) - (severityOrder[b.severity] ?? 5));
 
-  // Calculate score (100 = clean, 0 = very vulnerable)
+  return { vulnerabilities, ...summarize(vulnerabilities) };
+}
+
+// Score (100 = clean, 0 = very vulnerable) and one-line summary of a set of findings
+function summarize(vulnerabilities) {
   const deductions = vulnerabilities.reduce((sum, v) => {
     const penalty = { critical: 25, high: 15, medium: 8, low: 3, info: 1 };
     return sum + (penalty[v.severity] ?? 5);
@@ -152,5 +157,83 @@ export function scanCode(code, language) {
     ? `No security vulnerabilities detected. Code looks clean. Score: ${score}/100.`
     : `Found ${vulnerabilities.length} potential vulnerabilities (${countParts.join(', ')}). Security score: ${score}/100.`;
 
-  return { vulnerabilities, summary, score };
+  return { summary, score };
+}
+
+/**
+ * Scan several files (e.g. an unpacked archive) as one report. Each finding names its file;
+ * the score covers every finding.
+ * @param {Array<{ path: string, code: string, language?: string }>} files
+ * @returns {{ vulnerabilities: Array, summary: string, score: number, files: Array<{ path: string, language: string, lines: number, findings: number }> }}
+ */
+export function scanFiles(files) {
+  const vulnerabilities = [];
+  const scanned = files.map(({ path, code, language }) => {
+    const lang = language || languageFromFilename(path) || 'javascript';
+    const found = scanCode(code, lang).vulnerabilities.map(v => ({ ...v, file: path }));
+    vulnerabilities.push(...found);
+    return { path, language: lang, lines: code.split('\n').length, findings: found.length };
+  });
+  const severityOrder = { critical: 0, high: 1, medium: 2, low: 3, info: 4 };
+  vulnerabilities.sort((a, b) => (severityOrder[a.severity] ?? 5) - (severityOrder[b.severity] ?? 5));
+  const { summary, score } = summarize(vulnerabilities);
+  return { vulnerabilities, summary: files.length > 1 ? `${summary} Files scanned: ${files.length}.` : summary, score, files: scanned };
+}
+
+// SARIF levels and GitHub code-scanning security-severity scores per scanner severity
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note', info: 'note' };
+const SECURITY_SEVERITY = { critical: '9.5', high: '8.0', medium: '5.5', low: '3.0', info: '1.0' };
+
+const LANGUAGE_EXTENSIONS = {
+  js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript', ts: 'typescript', tsx: 'typescript',
+  py: 'python', rb: 'ruby', php: 'php', go: 'go', java: 'java', cs: 'csharp', sh: 'shell',
+};
+
+/**
+ * Language for a file name, from its extension
+ * @param {string} [filename]
+ * @returns {string|null}
+ */
+export function languageFromFilename(filename) {
+  const ext = String(filename || '').split('.').pop().toLowerCase();
+  return LANGUAGE_EXTENSIONS[ext] || null;
+}
+
+/**
+ * Convert a scanCode() report to a SARIF 2.1.0 log
+ * @param {{ vulnerabilities: Array, score: number }} report
+ * @param {{ uri?: string, language?: string }} [options] - uri: the scanned file as named in
+ *   results (findings from scanFiles() name their own file)
+ * @returns {object}
+ */
+export function toSarif(report, { uri = 'input', language } = {}) {
+  const rules = VULNERABILITY_PATTERNS.map(category => ({
+    id: category.type,
+    shortDescription: { text: category.type.replace(/-/g, ' ') },
+    help: { text: category.suggestion },
+    defaultConfiguration: { level: SARIF_LEVELS[category.severity] },
+    properties: { tags: ['security'], 'security-severity': SECURITY_SEVERITY[category.severity] },
+  }));
+  const ruleIndex = new Map(rules.map((rule, i) => [rule.id, i]));
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'opspawn-code-scan', informationUri: 'https://a2a.opspawn.com/x402/bazaar', rules } },
+      results: report.vulnerabilities.map(v => ({
+        ruleId: v.type,
+        ruleIndex: ruleIndex.get(v.type),
+        level: SARIF_LEVELS[v.severity] || 'warning',
+        message: { text: v.description },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: v.file || uri },
+            region: { startLine: v.line, snippet: { text: v.snippet } },
+          },
+        }],
+        properties: { severity: v.severity },
+      })),
+      properties: { score: report.score, ...(language && { language }) },
+    }],
+  };
 }
@@ -1,11 +1,26 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
+/// @notice Minimal ERC-20 surface used by the escrow.
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
 /**
  * @title AgentPaymentSettlement
  * @notice Records AI agent-to-agent micropayment settlements on-chain.
  * @dev Deployed on Arbitrum Sepolia for the Arbitrum Open House NYC hackathon.
  *      Part of the OpSpawn A2A x402 Gateway — enabling verifiable agent commerce.
+ *      Payments can also be escrowed: the payer deposits ERC-20 tokens against a taskId,
+ *      an authorized recorder marks the task completed (payee may claim) or failed (payer
+ *      may reclaim), and the payer may reclaim an escrow nobody completed by its deadline.
+ *      A payer (or a recorder on its behalf) may dispute a payment; a dispute resolver then
+ *      decides for a refund, which reverses the settlement and returns an unclaimed escrow,
+ *      or for the payee. Records themselves are never modified.
+ *      Ownership moves in two steps (transferOwnership, then acceptOwnership by the new
+ *      owner). While paused, nothing can be recorded, escrowed, claimed or disputed; a payer
+ *      can still reclaim a failed or expired escrow.
  */
 contract AgentPaymentSettlement {
     struct Settlement {
@@ -17,6 +32,47 @@ contract AgentPaymentSettlement {
         bool exists;
     }
 
+    enum EscrowState {
+        None,
+        Funded,
+        Completed,
+        Failed,
+        Claimed,
+        Refunded
+    }
+
+    struct Escrow {
+        address payer;
+        address payee;
+        address token;
+        uint256 amount;
+        uint256 deadline;
+        EscrowState state;
+    }
+
+    enum DisputeState {
+        None,
+        Opened,
+        ResolvedRefund,
+        ResolvedPayee
+    }
+
+    struct Dispute {
+        address payer;
+        bytes32 reasonHash;
+        DisputeState state;
+        uint256 openedAt;
+        uint256 resolvedAt;
+        address resolver;
+    }
+
+    struct SettlementBatch {
+        uint256 count;
+        uint256 totalAmount;
+        uint256 timestamp;
+        bool exists;
+    }
+
     /// @notice Emitted when a new settlement is recorded.
     event SettlementRecorded(
         bytes32 indexed taskId,
@@ -26,18 +82,109 @@ contract AgentPaymentSettlement {
         uint256 timestamp
     );
 
-    /// @notice Owner of the contract (deployer).
+    /// @notice Emitted when a Merkle root of settlement leaves is committed.
+    event SettlementBatchCommitted(
+        bytes32 indexed root,
+        uint256 count,
+        uint256 totalAmount,
+        uint256 timestamp
+    );
+
+    /// @notice Emitted when a payer deposits tokens in escrow for a task.
+    event EscrowDeposited(
+        bytes32 indexed taskId,
+        address indexed payer,
+        address indexed payee,
+        address token,
+        uint256 amount,
+        uint256 deadline
+    );
+
+    /// @notice Emitted when a recorder marks an escrowed task completed.
+    event EscrowCompleted(bytes32 indexed taskId);
+
+    /// @notice Emitted when a recorder marks an escrowed task failed or canceled.
+    event EscrowFailed(bytes32 indexed taskId);
+
+    /// @notice Emitted when the payee claims a completed escrow.
+    event EscrowClaimed(bytes32 indexed taskId, address indexed payee, uint256 amount);
+
+    /// @notice Emitted when the payer reclaims a failed or expired escrow.
+    event EscrowRefunded(bytes32 indexed taskId, address indexed payer, uint256 amount);
+
+    /// @notice Emitted when a payment is disputed.
+    event DisputeOpened(bytes32 indexed taskId, address indexed payer, address openedBy, bytes32 reasonHash);
+
+    /// @notice Emitted when a dispute is resolved in the payer's favor.
+    event DisputeResolvedRefund(bytes32 indexed taskId, address indexed resolver);
+
+    /// @notice Emitted when a dispute is resolved in the payee's favor.
+    event DisputeResolvedPayee(bytes32 indexed taskId, address indexed resolver);
+
+    /// @notice Emitted when the owner grants the dispute resolver role.
+    event ResolverAdded(address indexed resolver);
+
+    /// @notice Emitted when the owner revokes the dispute resolver role.
+    event ResolverRemoved(address indexed resolver);
+
+    /// @notice Emitted when the owner authorizes a recorder.
+    event RecorderAdded(address indexed recorder);
+
+    /// @notice Emitted when the owner revokes a recorder.
+    event RecorderRemoved(address indexed recorder);
+
+    /// @notice Emitted when the owner nominates a new owner (address(0) cancels a nomination).
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+
+    /// @notice Emitted when ownership changes hands.
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    /// @notice Emitted when the owner pauses the contract.
+    event Paused(address account);
+
+    /// @notice Emitted when the owner unpauses the contract.
+    event Unpaused(address account);
+
+    /// @notice Longest escrow timeout a payer may set.
+    uint256 public constant MAX_ESCROW_TIMEOUT = 30 days;
+
+    /// @notice Owner of the contract (deployer, until ownership is transferred).
     address public owner;
 
+    /// @notice Nominated owner that has not accepted ownership yet.
+    address public pendingOwner;
+
+    /// @notice Whether the circuit breaker is on.
+    bool public paused;
+
     /// @notice Mapping from taskId to its settlement record.
     mapping(bytes32 => Settlement) public settlements;
 
     /// @notice Number of settlements recorded.
     uint256 public settlementCount;
 
+    /// @notice Committed Merkle roots of settlement batches.
+    mapping(bytes32 => SettlementBatch) public settlementBatches;
+
+    /// @notice Number of settlements committed through Merkle roots.
+    uint256 public batchedSettlementCount;
+
+    /// @notice Escrowed payments by taskId.
+    mapping(bytes32 => Escrow) public escrows;
+
     /// @notice Addresses authorized to record settlements.
     mapping(address => bool) public authorizedRecorders;
 
+    /// @notice Disputes by taskId.
+    mapping(bytes32 => Dispute) public disputes;
+
+    /// @notice Addresses allowed to resolve disputes (besides the owner).
+    mapping(address => bool) public disputeResolvers;
+
+    // Task ids of individually recorded settlements, per payer and per payee, in record order
+    mapping(address => bytes32[]) private _payerSettlements;
+    mapping(address => bytes32[]) private _payeeSettlements;
+
     modifier onlyAuthorized() {
         require(
             msg.sender == owner || authorizedRecorders[msg.sender],
@@ -46,14 +193,35 @@ contract AgentPaymentSettlement {
         _;
     }
 
+    modifier onlyResolver() {
+        require(msg.sender == owner || disputeResolvers[msg.sender], "Not resolver");
+        _;
+    }
+
     modifier onlyOwner() {
         require(msg.sender == owner, "Not owner");
         _;
     }
 
+    modifier whenNotPaused() {
+        require(!paused, "Paused");
+        _;
+    }
+
+    uint256 private _locked = 1;
+
+    modifier nonReentrant() {
+        require(_locked == 1, "Reentrant call");
+        _locked = 2;
+        _;
+        _locked = 1;
+    }
+
     constructor() {
         owner = msg.sender;
         authorizedRecorders[msg.sender] = true;
+        emit OwnershipTransferred(address(0), msg.sender);
+        emit RecorderAdded(msg.sender);
     }
 
     /**
@@ -68,7 +236,112 @@ contract AgentPaymentSettlement {
         address payee,
         uint256 amount,
         bytes32 taskId
-    ) external onlyAuthorized {
+    ) external onlyAuthorized whenNotPaused {
+        _recordSettlement(payer, payee, amount, taskId);
+    }
+
+    /**
+     * @notice Record many settlements in one transaction.
+     * @dev Reverts as a whole if any entry would revert recordSettlement.
+     * @param payers   Paying agents, one per settlement.
+     * @param payees   Receiving agents, one per settlement.
+     * @param amounts  Settlement amounts, one per settlement.
+     * @param taskIds  Unique task identifiers, one per settlement.
+     */
+    function recordSettlementBatch(
+        address[] calldata payers,
+        address[] calldata payees,
+        uint256[] calldata amounts,
+        bytes32[] calldata taskIds
+    ) external onlyAuthorized whenNotPaused {
+        require(taskIds.length > 0, "Empty batch");
+        require(
+            payers.length == taskIds.length &&
+                payees.length == taskIds.length &&
+                amounts.length == taskIds.length,
+            "Length mismatch"
+        );
+        for (uint256 i = 0; i < taskIds.length; i++) {
+            _recordSettlement(payers[i], payees[i], amounts[i], taskIds[i]);
+        }
+    }
+
+    /**
+     * @notice Commit a batch of settlements as the Merkle root of their leaves.
+     * @dev Leaves are settlementLeaf(taskId, payer, payee, amount); pairs are hashed
+     *      in sorted order. Individual settlements are proven with verifySettlementProof.
+     * @param root        Merkle root of the batch.
+     * @param count       Number of settlements in the batch.
+     * @param totalAmount Sum of the batch's settlement amounts.
+     */
+    function commitSettlementRoot(
+        bytes32 root,
+        uint256 count,
+        uint256 totalAmount
+    ) external onlyAuthorized whenNotPaused {
+        require(root != bytes32(0), "Invalid root");
+        require(!settlementBatches[root].exists, "Root already committed");
+        require(count > 0 && totalAmount > 0, "Empty batch");
+
+        settlementBatches[root] = SettlementBatch({
+            count: count,
+            totalAmount: totalAmount,
+            timestamp: block.timestamp,
+            exists: true
+        });
+
+        batchedSettlementCount += count;
+
+        emit SettlementBatchCommitted(root, count, totalAmount, block.timestamp);
+    }
+
+    /**
+     * @notice Leaf of a settlement in a committed batch.
+     * @dev Hashed twice so a leaf can never be mistaken for an inner node.
+     */
+    function settlementLeaf(
+        bytes32 taskId,
+        address payer,
+        address payee,
+        uint256 amount
+    ) public pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(taskId, payer, payee, amount))));
+    }
+
+    /**
+     * @notice Check that a settlement is included in a committed batch.
+     * @param root   Committed Merkle root of the batch.
+     * @param taskId The settlement's task identifier.
+     * @param payer  Address of the payer.
+     * @param payee  Address of the payee.
+     * @param amount Settlement amount.
+     * @param proof  Sibling hashes from the leaf up to the root.
+     * @return Whether the root is committed and the proof leads to it.
+     */
+    function verifySettlementProof(
+        bytes32 root,
+        bytes32 taskId,
+        address payer,
+        address payee,
+        uint256 amount,
+        bytes32[] calldata proof
+    ) external view returns (bool) {
+        if (!settlementBatches[root].exists) return false;
+        bytes32 hash = settlementLeaf(taskId, payer, payee, amount);
+        for (uint256 i = 0; i < proof.length; i++) {
+            hash = hash < proof[i]
+                ? keccak256(abi.encode(hash, proof[i]))
+                : keccak256(abi.encode(proof[i], hash));
+        }
+        return hash == root;
+    }
+
+    function _recordSettlement(
+        address payer,
+        address payee,
+        uint256 amount,
+        bytes32 taskId
+    ) internal {
         require(!settlements[taskId].exists, "Settlement already exists");
         require(payer != address(0) && payee != address(0), "Invalid address");
         require(amount > 0, "Amount must be > 0");
@@ -83,10 +356,243 @@ contract AgentPaymentSettlement {
         });
 
         settlementCount++;
+        _payerSettlements[payer].push(taskId);
+        _payeeSettlements[payee].push(taskId);
 
         emit SettlementRecorded(taskId, payer, payee, amount, block.timestamp);
     }
 
+    /**
+     * @notice Deposit tokens in escrow for a task. The caller is the payer and must have
+     *         approved this contract for `amount`.
+     * @param taskId  A unique identifier for the task being paid for.
+     * @param payee   The agent paid once the task is completed.
+     * @param token   The ERC-20 token deposited (e.g. USDC).
+     * @param amount  The amount deposited, in the token's smallest unit.
+     * @param timeout Seconds until the payer may reclaim an escrow nobody completed.
+     */
+    function depositEscrow(
+        bytes32 taskId,
+        address payee,
+        address token,
+        uint256 amount,
+        uint256 timeout
+    ) external nonReentrant whenNotPaused {
+        require(escrows[taskId].state == EscrowState.None, "Escrow already exists");
+        require(!settlements[taskId].exists, "Settlement already exists");
+        require(payee != address(0) && token.code.length > 0, "Invalid address");
+        require(amount > 0, "Amount must be > 0");
+        require(timeout > 0 && timeout <= MAX_ESCROW_TIMEOUT, "Invalid timeout");
+
+        uint256 deadline = block.timestamp + timeout;
+        escrows[taskId] = Escrow({
+            payer: msg.sender,
+            payee: payee,
+            token: token,
+            amount: amount,
+            deadline: deadline,
+            state: EscrowState.Funded
+        });
+
+        _safeTransferFrom(token, msg.sender, address(this), amount);
+
+        emit EscrowDeposited(taskId, msg.sender, payee, token, amount, deadline);
+    }
+
+    /**
+     * @notice Mark an escrowed task completed, before its deadline. The payee may then
+     *         claim the deposit, and the payment is recorded as a settlement.
+     * @param taskId The escrowed task.
+     */
+    function markEscrowCompleted(bytes32 taskId) external onlyAuthorized whenNotPaused {
+        Escrow storage e = escrows[taskId];
+        require(e.state == EscrowState.Funded, "Escrow not funded");
+        require(block.timestamp < e.deadline, "Escrow expired");
+
+        e.state = EscrowState.Completed;
+        if (!settlements[taskId].exists) {
+            _recordSettlement(e.payer, e.payee, e.amount, taskId);
+        }
+
+        emit EscrowCompleted(taskId);
+    }
+
+    /**
+     * @notice Mark an escrowed task failed or canceled. The payer may then reclaim the deposit.
+     * @param taskId The escrowed task.
+     */
+    function markEscrowFailed(bytes32 taskId) external onlyAuthorized whenNotPaused {
+        Escrow storage e = escrows[taskId];
+        require(e.state == EscrowState.Funded, "Escrow not funded");
+
+        e.state = EscrowState.Failed;
+
+        emit EscrowFailed(taskId);
+    }
+
+    /**
+     * @notice Pay a completed escrow out to its payee.
+     * @param taskId The escrowed task.
+     */
+    function claimEscrow(bytes32 taskId) external nonReentrant whenNotPaused {
+        Escrow storage e = escrows[taskId];
+        require(msg.sender == e.payee, "Not payee");
+        require(e.state == EscrowState.Completed, "Escrow not completed");
+        require(disputes[taskId].state != DisputeState.Opened, "Escrow disputed");
+
+        e.state = EscrowState.Claimed;
+        _safeTransfer(e.token, e.payee, e.amount);
+
+        emit EscrowClaimed(taskId, e.payee, e.amount);
+    }
+
+    /**
+     * @notice Return a failed escrow, or one still funded after its deadline, to its payer.
+     * @param taskId The escrowed task.
+     */
+    function reclaimEscrow(bytes32 taskId) external nonReentrant {
+        Escrow storage e = escrows[taskId];
+        require(msg.sender == e.payer, "Not payer");
+        require(
+            e.state == EscrowState.Failed ||
+                (e.state == EscrowState.Funded && block.timestamp >= e.deadline),
+            "Escrow not reclaimable"
+        );
+        require(disputes[taskId].state != DisputeState.Opened, "Escrow disputed");
+
+        e.state = EscrowState.Refunded;
+        _safeTransfer(e.token, e.payer, e.amount);
+
+        emit EscrowRefunded(taskId, e.payer, e.amount);
+    }
+
+    /**
+     * @notice Dispute a payment. The payer may dispute its own recorded settlement, or its escrow
+     *         while funded or failed (a completed escrow's task succeeded, and a dispute would
+     *         freeze the payee's claim); an authorized recorder may open a dispute on a payer's
+     *         behalf, also for a payment that was never recorded.
+     * @param taskId     The disputed task.
+     * @param payer      The payer raising the dispute.
+     * @param reasonHash keccak256 of the reason given off-chain.
+     */
+    function openDispute(bytes32 taskId, address payer, bytes32 reasonHash) external whenNotPaused {
+        require(disputes[taskId].state == DisputeState.None, "Dispute already exists");
+        require(payer != address(0), "Invalid address");
+        bool authorized = msg.sender == owner || authorizedRecorders[msg.sender];
+        require(msg.sender == payer || authorized, "Not authorized");
+
+        address recordedPayer = settlements[taskId].exists ? settlements[taskId].payer : escrows[taskId].payer;
+        if (recordedPayer != address(0)) {
+            require(payer == recordedPayer, "Not the payer");
+        } else {
+            require(authorized, "Nothing to dispute");
+        }
+        if (!authorized) {
+            EscrowState state = escrows[taskId].state;
+            require(
+                state == EscrowState.None || state == EscrowState.Funded || state == EscrowState.Failed,
+                "Escrow not disputable"
+            );
+        }
+
+        disputes[taskId] = Dispute({
+            payer: payer,
+            reasonHash: reasonHash,
+            state: DisputeState.Opened,
+            openedAt: block.timestamp,
+            resolvedAt: 0,
+            resolver: address(0)
+        });
+
+        emit DisputeOpened(taskId, payer, msg.sender, reasonHash);
+    }
+
+    /**
+     * @notice Resolve an open dispute. A refund reverses the settlement and lets the payer
+     *         reclaim an escrow that was not yet claimed.
+     * @param taskId      The disputed task.
+     * @param refundPayer True to decide for the payer, false for the payee.
+     */
+    function resolveDispute(bytes32 taskId, bool refundPayer) external onlyResolver whenNotPaused {
+        Dispute storage d = disputes[taskId];
+        require(d.state == DisputeState.Opened, "Dispute not open");
+
+        d.resolvedAt = block.timestamp;
+        d.resolver = msg.sender;
+        if (refundPayer) {
+            d.state = DisputeState.ResolvedRefund;
+            Escrow storage e = escrows[taskId];
+            if (e.state == EscrowState.Funded || e.state == EscrowState.Completed) {
+                e.state = EscrowState.Failed;
+                emit EscrowFailed(taskId);
+            }
+            emit DisputeResolvedRefund(taskId, msg.sender);
+        } else {
+            d.state = DisputeState.ResolvedPayee;
+            emit DisputeResolvedPayee(taskId, msg.sender);
+        }
+    }
+
+    /**
+     * @notice Retrieve a dispute by task ID.
+     * @param taskId The unique task identifier.
+     * @return payer      The disputing payer.
+     * @return reasonHash keccak256 of the reason given off-chain.
+     * @return state      Dispute state (None, Opened, ResolvedRefund, ResolvedPayee).
+     * @return openedAt   When the dispute was opened.
+     * @return resolvedAt When it was resolved (0 while open).
+     * @return resolver   Who resolved it.
+     */
+    function getDispute(bytes32 taskId)
+        external
+        view
+        returns (
+            address payer,
+            bytes32 reasonHash,
+            DisputeState state,
+            uint256 openedAt,
+            uint256 resolvedAt,
+            address resolver
+        )
+    {
+        Dispute storage d = disputes[taskId];
+        return (d.payer, d.reasonHash, d.state, d.openedAt, d.resolvedAt, d.resolver);
+    }
+
+    /**
+     * @notice Whether a settlement was reversed by a dispute resolved for the payer.
+     * @param taskId The unique task identifier.
+     */
+    function isReversed(bytes32 taskId) external view returns (bool) {
+        return disputes[taskId].state == DisputeState.ResolvedRefund;
+    }
+
+    /**
+     * @notice Retrieve an escrow by task ID.
+     * @param taskId The unique task identifier.
+     * @return payer    Address of the payer.
+     * @return payee    Address of the payee.
+     * @return token    The escrowed ERC-20 token.
+     * @return amount   Escrowed amount.
+     * @return deadline When the payer may reclaim an escrow nobody completed.
+     * @return state    Escrow state (None, Funded, Completed, Failed, Claimed, Refunded).
+     */
+    function getEscrow(bytes32 taskId)
+        external
+        view
+        returns (
+            address payer,
+            address payee,
+            address token,
+            uint256 amount,
+            uint256 deadline,
+            EscrowState state
+        )
+    {
+        Escrow storage e = escrows[taskId];
+        return (e.payer, e.payee, e.token, e.amount, e.deadline, e.state);
+    }
+
     /**
      * @notice Retrieve a settlement by task ID.
      * @param taskId The unique task identifier.
@@ -111,12 +617,59 @@ contract AgentPaymentSettlement {
         return (s.payer, s.payee, s.amount, s.timestamp, s.exists);
     }
 
+    /**
+     * @notice Number of settlements recorded with an address as payer.
+     * @dev Settlements committed through Merkle roots are not indexed per address.
+     */
+    function payerSettlementCount(address payer) external view returns (uint256) {
+        return _payerSettlements[payer].length;
+    }
+
+    /**
+     * @notice Number of settlements recorded with an address as payee.
+     * @dev Settlements committed through Merkle roots are not indexed per address.
+     */
+    function payeeSettlementCount(address payee) external view returns (uint256) {
+        return _payeeSettlements[payee].length;
+    }
+
+    /**
+     * @notice A page of the settlements an address paid, oldest first.
+     * @param payer  The paying agent.
+     * @param offset Index of the first settlement of the page.
+     * @param limit  Most settlements to return.
+     * @return page  Up to `limit` settlements; empty past the end.
+     */
+    function getSettlementsByPayer(address payer, uint256 offset, uint256 limit)
+        external
+        view
+        returns (Settlement[] memory page)
+    {
+        return _page(_payerSettlements[payer], offset, limit);
+    }
+
+    /**
+     * @notice A page of the settlements an address was paid, oldest first.
+     * @param payee  The receiving agent.
+     * @param offset Index of the first settlement of the page.
+     * @param limit  Most settlements to return.
+     * @return page  Up to `limit` settlements; empty past the end.
+     */
+    function getSettlementsByPayee(address payee, uint256 offset, uint256 limit)
+        external
+        view
+        returns (Settlement[] memory page)
+    {
+        return _page(_payeeSettlements[payee], offset, limit);
+    }
+
     /**
      * @notice Authorize an address to record settlements (e.g. the gateway server).
      * @param recorder The address to authorize.
      */
     function addRecorder(address recorder) external onlyOwner {
         authorizedRecorders[recorder] = true;
+        emit RecorderAdded(recorder);
     }
 
     /**
@@ -125,5 +678,87 @@ contract AgentPaymentSettlement {
      */
     function removeRecorder(address recorder) external onlyOwner {
         authorizedRecorders[recorder] = false;
+        emit RecorderRemoved(recorder);
+    }
+
+    /**
+     * @notice Grant the dispute resolver role (e.g. an operator, or the gateway server).
+     * @param resolver The address to grant.
+     */
+    function addResolver(address resolver) external onlyOwner {
+        disputeResolvers[resolver] = true;
+        emit ResolverAdded(resolver);
+    }
+
+    /**
+     * @notice Revoke the dispute resolver role.
+     * @param resolver The address to revoke.
+     */
+    function removeResolver(address resolver) external onlyOwner {
+        disputeResolvers[resolver] = false;
+        emit ResolverRemoved(resolver);
+    }
+
+    /**
+     * @notice Nominate a new owner, who takes over once it calls acceptOwnership().
+     *         Nominating address(0) cancels a pending transfer.
+     * @param newOwner The nominated owner.
+     */
+    function transferOwnership(address newOwner) external onlyOwner {
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+
+    /**
+     * @notice Accept a pending ownership transfer; callable by the nominated owner only.
+     *         The previous owner's recorder role (granted at deployment) goes with it.
+     */
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+        address previousOwner = owner;
+        owner = msg.sender;
+        pendingOwner = address(0);
+        emit OwnershipTransferred(previousOwner, msg.sender);
+        if (previousOwner != msg.sender && authorizedRecorders[previousOwner]) {
+            authorizedRecorders[previousOwner] = false;
+            emit RecorderRemoved(previousOwner);
+        }
+    }
+
+    /// @notice Stop recording, escrow and dispute activity (payers may still reclaim).
+    function pause() external onlyOwner {
+        require(!paused, "Paused");
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    /// @notice Resume after a pause.
+    function unpause() external onlyOwner {
+        require(paused, "Not paused");
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    function _page(bytes32[] storage taskIds, uint256 offset, uint256 limit)
+        private
+        view
+        returns (Settlement[] memory page)
+    {
+        if (offset >= taskIds.length) return new Settlement[](0);
+        uint256 end = taskIds.length - offset < limit ? taskIds.length : offset + limit;
+        page = new Settlement[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = settlements[taskIds[i]];
+        }
+    }
+
+    function _safeTransfer(address token, address to, uint256 amount) private {
+        (bool ok, bytes memory data) = token.call(abi.encodeCall(IERC20.transfer, (to, amount)));
+        require(ok && (data.length == 0 || abi.decode(data, (bool))), "Token transfer failed");
+    }
+
+    function _safeTransferFrom(address token, address from, address to, uint256 amount) private {
+        (bool ok, bytes memory data) = token.call(abi.encodeCall(IERC20.transferFrom, (from, to, amount)));
+        require(ok && (data.length == 0 || abi.decode(data, (bool))), "Token transfer failed");
     }
 }
@@ -0,0 +1,387 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const AMOUNT = 10000n; // 0.01 USDC (6 decimals)
+const taskId = (name) => ethers.id(name);
+
+async function deployFixture() {
+  const [owner, recorder, payer, payee, resolver, other] = await ethers.getSigners();
+  const contract = await ethers.deployContract("AgentPaymentSettlement");
+  const token = await ethers.deployContract("TestToken");
+  await contract.addRecorder(recorder.address);
+  await token.mint(payer.address, AMOUNT * 10n);
+  await token.connect(payer).approve(await contract.getAddress(), AMOUNT * 10n);
+  return { contract, token, owner, recorder, payer, payee, resolver, other };
+}
+
+// Deposit AMOUNT in escrow for a task, payable to `payee`
+async function deposit({ contract, token, payer, payee }, id, timeout = 3600) {
+  await contract.connect(payer).depositEscrow(taskId(id), payee.address, await token.getAddress(), AMOUNT, timeout);
+}
+
+describe("AgentPaymentSettlement", function () {
+  describe("Deployment", function () {
+    it("makes the deployer owner and recorder", async function () {
+      const { contract, owner } = await loadFixture(deployFixture);
+      expect(await contract.owner()).to.equal(owner.address);
+      expect(await contract.pendingOwner()).to.equal(ethers.ZeroAddress);
+      expect(await contract.authorizedRecorders(owner.address)).to.be.true;
+      expect(await contract.paused()).to.be.false;
+    });
+
+    it("announces the initial owner and recorder", async function () {
+      const contract = await ethers.deployContract("AgentPaymentSettlement");
+      const [owner] = await ethers.getSigners();
+      const tx = contract.deploymentTransaction();
+      await expect(tx).to.emit(contract, "OwnershipTransferred").withArgs(ethers.ZeroAddress, owner.address);
+      await expect(tx).to.emit(contract, "RecorderAdded").withArgs(owner.address);
+    });
+  });
+
+  describe("Recording", function () {
+    it("records a settlement from an authorized recorder", async function () {
+      const { contract, recorder, payer, payee } = await loadFixture(deployFixture);
+      await expect(contract.connect(recorder).recordSettlement(payer.address, payee.address, AMOUNT, taskId("t1")))
+        .to.emit(contract, "SettlementRecorded");
+      const settlement = await contract.getSettlement(taskId("t1"));
+      expect(settlement.payer).to.equal(payer.address);
+      expect(settlement.amount).to.equal(AMOUNT);
+      expect(await contract.settlementCount()).to.equal(1n);
+    });
+
+    it("refuses unauthorized callers, duplicates and zero amounts", async function () {
+      const { contract, recorder, payer, payee, other } = await loadFixture(deployFixture);
+      await expect(contract.connect(other).recordSettlement(payer.address, payee.address, AMOUNT, taskId("t1")))
+        .to.be.revertedWith("Not authorized");
+      await contract.connect(recorder).recordSettlement(payer.address, payee.address, AMOUNT, taskId("t1"));
+      await expect(contract.connect(recorder).recordSettlement(payer.address, payee.address, AMOUNT, taskId("t1")))
+        .to.be.revertedWith("Settlement already exists");
+      await expect(contract.connect(recorder).recordSettlement(payer.address, payee.address, 0, taskId("t2")))
+        .to.be.revertedWith("Amount must be > 0");
+    });
+
+    it("records batches as a whole", async function () {
+      const { contract, recorder, payer, payee } = await loadFixture(deployFixture);
+      const ids = [taskId("b1"), taskId("b2")];
+      await contract.connect(recorder).recordSettlementBatch([payer.address, payer.address], [payee.address, payee.address], [AMOUNT, AMOUNT], ids);
+      expect(await contract.settlementCount()).to.equal(2n);
+      await expect(contract.connect(recorder).recordSettlementBatch([payer.address], [payee.address], [AMOUNT, AMOUNT], [taskId("b3")]))
+        .to.be.revertedWith("Length mismatch");
+    });
+  });
+
+  describe("Recorder management", function () {
+    it("emits RecorderAdded and RecorderRemoved", async function () {
+      const { contract, other } = await loadFixture(deployFixture);
+      await expect(contract.addRecorder(other.address)).to.emit(contract, "RecorderAdded").withArgs(other.address);
+      expect(await contract.authorizedRecorders(other.address)).to.be.true;
+      await expect(contract.removeRecorder(other.address)).to.emit(contract, "RecorderRemoved").withArgs(other.address);
+      expect(await contract.authorizedRecorders(other.address)).to.be.false;
+    });
+
+    it("is for the owner only", async function () {
+      const { contract, recorder, other } = await loadFixture(deployFixture);
+      await expect(contract.connect(recorder).addRecorder(other.address)).to.be.revertedWith("Not owner");
+      await expect(contract.connect(recorder).removeRecorder(recorder.address)).to.be.revertedWith("Not owner");
+    });
+  });
+
+  describe("Ownership transfer", function () {
+    it("takes a nomination and an acceptance", async function () {
+      const { contract, owner, other } = await loadFixture(deployFixture);
+      await expect(contract.transferOwnership(other.address))
+        .to.emit(contract, "OwnershipTransferStarted").withArgs(owner.address, other.address);
+      expect(await contract.owner()).to.equal(owner.address);
+      expect(await contract.pendingOwner()).to.equal(other.address);
+
+      await expect(contract.connect(other).acceptOwnership())
+        .to.emit(contract, "OwnershipTransferred").withArgs(owner.address, other.address)
+        .and.to.emit(contract, "RecorderRemoved").withArgs(owner.address);
+      expect(await contract.owner()).to.equal(other.address);
+      expect(await contract.authorizedRecorders(owner.address)).to.be.false;
+      expect(await contract.pendingOwner()).to.equal(ethers.ZeroAddress);
+      await expect(contract.addRecorder(owner.address)).to.be.revertedWith("Not owner");
+      await expect(contract.connect(other).addRecorder(owner.address)).to.emit(contract, "RecorderAdded");
+    });
+
+    it("can only be accepted by the nominee", async function () {
+      const { contract, recorder, other } = await loadFixture(deployFixture);
+      await contract.transferOwnership(other.address);
+      await expect(contract.connect(recorder).acceptOwnership()).to.be.revertedWith("Not pending owner");
+    });
+
+    it("can be cancelled by nominating the zero address", async function () {
+      const { contract, other } = await loadFixture(deployFixture);
+      await contract.transferOwnership(other.address);
+      await contract.transferOwnership(ethers.ZeroAddress);
+      await expect(contract.connect(other).acceptOwnership()).to.be.revertedWith("Not pending owner");
+    });
+
+    it("can only be started by the owner", async function () {
+      const { contract, other } = await loadFixture(deployFixture);
+      await expect(contract.connect(other).transferOwnership(other.address)).to.be.revertedWith("Not owner");
+    });
+  });
+
+  describe("Pause", function () {
+    it("stops recording, batching and escrow activity until unpaused", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { contract, token, owner, recorder, payer, payee } = fixture;
+      await deposit(fixture, "funded");
+
+      await expect(contract.pause()).to.emit(contract, "Paused").withArgs(owner.address);
+      expect(await contract.paused()).to.be.true;
+      await expect(contract.connect(recorder).recordSettlement(payer.address, payee.address, AMOUNT, taskId("t1")))
+        .to.be.revertedWith("Paused");
+      await expect(contract.connect(recorder).recordSettlementBatch([payer.address], [payee.address], [AMOUNT], [taskId("t2")]))
+        .to.be.revertedWith("Paused");
+      await expect(contract.connect(recorder).commitSettlementRoot(taskId("root"), 1, AMOUNT)).to.be.revertedWith("Paused");
+      await expect(contract.connect(payer).depositEscrow(taskId("e2"), payee.address, await token.getAddress(), AMOUNT, 3600))
+        .to.be.revertedWith("Paused");
+      await expect(contract.connect(recorder).markEscrowCompleted(taskId("funded"))).to.be.revertedWith("Paused");
+      await expect(contract.connect(recorder).markEscrowFailed(taskId("funded"))).to.be.revertedWith("Paused");
+      await expect(contract.connect(payer).openDispute(taskId("funded"), payer.address, ethers.id("reason")))
+        .to.be.revertedWith("Paused");
+
+      await expect(contract.unpause()).to.emit(contract, "Unpaused").withArgs(owner.address);
+      await contract.connect(recorder).recordSettlement(payer.address, payee.address, AMOUNT, taskId("t1"));
+      expect(await contract.settlementCount()).to.equal(1n);
+    });
+
+    it("still lets payers reclaim failed escrows, but not payees claim", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { contract, token, recorder, payer, payee } = fixture;
+      await deposit(fixture, "failed");
+      await deposit(fixture, "completed");
+      await contract.connect(recorder).markEscrowFailed(taskId("failed"));
+      await contract.connect(recorder).markEscrowCompleted(taskId("completed"));
+      await contract.pause();
+
+      await expect(contract.connect(payee).claimEscrow(taskId("completed"))).to.be.revertedWith("Paused");
+      await expect(contract.connect(payer).reclaimEscrow(taskId("failed")))
+        .to.emit(contract, "EscrowRefunded").withArgs(taskId("failed"), payer.address, AMOUNT);
+      expect(await token.balanceOf(payer.address)).to.equal(AMOUNT * 9n);
+    });
+
+    it("is for the owner only and does not stack", async function () {
+      const { contract, recorder } = await loadFixture(deployFixture);
+      await expect(contract.connect(recorder).pause()).to.be.revertedWith("Not owner");
+      await expect(contract.unpause()).to.be.revertedWith("Not paused");
+      await contract.pause();
+      await expect(contract.pause()).to.be.revertedWith("Paused");
+      await expect(contract.connect(recorder).unpause()).to.be.revertedWith("Not owner");
+    });
+  });
+
+  describe("Settlements by address", function () {
+    async function recordedFixture() {
+      const fixture = await deployFixture();
+      const { contract, recorder, payer, payee, other } = fixture;
+      for (let i = 0; i < 5; i++) {
+        await contract.connect(recorder).recordSettlement(payer.address, i < 3 ? payee.address : other.address, AMOUNT + BigInt(i), taskId(`p${i}`));
+      }
+      return fixture;
+    }
+
+    it("counts settlements per payer and payee", async function () {
+      const { contract, payer, payee, other, resolver } = await loadFixture(recordedFixture);
+      expect(await contract.payerSettlementCount(payer.address)).to.equal(5n);
+      expect(await contract.payeeSettlementCount(payee.address)).to.equal(3n);
+      expect(await contract.payeeSettlementCount(other.address)).to.equal(2n);
+      expect(await contract.payerSettlementCount(resolver.address)).to.equal(0n);
+    });
+
+    it("pages through a payer's settlements in record order", async function () {
+      const { contract, payer } = await loadFixture(recordedFixture);
+      const first = await contract.getSettlementsByPayer(payer.address, 0, 2);
+      expect(first.map((s) => s.taskId)).to.deep.equal([taskId("p0"), taskId("p1")]);
+      const last = await contract.getSettlementsByPayer(payer.address, 4, 2);
+      expect(last.length).to.equal(1);
+      expect(last[0].amount).to.equal(AMOUNT + 4n);
+      expect(last[0].payer).to.equal(payer.address);
+      expect((await contract.getSettlementsByPayer(payer.address, 5, 2)).length).to.equal(0);
+      expect((await contract.getSettlementsByPayer(payer.address, 0, 0)).length).to.equal(0);
+    });
+
+    it("pages through a payee's settlements", async function () {
+      const { contract, payee, other } = await loadFixture(recordedFixture);
+      const page = await contract.getSettlementsByPayee(payee.address, 1, 10);
+      expect(page.map((s) => s.taskId)).to.deep.equal([taskId("p1"), taskId("p2")]);
+      expect((await contract.getSettlementsByPayee(other.address, 0, ethers.MaxUint256)).length).to.equal(2);
+    });
+
+    it("indexes batched and escrow-completed settlements, but not Merkle roots", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { contract, recorder, payer, payee } = fixture;
+      await contract.connect(recorder).recordSettlementBatch([payer.address], [payee.address], [AMOUNT], [taskId("b1")]);
+      await deposit(fixture, "escrowed");
+      await contract.connect(recorder).markEscrowCompleted(taskId("escrowed"));
+      await contract.connect(recorder).commitSettlementRoot(taskId("root"), 3, AMOUNT * 3n);
+      const page = await contract.getSettlementsByPayee(payee.address, 0, 10);
+      expect(page.map((s) => s.taskId)).to.deep.equal([taskId("b1"), taskId("escrowed")]);
+    });
+  });
+
+  describe("Settlement roots", function () {
+    // The server builds batches with settlement-merkle.mjs; its proofs must hold on-chain
+    let merkle;
+    before(async function () {
+      merkle = await import("../../settlement-merkle.mjs");
+    });
+
+    it("commits a root once, from a recorder only", async function () {
+      const { contract, recorder, other } = await loadFixture(deployFixture);
+      await expect(contract.connect(other).commitSettlementRoot(taskId("root"), 2, AMOUNT)).to.be.revertedWith("Not authorized");
+      await expect(contract.connect(recorder).commitSettlementRoot(ethers.ZeroHash, 2, AMOUNT)).to.be.revertedWith("Invalid root");
+      await expect(contract.connect(recorder).commitSettlementRoot(taskId("root"), 0, AMOUNT)).to.be.revertedWith("Empty batch");
+      await expect(contract.connect(recorder).commitSettlementRoot(taskId("root"), 2, 0)).to.be.revertedWith("Empty batch");
+      await expect(contract.connect(recorder).commitSettlementRoot(taskId("root"), 2, AMOUNT))
+        .to.emit(contract, "SettlementBatchCommitted");
+      await expect(contract.connect(recorder).commitSettlementRoot(taskId("root"), 2, AMOUNT)).to.be.revertedWith("Root already committed");
+      expect((await contract.settlementBatches(taskId("root"))).count).to.equal(2n);
+      expect(await contract.batchedSettlementCount()).to.equal(2n);
+    });
+
+    it("verifies proofs built in JS for trees of 1 to 7 settlements", async function () {
+      const { contract, recorder, payer, payee, other } = await loadFixture(deployFixture);
+      for (let size = 1; size <= 7; size++) {
+        const settlements = Array.from({ length: size }, (_, i) => ({
+          settlementId: taskId(`m${size}-${i}`),
+          payer: payer.address,
+          payee: i % 2 ? other.address : payee.address,
+          amount: AMOUNT + BigInt(i),
+        }));
+        const { root, leaves, proofs } = merkle.buildSettlementTree(settlements);
+        await contract.connect(recorder).commitSettlementRoot(root, size, AMOUNT * BigInt(size));
+        for (let i = 0; i < size; i++) {
+          const { settlementId, payer: from, payee: to, amount } = settlements[i];
+          expect(await contract.settlementLeaf(settlementId, from, to, amount)).to.equal(leaves[i]);
+          expect(merkle.verifySettlementProof(leaves[i], proofs[i], root)).to.be.true;
+          expect(await contract.verifySettlementProof(root, settlementId, from, to, amount, proofs[i]), `size ${size}, leaf ${i}`).to.be.true;
+          expect(await contract.verifySettlementProof(root, settlementId, from, to, amount + 1n, proofs[i])).to.be.false;
+        }
+      }
+    });
+
+    it("rejects proofs against a root that was never committed", async function () {
+      const { contract, payer, payee } = await loadFixture(deployFixture);
+      const settlements = [1n, 2n].map((n) => ({ settlementId: taskId(`u${n}`), payer: payer.address, payee: payee.address, amount: AMOUNT * n }));
+      const { root, proofs } = merkle.buildSettlementTree(settlements);
+      expect(await contract.verifySettlementProof(root, taskId("u1"), payer.address, payee.address, AMOUNT, proofs[0])).to.be.false;
+    });
+  });
+
+  describe("Escrow", function () {
+    it("pays a completed escrow out to the payee", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { contract, token, recorder, payee } = fixture;
+      await deposit(fixture, "e1");
+      await contract.connect(recorder).markEscrowCompleted(taskId("e1"));
+      await expect(contract.connect(payee).claimEscrow(taskId("e1")))
+        .to.emit(contract, "EscrowClaimed").withArgs(taskId("e1"), payee.address, AMOUNT);
+      expect(await token.balanceOf(payee.address)).to.equal(AMOUNT);
+      expect((await contract.getSettlement(taskId("e1"))).exists).to.be.true;
+    });
+
+    it("lets the payer reclaim an escrow nobody completed by its deadline", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { contract, recorder, payer } = fixture;
+      await deposit(fixture, "e1", 3600);
+      await expect(contract.connect(payer).reclaimEscrow(taskId("e1"))).to.be.revertedWith("Escrow not reclaimable");
+      await time.increase(3600);
+      await expect(contract.connect(recorder).markEscrowCompleted(taskId("e1"))).to.be.revertedWith("Escrow expired");
+      await expect(contract.connect(payer).reclaimEscrow(taskId("e1"))).to.emit(contract, "EscrowRefunded");
+    });
+  });
+
+  describe("Disputes", function () {
+    it("lets a recorder dispute for the payer and a resolver refund, reversing the settlement", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { contract, recorder, payer, payee, resolver } = fixture;
+      await deposit(fixture, "d1");
+      await contract.connect(recorder).markEscrowCompleted(taskId("d1"));
+      await expect(contract.connect(recorder).openDispute(taskId("d1"), payer.address, ethers.id("never delivered")))
+        .to.emit(contract, "DisputeOpened").withArgs(taskId("d1"), payer.address, recorder.address, ethers.id("never delivered"));
+      await expect(contract.connect(payee).claimEscrow(taskId("d1"))).to.be.revertedWith("Escrow disputed");
+
+      await expect(contract.connect(resolver).resolveDispute(taskId("d1"), true)).to.be.revertedWith("Not resolver");
+      await expect(contract.addResolver(resolver.address)).to.emit(contract, "ResolverAdded").withArgs(resolver.address);
+      await expect(contract.connect(resolver).resolveDispute(taskId("d1"), true))
+        .to.emit(contract, "DisputeResolvedRefund").withArgs(taskId("d1"), resolver.address);
+      expect(await contract.isReversed(taskId("d1"))).to.be.true;
+      expect((await contract.getEscrow(taskId("d1"))).state).to.equal(3n); // Failed
+      await expect(contract.connect(payer).reclaimEscrow(taskId("d1"))).to.emit(contract, "EscrowRefunded");
+    });
+
+    it("resolves for the payee and refuses a second dispute", async function () {
+      const { contract, recorder, payer, payee } = await loadFixture(deployFixture);
+      await contract.connect(recorder).recordSettlement(payer.address, payee.address, AMOUNT, taskId("d2"));
+      await expect(contract.connect(payee).openDispute(taskId("d2"), payee.address, ethers.ZeroHash)).to.be.revertedWith("Not the payer");
+      await contract.connect(recorder).openDispute(taskId("d2"), payer.address, ethers.ZeroHash);
+      await expect(contract.connect(payer).openDispute(taskId("d2"), payer.address, ethers.ZeroHash)).to.be.revertedWith("Dispute already exists");
+      await expect(contract.resolveDispute(taskId("d2"), false))
+        .to.emit(contract, "DisputeResolvedPayee");
+      await expect(contract.resolveDispute(taskId("d2"), true)).to.be.revertedWith("Dispute not open");
+      expect(await contract.isReversed(taskId("d2"))).to.be.false;
+    });
+
+    it("needs a recorded payment or a recorder, and the payer it names", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { contract, recorder, payer, other } = fixture;
+      await expect(contract.connect(payer).openDispute(taskId("unknown"), payer.address, ethers.ZeroHash))
+        .to.be.revertedWith("Nothing to dispute");
+      await expect(contract.connect(other).openDispute(taskId("unknown"), payer.address, ethers.ZeroHash))
+        .to.be.revertedWith("Not authorized");
+      await deposit(fixture, "escrowed");
+      await expect(contract.connect(recorder).openDispute(taskId("escrowed"), other.address, ethers.ZeroHash))
+        .to.be.revertedWith("Not the payer");
+      await expect(contract.connect(recorder).openDispute(taskId("unknown"), payer.address, ethers.ZeroHash))
+        .to.emit(contract, "DisputeOpened");
+    });
+
+    it("refuses a payer disputing a completed or claimed escrow directly", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { contract, recorder, payer, payee } = fixture;
+      await deposit(fixture, "funded");
+      await deposit(fixture, "completed");
+      await deposit(fixture, "claimed");
+      await contract.connect(recorder).markEscrowCompleted(taskId("completed"));
+      await contract.connect(recorder).markEscrowCompleted(taskId("claimed"));
+      await contract.connect(payee).claimEscrow(taskId("claimed"));
+
+      await expect(contract.connect(payer).openDispute(taskId("completed"), payer.address, ethers.ZeroHash))
+        .to.be.revertedWith("Escrow not disputable");
+      await expect(contract.connect(payer).openDispute(taskId("claimed"), payer.address, ethers.ZeroHash))
+        .to.be.revertedWith("Escrow not disputable");
+      await expect(contract.connect(payee).claimEscrow(taskId("completed"))).to.emit(contract, "EscrowClaimed");
+      await expect(contract.connect(payer).openDispute(taskId("funded"), payer.address, ethers.ZeroHash))
+        .to.emit(contract, "DisputeOpened");
+    });
+
+    it("holds claims and reclaims while open", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { contract, recorder, payer, payee } = fixture;
+      await deposit(fixture, "completed");
+      await deposit(fixture, "failed");
+      await deposit(fixture, "expired", 60);
+      await contract.connect(recorder).markEscrowCompleted(taskId("completed"));
+      await contract.connect(recorder).markEscrowFailed(taskId("failed"));
+      for (const id of ["completed", "failed", "expired"]) {
+        await contract.connect(id === "completed" ? recorder : payer).openDispute(taskId(id), payer.address, ethers.ZeroHash);
+      }
+      await time.increase(60);
+
+      await expect(contract.connect(payee).claimEscrow(taskId("completed"))).to.be.revertedWith("Escrow disputed");
+      await expect(contract.connect(payer).reclaimEscrow(taskId("failed"))).to.be.revertedWith("Escrow disputed");
+      await expect(contract.connect(payer).reclaimEscrow(taskId("expired"))).to.be.revertedWith("Escrow disputed");
+
+      await contract.resolveDispute(taskId("completed"), false);
+      await expect(contract.connect(payee).claimEscrow(taskId("completed"))).to.emit(contract, "EscrowClaimed");
+      await contract.resolveDispute(taskId("failed"), true);
+      await expect(contract.connect(payer).reclaimEscrow(taskId("failed"))).to.emit(contract, "EscrowRefunded");
+      await contract.resolveDispute(taskId("expired"), false);
+      await expect(contract.connect(payer).reclaimEscrow(taskId("expired"))).to.emit(contract, "EscrowRefunded");
+    });
+  });
+});
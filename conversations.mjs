@@ -0,0 +1,109 @@
+/**
+ * Conversations — multi-turn context for tasks that share a contextId
+ *
+ * A conversation is read from the task store: every completed task in a context is one
+ * turn (the user's message and the agent's result). Nothing is stored twice, and evicted
+ * tasks drop out of the conversation with their context.
+ *
+ * resolve() turns a follow-up that points back at an earlier result ("now make that a PDF",
+ * "summarize the screenshot you just took") into a request on that result. transcript()
+ * renders the prior turns for a Gemini prompt.
+ */
+
+// Words that point back at an earlier turn
+const REFERENCE = /\b(?:that|it|this|these|those|above|previous|last one|same|you just)\b/i;
+
+// Skill a follow-up asks for, by keyword (first match wins)
+const FOLLOW_UP_SKILLS = [
+  [/\bpdf\b/i, 'markdown-to-pdf'],
+  [/\bhtml\b/i, 'markdown-to-html'],
+  [/\b(?:summari[sz]e|summary|analy[sz]e|analysis|explain|describe)\b/i, 'ai-analysis'],
+  [/\b(?:screenshot|capture|snapshot)\b/i, 'screenshot'],
+];
+
+const clip = (text, max) => text.length > max ? `${text.slice(0, max)}…` : text;
+
+const textOf = (parts = []) => parts.filter(p => p.kind === 'text' || p.type === 'text').map(p => p.text).join('\n').trim();
+
+/**
+ * @param {ReturnType<import('./storage.mjs').openStore>['tasks']} tasks
+ * @param {{ requestOf: (task: object) => object|undefined, maxTurns?: number, maxTurnChars?: number }} options
+ *   requestOf: the parsed request a task ran; maxTurns: turns kept for resolution and prompts
+ */
+export function createConversations(tasks, { requestOf, maxTurns = 10, maxTurnChars = 1500 }) {
+  /**
+   * Completed turns in a context, oldest first
+   * @param {string} contextId
+   * @param {{ before?: string }} [options] - Leave out this task (the one being answered)
+   * @returns {Array<{ taskId: string, skill: string, request: object, user: string, agent: string, files: Array<{ name: string, mimeType: string }> }>}
+   */
+  function turns(contextId, { before } = {}) {
+    if (!contextId) return [];
+    return tasks.byContext(contextId)
+      .filter(task => task.id !== before && task.status.state === 'completed')
+      .slice(-maxTurns)
+      .map(task => {
+        const request = requestOf(task) || {};
+        const user = task.history.find(m => m.role === 'user');
+        const parts = task.artifacts.flatMap(a => a.parts);
+        return {
+          taskId: task.id,
+          skill: request.skill,
+          request,
+          user: textOf(user?.parts),
+          agent: textOf(parts),
+          files: parts.filter(p => p.kind === 'file').map(p => ({ name: p.file?.name ?? p.name, mimeType: p.file?.mimeType ?? p.mimeType })),
+        };
+      });
+  }
+
+  // What a follow-up should work on: the earlier request's input, or its text result
+  function sourceText(turn) {
+    const { request } = turn;
+    if (request.skill === 'ai-analysis') return turn.agent || request.content || '';
+    if (request.skill === 'screenshot') return [`Screenshot of ${request.url}`, turn.agent].filter(Boolean).join('\n\n');
+    return request.markdown || turn.agent || '';
+  }
+
+  return {
+    turns,
+
+    /**
+     * A request for a follow-up that refers to an earlier turn, or null when the text
+     * stands on its own (it carries content, names no skill, or has nothing to refer to)
+     * @param {string} contextId
+     * @param {string} text
+     * @returns {{ skill: string, followUp: { taskId: string }, [key: string]: any } | null}
+     */
+    resolve(contextId, text) {
+      // Text carrying its own content ("Summarize this: ...", a URL, a document) stands alone
+      if (!contextId || text.length > 200 || /:\s*\S/.test(text) || /https?:\/\//i.test(text) || !REFERENCE.test(text)) return null;
+      const skill = FOLLOW_UP_SKILLS.find(([pattern]) => pattern.test(text))?.[1];
+      if (!skill) return null;
+      const history = turns(contextId);
+      if (skill === 'screenshot') {
+        const previous = history.findLast(turn => turn.request.url);
+        return previous ? { skill, url: previous.request.url, followUp: { taskId: previous.taskId } } : null;
+      }
+      // "the screenshot you just took": prefer the latest turn of the named kind
+      const named = FOLLOW_UP_SKILLS.filter(([pattern]) => pattern.test(text)).map(([, s]) => s).filter(s => s !== skill);
+      const previous = history.findLast(turn => named.includes(turn.skill)) || history.at(-1);
+      if (!previous) return null;
+      const source = sourceText(previous);
+      const followUp = { taskId: previous.taskId };
+      return skill === 'ai-analysis' ? { skill, content: source, followUp } : { skill, markdown: source, followUp };
+    },
+
+    /**
+     * Prior turns as prompt text, oldest first; empty when there are none
+     * @param {string} contextId
+     * @param {{ before?: string }} [options]
+     */
+    transcript(contextId, options) {
+      return turns(contextId, options).map(turn => {
+        const files = turn.files.map(f => `[${f.name} ${f.mimeType}]`).join(' ');
+        return `User: ${clip(turn.user || sourceText(turn), maxTurnChars)}\nAgent (${turn.skill}): ${clip([turn.agent, files].filter(Boolean).join(' '), maxTurnChars)}`;
+      }).join('\n\n');
+    },
+  };
+}
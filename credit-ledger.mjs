@@ -0,0 +1,87 @@
+/**
+ * Credit Ledger — prepaid balances drawn down per request
+ *
+ * A wallet tops up once with a regular x402 payment; later requests made under its
+ * SIWx identity are charged against the balance instead of settling on-chain each time.
+ * Amounts are atomic token units (strings). Every change is recorded as an entry so a
+ * wallet's balance can be audited; the ledger is plain data and persists with the stats.
+ */
+
+const DEFAULT_MAX_ENTRIES = 5000;
+
+/**
+ * @param {{ balances?: Object<string, string>, entries?: Array }} [state] - Previously persisted ledger (from toJSON)
+ * @param {{ maxEntries?: number }} [options] - Oldest entries are dropped past this count (balances are kept)
+ */
+export function createCreditLedger(state = {}, { maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const balances = new Map(Object.entries(state.balances || {}).map(([wallet, amount]) => [wallet, BigInt(amount)]));
+  const entries = [...(state.entries || [])];
+
+  const key = (wallet) => wallet.toLowerCase();
+  const balanceOf = (wallet) => balances.get(key(wallet)) ?? 0n;
+
+  function record(wallet, type, amount, details) {
+    const balance = balanceOf(wallet);
+    const entry = { wallet: key(wallet), type, amount: amount.toString(), balance: balance.toString(), ...details, timestamp: new Date().toISOString() };
+    entries.push(entry);
+    if (entries.length > maxEntries) entries.splice(0, entries.length - maxEntries);
+    return entry;
+  }
+
+  return {
+    /**
+     * Add a settled top-up to a wallet's balance
+     * @param {string} wallet
+     * @param {string|bigint} amount - Atomic units
+     * @param {{ txHash?: string, network?: string }} [details]
+     */
+    topUp(wallet, amount, details = {}) {
+      balances.set(key(wallet), balanceOf(wallet) + BigInt(amount));
+      return record(wallet, 'topup', amount, details);
+    },
+
+    /**
+     * Draw down a wallet's balance. Fails without changing anything when the balance is short.
+     * @param {string} wallet
+     * @param {string|bigint} amount - Atomic units
+     * @param {{ taskId?: string, skill?: string }} [details]
+     * @returns {{ ok: true, balance: string, entry: object } | { ok: false, balance: string }}
+     */
+    debit(wallet, amount, details = {}) {
+      const balance = balanceOf(wallet);
+      if (balance < BigInt(amount)) return { ok: false, balance: balance.toString() };
+      balances.set(key(wallet), balance - BigInt(amount));
+      const entry = record(wallet, 'debit', amount, details);
+      return { ok: true, balance: entry.balance, entry };
+    },
+
+    /** Return a debit for work that was not delivered */
+    refund(wallet, amount, details = {}) {
+      balances.set(key(wallet), balanceOf(wallet) + BigInt(amount));
+      return record(wallet, 'refund', amount, details);
+    },
+
+    /** Whether the wallet's balance covers an amount */
+    covers(wallet, amount) {
+      return !!wallet && balanceOf(wallet) >= BigInt(amount);
+    },
+
+    /** Balance in atomic units */
+    balanceOf(wallet) { return balanceOf(wallet).toString(); },
+
+    /** Most recent ledger entries for a wallet, newest first */
+    history(wallet, limit = 20) {
+      const k = key(wallet);
+      return entries.filter(e => e.wallet === k).slice(-limit).reverse();
+    },
+
+    get size() { return balances.size; },
+
+    toJSON() {
+      return {
+        balances: Object.fromEntries([...balances].map(([wallet, amount]) => [wallet, amount.toString()])),
+        entries,
+      };
+    },
+  };
+}
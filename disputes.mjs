@@ -0,0 +1,109 @@
+/**
+ * Disputes — payers flag a paid task that failed, operators decide who keeps the payment
+ *
+ * A payer whose task ended `failed` after its payment was verified may open one dispute for
+ * it. A resolver then decides for a refund (resolved-refund) or for the payee
+ * (resolved-payee). Both steps are payment events in the store ('dispute-opened',
+ * 'dispute-resolved'), so a dispute's state is rebuilt from the journal like every other
+ * payment; a refund decided for a settled payment also appends 'refund-due'.
+ * The reason stays off-chain; the contract keeps its hash (reasonHash).
+ */
+
+import { id as keccakId } from 'ethers';
+
+export const DISPUTE_ERRORS = {
+  NOT_FOUND: 'NOT_FOUND',
+  NOT_DISPUTABLE: 'NOT_DISPUTABLE',
+  NOT_PAYER: 'NOT_PAYER',
+  ALREADY_DISPUTED: 'ALREADY_DISPUTED',
+  NOT_OPEN: 'NOT_OPEN',
+  INVALID_REASON: 'INVALID_REASON',
+  INVALID_OUTCOME: 'INVALID_OUTCOME',
+};
+
+// Resolution outcomes and the dispute state each leads to
+export const DISPUTE_OUTCOMES = { refund: 'resolved-refund', payee: 'resolved-payee' };
+
+const MAX_REASON_LENGTH = 1000;
+
+/**
+ * @param {ReturnType<typeof import('./storage.mjs').openStore>} store
+ */
+export function createDisputes(store) {
+  const latest = (type, taskId) => store.findPayments({ type, taskId }).at(-1);
+
+  // Dispute of a task as its events describe it, or null
+  function get(taskId) {
+    const opened = latest('dispute-opened', taskId);
+    if (!opened) return null;
+    const resolved = latest('dispute-resolved', taskId);
+    return {
+      taskId,
+      payer: opened.wallet,
+      reason: opened.reason,
+      reasonHash: opened.reasonHash,
+      status: resolved ? resolved.status : 'opened',
+      openedAt: opened.timestamp,
+      ...(opened.onChainTxHash && { openTxHash: opened.onChainTxHash }),
+      ...(resolved && {
+        resolvedAt: resolved.timestamp,
+        resolver: resolved.resolver,
+        note: resolved.note,
+        ...(resolved.onChainTxHash && { resolveTxHash: resolved.onChainTxHash }),
+      }),
+    };
+  }
+
+  return {
+    get,
+
+    /**
+     * Open a dispute for a failed task
+     * @param {{ id: string, status: { state: string } }} task
+     * @param {{ wallet: string, reason: string }} claim - wallet: the signed-in caller
+     * @returns {{ ok: true, dispute: object } | { ok: false, error: string }}
+     */
+    open(task, { wallet, reason }) {
+      if (typeof reason !== 'string' || !reason.trim() || reason.length > MAX_REASON_LENGTH) return { ok: false, error: DISPUTE_ERRORS.INVALID_REASON };
+      const verified = latest('payment-verified', task.id);
+      if (task.status.state !== 'failed' || !verified || verified.wallet === 'unknown') return { ok: false, error: DISPUTE_ERRORS.NOT_DISPUTABLE };
+      if (wallet.toLowerCase() !== verified.wallet.toLowerCase()) return { ok: false, error: DISPUTE_ERRORS.NOT_PAYER };
+      if (get(task.id)) return { ok: false, error: DISPUTE_ERRORS.ALREADY_DISPUTED };
+      store.appendPayment({
+        type: 'dispute-opened', taskId: task.id, skill: verified.skill, wallet: verified.wallet, network: verified.network,
+        reason: reason.trim(), reasonHash: keccakId(reason.trim()), timestamp: new Date().toISOString(),
+      });
+      return { ok: true, dispute: get(task.id) };
+    },
+
+    /**
+     * Resolve an open dispute
+     * @param {string} taskId
+     * @param {{ outcome: 'refund'|'payee', resolver: string, note?: string }} decision
+     * @returns {{ ok: true, dispute: object, refundDue: boolean } | { ok: false, error: string }}
+     */
+    resolve(taskId, { outcome, resolver, note = null }) {
+      if (!DISPUTE_OUTCOMES[outcome]) return { ok: false, error: DISPUTE_ERRORS.INVALID_OUTCOME };
+      const dispute = get(taskId);
+      if (!dispute) return { ok: false, error: DISPUTE_ERRORS.NOT_FOUND };
+      if (dispute.status !== 'opened') return { ok: false, error: DISPUTE_ERRORS.NOT_OPEN };
+      const timestamp = new Date().toISOString();
+      store.appendPayment({ type: 'dispute-resolved', taskId, wallet: dispute.payer, status: DISPUTE_OUTCOMES[outcome], resolver: resolver.toLowerCase(), note, timestamp });
+      // Escrowed payments are refunded by the contract (the payer reclaims the deposit)
+      const settled = store.findPayments({ type: 'payment-settled', taskId }).find(event => event.scheme !== 'escrow');
+      if (outcome === 'refund' && settled) {
+        store.appendPayment({ type: 'refund-due', taskId, skill: settled.skill, txHash: settled.txHash, amount: settled.amount, wallet: dispute.payer, network: settled.network, reason: 'dispute', timestamp });
+      }
+      return { ok: true, dispute: get(taskId), refundDue: outcome === 'refund' && Boolean(settled) };
+    },
+
+    /**
+     * Disputes, newest first
+     * @param {{ status?: string }} [filter] - 'opened', 'resolved-refund' or 'resolved-payee'
+     */
+    list({ status } = {}) {
+      const taskIds = [...new Set(store.findPayments({ type: 'dispute-opened' }).map(event => event.taskId))].reverse();
+      return taskIds.map(get).filter(dispute => !status || dispute.status === status);
+    },
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * x402 Facilitator Adapters
+ *
+ * A facilitator verifies payment payloads against on-chain state and settles them,
+ * returning the real transaction hash. Two adapters share one interface:
+ * - createHttpFacilitator: any facilitator exposing POST /verify and POST /settle
+ *   (PayAI, Coinbase CDP, or a self-hosted local facilitator)
+ * - createMockFacilitator: in-process facilitator with simulated balances, used by
+ *   the test suite and local development so every failure code can be exercised offline
+ *
+ * verify(paymentPayload, paymentRequirements) -> { isValid, invalidReason?, message?, payer }
+ * settle(paymentPayload, paymentRequirements) -> { success, errorReason?, transaction, network, payer, amount }
+ *
+ * For the `upto` scheme the gateway passes the metered charge as paymentRequirements.amount;
+ * the facilitator settles that amount instead of the full authorized value.
+ */
+
+import { keccak256, toUtf8Bytes, getAddress } from 'ethers';
+import { verifyPayment, PAYMENT_ERRORS } from './payment-verifier.mjs';
+
+/**
+ * Map a facilitator error reason (e.g. "insufficient_funds",
+ * "invalid_exact_evm_payload_signature") onto the spec error codes.
+ * @param {string} reason
+ * @param {string} fallback - Code to use when the reason is not recognized
+ * @returns {string}
+ */
+export function normalizeReason(reason, fallback) {
+  if (!reason) return fallback;
+  const upper = String(reason).toUpperCase();
+  if (Object.values(PAYMENT_ERRORS).includes(upper)) return upper;
+  if (upper.includes('INSUFFICIENT')) return PAYMENT_ERRORS.INSUFFICIENT_FUNDS;
+  if (upper.includes('NONCE')) return PAYMENT_ERRORS.DUPLICATE_NONCE;
+  if (upper.includes('EXPIRED') || upper.includes('VALID_BEFORE') || upper.includes('VALID_AFTER')) return PAYMENT_ERRORS.EXPIRED_PAYMENT;
+  if (upper.includes('NETWORK') || upper.includes('CHAIN')) return PAYMENT_ERRORS.NETWORK_MISMATCH;
+  if (upper.includes('VALUE') || upper.includes('AMOUNT')) return PAYMENT_ERRORS.INVALID_AMOUNT;
+  if (upper.includes('SIGNATURE') || upper.includes('RECIPIENT') || upper.includes('PAYLOAD')) return PAYMENT_ERRORS.INVALID_SIGNATURE;
+  return fallback;
+}
+
+// Amount a settlement moves: the metered amount for `upto`, otherwise the authorized value
+function settledAmount(paymentPayload, paymentRequirements) {
+  if (paymentRequirements.scheme === 'upto' && paymentRequirements.amount !== undefined) return String(paymentRequirements.amount);
+  return String(paymentPayload.payload.authorization.value);
+}
+
+/**
+ * HTTP facilitator client (x402 facilitator API)
+ * @param {string} url - Facilitator base URL, e.g. https://facilitator.payai.network
+ * @param {{ timeout?: number }} [options]
+ */
+export function createHttpFacilitator(url, { timeout = 15000 } = {}) {
+  const baseUrl = url.replace(/\/$/, '');
+
+  async function post(path, paymentPayload, paymentRequirements) {
+    const resp = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ x402Version: paymentPayload?.x402Version ?? 2, paymentPayload, paymentRequirements }),
+      signal: AbortSignal.timeout(timeout),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok && data.isValid === undefined && data.success === undefined) {
+      throw new Error(`Facilitator ${path} error ${resp.status}: ${data.error || data.message || resp.statusText}`);
+    }
+    return data;
+  }
+
+  return {
+    name: baseUrl,
+
+    async verify(paymentPayload, paymentRequirements) {
+      try {
+        const data = await post('/verify', paymentPayload, paymentRequirements);
+        if (data.isValid) return { isValid: true, payer: data.payer || null };
+        return {
+          isValid: false,
+          invalidReason: normalizeReason(data.invalidReason, PAYMENT_ERRORS.INVALID_SIGNATURE),
+          message: data.invalidReason || 'Rejected by facilitator',
+          payer: data.payer || null,
+        };
+      } catch (err) {
+        return { isValid: false, invalidReason: PAYMENT_ERRORS.SETTLEMENT_FAILED, message: `Facilitator unavailable: ${err.message}`, payer: null };
+      }
+    },
+
+    async settle(paymentPayload, paymentRequirements) {
+      try {
+        const data = await post('/settle', paymentPayload, paymentRequirements);
+        if (data.success && data.transaction) {
+          return {
+            success: true, transaction: data.transaction, network: data.network || paymentRequirements.network, payer: data.payer || null,
+            amount: data.amount || settledAmount(paymentPayload, paymentRequirements),
+          };
+        }
+        return {
+          success: false,
+          errorReason: normalizeReason(data.errorReason, PAYMENT_ERRORS.SETTLEMENT_FAILED),
+          message: data.errorReason || 'Settlement rejected by facilitator',
+          network: data.network || paymentRequirements.network,
+          payer: data.payer || null,
+        };
+      } catch (err) {
+        return { success: false, errorReason: PAYMENT_ERRORS.SETTLEMENT_FAILED, message: err.message, network: paymentRequirements.network, payer: null };
+      }
+    },
+  };
+}
+
+/**
+ * In-process mock facilitator. Verifies signatures for real (via payment-verifier),
+ * simulates token balances and authorization-nonce consumption, and returns
+ * deterministic transaction hashes derived from the signed payload.
+ * @param {{ defaultBalance?: bigint, balances?: Object<string, bigint|string> }} [options]
+ */
+export function createMockFacilitator({ defaultBalance = 1_000_000_000n, balances = {} } = {}) {
+  const ledger = new Map(Object.entries(balances).map(([addr, amount]) => [getAddress(addr), BigInt(amount)]));
+  const usedNonces = new Set();
+  let nextSettlementError = null;
+
+  const balanceOf = (address) => ledger.get(getAddress(address)) ?? defaultBalance;
+  const nonceKey = (payload, requirements) =>
+    `${requirements.network}:${requirements.asset}:${payload.payload.authorization.from}:${payload.payload.authorization.nonce}`.toLowerCase();
+
+  async function verify(paymentPayload, paymentRequirements) {
+    const result = verifyPayment(paymentPayload, [paymentRequirements]);
+    if (!result.isValid) return { isValid: false, invalidReason: result.invalidReason, message: result.message, payer: result.payer };
+    if (usedNonces.has(nonceKey(paymentPayload, paymentRequirements))) {
+      return { isValid: false, invalidReason: PAYMENT_ERRORS.DUPLICATE_NONCE, message: 'Authorization nonce already used on-chain', payer: result.payer };
+    }
+    if (balanceOf(result.payer) < BigInt(result.amount)) {
+      return { isValid: false, invalidReason: PAYMENT_ERRORS.INSUFFICIENT_FUNDS, message: `Balance ${balanceOf(result.payer)} is below ${result.amount}`, payer: result.payer };
+    }
+    return { isValid: true, payer: result.payer };
+  }
+
+  async function settle(paymentPayload, paymentRequirements) {
+    const check = await verify(paymentPayload, paymentRequirements);
+    const network = paymentRequirements.network;
+    if (!check.isValid) return { success: false, errorReason: check.invalidReason, message: check.message, network, payer: check.payer };
+    if (nextSettlementError) {
+      const errorReason = nextSettlementError;
+      nextSettlementError = null;
+      return { success: false, errorReason, message: 'Simulated settlement failure', network, payer: check.payer };
+    }
+    const amount = BigInt(settledAmount(paymentPayload, paymentRequirements));
+    if (amount > BigInt(paymentPayload.payload.authorization.value)) {
+      return { success: false, errorReason: PAYMENT_ERRORS.INVALID_AMOUNT, message: `Charge ${amount} exceeds the authorized ${paymentPayload.payload.authorization.value}`, network, payer: check.payer };
+    }
+    ledger.set(check.payer, balanceOf(check.payer) - amount);
+    usedNonces.add(nonceKey(paymentPayload, paymentRequirements));
+    const transaction = keccak256(toUtf8Bytes(`${network}:${paymentPayload.payload.signature}`));
+    return { success: true, transaction, network, payer: check.payer, amount: amount.toString() };
+  }
+
+  return {
+    name: 'mock',
+    verify,
+    settle,
+    balanceOf,
+    /** Set a simulated token balance for an address */
+    setBalance(address, amount) { ledger.set(getAddress(address), BigInt(amount)); },
+    /** Make the next settle() call fail with the given code (default SETTLEMENT_FAILED) */
+    failNextSettlement(errorReason = PAYMENT_ERRORS.SETTLEMENT_FAILED) { nextSettlementError = errorReason; },
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Payment Ledger — nonce replay protection and idempotent payment identifiers
+ *
+ * - Authorization nonces are claimed once per (network, payer, nonce) and kept
+ *   until the authorization's validBefore passes; a second claim is a replay.
+ * - Results are cached per (surface, payer, payment identifier) so a retry carrying the
+ *   same identifier gets the first execution's result instead of a second charge. A2A and
+ *   REST cache different shapes, so an identifier reused across them never matches.
+ *
+ * The ledger is plain data so it can be persisted alongside the other gateway stats.
+ */
+
+const DEFAULT_RESULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_RESULTS = 500;
+
+/**
+ * Extract the client-chosen payment identifier (x402 `payment-identifier` extension)
+ * @param {object} payload - Decoded PaymentPayload
+ * @returns {string|null}
+ */
+export function paymentIdOf(payload) {
+  const ext = payload?.extensions?.['payment-identifier'];
+  const id = ext?.id ?? ext?.info?.id ?? ext?.paymentId;
+  return typeof id === 'string' && id.length > 0 && id.length <= 128 ? id : null;
+}
+
+/**
+ * @param {{ nonces?: Array, results?: Array }} [state] - Previously persisted ledger (from toJSON)
+ * @param {{ resultTtlMs?: number, maxResults?: number }} [options]
+ */
+export function createPaymentLedger(state = {}, { resultTtlMs = DEFAULT_RESULT_TTL_MS, maxResults = DEFAULT_MAX_RESULTS } = {}) {
+  const nonces = new Map((state.nonces || []).map(n => [n.key, n]));
+  const results = new Map((state.results || []).map(r => [r.key, r]));
+
+  const nonceKey = (network, payer, nonce) => `${network}:${payer}:${nonce}`.toLowerCase();
+  const resultKey = (surface, payer, paymentId) => `${surface}:${payer.toLowerCase()}:${paymentId}`;
+
+  function prune(now = Date.now()) {
+    for (const [key, entry] of nonces) {
+      if (entry.expiresAt && entry.expiresAt * 1000 < now) nonces.delete(key);
+    }
+    for (const [key, entry] of results) {
+      if (entry.storedAt + resultTtlMs < now) results.delete(key);
+    }
+    // Map preserves insertion order, so the oldest cached results go first
+    while (results.size > maxResults) results.delete(results.keys().next().value);
+  }
+
+  return {
+    /**
+     * Claim an authorization nonce. Returns false if it was already claimed (replay).
+     * @param {string} network - CAIP-2 network
+     * @param {string} payer
+     * @param {string} nonce - bytes32 authorization nonce
+     * @param {string|number} validBefore - Unix seconds after which the authorization is dead
+     * @param {string} taskId - Task that consumed the nonce
+     */
+    claimNonce(network, payer, nonce, validBefore, taskId) {
+      prune();
+      const key = nonceKey(network, payer, nonce);
+      if (nonces.has(key)) return false;
+      nonces.set(key, { key, taskId, expiresAt: Number(validBefore), claimedAt: new Date().toISOString() });
+      return true;
+    },
+
+    /** Release a claimed nonce when the payment was never settled, so the client may retry it */
+    releaseNonce(network, payer, nonce) {
+      nonces.delete(nonceKey(network, payer, nonce));
+    },
+
+    /**
+     * Cached result for a payment identifier, or null
+     * @param {'a2a'|'rest'} surface - Where the payment was made
+     * @param {string} payer
+     * @param {string|null} paymentId
+     */
+    getResult(surface, payer, paymentId) {
+      if (!paymentId) return null;
+      prune();
+      return results.get(resultKey(surface, payer, paymentId))?.result || null;
+    },
+
+    /** Cache a result (or an in-flight marker) for a payment identifier */
+    storeResult(surface, payer, paymentId, result) {
+      if (!paymentId) return;
+      const key = resultKey(surface, payer, paymentId);
+      results.delete(key);
+      results.set(key, { key, result, storedAt: Date.now() });
+      prune();
+    },
+
+    /** Forget a payment identifier (its first execution failed, so a retry should run again) */
+    clearResult(surface, payer, paymentId) {
+      if (paymentId) results.delete(resultKey(surface, payer, paymentId));
+    },
+
+    get size() { return { nonces: nonces.size, results: results.size }; },
+
+    toJSON() {
+      prune();
+      return { nonces: [...nonces.values()], results: [...results.values()] };
+    },
+  };
+}
@@ -0,0 +1,204 @@
+/**
+ * x402 Payment Verification
+ *
+ * Decodes x402 payment payloads and verifies EIP-3009 transferWithAuthorization
+ * signatures against the payment requirements the gateway advertised:
+ * signer recovery (EIP-712), payTo, asset, amount, validity window and chain ID.
+ *
+ * Two schemes share the same signed authorization:
+ * - exact: the authorized value must cover maxAmountRequired and is settled in full
+ * - upto: the authorized value is a ceiling; it must cover the minimum charge
+ *   (extra.minAmount) and only the metered amount is settled after execution
+ *
+ * The escrow scheme has no signature: the payer deposits tokens in the settlement contract
+ * against the task, and verifyEscrow() checks the deposit as read from the chain.
+ */
+
+import { verifyTypedData, getAddress } from 'ethers';
+
+// Error codes from the Google A2A x402 Extension spec (Section 9.1)
+export const PAYMENT_ERRORS = {
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  EXPIRED_PAYMENT: 'EXPIRED_PAYMENT',
+  DUPLICATE_NONCE: 'DUPLICATE_NONCE',
+  NETWORK_MISMATCH: 'NETWORK_MISMATCH',
+  INVALID_AMOUNT: 'INVALID_AMOUNT',
+  SETTLEMENT_FAILED: 'SETTLEMENT_FAILED',
+};
+
+// EIP-3009 typed data signed by the payer
+export const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' },
+  ],
+};
+
+/**
+ * Decode a payment payload from a Payment-Signature / X-Payment header or A2A metadata.
+ * Accepts an object, a JSON string, or base64-encoded JSON (the x402 header encoding).
+ * @param {object|string} raw
+ * @returns {object|null} The PaymentPayload, or null if it cannot be decoded
+ */
+export function decodePaymentPayload(raw) {
+  if (!raw) return null;
+  if (typeof raw === 'object') return raw;
+  if (typeof raw !== 'string') return null;
+  const text = raw.trim();
+  try {
+    return JSON.parse(text);
+  } catch {}
+  try {
+    const decoded = JSON.parse(Buffer.from(text, 'base64').toString('utf8'));
+    return decoded && typeof decoded === 'object' ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Chain ID of a CAIP-2 EVM network identifier (eip155:<chainId>)
+ * @param {string} caip2
+ * @returns {number|null}
+ */
+export function chainIdOf(caip2) {
+  const match = /^eip155:(\d+)$/.exec(caip2 || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Build the EIP-712 domain for a payment requirement (the token contract on its chain)
+ * @param {object} requirement - An entry from the advertised `accepts` array
+ */
+export function authorizationDomain(requirement) {
+  return {
+    name: requirement.extra?.name || 'USD Coin',
+    version: requirement.extra?.version || '2',
+    chainId: chainIdOf(requirement.network),
+    verifyingContract: requirement.asset,
+  };
+}
+
+function fail(invalidReason, message, payer = null) {
+  return { isValid: false, invalidReason, message, payer };
+}
+
+function sameAddress(a, b) {
+  try {
+    return getAddress(a) === getAddress(b);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Verify an `exact` or `upto` scheme EIP-3009 payment against advertised requirements.
+ * @param {object} payload - Decoded PaymentPayload ({ x402Version, scheme, network, payload: { signature, authorization } })
+ * @param {Array} accepts - The `accepts` array from createPaymentRequired
+ * @param {{ now?: number }} [options] - `now` in unix seconds (defaults to current time)
+ * @returns {{ isValid: boolean, invalidReason?: string, message?: string, payer: string|null, network?: string, amount?: string, nonce?: string, validBefore?: string, requirement?: object }}
+ */
+export function verifyPayment(payload, accepts, options = {}) {
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+  const signature = payload?.payload?.signature;
+  const auth = payload?.payload?.authorization;
+  if (!signature || !auth) {
+    return fail(PAYMENT_ERRORS.INVALID_SIGNATURE, 'Malformed payment payload: payload.signature and payload.authorization are required');
+  }
+  const payer = typeof auth.from === 'string' ? auth.from : null;
+
+  const network = payload.network || payload.accepted?.network;
+  const scheme = payload.scheme || payload.accepted?.scheme || 'exact';
+  const requirement = (accepts || []).find(a => a.network === network && a.scheme === scheme);
+  if (!requirement) {
+    return fail(PAYMENT_ERRORS.NETWORK_MISMATCH, `No ${scheme} payment option advertised for network ${network}`, payer);
+  }
+
+  const chainId = chainIdOf(requirement.network);
+  if (payload.chainId !== undefined && Number(payload.chainId) !== chainId) {
+    return fail(PAYMENT_ERRORS.NETWORK_MISMATCH, `Chain ID ${payload.chainId} does not match ${requirement.network}`, payer);
+  }
+  const declaredAsset = payload.accepted?.asset || payload.asset;
+  if (declaredAsset && !sameAddress(declaredAsset, requirement.asset)) {
+    return fail(PAYMENT_ERRORS.NETWORK_MISMATCH, `Asset ${declaredAsset} is not accepted on ${requirement.network}`, payer);
+  }
+  if (!sameAddress(auth.to, requirement.payTo)) {
+    return fail(PAYMENT_ERRORS.INVALID_SIGNATURE, 'Authorization recipient does not match payTo', payer);
+  }
+
+  let value, validAfter, validBefore;
+  try {
+    value = BigInt(auth.value);
+    validAfter = BigInt(auth.validAfter ?? 0);
+    validBefore = BigInt(auth.validBefore);
+  } catch {
+    return fail(PAYMENT_ERRORS.INVALID_SIGNATURE, 'Malformed authorization: value, validAfter and validBefore must be integers', payer);
+  }
+  const required = requirement.scheme === 'upto'
+    ? requirement.extra?.minAmount ?? requirement.maxAmountRequired
+    : requirement.maxAmountRequired;
+  if (value < BigInt(required)) {
+    return fail(PAYMENT_ERRORS.INVALID_AMOUNT, `Authorized value ${value} is below required ${required}`, payer);
+  }
+  if (BigInt(now) < validAfter || BigInt(now) >= validBefore) {
+    return fail(PAYMENT_ERRORS.EXPIRED_PAYMENT, 'Authorization is outside its validAfter/validBefore window', payer);
+  }
+
+  let recovered;
+  try {
+    recovered = verifyTypedData(authorizationDomain(requirement), TRANSFER_WITH_AUTHORIZATION_TYPES, {
+      from: auth.from, to: auth.to, value, validAfter, validBefore, nonce: auth.nonce,
+    }, signature);
+  } catch (err) {
+    return fail(PAYMENT_ERRORS.INVALID_SIGNATURE, `Signature could not be verified: ${err.shortMessage || err.message}`, payer);
+  }
+  if (!sameAddress(recovered, auth.from)) {
+    return fail(PAYMENT_ERRORS.INVALID_SIGNATURE, 'Signature was not produced by authorization.from', payer);
+  }
+
+  return {
+    isValid: true,
+    payer: getAddress(auth.from),
+    network: requirement.network,
+    amount: value.toString(),
+    nonce: auth.nonce,
+    validBefore: validBefore.toString(),
+    requirement,
+  };
+}
+
+/**
+ * Verify an `escrow` scheme payment: a deposit held by the settlement contract for the task.
+ * The deadline must leave time to finish the task, since the payer may reclaim after it.
+ * @param {{ state: string, payer: string, payee: string, token: string, amount: string, deadline: number }|null} escrow - As read from the contract
+ * @param {{ network: string, payee: string, token: string, amount: string, minDeadline: number }} terms
+ *   minDeadline: earliest acceptable deadline, in unix seconds
+ * @returns {{ isValid: boolean, invalidReason?: string, message?: string, payer: string|null, network?: string, amount?: string, requirement?: object }}
+ */
+export function verifyEscrow(escrow, terms) {
+  if (!escrow || escrow.state === 'none') return fail(PAYMENT_ERRORS.INSUFFICIENT_FUNDS, 'No escrow deposit found for this task');
+  const payer = escrow.payer;
+  if (escrow.state !== 'funded') return fail(PAYMENT_ERRORS.INSUFFICIENT_FUNDS, `Escrow is ${escrow.state}, not funded`, payer);
+  if (!sameAddress(escrow.token, terms.token)) {
+    return fail(PAYMENT_ERRORS.NETWORK_MISMATCH, `Escrowed token ${escrow.token} is not accepted on ${terms.network}`, payer);
+  }
+  if (!sameAddress(escrow.payee, terms.payee)) return fail(PAYMENT_ERRORS.INVALID_SIGNATURE, 'Escrow payee does not match payTo', payer);
+  if (BigInt(escrow.amount) < BigInt(terms.amount)) {
+    return fail(PAYMENT_ERRORS.INVALID_AMOUNT, `Escrowed amount ${escrow.amount} is below required ${terms.amount}`, payer);
+  }
+  if (escrow.deadline < terms.minDeadline) {
+    return fail(PAYMENT_ERRORS.EXPIRED_PAYMENT, `Escrow may be reclaimed at ${escrow.deadline}, before the task could finish`, payer);
+  }
+  return {
+    isValid: true,
+    payer: getAddress(payer),
+    network: terms.network,
+    amount: String(escrow.amount),
+    requirement: { scheme: 'escrow', network: terms.network, asset: terms.token, payTo: terms.payee, maxAmountRequired: terms.amount },
+  };
+}
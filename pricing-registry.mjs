@@ -0,0 +1,245 @@
+/**
+ * Pricing Registry — the single source of skill prices
+ *
+ * Every price the gateway shows or charges (payment requirements, bazaar, /api/info,
+ * /stats, revenue, the agent card) is read from one registry file. Prices are decimal
+ * strings in whole token units ("0.005"); atomic amounts are derived from `decimals`.
+ *
+ * File format (JSON, or YAML when the `yaml` package is installed):
+ *   { currency: 'USDC', decimals: 6, skills: { <id>: { name, description?, price, label, mimeType, endpoints?, poweredBy?, requiresPayment?, bazaar?, rules?, maxPrice?, maxUploadKb? } } }
+ *
+ * `name`, `description`, `mimeType` (the output), `endpoints` ({ a2a?, rest?, free? } paths),
+ * `poweredBy` and `bazaar` ({ info, schema }) are what /x402/bazaar lists for the skill;
+ * `bazaar.schema` is also the input schema A2A invocations are validated against.
+ *
+ * `price` is the base price. Optional `rules` add size-based charges on top of it:
+ *   { per: 'kb' | 'line' | 'token' | 'viewport' | 'upload', field?, rate, size?, included? }
+ * Each rule measures the request (`field` for kb/line/token, width x height in
+ * megapixels for viewport, KB of uploaded files for upload), skips the first `included`
+ * units, and charges `rate` per started block of `size` units. `maxPrice` caps the quote.
+ * `maxUploadKb` is the most a message may attach in file parts for the skill; skills
+ * without it take no files.
+ *
+ * Optional `metering` offers the `upto` scheme: the client authorizes up to maxPrice
+ * and is charged from usage reported after execution:
+ *   { per: 'token', rate, size?, minPrice }
+ */
+
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+
+const DECIMAL_PRICE = /^\d+(\.\d+)?$/;
+const RULE_UNITS = ['kb', 'line', 'token', 'viewport', 'upload'];
+// Units measured from the request as a whole rather than one field
+const WHOLE_REQUEST_UNITS = ['viewport', 'upload'];
+
+// Rough token estimate for LLM prompts: ~4 characters per token
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Measure a request in a rule's unit
+ * @param {{ per: string, field?: string }} rule
+ * @param {object} request - Parsed skill request
+ * @returns {number}
+ */
+export function measure(rule, request = {}) {
+  if (rule.per === 'viewport') {
+    const width = Number(request.width) || 0;
+    const height = Number(request.height) || 0;
+    return Math.ceil(width * height / 1_000_000);
+  }
+  // Set from the message's file parts (see uploads.mjs)
+  if (rule.per === 'upload') return Math.ceil((Number(request.upload?.bytes) || 0) / 1024);
+  const value = request[rule.field];
+  const text = typeof value === 'string' ? value : value == null ? '' : JSON.stringify(value);
+  if (!text) return 0;
+  if (rule.per === 'kb') return Math.ceil(Buffer.byteLength(text) / 1024);
+  if (rule.per === 'line') return text.split('\n').length;
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Convert a decimal price string to atomic units
+ * @param {string} price - e.g. "0.005"
+ * @param {number} decimals - Token decimals (6 for USDC)
+ * @returns {string} e.g. "5000"
+ */
+export function toAtomic(price, decimals) {
+  const [whole, fraction = ''] = price.split('.');
+  if (fraction.length > decimals) throw new Error(`Price ${price} has more than ${decimals} decimals`);
+  return (BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0')).toString();
+}
+
+/**
+ * Convert atomic units back to a decimal number of whole tokens
+ * @param {string|bigint} amount
+ * @param {number} decimals
+ * @returns {number}
+ */
+export function fromAtomic(amount, decimals) {
+  return Number(BigInt(amount)) / 10 ** decimals;
+}
+
+/**
+ * Format atomic units as a display price with at least two decimals ("$0.015")
+ * @param {string|bigint} amount
+ * @param {number} decimals
+ * @returns {string}
+ */
+export function formatPrice(amount, decimals) {
+  const digits = BigInt(amount).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, -decimals);
+  const fraction = digits.slice(-decimals).replace(/0+$/, '').padEnd(2, '0');
+  return `$${whole}.${fraction}`;
+}
+
+/**
+ * Build a registry from parsed registry data, validating every entry
+ * @param {{ currency?: string, decimals?: number, skills: Object<string, object> }} data
+ */
+export function createPricingRegistry(data) {
+  const currency = data?.currency || 'USDC';
+  const decimals = data?.decimals ?? 6;
+  if (!data?.skills || typeof data.skills !== 'object') throw new Error('Pricing registry has no "skills" map');
+
+  const skills = new Map();
+  for (const [id, entry] of Object.entries(data.skills)) {
+    const price = String(entry.price ?? '');
+    if (!DECIMAL_PRICE.test(price)) throw new Error(`Pricing registry: skill "${id}" has invalid price "${entry.price}"`);
+    const amount = toAtomic(price, decimals);
+    const rules = (entry.rules || []).map((rule, i) => {
+      if (!RULE_UNITS.includes(rule.per)) throw new Error(`Pricing registry: skill "${id}" rule ${i} has unknown unit "${rule.per}"`);
+      if (!WHOLE_REQUEST_UNITS.includes(rule.per) && !rule.field) throw new Error(`Pricing registry: skill "${id}" rule ${i} needs a "field"`);
+      if (!DECIMAL_PRICE.test(String(rule.rate ?? ''))) throw new Error(`Pricing registry: skill "${id}" rule ${i} has invalid rate "${rule.rate}"`);
+      return { per: rule.per, field: rule.field, rate: String(rule.rate), rateAmount: toAtomic(String(rule.rate), decimals), size: rule.size || 1, included: rule.included || 0 };
+    });
+    if (entry.maxPrice !== undefined && !DECIMAL_PRICE.test(String(entry.maxPrice))) {
+      throw new Error(`Pricing registry: skill "${id}" has invalid maxPrice "${entry.maxPrice}"`);
+    }
+    if (entry.maxUploadKb !== undefined && !(Number.isInteger(entry.maxUploadKb) && entry.maxUploadKb > 0)) {
+      throw new Error(`Pricing registry: skill "${id}" has invalid maxUploadKb "${entry.maxUploadKb}"`);
+    }
+    let metering = null;
+    if (entry.metering) {
+      const { per = 'token', rate, size = 1, minPrice = '0' } = entry.metering;
+      if (per !== 'token') throw new Error(`Pricing registry: skill "${id}" metering unit "${per}" is not supported`);
+      if (!DECIMAL_PRICE.test(String(rate ?? '')) || !DECIMAL_PRICE.test(String(minPrice))) {
+        throw new Error(`Pricing registry: skill "${id}" metering needs a decimal rate and minPrice`);
+      }
+      if (entry.maxPrice === undefined) throw new Error(`Pricing registry: skill "${id}" metering needs a maxPrice`);
+      metering = { per, rate: String(rate), rateAmount: toAtomic(String(rate), decimals), size, minAmount: toAtomic(String(minPrice), decimals) };
+    }
+    skills.set(id, {
+      id,
+      name: entry.name || id,
+      description: entry.description || entry.label || entry.name || id,
+      label: entry.label || entry.name || id,
+      mimeType: entry.mimeType || 'application/json',
+      endpoints: entry.endpoints || {},
+      poweredBy: entry.poweredBy || null,
+      requiresPayment: entry.requiresPayment !== false,
+      bazaar: entry.bazaar || null,
+      price,
+      amount,
+      display: formatPrice(amount, decimals),
+      rules,
+      maxAmount: entry.maxPrice !== undefined ? toAtomic(String(entry.maxPrice), decimals) : null,
+      metering,
+      maxUploadBytes: entry.maxUploadKb !== undefined ? entry.maxUploadKb * 1024 : null,
+    });
+  }
+
+  return {
+    currency,
+    decimals,
+
+    /** Registry entry for a skill, or null if unknown */
+    get(id) { return skills.get(id) || null; },
+
+    /** All entries in file order */
+    list() { return [...skills.values()]; },
+
+    /** Whether a skill goes through the x402 payment flow (true even for $0 test skills) */
+    isPaid(id) { return skills.get(id)?.requiresPayment || false; },
+
+    /** Human price: "$0.01", or "free" for skills that skip payment entirely */
+    priceLabel(id) {
+      const skill = skills.get(id);
+      if (!skill) return null;
+      return skill.requiresPayment ? skill.display : 'free';
+    },
+
+    /** Price in whole tokens as a number (0 for unknown skills) */
+    priceOf(id) {
+      const skill = skills.get(id);
+      return skill ? fromAtomic(skill.amount, decimals) : 0;
+    },
+
+    /**
+     * Quote the price of one request: base price plus every size rule, capped at maxPrice
+     * @param {string} id - Skill id
+     * @param {object} [request] - Parsed request (fields named by the skill's rules)
+     * @returns {{ skill: string, base: string, charges: Array<{ per: string, units: number, billable: number, amount: string }>, capped: boolean, amount: string, price: string } | null}
+     */
+    quote(id, request = {}) {
+      const skill = skills.get(id);
+      if (!skill) return null;
+      let total = BigInt(skill.amount);
+      const charges = skill.rules.map(rule => {
+        const units = measure(rule, request);
+        const billable = Math.ceil(Math.max(0, units - rule.included) / rule.size);
+        const amount = BigInt(rule.rateAmount) * BigInt(billable);
+        total += amount;
+        return { per: rule.per, units, billable, amount: amount.toString() };
+      });
+      const capped = skill.maxAmount !== null && total > BigInt(skill.maxAmount);
+      if (capped) total = BigInt(skill.maxAmount);
+      return { skill: id, base: skill.amount, charges, capped, amount: total.toString(), price: formatPrice(total, decimals) };
+    },
+
+    /**
+     * Metered charge for an `upto` run from reported usage (Gemini usageMetadata),
+     * between the skill's minPrice and maxPrice
+     * @param {string} id - Skill id
+     * @param {{ totalTokenCount?: number, promptTokenCount?: number, candidatesTokenCount?: number } | null} usage
+     * @returns {{ tokens: number, amount: string, price: string } | null} null if the skill is not metered
+     */
+    meter(id, usage) {
+      const skill = skills.get(id);
+      if (!skill?.metering) return null;
+      const { rateAmount, size, minAmount } = skill.metering;
+      const tokens = usage?.totalTokenCount ?? ((usage?.promptTokenCount || 0) + (usage?.candidatesTokenCount || 0));
+      let amount = BigInt(rateAmount) * BigInt(Math.ceil(tokens / size));
+      if (amount < BigInt(minAmount)) amount = BigInt(minAmount);
+      if (amount > BigInt(skill.maxAmount)) amount = BigInt(skill.maxAmount);
+      return { tokens, amount: amount.toString(), price: formatPrice(amount, decimals) };
+    },
+
+    /** Map of skill id -> price label, for service listings */
+    services() {
+      return Object.fromEntries([...skills.keys()].map(id => [id, this.priceLabel(id)]));
+    },
+  };
+}
+
+/**
+ * Load a registry file (.json, or .yaml/.yml with the optional `yaml` package)
+ * @param {string} path
+ */
+export async function loadPricingRegistry(path) {
+  const raw = readFileSync(path, 'utf8');
+  const ext = extname(path).toLowerCase();
+  let data;
+  if (ext === '.yaml' || ext === '.yml') {
+    let yaml;
+    try {
+      yaml = await import('yaml');
+    } catch {
+      throw new Error(`Pricing registry ${path} is YAML; install the "yaml" package or use JSON`);
+    }
+    data = yaml.parse(raw);
+  } else {
+    data = JSON.parse(raw);
+  }
+  return createPricingRegistry(data);
+}
@@ -0,0 +1,231 @@
+/**
+ * Push Notifications — A2A task updates delivered to client webhooks
+ *
+ * Clients register PushNotificationConfigs per task ({ id?, url, token?, authentication? }).
+ * Every task event is POSTed to each of the task's webhooks, in order per webhook:
+ * - the body is the stream event (status-update / artifact-update / task)
+ * - `X-A2A-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`, keyed by the
+ *   config's `token` (generated when the client does not supply one)
+ * - `Authorization: Bearer <credentials>` when the config carries Bearer authentication
+ * Failed deliveries are retried with exponential backoff; after the last attempt the delivery
+ * is kept as a dead letter for the task.
+ * Webhooks must be public hosts: loopback, private, link-local and other reserved addresses are
+ * refused when registered (IP literals, localhost) and again before each delivery (what the
+ * name resolves to), unless `allowPrivateHosts` is set. Configs read back through getConfig and
+ * listConfigs carry neither the token nor the Bearer credentials.
+ */
+
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+import { lookup as dnsLookup } from 'node:dns/promises';
+import { isIP } from 'node:net';
+
+// Reserved IPv4 ranges as [first octets, prefix length]: this network, private, CGNAT, loopback,
+// link-local (cloud metadata), IETF protocol assignments, benchmarking, multicast and reserved
+const RESERVED_IPV4 = [[[0], 8], [[10], 8], [[100, 64], 10], [[127], 8], [[169, 254], 16], [[172, 16], 12], [[192, 0, 0], 24], [[192, 168], 16], [[198, 18], 15], [[224], 4], [[240], 4]];
+
+const ipv4Number = (address) => address.split('.').reduce((n, octet) => n * 256 + Number(octet), 0);
+
+/** Whether an IP address is loopback, private, link-local or otherwise not publicly routable */
+function isReservedAddress(address) {
+  if (isIP(address) === 4) {
+    const n = ipv4Number(address);
+    return RESERVED_IPV4.some(([octets, bits]) => {
+      const base = ipv4Number([...octets, 0, 0, 0].slice(0, 4).join('.'));
+      return Math.floor(n / 2 ** (32 - bits)) === Math.floor(base / 2 ** (32 - bits));
+    });
+  }
+  const v6 = address.toLowerCase();
+  const mapped = v6.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isReservedAddress(mapped[1]);
+  return v6 === '::' || v6 === '::1' || /^f[cd]/.test(v6) || /^fe[89ab]/.test(v6) || v6.startsWith('ff') || v6.startsWith('::ffff:');
+}
+
+/** Whether a URL hostname is a reserved IP literal or a local-only name */
+function isReservedHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (isIP(host)) return isReservedAddress(host);
+  return host === 'localhost' || /\.(localhost|local|internal)$/.test(host);
+}
+
+/** A config as shown to clients: without its signing token or Bearer credentials */
+function redactConfig({ token, authentication, ...config }) {
+  return { ...config, ...(authentication && { authentication: { schemes: authentication.schemes } }) };
+}
+
+/**
+ * Signature header value for a webhook body
+ * @param {string} secret - The config token
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ */
+export function signPayload(secret, timestamp, body) {
+  const mac = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * Verify an X-A2A-Signature header (receiver side)
+ * @param {string} secret
+ * @param {string} header
+ * @param {string} body - Raw body as received
+ * @param {{ toleranceSeconds?: number, now?: number }} [options]
+ * @returns {boolean}
+ */
+export function verifySignature(secret, header, body, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const fields = Object.fromEntries(String(header || '').split(',').map(kv => kv.split('=')));
+  const timestamp = Number(fields.t);
+  if (!timestamp || !fields.v1 || Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+  const expected = Buffer.from(signPayload(secret, timestamp, body).split('v1=')[1], 'hex');
+  const actual = Buffer.from(fields.v1, 'hex');
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {{ fetchImpl?: typeof fetch, lookup?: (host: string, options: object) => Promise<Array<{ address: string }>>, allowPrivateHosts?: boolean, maxAttempts?: number, baseDelayMs?: number, timeoutMs?: number, maxDeadLetters?: number, onDeadLetter?: (taskId: string, letter: object) => void }} [options]
+ *   allowPrivateHosts: accept loopback and private webhooks (local testing only)
+ * @param {{ configs?: Object<string, Array>, deadLetters?: Object<string, Array> }} [state] - Persisted state (from toJSON)
+ */
+export function createPushNotifier({ fetchImpl = fetch, lookup = dnsLookup, allowPrivateHosts = false, maxAttempts = 5, baseDelayMs = 1000, timeoutMs = 10000, maxDeadLetters = 20, onDeadLetter = () => {} } = {}, state = {}) {
+  const configs = new Map(Object.entries(state.configs || {}).map(([taskId, list]) => [taskId, new Map(list.map(c => [c.id, c]))]));
+  const deadLetters = new Map(Object.entries(state.deadLetters || {}));
+  const queues = new Map(); // `${taskId}/${configId}` -> promise of the last queued delivery
+
+  /**
+   * Register (or replace, by id) a webhook for a task
+   * @returns {{ ok: true, config: object } | { ok: false, error: string }} config includes the
+   *   token, so a client that let the gateway generate one learns it here, and only here
+   */
+  function setConfig(taskId, config = {}) {
+    let url;
+    try {
+      url = new URL(config.url);
+    } catch {
+      return { ok: false, error: 'pushNotificationConfig.url must be an absolute URL' };
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return { ok: false, error: 'pushNotificationConfig.url must be http(s)' };
+    if (!allowPrivateHosts && isReservedHost(url.hostname)) return { ok: false, error: 'pushNotificationConfig.url must be a public host' };
+    const schemes = config.authentication?.schemes;
+    if (schemes && (!Array.isArray(schemes) || schemes.some(s => s !== 'Bearer'))) {
+      return { ok: false, error: 'Only Bearer authentication is supported' };
+    }
+    const stored = {
+      id: config.id || randomUUID(),
+      url: url.href,
+      token: config.token || randomBytes(32).toString('hex'),
+      ...(config.authentication && { authentication: config.authentication }),
+    };
+    if (!configs.has(taskId)) configs.set(taskId, new Map());
+    configs.get(taskId).set(stored.id, stored);
+    return { ok: true, config: stored };
+  }
+
+  function listConfigs(taskId) {
+    return [...(configs.get(taskId)?.values() || [])];
+  }
+
+  // Refuse a delivery whose host resolves to a reserved address (a public name can point anywhere)
+  async function checkHost(url) {
+    if (allowPrivateHosts) return;
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const addresses = isIP(host) ? [{ address: host }] : await lookup(host, { all: true });
+    if (addresses.some(({ address }) => isReservedAddress(address))) throw new Error(`${host} resolves to a non-public address`);
+  }
+
+  async function deliver(taskId, config, event) {
+    const body = JSON.stringify(event);
+    const deliveryId = randomUUID();
+    let lastError = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-A2A-Notification-Id': deliveryId,
+        'X-A2A-Signature': signPayload(config.token, Math.floor(Date.now() / 1000), body),
+      };
+      if (config.authentication?.credentials) headers.Authorization = `Bearer ${config.authentication.credentials}`;
+      try {
+        await checkHost(config.url);
+        const r = await fetchImpl(config.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeoutMs) });
+        if (r.ok) return true;
+        lastError = `HTTP ${r.status}`;
+      } catch (err) {
+        lastError = err.message;
+      }
+      if (attempt < maxAttempts) await sleep(baseDelayMs * 2 ** (attempt - 1));
+    }
+    console.log(`[push] Delivery ${deliveryId} to ${config.url} failed after ${maxAttempts} attempts: ${lastError}`);
+    const letter = { deliveryId, configId: config.id, url: config.url, event: event.kind, attempts: maxAttempts, lastError, failedAt: new Date().toISOString() };
+    deadLetters.set(taskId, [...(deadLetters.get(taskId) || []), letter].slice(-maxDeadLetters));
+    onDeadLetter(taskId, letter);
+    return false;
+  }
+
+  return {
+    setConfig,
+
+    /** A task's config by id, or its first config when no id is given (redacted) */
+    getConfig(taskId, configId) {
+      const list = configs.get(taskId);
+      const config = list && (configId ? list.get(configId) : list.values().next().value);
+      return config ? redactConfig(config) : null;
+    },
+
+    /** A task's configs (redacted) */
+    listConfigs(taskId) {
+      return listConfigs(taskId).map(redactConfig);
+    },
+
+    deleteConfig(taskId, configId) {
+      const list = configs.get(taskId);
+      const deleted = list?.delete(configId) || false;
+      if (list?.size === 0) configs.delete(taskId);
+      return deleted;
+    },
+
+    hasConfigs(taskId) {
+      return configs.has(taskId);
+    },
+
+    /** Tasks that have webhooks registered */
+    taskIds() {
+      return [...configs.keys()];
+    },
+
+    /**
+     * Queue an event for every webhook of a task
+     * @returns {Promise<boolean[]>} Resolves once each delivery succeeded or was dead-lettered
+     */
+    notify(taskId, event) {
+      return Promise.all(listConfigs(taskId).map(config => {
+        const key = `${taskId}/${config.id}`;
+        const next = (queues.get(key) || Promise.resolve()).then(() => deliver(taskId, config, event));
+        queues.set(key, next);
+        next.finally(() => { if (queues.get(key) === next) queues.delete(key); });
+        return next;
+      }));
+    },
+
+    deadLetters(taskId) {
+      return deadLetters.get(taskId) || [];
+    },
+
+    /** Drop a task's webhooks and dead letters (the task was evicted) */
+    forget(taskId) {
+      configs.delete(taskId);
+      deadLetters.delete(taskId);
+    },
+
+    /** Resolves when every queued delivery has finished */
+    idle() {
+      return Promise.all([...queues.values()]);
+    },
+
+    toJSON() {
+      return {
+        configs: Object.fromEntries([...configs].map(([taskId, list]) => [taskId, [...list.values()]])),
+        deadLetters: Object.fromEntries(deadLetters),
+      };
+    },
+  };
+}
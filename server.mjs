@@ -15,11 +15,29 @@
 
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import { readFileSync, writeFileSync, existsSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
 import { getCredentialSync } from '/home/agent/lib/credentials.mjs';
-import { scanCode } from './code-scanner.mjs';
+import { scanCode, scanFiles, toSarif, languageFromFilename } from './code-scanner.mjs';
+import { decodePaymentPayload, verifyPayment, verifyEscrow, PAYMENT_ERRORS } from './payment-verifier.mjs';
+import { createHttpFacilitator, createMockFacilitator } from './facilitator.mjs';
+import { createPaymentLedger, paymentIdOf } from './payment-ledger.mjs';
+import { createSiwxAuthenticator } from './siwx.mjs';
+import { createEntitlementStore, parsePolicies, ENTITLEMENT_ERRORS } from './siwx-entitlements.mjs';
+import { loadPricingRegistry, toAtomic, fromAtomic, formatPrice } from './pricing-registry.mjs';
+import { createCreditLedger } from './credit-ledger.mjs';
+import { openStore, migrateStatsFile } from './storage.mjs';
+import { createTaskEvents, openEventStream, canTransition, FINAL_STATES, TERMINAL_STATES } from './task-events.mjs';
+import { createPushNotifier } from './push-notifications.mjs';
+import { createWorkerPool } from './worker-pool.mjs';
+import { listTasks, presentTask, createTaskRetention } from './task-query.mjs';
+import { createConversations } from './conversations.mjs';
+import { resolveInvocation, validateInput } from './skill-input.mjs';
+import { createArtifactStore, ARTIFACT_ERRORS } from './artifact-store.mjs';
+import { readFiles, attachFiles, skillForFiles } from './uploads.mjs';
+import { createSettlementRecorder, createContractChain, createMockChain, settlementIdOf, SETTLEMENT_ABI } from './settlement-recorder.mjs';
+import { settlementLeaf, verifySettlementProof } from './settlement-merkle.mjs';
+import { createDisputes, DISPUTE_ERRORS, DISPUTE_OUTCOMES } from './disputes.mjs';
 
 // === Configuration ===
 const PORT = parseInt(process.env.PORT || '4002', 10);
@@ -41,7 +59,9 @@ try {
 const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
 const GEMINI_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent`;
 const BASE_USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
-const FACILITATOR_URL = 'https://facilitator.payai.network';
+const FACILITATOR_URL = process.env.FACILITATOR_URL || 'https://facilitator.payai.network';
+const LOCAL_FACILITATOR_URL = process.env.LOCAL_FACILITATOR_URL || 'http://localhost:4021';
+const FACILITATOR_MODE = process.env.FACILITATOR_MODE || 'remote'; // remote | local | mock
 const PUBLIC_URL = process.env.PUBLIC_URL || 'https://a2a.opspawn.com';
 const STATS_API_KEY = process.env.STATS_API_KEY || '';
 
@@ -54,84 +74,353 @@ const GOOGLE_X402_EXTENSION_URI = GOOGLE_X402_EXTENSION_URI_V02; // default to l
 const SKALE_USDC = '0x5F795bb52dAC3085f578f4877D450e2929D2F13d'; // Bridged USDC on SKALE Europa Hub
 const ARBITRUM_USDC = '0xaf88d065e77c8cC2239327C5EDb3A432268e5831'; // Native USDC on Arbitrum One
 const ARBITRUM_SEPOLIA_SETTLEMENT = '0xb28E2076D1395c31958E4C1B2aeab8C6839F4b3E'; // AgentPaymentSettlement contract
+const ARBITRUM_SEPOLIA_USDC = '0x75faf114eafb1BDbe2F0316DF893fd58CE46AA4d'; // Circle testnet USDC on Arbitrum Sepolia
 const NETWORKS = {
-  base: { caip2: 'eip155:8453', name: 'Base', chainId: 8453, usdc: BASE_USDC, rpc: 'https://mainnet.base.org' },
-  skale: { caip2: 'eip155:2046399126', name: 'SKALE Europa', chainId: 2046399126, usdc: SKALE_USDC, gasless: true, rpc: 'https://mainnet.skalenodes.com/v1/elated-tan-skat', finality: '<1s', privacy: 'BITE' },
-  arbitrum: { caip2: 'eip155:42161', name: 'Arbitrum One', chainId: 42161, usdc: ARBITRUM_USDC, rpc: 'https://arb1.arbitrum.io/rpc' },
+  base: { caip2: 'eip155:8453', name: 'Base', chainId: 8453, usdc: BASE_USDC, usdcDomain: { name: 'USD Coin', version: '2' }, rpc: 'https://mainnet.base.org' },
+  skale: { caip2: 'eip155:2046399126', name: 'SKALE Europa', chainId: 2046399126, usdc: SKALE_USDC, usdcDomain: { name: 'USD Coin', version: '2' }, gasless: true, rpc: 'https://mainnet.skalenodes.com/v1/elated-tan-skat', finality: '<1s', privacy: 'BITE' },
+  arbitrum: { caip2: 'eip155:42161', name: 'Arbitrum One', chainId: 42161, usdc: ARBITRUM_USDC, usdcDomain: { name: 'USD Coin', version: '2' }, rpc: 'https://arb1.arbitrum.io/rpc' },
   arbitrumSepolia: { caip2: 'eip155:421614', name: 'Arbitrum Sepolia', chainId: 421614, testnet: true, rpc: 'https://sepolia-rollup.arbitrum.io/rpc', settlementContract: ARBITRUM_SEPOLIA_SETTLEMENT, explorer: 'https://sepolia.arbiscan.io' },
 };
 const DEFAULT_NETWORK = NETWORKS.base;
 
+// === Facilitator (x402 verify/settle) ===
+const facilitator = FACILITATOR_MODE === 'mock'
+  ? createMockFacilitator()
+  : createHttpFacilitator(FACILITATOR_MODE === 'local' ? LOCAL_FACILITATOR_URL : FACILITATOR_URL);
+console.log(`[x402] Facilitator: ${facilitator.name}`);
+
+// Accept legacy network names ("base", "skale") alongside CAIP-2 IDs in payment payloads
+function normalizeNetwork(network) {
+  return NETWORKS[network]?.caip2 || network;
+}
+
 // === Persistence ===
+// Tasks, payment events and session state live in an append-only journal with atomic
+// snapshots under DATA_DIR. A stats.json from earlier versions is imported on first start.
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const STATS_FILE = join(__dirname, 'stats.json');
+const DATA_DIR = process.env.DATA_DIR || join(__dirname, 'data');
 
-function loadStats() {
-  try {
-    if (existsSync(STATS_FILE)) {
-      const raw = readFileSync(STATS_FILE, 'utf8');
-      if (!raw.trim()) {
-        console.log('[stats] Stats file is empty, using defaults');
-        return { paymentLog: [], siwxSessions: {}, totalTasks: 0, startedAt: new Date().toISOString() };
-      }
-      const data = JSON.parse(raw);
-      console.log(`[stats] Loaded ${data.paymentLog?.length || 0} payments, ${Object.keys(data.siwxSessions || {}).length} sessions`);
-      return data;
-    }
-  } catch (e) {
-    console.error('[stats] Failed to load stats file:', e.message);
-    console.error('[stats] Starting with fresh state');
-  }
-  return { paymentLog: [], siwxSessions: {}, totalTasks: 0, startedAt: new Date().toISOString() };
+// === Pricing registry: the one place skill prices are defined ===
+const PRICING_FILE = process.env.PRICING_FILE || join(__dirname, 'pricing.json');
+const pricing = await loadPricingRegistry(PRICING_FILE);
+console.log(`[pricing] Loaded ${pricing.list().length} skills from ${PRICING_FILE}`);
+
+// Agent card price sentence for a paid skill
+function priceNote(skill) {
+  return `Price: ${pricing.priceLabel(skill)} ${pricing.currency} on Base or SKALE Europa (gasless — zero gas fees).`;
 }
 
+// === Storage ===
+// Finished tasks are evicted after TASK_TTL_HOURS or beyond TASK_MAX_COUNT (see taskRetention);
+// the store's own cap, twice that, only bounds tasks that never finish
+const TASK_TTL_HOURS = Number(process.env.TASK_TTL_HOURS) || 168;
+const TASK_MAX_COUNT = Number(process.env.TASK_MAX_COUNT) || 10000;
+const store = openStore(DATA_DIR, { snapshotEvery: Number(process.env.STORE_SNAPSHOT_EVERY) || 1000, maxTasks: TASK_MAX_COUNT * 2 });
+const migration = migrateStatsFile(store, STATS_FILE);
+if (migration.migrated) console.log(`[storage] Imported ${migration.payments} payments from ${STATS_FILE} (renamed to stats.json.migrated)`);
+const counters = store.getDocument('counters') || { totalTasks: 0, startedAt: new Date().toISOString() };
+
+// Journal the session documents that changed since the last save.
+// Tasks and payment events are journaled as they happen.
 function saveStats() {
   try {
-    const sessions = {};
-    for (const [wallet, data] of siwxSessions.entries()) {
-      sessions[wallet] = { skills: [...data.paidSkills], lastPayment: data.lastPayment };
-    }
-    const payload = JSON.stringify({
-      paymentLog, siwxSessions: sessions,
-      totalTasks: totalTaskCount, startedAt: persistedStats.startedAt,
-      savedAt: new Date().toISOString(),
-    }, null, 2);
-    writeFileSync(STATS_FILE, payload);
+    store.setDocument('siwxSessions', siwxSessions);
+    store.setDocument('paymentLedger', paymentLedger);
+    store.setDocument('credits', creditLedger);
+    store.setDocument('pushNotifications', pushNotifier);
+    if (settlementRecorder) store.setDocument('settlementRecorder', settlementRecorder);
+    store.setDocument('counters', { totalTasks: totalTaskCount, startedAt: counters.startedAt });
   } catch (e) {
     console.error('[stats] Failed to save:', e.message, '— data in memory only');
   }
 }
 
-const persistedStats = loadStats();
-
 // === State ===
-const tasks = new Map();
-const paymentLog = persistedStats.paymentLog || [];
-let totalTaskCount = persistedStats.totalTasks || 0;
+const tasks = store.tasks;
+const taskEvents = createTaskEvents();
+
+// Skill executions share a bounded pool; a full queue fails the task instead of piling up
+const workerPool = createWorkerPool({
+  concurrency: Number(process.env.WORKER_CONCURRENCY) || 4,
+  maxQueue: Number(process.env.WORKER_QUEUE_LIMIT) || 100,
+});
+const taskAborts = new Map(); // taskId -> AbortController of the running skill
+
+// === Push notifications: task events POSTed to client webhooks, retried, then dead-lettered ===
+// Webhooks on loopback or private hosts are refused unless PUSH_ALLOW_PRIVATE_HOSTS=true
+// (local test receivers only).
+const pushNotifier = createPushNotifier({
+  allowPrivateHosts: process.env.PUSH_ALLOW_PRIVATE_HOSTS === 'true',
+  maxAttempts: Number(process.env.PUSH_MAX_ATTEMPTS) || 5,
+  baseDelayMs: Number(process.env.PUSH_RETRY_BASE_MS) || 1000,
+  onDeadLetter: () => saveStats(),
+}, store.getDocument('pushNotifications'));
+const pushWatchers = new Map(); // taskId -> unsubscribe
+
+// Forward a task's events to its webhooks until the task reaches a terminal state
+function watchTaskPushes(taskId) {
+  if (pushWatchers.has(taskId)) return;
+  pushWatchers.set(taskId, taskEvents.subscribe(taskId, (event) => {
+    pushNotifier.notify(taskId, event);
+    if (event.kind === 'status-update' && TERMINAL_STATES.includes(event.status.state)) {
+      pushWatchers.get(taskId)();
+      pushWatchers.delete(taskId);
+    }
+  }));
+}
+for (const taskId of pushNotifier.taskIds()) {
+  const task = tasks.get(taskId);
+  if (task && !TERMINAL_STATES.includes(task.status.state)) watchTaskPushes(taskId);
+}
+
+// === On-chain settlement records: settled payments written to AgentPaymentSettlement ===
+// SETTLEMENT_RECORDER_KEY must be a recorder the contract owner authorized (addRecorder).
+// Without it, mock facilitator mode records to an in-memory chain and other modes record nothing.
+// SETTLEMENT_BATCH_MODE picks one transaction per settlement (single), per batch of records
+// (array) or per Merkle root of a batch (merkle).
+// The deployed ARBITRUM_SEPOLIA_SETTLEMENT only has recordSettlement(): the batch modes, escrow
+// and disputes need a redeployed contract named in SETTLEMENT_CONTRACT (the in-memory chain has
+// them all). Against the deployed one, settlements are recorded one by one and nothing else is offered.
+const SETTLEMENT_CONTRACT = process.env.SETTLEMENT_CONTRACT || ARBITRUM_SEPOLIA_SETTLEMENT;
+const SETTLEMENT_NETWORK = NETWORKS.arbitrumSepolia;
+const settlementChain = process.env.SETTLEMENT_RECORDER_KEY
+  ? createContractChain({ rpcUrl: process.env.SETTLEMENT_RPC_URL || SETTLEMENT_NETWORK.rpc, privateKey: process.env.SETTLEMENT_RECORDER_KEY, contractAddress: SETTLEMENT_CONTRACT })
+  : FACILITATOR_MODE === 'mock' ? createMockChain() : null;
+const SETTLEMENT_EXTENDED = settlementChain?.name === 'mock' || SETTLEMENT_CONTRACT.toLowerCase() !== ARBITRUM_SEPOLIA_SETTLEMENT.toLowerCase();
+let settlementBatchMode = process.env.SETTLEMENT_BATCH_MODE || 'single';
+if (settlementChain && settlementBatchMode !== 'single' && !SETTLEMENT_EXTENDED) {
+  console.log(`[settlement] SETTLEMENT_BATCH_MODE=${settlementBatchMode} needs a redeployed contract in SETTLEMENT_CONTRACT; recording one by one`);
+  settlementBatchMode = 'single';
+}
+const settlementRecorder = settlementChain && createSettlementRecorder(settlementChain, {
+  payee: WALLET_ADDRESS,
+  mode: settlementBatchMode,
+  batchSize: Number(process.env.SETTLEMENT_BATCH_SIZE) || 100,
+  batchIntervalMs: Number(process.env.SETTLEMENT_BATCH_INTERVAL_MS) || 60_000,
+  maxAttempts: Number(process.env.SETTLEMENT_MAX_ATTEMPTS) || 5,
+  baseDelayMs: Number(process.env.SETTLEMENT_RETRY_BASE_MS) || 5000,
+  onRecorded: attachSettlementRecord,
+  onChange: () => saveStats(),
+}, store.getDocument('settlementRecorder'));
+console.log(settlementRecorder
+  ? `[settlement] Recording settlements to ${SETTLEMENT_CONTRACT} as ${settlementRecorder.address} (${settlementRecorder.chain}, ${settlementRecorder.mode})`
+  : '[settlement] On-chain recording off (set SETTLEMENT_RECORDER_KEY)');
+// Escrow payments and on-chain disputes, when the contract has them
+const settlementExtensions = SETTLEMENT_EXTENDED ? settlementRecorder : null;
+
+// Escrow: a payer deposits ESCROW_TOKEN in the contract against keccak256(taskId) and submits
+// an `escrow` scheme payload. The task's outcome marks the escrow completed (the payee claims)
+// or failed (the payer reclaims); the deposit must outlast ESCROW_MIN_TIMEOUT_SECONDS.
+const ESCROW_TOKEN = process.env.ESCROW_TOKEN || ARBITRUM_SEPOLIA_USDC;
+const ESCROW_MIN_TIMEOUT_SECONDS = Number(process.env.ESCROW_MIN_TIMEOUT_SECONDS) || 3600;
+
+// Terms for paying a task into escrow, offered next to the x402 accepts
+function escrowTerms(taskId, quote) {
+  if (!settlementExtensions) return null;
+  return {
+    scheme: 'escrow', network: SETTLEMENT_NETWORK.caip2, contract: SETTLEMENT_CONTRACT, escrowId: settlementIdOf(taskId),
+    payTo: WALLET_ADDRESS, asset: ESCROW_TOKEN, amount: quote.amount, minTimeoutSeconds: ESCROW_MIN_TIMEOUT_SECONDS,
+  };
+}
+
+// Verify an escrow payment against the deposit the contract holds for the task. The escrow id
+// doubles as the payment nonce, so one deposit pays for one execution.
+async function verifyEscrowPayment(taskId, payload, quote) {
+  const fail = (invalidReason, message) => ({ isValid: false, invalidReason, message, payer: null, network: payload.network });
+  if (!settlementExtensions) return fail(PAYMENT_ERRORS.NETWORK_MISMATCH, 'Escrow payments are not enabled on this gateway');
+  if (payload.network !== SETTLEMENT_NETWORK.caip2) return fail(PAYMENT_ERRORS.NETWORK_MISMATCH, `Escrow is held on ${SETTLEMENT_NETWORK.caip2}`);
+  if (!quote) return fail(PAYMENT_ERRORS.INVALID_AMOUNT, 'No price quoted for this task');
+  const escrowId = settlementIdOf(taskId);
+  let escrow;
+  try {
+    escrow = await settlementChain.getEscrow(escrowId);
+  } catch (err) {
+    return fail(PAYMENT_ERRORS.SETTLEMENT_FAILED, `Escrow could not be read: ${err.shortMessage || err.message}`);
+  }
+  const verification = verifyEscrow(escrow, {
+    network: SETTLEMENT_NETWORK.caip2, payee: WALLET_ADDRESS, token: ESCROW_TOKEN, amount: quote.amount,
+    minDeadline: Math.floor(Date.now() / 1000) + ESCROW_MIN_TIMEOUT_SECONDS,
+  });
+  if (!verification.isValid) return verification;
+  return { ...verification, nonce: escrowId, validBefore: String(escrow.deadline), escrow: { escrowId, contract: SETTLEMENT_CONTRACT, network: SETTLEMENT_NETWORK.caip2, token: ESCROW_TOKEN, amount: escrow.amount, deadline: escrow.deadline } };
+}
+
+// Queue an escrowed task's outcome for the contract: 'complete' or 'fail'
+function markEscrow(taskId, verification, action) {
+  const queued = settlementExtensions.enqueueEscrow({ taskId, action, payer: verification.payer, amount: verification.amount });
+  if (!queued.ok) {
+    console.log(`[escrow] Not marking ${taskId} ${action}: ${queued.error}`);
+    return queued;
+  }
+  const task = tasks.get(taskId);
+  if (task) {
+    task.metadata['x402.escrow'] = { ...verification.escrow, status: action === 'complete' ? 'completing' : 'failing' };
+    tasks.set(taskId, task);
+  }
+  return queued;
+}
+
+// Journal a settled payment and queue it for its on-chain record. Escrowed payments are
+// recorded by the contract when the escrow is marked completed.
+function logSettledPayment(event) {
+  store.appendPayment({ type: 'payment-settled', ...event, timestamp: new Date().toISOString() });
+  if (!settlementRecorder || event.scheme === 'escrow' || !(BigInt(event.amount || 0) > 0n)) return;
+  const key = event.taskId || `credits-topup:${event.txHash}`;
+  const queued = settlementRecorder.enqueue({ key, taskId: event.taskId || null, payer: event.wallet, amount: event.amount, paymentTxHash: event.txHash, network: event.network });
+  if (!queued.ok) console.log(`[settlement] Not recording ${key}: ${queued.error}`);
+}
+
+// A settlement recorded on-chain: the record goes on the payment-settled event and the task.
+// Settlements committed in a Merkle batch also keep their root and inclusion proof, and an
+// escrow marked completed or failed updates the task's escrow status.
+function attachSettlementRecord(job) {
+  if (job.disputeAction) return attachDisputeRecord(job);
+  const task = job.taskId && tasks.get(job.taskId);
+  if (job.escrowAction === 'fail') {
+    if (task) {
+      task.metadata['x402.escrow'] = { ...task.metadata['x402.escrow'], status: 'refundable', txHash: job.recordTxHash };
+      tasks.set(task.id, task);
+    }
+    console.log(`[escrow] ${job.taskId} marked failed; ${job.payer} may reclaim the deposit`);
+    return;
+  }
+  const record = {
+    txHash: job.recordTxHash,
+    network: SETTLEMENT_NETWORK.caip2,
+    contract: SETTLEMENT_CONTRACT,
+    mode: job.mode,
+    settlementId: job.settlementId,
+    payer: job.payer,
+    payee: job.payee,
+    amount: job.amount,
+    ...(job.batch && { batch: job.batch, leaf: job.leaf, proof: job.proof }),
+    ...(job.recordTxHash ? { blockNumber: job.blockNumber, explorer: `${SETTLEMENT_NETWORK.explorer}/tx/${job.recordTxHash}` } : { alreadyRecorded: true }),
+    recordedAt: job.recordedAt,
+  };
+  if (job.taskId || job.paymentTxHash) {
+    store.updatePayment({ type: 'payment-settled', ...(job.taskId ? { taskId: job.taskId } : { txHash: job.paymentTxHash }) }, { settlementRecord: record });
+  }
+  if (task) {
+    task.metadata['x402.settlement.record'] = record;
+    if (job.escrowAction) task.metadata['x402.escrow'] = { ...task.metadata['x402.escrow'], status: 'claimable', txHash: job.recordTxHash };
+    tasks.set(task.id, task);
+  }
+  console.log(`[settlement] Recorded ${job.key} on ${SETTLEMENT_NETWORK.name}: ${job.recordTxHash || 'already on-chain'}`);
+}
 
-// === SIWx session store ===
-const siwxSessions = new Map(); // wallet address -> { paidSkills: Set, lastPayment: timestamp }
-// Restore persisted sessions
-for (const [wallet, data] of Object.entries(persistedStats.siwxSessions || {})) {
-  siwxSessions.set(wallet, { paidSkills: new Set(data.skills || []), lastPayment: data.lastPayment });
+// === Disputes: a payer flags a paid task that failed, a resolver decides refund or payee ===
+// Resolvers are the wallets in DISPUTE_RESOLVERS, signed in with SIWx. Each step is mirrored
+// to the contract's openDispute()/resolveDispute(); resolving needs the recorder key to hold
+// the contract's resolver role (addResolver).
+const disputes = createDisputes(store);
+const DISPUTE_RESOLVERS = new Set((process.env.DISPUTE_RESOLVERS || '').split(',').map(w => w.trim().toLowerCase()).filter(Boolean));
+
+// A dispute step recorded on-chain: its transaction goes on the dispute's event and the task,
+// and a refund frees an escrow that was not yet claimed
+function attachDisputeRecord(job) {
+  const type = job.disputeAction === 'open' ? 'dispute-opened' : 'dispute-resolved';
+  store.updatePayment({ type, taskId: job.taskId }, { onChainTxHash: job.recordTxHash });
+  const task = tasks.get(job.taskId);
+  if (task) {
+    task.metadata['x402.dispute'] = { ...task.metadata['x402.dispute'], [job.disputeAction === 'open' ? 'openTxHash' : 'resolveTxHash']: job.recordTxHash };
+    const escrow = task.metadata['x402.escrow'];
+    if (job.disputeAction === 'refund' && escrow && escrow.status !== 'claimed') task.metadata['x402.escrow'] = { ...escrow, status: 'refundable' };
+    tasks.set(task.id, task);
+  }
+  console.log(`[dispute] ${job.key} on ${SETTLEMENT_NETWORK.name}: ${job.recordTxHash || 'already on-chain'}`);
 }
-console.log(`[stats] Loaded: ${paymentLog.length} payments, ${siwxSessions.size} sessions, ${totalTaskCount} total tasks`);
 
-function recordSiwxPayment(walletAddress, skill) {
-  const normalized = walletAddress.toLowerCase();
-  if (!siwxSessions.has(normalized)) {
-    siwxSessions.set(normalized, { paidSkills: new Set(), lastPayment: null });
+// Mirror a dispute step to the contract and the task's metadata
+function trackDispute(dispute, action) {
+  if (settlementExtensions) {
+    const queued = settlementExtensions.enqueueDispute({ taskId: dispute.taskId, action, payer: dispute.payer, reasonHash: dispute.reasonHash });
+    if (!queued.ok) console.log(`[dispute] Not recording ${action} for ${dispute.taskId}: ${queued.error}`);
+  }
+  const task = tasks.get(dispute.taskId);
+  if (task) {
+    const { reason, note, ...state } = dispute;
+    task.metadata['x402.dispute'] = { ...task.metadata['x402.dispute'], ...state };
+    tasks.set(task.id, task);
   }
-  const session = siwxSessions.get(normalized);
-  session.paidSkills.add(skill);
-  session.lastPayment = new Date().toISOString();
 }
 
-function hasSiwxAccess(walletAddress, skill) {
-  const normalized = walletAddress?.toLowerCase();
-  if (!normalized) return false;
-  const session = siwxSessions.get(normalized);
-  return session?.paidSkills.has(skill) || false;
+// Multi-turn context: follow-ups resolve against earlier completed tasks in the same contextId
+const conversations = createConversations(tasks, { requestOf: (task) => task.metadata['x402.originalRequest'] });
+
+// === Artifact files: results over ARTIFACT_INLINE_MAX_KB are served from signed, expiring URLs ===
+const ARTIFACT_INLINE_MAX_BYTES = (Number(process.env.ARTIFACT_INLINE_MAX_KB) || 32) * 1024;
+const artifactStore = createArtifactStore(join(DATA_DIR, 'artifacts'), {
+  secret: process.env.ARTIFACT_URL_SECRET,
+  ttlSeconds: (Number(process.env.ARTIFACT_TTL_HOURS) || 24) * 3600,
+});
+
+// === Task retention: evict finished tasks past their TTL or beyond the count limit ===
+const taskRetention = createTaskRetention(tasks, {
+  ttlMs: TASK_TTL_HOURS * 3600_000,
+  maxTasks: TASK_MAX_COUNT,
+  onEvict: (taskId) => {
+    pushNotifier.forget(taskId);
+    artifactStore.deleteTask(taskId);
+  },
+});
+function sweepTasks() {
+  const expired = artifactStore.sweep();
+  if (expired) console.log(`[artifacts] Deleted ${expired} expired files`);
+  const evicted = taskRetention.sweep();
+  if (evicted === 0) return;
+  console.log(`[tasks] Evicted ${evicted} finished tasks`);
+  saveStats();
+}
+
+const paymentLog = store.payments;
+let totalTaskCount = counters.totalTasks;
+
+// === Payment ledger: authorization nonces + payment-identifier results ===
+const paymentLedger = createPaymentLedger(store.getDocument('paymentLedger'));
+
+// === SIWx entitlements: per-skill access policy after payment ===
+// ttlSeconds: access window after the latest payment; uses: free re-runs per payment;
+// prepaid: paying more than the price banks the surplus, and each re-run debits the price.
+// Override per skill with SIWX_ENTITLEMENTS='{"screenshot":{"ttlSeconds":600,"uses":3}}'
+const SIWX_ENTITLEMENT_POLICIES = {
+  screenshot: { ttlSeconds: 24 * 3600, uses: 10 },
+  'markdown-to-pdf': { ttlSeconds: 24 * 3600, uses: 10 },
+  'ai-analysis': { ttlSeconds: 7 * 24 * 3600, prepaid: true },
+  'code-scan': { ttlSeconds: 7 * 24 * 3600, prepaid: true },
+  ...parsePolicies(process.env.SIWX_ENTITLEMENTS || '{}'),
+};
+const siwxSessions = createEntitlementStore(store.getDocument('siwxSessions'), {
+  policies: SIWX_ENTITLEMENT_POLICIES,
+  defaultPolicy: { ttlSeconds: 24 * 3600, uses: 1 },
+});
+
+// === Prepaid credits: one top-up payment, drawn down by later SIWx-authenticated requests ===
+const CREDIT_TOPUP = { min: '0.10', default: '1.00' };
+const creditLedger = createCreditLedger(store.getDocument('credits'));
+console.log(`[stats] Loaded: ${paymentLog.length} payments, ${siwxSessions.size} sessions, ${creditLedger.size} credit balances, ${totalTaskCount} total tasks`);
+
+// Grant the payer an entitlement once their payment has settled.
+// `price` is what the paid run was quoted; anything paid above it is banked for prepaid skills.
+function recordSiwxPayment(walletAddress, skill, amount, price) {
+  const entitlement = siwxSessions.grant(walletAddress, skill, { amount: amount || '0', price: price || '0' });
+  console.log(`[siwx] Entitlement for ${walletAddress} -> ${skill}: uses=${entitlement.remainingUses ?? 'unlimited'} balance=${entitlement.balance ?? '-'} expires=${entitlement.expiresAt ?? 'never'}`);
+  return entitlement;
+}
+
+// SIWx (CAIP-122) authentication: challenge -> signed message -> short-lived session token
+const siwxAuth = createSiwxAuthenticator({
+  domain: new URL(PUBLIC_URL).host,
+  uri: PUBLIC_URL,
+  statement: 'Sign in to OpSpawn A2A x402 Gateway to reuse paid skills without repaying.',
+  chains: [NETWORKS.base.caip2, NETWORKS.skale.caip2],
+});
+
+// Consume one SIWx re-run of a request, debiting its quoted price from prepaid balances.
+// Returns { allowed, entitlement } or { allowed: false, reason }
+function useSiwxAccess(walletAddress, request) {
+  if (!walletAddress) return { allowed: false, reason: ENTITLEMENT_ERRORS.NO_ENTITLEMENT };
+  return siwxSessions.consume(walletAddress, request.skill, { price: pricing.quote(request.skill, request)?.amount || '0' });
 }
 
 // === Agent Card (A2A v0.3 + x402 V2) ===
@@ -143,8 +432,8 @@ const agentCard = {
   version: '2.2.0',
   protocolVersion: '0.3.0',
   capabilities: {
-    streaming: false,
-    pushNotifications: false,
+    streaming: true,
+    pushNotifications: true,
     stateTransitionHistory: true,
   },
   defaultInputModes: ['text/plain', 'application/json'],
@@ -153,28 +442,28 @@ const agentCard = {
     {
       id: 'screenshot',
       name: 'Web Screenshot',
-      description: 'Capture a screenshot of any URL. Returns PNG image. Paid screenshots include Gemini AI analysis of the page content. Price: $0.01 USDC on Base or SKALE Europa (gasless — zero gas fees).',
+      description: `Capture a screenshot of any URL. Returns PNG image. Paid screenshots include Gemini AI analysis of the page content. ${priceNote('screenshot')}`,
       tags: ['screenshot', 'web', 'capture', 'image', 'x402', 'x402-v2', 'skale', 'gasless', 'gemini'],
       examples: ['Take a screenshot of https://example.com'],
-      inputModes: ['text/plain'],
+      inputModes: ['text/plain', 'application/json'],
       outputModes: ['image/png', 'image/jpeg', 'text/plain'],
     },
     {
       id: 'ai-analysis',
       name: 'AI Content Analysis (Gemini)',
-      description: 'Analyze, summarize, or extract insights from text content using Google Gemini 2.0 Flash. Powered by Google AI Studio. Price: $0.01 USDC on Base or SKALE Europa (gasless — zero gas fees).',
+      description: `Analyze, summarize, or extract insights from text content using Google Gemini 2.0 Flash. Powered by Google AI Studio. ${priceNote('ai-analysis')}`,
       tags: ['ai', 'analysis', 'summary', 'gemini', 'google', 'nlp', 'x402', 'x402-v2', 'skale', 'gasless'],
-      examples: ['Analyze: The future of autonomous AI agents...', 'Summarize this article about blockchain payments'],
-      inputModes: ['text/plain'],
+      examples: ['Analyze: The future of autonomous AI agents...', 'Summarize this article about blockchain payments', 'What does this chart show? (with an image file part)'],
+      inputModes: ['text/plain', 'application/json', 'image/png', 'image/jpeg', 'image/webp'],
       outputModes: ['text/plain', 'application/json'],
     },
     {
       id: 'markdown-to-pdf',
       name: 'Markdown to PDF',
-      description: 'Convert markdown text to a styled PDF document. Price: $0.005 USDC on Base or SKALE Europa (gasless — zero gas fees).',
+      description: `Convert markdown text to a styled PDF document. ${priceNote('markdown-to-pdf')}`,
       tags: ['markdown', 'pdf', 'document', 'conversion', 'x402', 'x402-v2', 'skale', 'gasless'],
-      examples: ['Convert to PDF: # Hello World'],
-      inputModes: ['text/plain'],
+      examples: ['Convert to PDF: # Hello World', 'Convert this to PDF (with a .md file part)'],
+      inputModes: ['text/plain', 'application/json', 'text/markdown'],
       outputModes: ['application/pdf'],
     },
     {
@@ -183,13 +472,13 @@ const agentCard = {
       description: 'Convert markdown to styled HTML. Free endpoint — no payment required.',
       tags: ['markdown', 'html', 'conversion', 'free'],
       examples: ['Convert to HTML: # Hello World'],
-      inputModes: ['text/plain'],
+      inputModes: ['text/plain', 'application/json', 'text/markdown'],
       outputModes: ['text/html'],
     },
     {
       id: 'x402-test',
       name: 'x402 Test Flow',
-      description: 'Test x402 payment flow with zero cost. Returns 402 on GET, accepts any Payment-Signature on POST. Use this to validate your x402 client integration without spending real money. Price: $0.00 USDC.',
+      description: `Test x402 payment flow with zero cost. Returns 402 on GET, accepts any Payment-Signature on POST. Use this to validate your x402 client integration without spending real money. Price: ${pricing.priceLabel('x402-test')} ${pricing.currency}.`,
       tags: ['x402', 'test', 'free', 'integration', 'validation'],
       examples: ['Test x402 payment flow'],
       inputModes: ['text/plain'],
@@ -198,11 +487,11 @@ const agentCard = {
     {
       id: 'code-scan',
       name: 'Code Security Scan',
-      description: 'Scan source code for security vulnerabilities including SQL injection, XSS, command injection, path traversal, hardcoded secrets, and insecure crypto. Price: $0.05 USDC on Base or SKALE Europa (gasless).',
+      description: `Scan source code for security vulnerabilities including SQL injection, XSS, command injection, path traversal, hardcoded secrets, and insecure crypto. ${priceNote('code-scan')}`,
       tags: ['security', 'code-scan', 'vulnerability', 'sast', 'x402', 'x402-v2', 'skale', 'gasless'],
-      examples: ['Scan this JavaScript code for vulnerabilities'],
-      inputModes: ['application/json'],
-      outputModes: ['application/json'],
+      examples: ['Scan this JavaScript code for vulnerabilities', '{ "skill": "code-scan", "input": { "code": "...", "language": "javascript" } }'],
+      inputModes: ['application/json', 'text/plain', 'application/zip', 'application/x-tar', 'application/gzip'],
+      outputModes: ['application/json', 'application/sarif+json'],
     },
   ],
   extensions: [
@@ -211,8 +500,8 @@ const agentCard = {
       config: {
         model: GEMINI_MODEL,
         provider: 'Google AI Studio',
-        capabilities: ['text-analysis', 'summarization', 'content-insights', 'screenshot-analysis'],
-        pricing: { 'ai-analysis': '$0.01 USDC', 'screenshot-analysis': 'included with screenshot' },
+        capabilities: ['text-analysis', 'summarization', 'content-insights', 'screenshot-analysis', 'image-analysis'],
+        pricing: { 'ai-analysis': `${pricing.priceLabel('ai-analysis')} ${pricing.currency}`, 'screenshot-analysis': 'included with screenshot' },
       },
     },
     {
@@ -248,26 +537,73 @@ const agentCard = {
 };
 
 // === Task helpers ===
-function createTask(id, contextId, state, message) {
+function createTask(id, contextId, state, message, metadata = {}) {
   const task = {
     id, contextId,
     status: { state, timestamp: new Date().toISOString(), ...(message && { message }) },
-    history: [], artifacts: [], metadata: {},
+    history: [], artifacts: [], metadata,
   };
   tasks.set(id, task);
   totalTaskCount++;
+  taskEvents.publish(id, { kind: 'task', ...task });
   return task;
 }
 
+// Move a task to a new state. Transitions the A2A state machine does not allow (e.g. a
+// late `completed` on a canceled task) are refused and return null.
 function updateTask(taskId, state, message, metadata) {
   const task = tasks.get(taskId);
   if (!task) return null;
+  if (!canTransition(task.status.state, state)) {
+    console.log(`[task] Ignoring ${task.status.state} -> ${state} for task ${taskId}`);
+    return null;
+  }
   task.status = { state, timestamp: new Date().toISOString(), ...(message && { message }) };
   if (metadata) Object.assign(task.metadata, metadata);
+  tasks.set(taskId, task);
+  taskEvents.publish(taskId, {
+    kind: 'status-update', taskId, contextId: task.contextId, status: task.status,
+    final: FINAL_STATES.includes(state), ...(metadata && { metadata }),
+  });
   return task;
 }
 
+// A skill's file part as an A2A FilePart: inline bytes when small, otherwise a signed,
+// expiring download link (FileWithUri)
+function toFilePart(taskId, part) {
+  if (part.kind !== 'file' || typeof part.data !== 'string') return part;
+  const { name, mimeType } = part;
+  const bytes = Buffer.from(part.data, 'base64');
+  if (bytes.length <= ARTIFACT_INLINE_MAX_BYTES) return { kind: 'file', file: { name, mimeType, bytes: part.data } };
+  const entry = artifactStore.put(taskId, bytes, { name, mimeType });
+  return { kind: 'file', file: { name, mimeType, uri: artifactStore.urlFor(entry, PUBLIC_URL) }, metadata: { size: bytes.length, expiresAt: new Date(entry.expiresAt * 1000).toISOString() } };
+}
+
+// Attach a result to a task as an artifact and stream it as a TaskArtifactUpdateEvent
+function addArtifact(taskId, { name = 'result', description, parts }) {
+  const task = tasks.get(taskId);
+  if (!task) return null;
+  const artifact = { artifactId: uuidv4(), name, ...(description && { description }), parts: parts.map(part => toFilePart(taskId, part)) };
+  task.artifacts.push(artifact);
+  taskEvents.publish(taskId, { kind: 'artifact-update', taskId, contextId: task.contextId, artifact, append: false, lastChunk: true });
+  return artifact;
+}
+
+// Publish a skill result as the task's artifacts (the result, then any the skill added,
+// such as code-scan's SARIF log) and return the text parts for the completion message
+function deliverResult(taskId, request, result) {
+  const entry = pricing.get(request.skill);
+  const description = typeof entry?.bazaar?.info?.output === 'string' ? entry.bazaar.info.output : entry?.name;
+  addArtifact(taskId, { name: request.skill, description, parts: result.parts });
+  for (const extra of result.artifacts || []) addArtifact(taskId, extra);
+  return result.parts.filter(p => p.kind === 'text');
+}
+
 // === Request parsing ===
+// Skills message/send runs; a data part or metadata.skill may name any of them
+const A2A_SKILLS = ['screenshot', 'markdown-to-pdf', 'markdown-to-html', 'ai-analysis', 'code-scan'];
+
+// Free-text fallback for messages that name no skill: route on keywords
 function parseRequest(text) {
   const lower = text.toLowerCase();
   // AI analysis requests
@@ -282,18 +618,60 @@ function parseRequest(text) {
     return { skill: 'markdown-to-html', markdown: text.replace(/^.*?(?:html|convert).*?:\s*/i, '').trim() || text };
   }
   const urlMatch = text.match(/https?:\/\/[^\s]+/);
-  if (urlMatch) return { skill: 'screenshot', url: urlMatch[0] };
+  if (urlMatch) {
+    // Optional viewport, e.g. "Take a 1920x1080 screenshot of https://example.com"
+    const size = text.match(/\b(\d{3,4})\s*x\s*(\d{3,4})\b/);
+    return { skill: 'screenshot', url: urlMatch[0], ...screenshotViewport(size?.[1], size?.[2]) };
+  }
   return { skill: 'markdown-to-html', markdown: text };
 }
 
+// Messages with files but no named skill: a keyword in the text picks the skill ("convert
+// this to PDF"), otherwise the kind of file does. Null when neither does.
+function parseFileRequest(text, files) {
+  const parsed = text ? parseRequest(text) : null;
+  // parseRequest falls back to markdown-to-html for text that names no skill
+  if (parsed && (parsed.skill !== 'markdown-to-html' || /\bhtml\b/i.test(text))) return parsed;
+  const skill = skillForFiles(files);
+  return skill && { skill, ...(skill === 'ai-analysis' && text && { content: text }) };
+}
+
+// A file part as kept in task history: its name, type and size, not the uploaded bytes
+function withoutFileBytes(part) {
+  if (part.kind !== 'file' && part.type !== 'file') return part;
+  const file = part.file || part;
+  const base64 = file.bytes ?? file.data;
+  return {
+    kind: 'file',
+    file: { name: file.name, mimeType: file.mimeType, ...(file.uri && { uri: file.uri }) },
+    metadata: { ...part.metadata, ...(typeof base64 === 'string' && { size: Buffer.byteLength(base64, 'base64') }) },
+  };
+}
+
 // === Service handlers ===
 const SNAPAPI_TIMEOUT = 30000; // 30s timeout for SnapAPI calls
+const SCREENSHOT_VIEWPORT = { width: 1280, height: 800 };
+const MAX_VIEWPORT = { width: 3840, height: 2160 };
+
+// Abort signal for one upstream call: its timeout, or the task's cancellation, whichever comes first
+function callSignal(timeoutMs, signal) {
+  return signal ? AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)]) : AbortSignal.timeout(timeoutMs);
+}
+
+// Viewport from explicit options, clamped to MAX_VIEWPORT (defaults to SCREENSHOT_VIEWPORT)
+function screenshotViewport(width, height) {
+  const clamp = (value, fallback, max) => Math.min(Math.max(parseInt(value, 10) || fallback, 100), max);
+  return {
+    width: clamp(width, SCREENSHOT_VIEWPORT.width, MAX_VIEWPORT.width),
+    height: clamp(height, SCREENSHOT_VIEWPORT.height, MAX_VIEWPORT.height),
+  };
+}
 
-async function handleScreenshot(url) {
-  const params = new URLSearchParams({ url, format: 'png', width: '1280', height: '800' });
+async function handleScreenshot(url, { width, height } = SCREENSHOT_VIEWPORT, { signal } = {}) {
+  const params = new URLSearchParams({ url, format: 'png', width: String(width), height: String(height) });
   const resp = await fetch(`${SNAPAPI_URL}/api/capture?${params}`, {
     headers: { 'X-API-Key': SNAPAPI_KEY },
-    signal: AbortSignal.timeout(SNAPAPI_TIMEOUT),
+    signal: callSignal(SNAPAPI_TIMEOUT, signal),
   });
   if (!resp.ok) throw new Error(`SnapAPI error: ${resp.status}`);
   const buffer = Buffer.from(await resp.arrayBuffer());
@@ -305,12 +683,12 @@ async function handleScreenshot(url) {
   };
 }
 
-async function handleMarkdownToPdf(markdown) {
+async function handleMarkdownToPdf(markdown, { signal } = {}) {
   const resp = await fetch(`${SNAPAPI_URL}/api/md2pdf`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json', 'X-API-Key': SNAPAPI_KEY },
     body: JSON.stringify({ markdown }),
-    signal: AbortSignal.timeout(SNAPAPI_TIMEOUT),
+    signal: callSignal(SNAPAPI_TIMEOUT, signal),
   });
   if (!resp.ok) throw new Error(`SnapAPI error: ${resp.status}`);
   const buffer = Buffer.from(await resp.arrayBuffer());
@@ -322,12 +700,12 @@ async function handleMarkdownToPdf(markdown) {
   };
 }
 
-async function handleMarkdownToHtml(markdown) {
+async function handleMarkdownToHtml(markdown, { signal } = {}) {
   const resp = await fetch(`${SNAPAPI_URL}/api/md2html`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ markdown, theme: 'light' }),
-    signal: AbortSignal.timeout(SNAPAPI_TIMEOUT),
+    signal: callSignal(SNAPAPI_TIMEOUT, signal),
   });
   if (!resp.ok) throw new Error(`SnapAPI error: ${resp.status}`);
   const html = await resp.text();
@@ -340,14 +718,15 @@ async function handleMarkdownToHtml(markdown) {
 }
 
 // === Gemini AI Analysis ===
+// `options.images` ({ mimeType, data: base64 }) are sent inline after the prompt
 async function callGemini(prompt, options = {}) {
-  const { maxTokens = 1024, temperature = 0.7 } = options;
+  const { maxTokens = 1024, temperature = 0.7, signal, images = [] } = options;
   const url = GEMINI_API_KEY
     ? `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`
     : GEMINI_API_URL;
 
   const body = {
-    contents: [{ parts: [{ text: prompt }] }],
+    contents: [{ parts: [{ text: prompt }, ...images.map(image => ({ inline_data: { mime_type: image.mimeType, data: image.data } }))] }],
     generationConfig: {
       maxOutputTokens: maxTokens,
       temperature,
@@ -358,7 +737,7 @@ async function callGemini(prompt, options = {}) {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(body),
-    signal: AbortSignal.timeout(30000),
+    signal: callSignal(30000, signal),
   });
 
   if (!resp.ok) {
@@ -376,11 +755,15 @@ async function callGemini(prompt, options = {}) {
   };
 }
 
-async function handleAiAnalysis(input) {
-  const prompt = `You are a helpful AI analysis agent. Analyze the following content and provide a concise, insightful summary with key observations:\n\n${input}`;
+// `priorTurns` is the conversation so far (see conversations.transcript), placed ahead of the content.
+// `images` are uploaded images for Gemini to look at along with the content.
+async function handleAiAnalysis(input, { signal, priorTurns, images = [] } = {}) {
+  const conversation = priorTurns ? `This request continues a conversation. Earlier turns:\n\n${priorTurns}\n\n` : '';
+  const attached = images.length ? ` and the ${images.length} attached image${images.length > 1 ? 's' : ''}` : '';
+  const prompt = `You are a helpful AI analysis agent. ${conversation}Analyze the following content${attached} and provide a concise, insightful summary with key observations:\n\n${input}`;
 
   try {
-    const result = await callGemini(prompt);
+    const result = await callGemini(prompt, { signal, images });
     return {
       parts: [
         { kind: 'text', text: result.text },
@@ -391,8 +774,11 @@ async function handleAiAnalysis(input) {
           poweredBy: 'gemini-2.0-flash',
         }},
       ],
+      usage: result.usage,
     };
   } catch (err) {
+    // A canceled task gets no result, not the fallback
+    if (signal?.aborted) throw err;
     // Graceful fallback: if Gemini API is unavailable, return a helpful message
     console.error('[gemini] API error:', err.message);
     return {
@@ -409,14 +795,14 @@ async function handleAiAnalysis(input) {
   }
 }
 
-async function handleScreenshotWithAnalysis(url) {
+async function handleScreenshotWithAnalysis(url, viewport, { signal } = {}) {
   // Take screenshot first
-  const screenshotResult = await handleScreenshot(url);
+  const screenshotResult = await handleScreenshot(url, viewport, { signal });
 
   // Then analyze the URL content with Gemini
   try {
     const analysisPrompt = `Analyze this webpage URL and describe what the site is about, its key content, and any notable features: ${url}`;
-    const analysis = await callGemini(analysisPrompt, { maxTokens: 512 });
+    const analysis = await callGemini(analysisPrompt, { maxTokens: 512, signal });
 
     // Add the AI analysis to the screenshot result
     screenshotResult.parts.push({
@@ -425,53 +811,91 @@ async function handleScreenshotWithAnalysis(url) {
     });
     screenshotResult.parts[0].text += ` | AI-analyzed by Gemini ${GEMINI_MODEL}`;
   } catch (err) {
+    if (signal?.aborted) throw err;
     console.log('[gemini] Screenshot analysis skipped:', err.message);
   }
 
   return screenshotResult;
 }
 
+// Code scan for A2A: the report as text + data parts, and the findings as a SARIF file artifact.
+// `files` (from an uploaded archive) marks where each file starts in `code`; each is scanned
+// in its own language.
+function handleCodeScan(code, { language, filename, files } = {}) {
+  const lines = code.split('\n');
+  const lang = files ? undefined : language || languageFromFilename(filename) || 'javascript';
+  const report = files
+    ? scanFiles(files.map(f => ({ path: f.path, code: lines.slice(f.start - 1, f.start - 1 + f.lines).join('\n') })))
+    : scanCode(code, lang);
+  const sarif = JSON.stringify(toSarif(report, { uri: filename || 'input', language: lang }), null, 2);
+  return {
+    parts: [
+      { kind: 'text', text: report.summary },
+      { kind: 'data', data: { ...report, ...(lang && { language: lang }), linesScanned: lines.length } },
+    ],
+    artifacts: [{
+      name: 'code-scan.sarif',
+      description: 'SARIF 2.1.0 log of the findings',
+      parts: [{ kind: 'file', name: 'code-scan.sarif', mimeType: 'application/sarif+json', data: Buffer.from(sarif).toString('base64') }],
+    }],
+  };
+}
+
 // === x402 V2 Payment Requirements ===
-function createPaymentRequired(skill) {
-  const pricing = {
-    screenshot: {
-      price: '$0.01', amount: '10000', description: 'Screenshot - $0.01 USDC', mimeType: 'image/png',
-      bazaar: {
-        info: { input: { url: 'https://example.com' }, output: 'PNG screenshot image' },
-        schema: { type: 'object', properties: { url: { type: 'string', description: 'URL to screenshot' } }, required: ['url'] },
-      },
-    },
-    'markdown-to-pdf': {
-      price: '$0.005', amount: '5000', description: 'Markdown to PDF - $0.005 USDC', mimeType: 'application/pdf',
-      bazaar: {
-        info: { input: { markdown: '# Hello World' }, output: 'PDF document' },
-        schema: { type: 'object', properties: { markdown: { type: 'string', description: 'Markdown content to convert' } }, required: ['markdown'] },
-      },
-    },
-    'ai-analysis': {
-      price: '$0.01', amount: '10000', description: 'AI Analysis (Gemini) - $0.01 USDC', mimeType: 'text/plain',
-      bazaar: {
-        info: { input: { content: 'Text to analyze' }, output: 'AI-generated analysis text' },
-        schema: { type: 'object', properties: { content: { type: 'string', description: 'Text content to analyze' } }, required: ['content'] },
-      },
-    },
-    'x402-test': {
-      price: '$0.00', amount: '0', description: 'x402 Test Flow - $0.00 USDC (free test)', mimeType: 'application/json',
-      bazaar: {
-        info: { input: {}, output: { success: true, message: 'Payment flow verified' } },
-        schema: { type: 'object', properties: {} },
-      },
+// `upto` options for metered skills: authorize up to maxPrice, pay for measured usage
+function uptoAccepts(p) {
+  const max = formatPrice(p.maxAmount, pricing.decimals);
+  const metering = { per: p.metering.per, rate: p.metering.rate, size: p.metering.size, source: 'gemini.usageMetadata.totalTokenCount' };
+  return [
+    { network: NETWORKS.base, asset: BASE_USDC, extra: {} },
+    { network: NETWORKS.skale, asset: SKALE_USDC, extra: { gasless: true } },
+  ].map(({ network, asset, extra }) => ({
+    scheme: 'upto',
+    network: network.caip2,
+    price: `up to ${max}`,
+    amount: p.maxAmount,
+    payTo: WALLET_ADDRESS,
+    asset,
+    maxAmountRequired: p.maxAmount,
+    maxTimeoutSeconds: 600,
+    extra: { ...network.usdcDomain, ...extra, minAmount: p.metering.minAmount, metering },
+  }));
+}
+
+// `exact` accepts for a fixed atomic amount on Base and SKALE
+function exactAccepts(price, amount) {
+  return [
+    {
+      scheme: 'exact',
+      network: NETWORKS.base.caip2,
+      price,
+      amount,
+      payTo: WALLET_ADDRESS,
+      asset: BASE_USDC,
+      maxAmountRequired: amount,
+      maxTimeoutSeconds: 600,
+      extra: { ...NETWORKS.base.usdcDomain },
     },
-    'code-scan': {
-      price: '$0.05', amount: '50000', description: 'Code Security Scan - $0.05 USDC', mimeType: 'application/json',
-      bazaar: {
-        info: { input: { code: 'const q = "SELECT * FROM users WHERE id=" + userId;', language: 'javascript' }, output: 'JSON vulnerability report with score' },
-        schema: { type: 'object', properties: { code: { type: 'string', description: 'Source code to scan' }, language: { type: 'string', description: 'Programming language (javascript, python, etc.)' } }, required: ['code'] },
-      },
+    {
+      scheme: 'exact',
+      network: NETWORKS.skale.caip2,
+      price,
+      amount,
+      payTo: WALLET_ADDRESS,
+      asset: SKALE_USDC,
+      maxAmountRequired: amount,
+      maxTimeoutSeconds: 600,
+      extra: { ...NETWORKS.skale.usdcDomain, gasless: true, finality: '<1s', note: 'SKALE Europa Hub — zero gas fees, sub-second finality, BITE privacy' },
     },
-  };
-  const p = pricing[skill];
-  if (!p) return null;
+  ];
+}
+
+// The price is quoted for the parsed request (input size, viewport) from the registry rules
+function createPaymentRequired(skill, request = {}) {
+  const p = pricing.get(skill);
+  if (!p || !p.requiresPayment) return null;
+  const quote = pricing.quote(skill, request);
+  const description = `${p.label} - ${quote.price} ${pricing.currency}`;
 
   // V2 format: accepts array with CAIP-2 network IDs
   // x402Version + resource object added for x402scan compatibility
@@ -479,47 +903,81 @@ function createPaymentRequired(skill) {
     x402Version: 2,
     version: '2.0',
     accepts: [
-      {
-        scheme: 'exact',
-        network: NETWORKS.base.caip2,
-        price: p.price,
-        amount: p.amount,
-        payTo: WALLET_ADDRESS,
-        asset: BASE_USDC,
-        maxAmountRequired: p.amount,
-        maxTimeoutSeconds: 600,
-        extra: {},
-      },
-      {
-        scheme: 'exact',
-        network: NETWORKS.skale.caip2,
-        price: p.price,
-        amount: p.amount,
-        payTo: WALLET_ADDRESS,
-        asset: SKALE_USDC,
-        maxAmountRequired: p.amount,
-        maxTimeoutSeconds: 600,
-        extra: { gasless: true, finality: '<1s', note: 'SKALE Europa Hub — zero gas fees, sub-second finality, BITE privacy' },
-      },
+      ...exactAccepts(quote.price, quote.amount),
+      ...(p.metering ? uptoAccepts(p) : []),
     ],
+    quote,
     resource: {
       url: `https://a2a.opspawn.com/x402/${skill}`,
-      description: p.description,
+      description,
       mimeType: p.mimeType,
     },
     facilitator: FACILITATOR_URL,
     extensions: {
       'sign-in-with-x': {
         supported: true,
-        statement: `Sign in to access ${skill} without repaying`,
-        chains: [NETWORKS.base.caip2, NETWORKS.skale.caip2],
+        challengeEndpoint: `${PUBLIC_URL}/siwx/challenge`,
+        verifyEndpoint: `${PUBLIC_URL}/siwx/verify`,
+        tokenField: 'x402.siwx.token',
+      },
+      'payment-identifier': {
+        supported: true,
+        field: 'extensions["payment-identifier"].id',
+        header: 'Payment-Identifier',
+        note: 'Retries carrying the same identifier return the first result without a second charge',
       },
-      'payment-identifier': { supported: true },
       bazaar: p.bazaar,
     },
   };
 }
 
+// Payment requirements about to go out in a 402 (or an input-required task), with a SIWx challenge
+// minted for them. Only responses mint one: quote and accepts lookups use createPaymentRequired,
+// so they don't fill the nonce store.
+function withSiwxChallenge(payReq, skill) {
+  const siwx = payReq?.extensions?.['sign-in-with-x'];
+  if (!siwx) return payReq;
+  const info = siwxAuth.createChallenge({ statement: `Sign in to access ${skill} without repaying` });
+  return { ...payReq, extensions: { ...payReq.extensions, 'sign-in-with-x': { ...siwx, info } } };
+}
+
+// Payment requirements for a credit top-up. Any authorization of at least `price` is accepted
+// and the whole authorized value is credited. Returns null for a malformed or too-small amount.
+function createTopupRequired(price = CREDIT_TOPUP.default) {
+  if (!/^\d+(\.\d+)?$/.test(String(price))) return null;
+  let amount;
+  try {
+    amount = toAtomic(String(price), pricing.decimals);
+  } catch {
+    return null; // more decimals than the token has
+  }
+  if (BigInt(amount) < BigInt(toAtomic(CREDIT_TOPUP.min, pricing.decimals))) return null;
+  const display = formatPrice(amount, pricing.decimals);
+  return {
+    x402Version: 2,
+    version: '2.0',
+    accepts: exactAccepts(display, amount),
+    resource: {
+      url: 'https://a2a.opspawn.com/x402/credits/topup',
+      description: `Prepaid credits top-up - ${display} ${pricing.currency}`,
+      mimeType: 'application/json',
+    },
+    facilitator: FACILITATOR_URL,
+    extensions: {
+      credits: {
+        minimum: formatPrice(toAtomic(CREDIT_TOPUP.min, pricing.decimals), pricing.decimals),
+        balanceEndpoint: `${PUBLIC_URL}/x402/credits/balance`,
+        note: 'The full authorized value is credited to the paying wallet; sign in with SIWx as that wallet to spend it',
+      },
+      'payment-identifier': {
+        supported: true,
+        field: 'extensions["payment-identifier"].id',
+        header: 'Payment-Identifier',
+      },
+    },
+  };
+}
+
 // === JSON-RPC handler ===
 async function handleJsonRpc(req, res) {
   const { jsonrpc, id, method, params } = req.body;
@@ -538,19 +996,37 @@ async function handleJsonRpc(req, res) {
 
   switch (method) {
     case 'message/send':
-    case 'tasks/send': return handleMessageSend(id, params, res);
+    case 'tasks/send': return params?.configuration?.blocking === false ? handleMessageSendNonBlocking(id, params, res) : handleMessageSend(id, params, res);
     case 'tasks/get': return handleTasksGet(id, params, res);
+    case 'tasks/list': return handleTasksList(id, params, req, res);
     case 'tasks/cancel': return handleTasksCancel(id, params, res);
+    case 'message/stream': return handleMessageStream(id, params, res);
+    case 'tasks/resubscribe': return handleTasksResubscribe(id, params, res);
+    case 'tasks/pushNotificationConfig/set':
+    case 'tasks/pushNotificationConfig/get':
+    case 'tasks/pushNotificationConfig/list':
+    case 'tasks/pushNotificationConfig/delete': return handlePushNotificationConfig(id, method.split('/').pop(), params, res);
     default: return res.json({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } });
   }
 }
 
-async function handleMessageSend(rpcId, params, res) {
-  const { message } = params || {};
+// `options.taskId` fixes the id of a new task, so a stream can subscribe before it exists
+async function handleMessageSend(rpcId, params, res, options = {}) {
+  let { message } = params || {};
   if (!message?.parts?.length) return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32602, message: 'message.parts required' } });
 
   const textPart = message.parts.find(p => p.kind === 'text' || p.type === 'text');
-  if (!textPart) return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32602, message: 'text part required' } });
+
+  // A webhook may come with the message itself. It is registered once the request has resolved,
+  // just before its task is created or continued, so a refused message leaves no config behind.
+  // Answers the refusal and returns it when the config itself is invalid.
+  const pushConfig = params?.configuration?.pushNotificationConfig;
+  const registerPush = (taskId) => {
+    const registered = pushNotifier.setConfig(taskId, pushConfig);
+    if (!registered.ok) return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32602, message: registered.error } });
+    watchTaskPushes(taskId);
+    return null;
+  };
 
   // Google A2A x402 Extension: check for correlated payment submission via taskId
   // Per spec: client sends message with taskId + metadata x402.payment.status: "payment-submitted"
@@ -568,7 +1044,7 @@ async function handleMessageSend(rpcId, params, res) {
         },
         taskId: message.taskId, contextId: existingTask.contextId,
       });
-      paymentLog.push({ type: 'payment-rejected', taskId: message.taskId, skill: existingTask.metadata?.['x402.skill'], timestamp: new Date().toISOString() });
+      store.appendPayment({ type: 'payment-rejected', taskId: message.taskId, skill: existingTask.metadata?.['x402.skill'], timestamp: new Date().toISOString() });
       return res.json({ jsonrpc: '2.0', id: rpcId, result: tasks.get(message.taskId) });
     }
   }
@@ -577,16 +1053,46 @@ async function handleMessageSend(rpcId, params, res) {
     const existingTask = tasks.get(message.taskId);
     if (existingTask) {
       const skill = existingTask.metadata?.['x402.skill'];
-      const request = skill ? { skill, ...existingTask.metadata['x402.originalRequest'] } : parseRequest(textPart.text);
+      const request = skill ? { skill, ...existingTask.metadata['x402.originalRequest'] } : parseRequest(textPart?.text || '');
       const paymentPayload = message.metadata?.['x402.payment.payload'];
       const contextId = existingTask.contextId || message.contextId || uuidv4();
+      const refused = pushConfig && registerPush(message.taskId);
+      if (refused) return refused;
       return handlePaidExecution(rpcId, message.taskId, contextId, request, paymentPayload, message, res);
     }
   }
 
-  const taskId = uuidv4();
+  const taskId = options.taskId || uuidv4();
   const contextId = message.contextId || uuidv4();
-  const request = parseRequest(textPart.text);
+  // File parts fill the request of whichever skill the message resolves to, within its upload
+  // limit; uploaded images wait in the artifact store until the skill runs
+  const uploaded = readFiles(message);
+  if (!uploaded.ok) return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32602, message: uploaded.error } });
+  const { files } = uploaded;
+  const attach = (request) => attachFiles(request, files, {
+    maxBytes: pricing.get(request.skill)?.maxUploadBytes,
+    keep: (file) => ({ id: artifactStore.put(taskId, file.bytes, file).id }),
+  });
+  // A skill named in a data part or metadata.skill wins; free text is parsed only as a fallback
+  const invocation = resolveInvocation(message, { schemaOf: (skill) => pricing.get(skill)?.bazaar?.schema, skills: A2A_SKILLS, attach });
+  if (invocation && !invocation.ok) {
+    return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32602, message: invocation.error, ...(invocation.errors && { data: { errors: invocation.errors } }) } });
+  }
+  if (!invocation && !textPart && !files.length) return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32602, message: 'message needs a text or file part, or a skill named in a data part or metadata.skill' } });
+  const followUp = invocation || files.length ? null : conversations.resolve(message.contextId, textPart.text);
+  if (followUp) console.log(`[context] ${contextId}: follow-up resolved to ${followUp.skill} on task ${followUp.followUp.taskId}`);
+  let request = invocation?.request || followUp;
+  if (!request && files.length) {
+    const parsed = parseFileRequest(textPart?.text, files);
+    if (!parsed) return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32602, message: 'Could not tell which skill the attached files are for; name one in metadata.skill' } });
+    const attached = attach(parsed);
+    if (!attached.ok) return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32602, message: attached.error } });
+    request = attached.request;
+  }
+  request ||= parseRequest(textPart.text);
+  if (files.length) message = { ...message, parts: message.parts.map(withoutFileBytes) };
+  const refused = pushConfig && registerPush(taskId);
+  if (refused) return refused;
 
   // Check for V2 PAYMENT-SIGNATURE header (direct x402 V2 payment)
   const paymentSignature = params?.metadata?.['x402.payment.signature'] || message.metadata?.['x402.payment.payload'];
@@ -596,22 +1102,32 @@ async function handleMessageSend(rpcId, params, res) {
     return handlePaidExecution(rpcId, taskId, contextId, request, payload, message, res);
   }
 
-  // Check for SIWx session-based access (V2: wallet already paid before)
-  const siwxWallet = message.metadata?.['x402.siwx.wallet'];
-  if (siwxWallet && hasSiwxAccess(siwxWallet, request.skill)) {
-    console.log(`[siwx] Session access granted for ${siwxWallet} -> ${request.skill}`);
-    paymentLog.push({ type: 'siwx-access', taskId, skill: request.skill, wallet: siwxWallet, network: null, timestamp: new Date().toISOString() });
-    return handleFreeExecution(rpcId, taskId, contextId, request, message, res);
+  // Check for SIWx session-based access (V2: wallet already paid before, proven by a signed sign-in)
+  const siwxWallet = siwxAuth.resolveSession(message.metadata?.['x402.siwx.token'])?.wallet;
+  if (siwxWallet && createPaymentRequired(request.skill)) {
+    const access = useSiwxAccess(siwxWallet, request);
+    if (access.allowed) {
+      const { remainingUses, balance, expiresAt } = access.entitlement;
+      console.log(`[siwx] Session access granted for ${siwxWallet} -> ${request.skill}`);
+      store.appendPayment({ type: 'siwx-access', taskId, skill: request.skill, wallet: siwxWallet, network: null, remainingUses, balance, expiresAt, timestamp: new Date().toISOString() });
+      return handleFreeExecution(rpcId, taskId, contextId, request, message, res, siwxWallet);
+    }
+    console.log(`[siwx] Session access denied for ${siwxWallet} -> ${request.skill}: ${access.reason}`);
   }
 
-  // Paid skill? Return V2 payment requirements
-  const payReq = createPaymentRequired(request.skill);
+  // Paid skill? Draw down prepaid credits, otherwise return V2 payment requirements
+  const payReq = createPaymentRequired(request.skill, request);
+  if (payReq && siwxWallet && creditLedger.covers(siwxWallet, payReq.quote.amount)) {
+    return handleCreditExecution(rpcId, taskId, contextId, request, siwxWallet, payReq.quote, message, res);
+  }
   if (payReq) {
     // Build the x402PaymentRequiredResponse per Google A2A x402 Extension spec
     const x402PaymentRequiredResponse = {
       x402Version: 1,
       accepts: payReq.accepts,
     };
+    // Settlement-contract escrow, when on-chain recording is enabled
+    const escrow = escrowTerms(taskId, payReq.quote);
 
     const task = createTask(taskId, contextId, 'input-required', {
       kind: 'message', role: 'agent', messageId: uuidv4(),
@@ -621,7 +1137,8 @@ async function handleMessageSend(rpcId, params, res) {
           'x402.payment.required': true,
           'x402.version': '2.0',
           'x402.accepts': payReq.accepts,
-          'x402.extensions': payReq.extensions,
+          'x402.extensions': withSiwxChallenge(payReq, request.skill).extensions,
+          ...(escrow && { 'x402.escrow': escrow }),
           skill: request.skill,
         }},
       ],
@@ -632,12 +1149,16 @@ async function handleMessageSend(rpcId, params, res) {
       },
       taskId, contextId,
     });
+    task.history.push(message);
+    // The quote is bound to the task: a correlated payment is verified against these accepts
     task.metadata['x402.accepts'] = payReq.accepts;
+    task.metadata['x402.quote'] = payReq.quote;
     task.metadata['x402.skill'] = request.skill;
     task.metadata['x402.version'] = '2.0';
     task.metadata['x402.originalRequest'] = request;
+    tasks.set(taskId, task);
 
-    paymentLog.push({ type: 'payment-required', taskId, skill: request.skill, amount: payReq.accepts[0].price, network: null, timestamp: new Date().toISOString() });
+    store.appendPayment({ type: 'payment-required', taskId, skill: request.skill, amount: payReq.accepts[0].price, network: null, timestamp: new Date().toISOString() });
 
     // Echo X-A2A-Extensions header if client sent it
     const clientExtensions = params?.extensions || '';
@@ -652,19 +1173,56 @@ async function handleMessageSend(rpcId, params, res) {
   return handleFreeExecution(rpcId, taskId, contextId, request, message, res);
 }
 
-async function handleFreeExecution(rpcId, taskId, contextId, request, message, res) {
-  const task = createTask(taskId, contextId, 'working');
+// Execute a task's parsed request in the worker pool. Paid screenshots include the Gemini
+// analysis. tasks/cancel aborts the task's signal: a queued job never starts, upstream calls
+// in flight are aborted, and a result that arrives anyway is discarded.
+// `options.contextId` gives ai-analysis the conversation's earlier turns.
+async function runSkill(taskId, request, { paid = false, contextId } = {}) {
+  const controller = new AbortController();
+  taskAborts.set(taskId, controller);
+  const { signal } = controller;
+  const priorTurns = request.skill === 'ai-analysis' ? conversations.transcript(contextId, { before: taskId }) : '';
+  try {
+    const result = await workerPool.run(() => {
+      signal.throwIfAborted();
+      return executeSkill(request, { paid, signal, priorTurns });
+    });
+    signal.throwIfAborted();
+    return result;
+  } finally {
+    if (taskAborts.get(taskId) === controller) taskAborts.delete(taskId);
+  }
+}
+
+// Images uploaded with an ai-analysis request, read back from the artifact store
+function uploadedImages(request) {
+  return (request.images || []).map(image => {
+    const bytes = image.id ? artifactStore.read(image.id) : Buffer.from(image.data || '', 'base64');
+    if (!bytes) throw new Error(`Uploaded image ${image.name} has expired; send it again`);
+    return { mimeType: image.mimeType, data: bytes.toString('base64') };
+  });
+}
+
+async function executeSkill(request, { paid = false, signal, priorTurns } = {}) {
+  const viewport = screenshotViewport(request.width, request.height);
+  if (request.skill === 'screenshot' && request.url) return paid ? handleScreenshotWithAnalysis(request.url, viewport, { signal }) : handleScreenshot(request.url, viewport, { signal });
+  if (request.skill === 'markdown-to-pdf') return handleMarkdownToPdf(request.markdown || '# Document', { signal });
+  if (request.skill === 'code-scan') return handleCodeScan(request.code || '', request);
+  if (request.skill === 'ai-analysis') return handleAiAnalysis(request.content || request.markdown || 'Hello', { signal, priorTurns, images: uploadedImages(request) });
+  return handleMarkdownToHtml(request.markdown || (paid ? '' : request.url) || '# Hello', { signal });
+}
+
+// `payer` is the wallet whose SIWx entitlement covers the request, if any
+async function handleFreeExecution(rpcId, taskId, contextId, request, message, res, payer = null) {
+  const task = createTask(taskId, contextId, 'working', undefined, { 'x402.skill': request.skill, 'x402.originalRequest': request, ...(payer && { 'x402.payer': payer }) });
   task.history.push(message);
 
   try {
-    let result;
-    if (request.skill === 'screenshot' && request.url) result = await handleScreenshot(request.url);
-    else if (request.skill === 'markdown-to-pdf') result = await handleMarkdownToPdf(request.markdown || '# Document');
-    else if (request.skill === 'ai-analysis') result = await handleAiAnalysis(request.content || request.markdown || 'Hello');
-    else result = await handleMarkdownToHtml(request.markdown || request.url || '# Hello');
+    const result = await runSkill(taskId, request, { contextId });
 
+    const summary = deliverResult(taskId, request, result);
     updateTask(taskId, 'completed', {
-      kind: 'message', role: 'agent', messageId: uuidv4(), parts: result.parts, taskId, contextId,
+      kind: 'message', role: 'agent', messageId: uuidv4(), parts: summary, taskId, contextId,
     });
     return res.json({ jsonrpc: '2.0', id: rpcId, result: tasks.get(taskId) });
   } catch (err) {
@@ -677,53 +1235,109 @@ async function handleFreeExecution(rpcId, taskId, contextId, request, message, r
 
 async function handlePaidExecution(rpcId, taskId, contextId, request, paymentPayload, message, res) {
   console.log(`[x402-v2] Payment received for ${request.skill}`);
-  const payerWallet = paymentPayload?.from || message.metadata?.['x402.payer'] || 'unknown';
-  const paymentNetwork = paymentPayload?.network || message.metadata?.['x402.network'] || 'eip155:8453';
-  paymentLog.push({ type: 'payment-received', taskId, skill: request.skill, wallet: payerWallet, network: paymentNetwork, timestamp: new Date().toISOString() });
+  const accepts = tasks.get(taskId)?.metadata?.['x402.accepts'] || createPaymentRequired(request.skill, request)?.accepts;
+  if (!accepts) return handleFreeExecution(rpcId, taskId, contextId, request, message, res);
+
+  const payload = decodePaymentPayload(paymentPayload);
+  if (payload?.network) payload.network = normalizeNetwork(payload.network);
+  // escrow: the payer deposited in the settlement contract; the task's outcome releases it
+  const escrowed = payload?.scheme === 'escrow';
+  const quote = tasks.get(taskId)?.metadata?.['x402.quote'] || createPaymentRequired(request.skill, request)?.quote;
+  let verification = escrowed ? await verifyEscrowPayment(taskId, payload, quote) : verifyPayment(payload, accepts);
+
+  // payment-identifier: a retry of an already-executed payment returns the first result
+  const paymentId = paymentIdOf(payload) || message.metadata?.['x402.payment.id'] || null;
+  const cached = verification.isValid ? paymentLedger.getResult('a2a', verification.payer, paymentId) : null;
+  if (cached) {
+    console.log(`[x402-v2] Idempotent retry for payment ${paymentId} -> task ${cached.taskId}`);
+    store.appendPayment({ type: 'payment-deduplicated', taskId: cached.taskId, skill: request.skill, wallet: verification.payer, network: verification.network, timestamp: new Date().toISOString() });
+    return res.json({ jsonrpc: '2.0', id: rpcId, result: tasks.get(cached.taskId) || cached.task });
+  }
+  // A finished task cannot run again, so a new payment for it is refused. The check follows the
+  // local signature check (an idempotent retry needs the payer) but precedes the nonce claim and
+  // the facilitator, so the refused authorization stays unused
+  const finished = tasks.get(taskId)?.status.state;
+  if (TERMINAL_STATES.includes(finished)) {
+    return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32602, message: `Task ${taskId} is ${finished}; submit the payment with a new task` } });
+  }
 
-  // Record SIWx session so the payer can re-access without paying again
-  if (payerWallet !== 'unknown') {
-    recordSiwxPayment(payerWallet, request.skill);
-    console.log(`[siwx] Session recorded for ${payerWallet} -> ${request.skill}`);
+  if (verification.isValid && !paymentLedger.claimNonce(verification.network, verification.payer, verification.nonce, verification.validBefore, taskId)) {
+    verification = { isValid: false, invalidReason: PAYMENT_ERRORS.DUPLICATE_NONCE, message: 'Payment authorization nonce has already been used', payer: verification.payer, network: verification.network };
+  } else if (verification.isValid && !escrowed) {
+    const check = await facilitator.verify(payload, verification.requirement);
+    if (!check.isValid) {
+      paymentLedger.releaseNonce(verification.network, verification.payer, verification.nonce);
+      verification = { ...check, network: verification.network };
+    } else {
+      paymentLedger.storeResult('a2a', verification.payer, paymentId, { taskId });
+    }
+  }
+  // Frees the nonce and payment identifier when the payment ends up not being settled; an
+  // escrow is marked failed so the payer can reclaim it
+  const releasePayment = () => {
+    paymentLedger.releaseNonce(verification.network, verification.payer, verification.nonce);
+    paymentLedger.clearResult('a2a', verification.payer, paymentId);
+    if (escrowed) markEscrow(taskId, verification, 'fail');
+  };
+  const payerWallet = verification.payer || 'unknown';
+  const paymentNetwork = verification.network || payload?.network || 'eip155:8453';
+  store.appendPayment({ type: 'payment-received', taskId, skill: request.skill, wallet: payerWallet, network: paymentNetwork, timestamp: new Date().toISOString() });
+
+  if (!verification.isValid) {
+    console.log(`[x402-v2] Payment rejected for ${request.skill}: ${verification.invalidReason} (${verification.message})`);
+    store.appendPayment({ type: 'payment-failed', taskId, skill: request.skill, wallet: payerWallet, network: paymentNetwork, error: verification.invalidReason, timestamp: new Date().toISOString() });
+    return failPayment(rpcId, taskId, contextId, message, paymentNetwork, verification.invalidReason, verification.message, res);
   }
 
   // Reuse existing task if correlated via taskId, otherwise create new
-  let task = tasks.get(taskId);
-  if (!task) {
-    task = createTask(taskId, contextId, 'working');
-  } else {
-    updateTask(taskId, 'working');
-  }
+  const task = tasks.get(taskId) || createTask(taskId, contextId, 'working', undefined, { 'x402.skill': request.skill, 'x402.originalRequest': request });
   task.history.push(message);
+  if (task.status.state === 'canceled') return cancelPayment(rpcId, taskId, request, payerWallet, paymentNetwork, releasePayment, res);
 
   // Google A2A x402 Extension: record payment-verified intermediate status (spec Section 7.1)
   // This state transition: payment-submitted → payment-verified → payment-completed
-  if (task.metadata) {
-    task.metadata['x402.payment.status'] = 'payment-verified';
-  }
-  paymentLog.push({ type: 'payment-verified', taskId, skill: request.skill, wallet: payerWallet, network: paymentNetwork, timestamp: new Date().toISOString() });
+  updateTask(taskId, 'working', undefined, { 'x402.payment.status': 'payment-verified', 'x402.payer': payerWallet, ...(escrowed && { 'x402.escrow': { ...verification.escrow, status: 'funded' } }) });
+  store.appendPayment({ type: 'payment-verified', taskId, skill: request.skill, wallet: payerWallet, network: paymentNetwork, timestamp: new Date().toISOString() });
 
   try {
-    let result;
-    if (request.skill === 'screenshot' && request.url) result = await handleScreenshotWithAnalysis(request.url);
-    else if (request.skill === 'markdown-to-pdf') result = await handleMarkdownToPdf(request.markdown || '# Document');
-    else if (request.skill === 'ai-analysis') result = await handleAiAnalysis(request.content || request.markdown || 'Hello');
-    else result = await handleMarkdownToHtml(request.markdown || '# Hello');
-
-    const txHash = `0x${uuidv4().replace(/-/g, '')}`;
-    paymentLog.push({ type: 'payment-settled', taskId, skill: request.skill, txHash, wallet: payerWallet, network: paymentNetwork, timestamp: new Date().toISOString() });
+    const result = await runSkill(taskId, request, { paid: true, contextId });
+
+    const charge = meteredCharge(verification, request.skill, result.usage);
+    const settlement = escrowed ? settleEscrow(taskId, verification) : await facilitator.settle(payload, charge.requirement);
+    if (!settlement.success) {
+      console.log(`[x402-v2] Settlement failed for ${request.skill}: ${settlement.errorReason} (${settlement.message})`);
+      releasePayment();
+      store.appendPayment({ type: 'payment-failed', taskId, skill: request.skill, wallet: payerWallet, network: paymentNetwork, error: settlement.errorReason, timestamp: new Date().toISOString() });
+      return failPayment(rpcId, taskId, contextId, null, paymentNetwork, settlement.errorReason, settlement.message, res);
+    }
+    const txHash = settlement.transaction;
+    logSettledPayment({ taskId, skill: request.skill, txHash, amount: charge.charged, authorized: charge.authorized, scheme: charge.scheme, wallet: payerWallet, network: settlement.network });
+    // Canceled while settling: the payer was charged for a result that is not delivered
+    if (tasks.get(taskId).status.state === 'canceled') {
+      console.log(`[x402-v2] Task ${taskId} canceled after settlement ${txHash}; refund due to ${payerWallet}`);
+      store.appendPayment({ type: 'refund-due', taskId, skill: request.skill, txHash, amount: charge.charged, wallet: payerWallet, network: settlement.network, reason: 'canceled', timestamp: new Date().toISOString() });
+      updateTask(taskId, 'canceled', undefined, { 'x402.payment.status': 'refund-due', 'x402.txHash': txHash });
+      return res.json({ jsonrpc: '2.0', id: rpcId, result: tasks.get(taskId) });
+    }
+    // Grant a SIWx entitlement so the payer can re-run the skill without paying again
+    const entitlement = recordSiwxPayment(payerWallet, request.skill, charge.charged, charge.scheme === 'upto' ? charge.charged : verification.requirement.maxAmountRequired);
     saveStats();
 
     // Google A2A x402 Extension: x402SettleResponse receipt
     const x402Receipt = {
       success: true,
       transaction: txHash,
-      network: paymentNetwork,
-      payer: payerWallet,
+      network: settlement.network,
+      payer: settlement.payer || payerWallet,
+      scheme: charge.scheme,
+      authorizedAmount: charge.authorized,
+      chargedAmount: charge.charged,
+      ...(charge.usage && { usage: charge.usage }),
     };
 
+    const summary = deliverResult(taskId, request, result);
     updateTask(taskId, 'completed', {
-      kind: 'message', role: 'agent', messageId: uuidv4(), parts: result.parts, taskId, contextId,
+      kind: 'message', role: 'agent', messageId: uuidv4(), parts: summary, taskId, contextId,
       // Google A2A x402 Extension: payment-completed metadata on status message
       metadata: {
         'x402.payment.status': 'payment-completed',
@@ -736,10 +1350,14 @@ async function handlePaidExecution(rpcId, taskId, contextId, request, paymentPay
       'x402.txHash': txHash,
       'x402.version': '2.0',
       'x402.siwx.active': payerWallet !== 'unknown',
+      'x402.siwx.entitlement': entitlement,
     });
+    paymentLedger.storeResult('a2a', payerWallet, paymentId, { taskId, task: structuredClone(tasks.get(taskId)) });
 
     return res.json({ jsonrpc: '2.0', id: rpcId, result: tasks.get(taskId) });
   } catch (err) {
+    if (tasks.get(taskId).status.state === 'canceled') return cancelPayment(rpcId, taskId, request, payerWallet, paymentNetwork, releasePayment, res);
+    releasePayment();
     // Google A2A x402 Extension: payment-failed metadata
     const failReceipt = { success: false, network: paymentNetwork, errorReason: err.message };
     updateTask(taskId, 'failed', {
@@ -758,16 +1376,235 @@ async function handlePaidExecution(rpcId, taskId, contextId, request, paymentPay
   }
 }
 
+// Run a request paid from the signed-in wallet's prepaid credits. The quote is debited up
+// front and refunded if execution fails.
+async function handleCreditExecution(rpcId, taskId, contextId, request, wallet, quote, message, res) {
+  const debit = creditLedger.debit(wallet, quote.amount, { taskId, skill: request.skill });
+  if (!debit.ok) return failPayment(rpcId, taskId, contextId, message, 'credits', 'INSUFFICIENT_CREDIT', `Credit balance ${formatPrice(debit.balance, pricing.decimals)} does not cover ${quote.price}`, res);
+  console.log(`[credits] Debited ${quote.price} from ${wallet} for ${request.skill} (balance ${debit.balance})`);
+  store.appendPayment({ type: 'credit-debit', taskId, skill: request.skill, wallet, amount: quote.amount, balance: debit.balance, network: 'credits', timestamp: new Date().toISOString() });
+
+  const task = createTask(taskId, contextId, 'working', undefined, { 'x402.skill': request.skill, 'x402.originalRequest': request, 'x402.payer': wallet });
+  task.history.push(message);
+  try {
+    const result = await runSkill(taskId, request, { paid: true, contextId });
+    saveStats();
+    const summary = deliverResult(taskId, request, result);
+    updateTask(taskId, 'completed', {
+      kind: 'message', role: 'agent', messageId: uuidv4(), parts: summary, taskId, contextId,
+    }, {
+      'x402.credits': { wallet, debited: quote.amount, price: quote.price, balance: debit.balance },
+      'x402.siwx.active': true,
+    });
+  } catch (err) {
+    const refund = creditLedger.refund(wallet, quote.amount, { taskId, skill: request.skill });
+    store.appendPayment({ type: 'credit-refund', taskId, skill: request.skill, wallet, amount: quote.amount, balance: refund.balance, network: 'credits', timestamp: new Date().toISOString() });
+    saveStats();
+    updateTask(taskId, 'failed', {
+      kind: 'message', role: 'agent', messageId: uuidv4(), parts: [{ kind: 'text', text: `Error: ${err.message}` }], taskId, contextId,
+    }, {
+      'x402.credits': { wallet, debited: '0', refunded: quote.amount, balance: refund.balance },
+    });
+  }
+  return res.json({ jsonrpc: '2.0', id: rpcId, result: tasks.get(taskId) });
+}
+
+// What to settle for a verified payment. `exact` settles the authorized value; `upto` settles
+// the usage metered after execution, never more than the client authorized.
+function meteredCharge(verification, skill, usage) {
+  const authorized = verification.amount;
+  if (verification.requirement.scheme !== 'upto') {
+    return { scheme: verification.requirement.scheme, authorized, charged: authorized, requirement: verification.requirement };
+  }
+  const metered = pricing.meter(skill, usage);
+  const charged = BigInt(metered.amount) < BigInt(authorized) ? metered.amount : authorized;
+  return {
+    scheme: 'upto', authorized, charged,
+    usage: { tokens: metered.tokens, source: usage ? 'gemini' : 'minimum' },
+    requirement: { ...verification.requirement, amount: charged },
+  };
+}
+
+// An escrowed task that ran: queue its completion, which lets the payee claim the deposit.
+// Shaped like a facilitator settlement; the transaction follows in x402.settlement.record.
+function settleEscrow(taskId, verification) {
+  const queued = markEscrow(taskId, verification, 'complete');
+  if (!queued.ok) return { success: false, errorReason: PAYMENT_ERRORS.SETTLEMENT_FAILED, message: queued.error };
+  return { success: true, transaction: null, network: verification.network, payer: verification.payer };
+}
+
+// A task canceled between payment verification and settlement: the authorization is
+// released unsettled, so nothing was charged
+function cancelPayment(rpcId, taskId, request, wallet, network, releasePayment, res) {
+  releasePayment();
+  console.log(`[x402-v2] Task ${taskId} canceled before settlement; payment released`);
+  store.appendPayment({ type: 'payment-canceled', taskId, skill: request.skill, wallet, network, timestamp: new Date().toISOString() });
+  return res.json({ jsonrpc: '2.0', id: rpcId, result: tasks.get(taskId) });
+}
+
+// Fail a task whose payment could not be accepted, with the spec error code in metadata
+function failPayment(rpcId, taskId, contextId, message, network, errorCode, errorMessage, res) {
+  if (!tasks.has(taskId)) createTask(taskId, contextId, 'submitted');
+  const task = tasks.get(taskId);
+  if (message) task.history.push(message);
+  const failReceipt = { success: false, network, errorReason: errorCode };
+  updateTask(taskId, 'failed', {
+    kind: 'message', role: 'agent', messageId: uuidv4(), parts: [{ kind: 'text', text: `Payment failed (${errorCode}): ${errorMessage}` }], taskId, contextId,
+    metadata: {
+      'x402.payment.status': 'payment-failed',
+      'x402.payment.error': errorCode,
+      'x402.payment.receipts': [failReceipt],
+    },
+  }, {
+    'x402.payment.status': 'payment-failed',
+    'x402.payment.error': errorCode,
+    'x402.payment.receipts': [failReceipt],
+  });
+  return res.json({ jsonrpc: '2.0', id: rpcId, result: tasks.get(taskId) });
+}
+
+// Webhook deliveries that exhausted their retries show up in the task's metadata.
+// `historyLength` limits the history to its most recent messages.
 function handleTasksGet(rpcId, params, res) {
   const task = tasks.get(params?.id);
   if (!task) return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32001, message: 'Task not found' } });
-  return res.json({ jsonrpc: '2.0', id: rpcId, result: task });
+  const deadLetters = pushNotifier.deadLetters(task.id);
+  const result = presentTask(task, { historyLength: params.historyLength });
+  return res.json({ jsonrpc: '2.0', id: rpcId, result: deadLetters.length ? { ...result, metadata: { ...task.metadata, 'a2a.push.deadLetters': deadLetters } } : result });
+}
+
+// Which tasks a caller may list: all of them with the stats API key, only its own wallet's
+// with a SIWx session, otherwise none (null). Without a configured key, only sessions list.
+function taskListScope(req) {
+  const apiKey = req.headers['x-api-key'];
+  if (STATS_API_KEY && apiKey === STATS_API_KEY) return {};
+  const wallet = bearerWallet(req);
+  return wallet ? { wallet } : null;
+}
+
+const taskAccessors = {
+  skillOf: (task) => task.metadata?.['x402.skill'],
+  walletOf: (task) => task.metadata?.['x402.payer'],
+};
+
+// tasks/list: filter by contextId, status, skill, wallet and lastUpdatedAfter/Before,
+// newest first, paged with pageSize/pageToken
+function handleTasksList(rpcId, params, req, res) {
+  const scope = taskListScope(req);
+  if (!scope) return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32000, message: 'Listing tasks requires the stats API key or a SIWx session (Authorization: Bearer)' } });
+  const list = listTasks(tasks, { ...params, ...scope }, taskAccessors);
+  if (!list.ok) return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32602, message: list.error } });
+  const { ok, ...result } = list;
+  return res.json({ jsonrpc: '2.0', id: rpcId, result });
+}
+
+// tasks/pushNotificationConfig/{set,get,list,delete}
+function handlePushNotificationConfig(rpcId, action, params, res) {
+  const taskId = action === 'set' ? params?.taskId : params?.id;
+  const task = tasks.get(taskId);
+  if (!task) return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32001, message: 'Task not found' } });
+  const reply = (result) => res.json({ jsonrpc: '2.0', id: rpcId, result });
+  const invalid = (message) => res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32602, message } });
+
+  if (action === 'set') {
+    const registered = pushNotifier.setConfig(taskId, params.pushNotificationConfig);
+    if (!registered.ok) return invalid(registered.error);
+    if (!TERMINAL_STATES.includes(task.status.state)) watchTaskPushes(taskId);
+    saveStats();
+    return reply({ taskId, pushNotificationConfig: registered.config });
+  }
+  if (action === 'get') {
+    const config = pushNotifier.getConfig(taskId, params.pushNotificationConfigId);
+    if (!config) return invalid('Push notification config not found');
+    return reply({ taskId, pushNotificationConfig: config });
+  }
+  if (action === 'list') {
+    return reply(pushNotifier.listConfigs(taskId).map(config => ({ taskId, pushNotificationConfig: config })));
+  }
+  if (!pushNotifier.deleteConfig(taskId, params.pushNotificationConfigId)) return invalid('Push notification config not found');
+  saveStats();
+  return reply(null);
+}
+
+// message/send with configuration.blocking: false. Answers with the task as soon as it is
+// working (after payment verification) or settled in a final state such as input-required;
+// execution continues in the worker pool and the outcome is read back with tasks/get.
+function handleMessageSendNonBlocking(rpcId, params, res) {
+  const correlated = params?.message?.taskId && tasks.has(params.message.taskId);
+  const taskId = correlated ? params.message.taskId : uuidv4();
+  let responded = false;
+  const respond = (body) => {
+    if (responded) return;
+    responded = true;
+    unsubscribe();
+    res.json(body);
+  };
+  const unsubscribe = taskEvents.subscribe(taskId, (event) => {
+    const state = event.status?.state;
+    // Deferred so the handler can finish its synchronous bookkeeping (history) first
+    if (state === 'working' || event.final) setImmediate(() => respond({ jsonrpc: '2.0', id: rpcId, result: tasks.get(taskId) }));
+  });
+  const capture = { header: () => capture, json: (body) => { respond(body); return capture; } };
+  handleMessageSend(rpcId, params, capture, { taskId })
+    .catch(err => respond({ jsonrpc: '2.0', id: rpcId, error: { code: -32603, message: err.message } }));
 }
 
+// message/stream: run message/send while forwarding the task's events over SSE.
+// The stream ends once the task reaches a final state (terminal, or waiting for payment).
+async function handleMessageStream(rpcId, params, res) {
+  const correlated = params?.message?.taskId && tasks.has(params.message.taskId);
+  const taskId = correlated ? params.message.taskId : uuidv4();
+  const stream = openEventStream(res);
+  let streamed = false;
+  const unsubscribe = taskEvents.subscribe(taskId, (event) => {
+    streamed = true;
+    stream.send({ jsonrpc: '2.0', id: rpcId, result: event });
+  });
+  stream.onClose(unsubscribe);
+
+  // message/send answers through res.json; capture that answer instead of writing it
+  let response = null;
+  const capture = { header: () => capture, json: (body) => { response = body; return capture; } };
+  try {
+    await handleMessageSend(rpcId, params, capture, { taskId });
+  } catch (err) {
+    response = { jsonrpc: '2.0', id: rpcId, error: { code: -32603, message: err.message } };
+  }
+  unsubscribe();
+  // Errors, and answers that produced no events (e.g. an idempotent retry), go out as-is
+  if (response?.error || !streamed) stream.send(response?.result ? { ...response, result: { kind: 'task', ...response.result } } : response);
+  stream.end();
+}
+
+// tasks/resubscribe: stream an existing task's remaining events. A task already in a
+// final state gets its current status as the one and final event.
+function handleTasksResubscribe(rpcId, params, res) {
+  const task = tasks.get(params?.id);
+  if (!task) return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32001, message: 'Task not found' } });
+  const stream = openEventStream(res);
+  const statusEvent = { kind: 'status-update', taskId: task.id, contextId: task.contextId, status: task.status, final: FINAL_STATES.includes(task.status.state) };
+  stream.send({ jsonrpc: '2.0', id: rpcId, result: statusEvent });
+  if (statusEvent.final) return stream.end();
+  const unsubscribe = taskEvents.subscribe(task.id, (event) => {
+    stream.send({ jsonrpc: '2.0', id: rpcId, result: event });
+    if (event.final) stream.end();
+  });
+  stream.onClose(unsubscribe);
+}
+
+// tasks/cancel: abort the running skill, if any, and mark the task canceled. A verified
+// payment is then never settled; one that settled anyway is recorded as refund-due.
 function handleTasksCancel(rpcId, params, res) {
   const task = tasks.get(params?.id);
   if (!task) return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32001, message: 'Task not found' } });
-  updateTask(params.id, 'canceled');
+  if (!canTransition(task.status.state, 'canceled')) {
+    return res.json({ jsonrpc: '2.0', id: rpcId, error: { code: -32002, message: 'Task cannot be canceled', data: { state: task.status.state } } });
+  }
+  const metadata = task.metadata['x402.payment.status'] === 'payment-verified' ? { 'x402.payment.status': 'payment-canceled' } : undefined;
+  updateTask(task.id, 'canceled', {
+    kind: 'message', role: 'agent', messageId: uuidv4(), parts: [{ kind: 'text', text: 'Task canceled by client.' }], taskId: task.id, contextId: task.contextId,
+  }, metadata);
+  taskAborts.get(task.id)?.abort(new Error('Task canceled'));
   return res.json({ jsonrpc: '2.0', id: rpcId, result: task });
 }
 
@@ -777,8 +1614,8 @@ app.use(express.json({ limit: '10mb' }));
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Payment, X-Payment-Response, Payment-Signature, Payment-Required, X-A2A-Extensions');
-  res.header('Access-Control-Expose-Headers', 'X-Payment-Response, Payment-Response, Payment-Required, X-A2A-Extensions');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Payment, X-Payment-Response, Payment-Signature, Payment-Required, Payment-Identifier, X-A2A-Extensions');
+  res.header('Access-Control-Expose-Headers', 'X-Payment-Response, Payment-Response, Payment-Required, X-Payment-Replayed, X-Credit-Balance, X-A2A-Extensions');
   if (req.method === 'OPTIONS') return res.status(204).end();
   next();
 });
@@ -872,9 +1709,15 @@ app.get('/a2a-x402-test', async (req, res) => {
   check('All 6 payment statuses supported', statuses.length === 6, statuses.join(', '));
 
   // Test 5: Error codes match spec Section 9.1
-  const errorCodes = ['INSUFFICIENT_FUNDS', 'INVALID_SIGNATURE', 'EXPIRED_PAYMENT', 'DUPLICATE_NONCE', 'NETWORK_MISMATCH', 'INVALID_AMOUNT', 'SETTLEMENT_FAILED'];
+  const errorCodes = Object.values(PAYMENT_ERRORS);
   check('All 7 error codes from spec defined', errorCodes.length === 7, errorCodes.join(', '));
 
+  // Test 5b: Unsigned and wrong-network payloads are rejected with spec error codes
+  const unsigned = verifyPayment({ scheme: 'exact', network: NETWORKS.base.caip2, payload: {} }, payReq.accepts);
+  check('Unsigned payload rejected with INVALID_SIGNATURE', unsigned.invalidReason === PAYMENT_ERRORS.INVALID_SIGNATURE, unsigned.invalidReason);
+  const wrongNetwork = verifyPayment({ scheme: 'exact', network: 'eip155:1', payload: { signature: '0x', authorization: {} } }, payReq.accepts);
+  check('Unadvertised network rejected with NETWORK_MISMATCH', wrongNetwork.invalidReason === PAYMENT_ERRORS.NETWORK_MISMATCH, wrongNetwork.invalidReason);
+
   // Test 6: Multiple networks
   check('Supports 2+ networks', payReq.accepts.length >= 2, `${payReq.accepts.length} networks`);
 
@@ -898,26 +1741,73 @@ app.get('/api/info', (req, res) => res.json({
     networks: Object.values(NETWORKS).map(n => ({ network: n.caip2, name: n.name, gasless: n.gasless || false })),
     token: 'USDC', wallet: WALLET_ADDRESS, facilitator: FACILITATOR_URL,
     features: ['siwx', 'payment-identifier', 'bazaar-discovery'],
-    services: { screenshot: '$0.01', 'markdown-to-pdf': '$0.005', 'markdown-to-html': 'free', 'code-scan': '$0.05' },
+    services: pricing.services(),
   },
   stats: {
     payments: paymentLog.length, tasks: totalTaskCount, tasksThisSession: tasks.size, uptime: process.uptime(),
     siwxSessions: siwxSessions.size,
+    creditBalances: creditLedger.size,
+    workers: workerPool.stats(),
+    artifacts: artifactStore.stats(),
+    settlementRecords: settlementRecorder?.stats() || null,
     paymentsByType: {
-      required: paymentLog.filter(p => p.type === 'payment-required').length,
-      received: paymentLog.filter(p => p.type === 'payment-received').length,
-      settled: paymentLog.filter(p => p.type === 'payment-settled').length,
-      siwxAccess: paymentLog.filter(p => p.type === 'siwx-access').length,
+      required: store.countPayments('payment-required'),
+      received: store.countPayments('payment-received'),
+      settled: store.countPayments('payment-settled'),
+      siwxAccess: store.countPayments('siwx-access'),
     },
   },
 }));
-app.get('/api/payments', (req, res) => res.json({ payments: paymentLog.slice(-50), total: paymentLog.length }));
+// REST equivalent of tasks/list; query parameters match its params
+app.get('/api/tasks', (req, res) => {
+  const scope = taskListScope(req);
+  if (!scope) return res.status(401).json({ error: 'UNAUTHORIZED', message: 'Listing tasks requires the stats API key or a SIWx session (Authorization: Bearer)' });
+  const list = listTasks(tasks, { ...req.query, ...scope }, taskAccessors);
+  if (!list.ok) return res.status(400).json({ error: 'INVALID_QUERY', message: list.error });
+  const { ok, ...result } = list;
+  res.json(result);
+});
+// Signed, expiring download of a large artifact file (the uri of a FileWithUri part)
+const ARTIFACT_STATUS = { [ARTIFACT_ERRORS.NOT_FOUND]: 404, [ARTIFACT_ERRORS.EXPIRED]: 410, [ARTIFACT_ERRORS.BAD_SIGNATURE]: 403 };
+app.get('/artifacts/:id', (req, res) => {
+  const opened = artifactStore.open(req.params.id, req.query);
+  if (!opened.ok) return res.status(ARTIFACT_STATUS[opened.error]).json({ error: opened.error, message: 'Artifact link is invalid, expired, or the file was deleted' });
+  const { name, mimeType, expiresAt } = opened.entry;
+  res.set({
+    'Content-Type': mimeType,
+    'Content-Disposition': `inline; filename="${name.replace(/[^\w.-]/g, '_')}"`,
+    'Cache-Control': `private, max-age=${Math.max(0, expiresAt - Math.floor(Date.now() / 1000))}`,
+  });
+  res.sendFile(opened.path);
+});
+// ?type=, ?wallet= and ?taskId= filter through the store's payment indexes
+app.get('/api/payments', (req, res) => {
+  const { type, wallet, taskId } = req.query;
+  const filtered = type || wallet || taskId;
+  const payments = filtered ? store.findPayments({ type, wallet, taskId }) : paymentLog;
+  res.json({ payments: payments.slice(-50), total: payments.length });
+});
+// SIWx sign-in: issue a challenge, then exchange the signed CAIP-122 message for a session token
+app.get('/siwx/challenge', (req, res) => {
+  const chainId = req.query.chainId ? parseInt(req.query.chainId, 10) : undefined;
+  if (Number.isNaN(chainId)) return res.status(400).json({ error: 'chainId must be a number' });
+  const address = req.query.address;
+  if (address && !/^0x[0-9a-fA-F]{40}$/.test(address)) return res.status(400).json({ error: 'address must be a 0x-prefixed EVM address' });
+  res.json(siwxAuth.createChallenge({ address, chainId }));
+});
+
+app.post('/siwx/verify', (req, res) => {
+  const { message, signature } = req.body || {};
+  if (!message || !signature) return res.status(400).json({ error: 'message and signature are required' });
+  const result = siwxAuth.verify(message, signature);
+  if (!result.isValid) return res.status(401).json({ error: result.reason, message: result.message });
+  console.log(`[siwx] Signed in ${result.wallet} on eip155:${result.chainId}`);
+  res.json({ token: result.token, wallet: result.wallet, chainId: result.chainId, expiresAt: result.expiresAt, usage: 'Send as message.metadata["x402.siwx.token"]' });
+});
+
 app.get('/api/siwx', (req, res) => {
-  const sessions = [];
-  for (const [wallet, data] of siwxSessions.entries()) {
-    sessions.push({ wallet, skills: [...data.paidSkills], lastPayment: data.lastPayment });
-  }
-  res.json({ sessions, total: sessions.length });
+  const sessions = siwxSessions.list();
+  res.json({ sessions, total: sessions.length, policies: SIWX_ENTITLEMENT_POLICIES });
 });
 app.get('/x402', (req, res) => res.json({
   service: 'OpSpawn A2A x402 Gateway', version: '2.2.0',
@@ -933,19 +1823,21 @@ app.get('/x402', (req, res) => res.json({
       })),
       facilitator: FACILITATOR_URL, wallet: WALLET_ADDRESS,
       features: {
-        siwx: 'Sign-In-With-X session auth — pay once, access again without repaying',
+        siwx: 'Sign-In-With-X (CAIP-122) session auth — pay once, sign in with the paying wallet, access again without repaying',
         'payment-identifier': 'Idempotent payments — retries do not double-charge',
+        upto: 'Metered payments — authorize a ceiling, pay only for measured Gemini token usage (ai-analysis)',
+        credits: 'Prepaid credits — top up once with x402, then spend the balance over A2A or REST while signed in with SIWx',
         'bazaar-discovery': 'Machine-readable API schemas in payment requirements',
       },
     },
   },
   endpoints: [
-    { skill: 'screenshot', price: '$0.01', description: 'Capture webpage as PNG + Gemini AI analysis', input: 'URL in text', output: 'image/png + text/plain', poweredBy: 'Google AI Studio' },
-    { skill: 'ai-analysis', price: '$0.01', description: 'AI content analysis via Gemini 2.0 Flash', input: 'Text content', output: 'text/plain + application/json', poweredBy: 'Google AI Studio (Gemini 2.0 Flash)' },
-    { skill: 'markdown-to-pdf', price: '$0.005', description: 'Convert markdown to PDF', input: 'Markdown text', output: 'application/pdf' },
-    { skill: 'markdown-to-html', price: 'free', description: 'Convert markdown to HTML', input: 'Markdown text', output: 'text/html' },
-    { skill: 'x402-test', price: 'free ($0.00)', description: 'Test x402 payment flow — validates client integration', input: 'Any', output: 'application/json' },
-    { skill: 'code-scan', price: '$0.05', description: 'Scan code for security vulnerabilities (SQLi, XSS, command injection, secrets, etc.)', input: 'JSON {code, language}', output: 'application/json' },
+    { skill: 'screenshot', price: pricing.priceLabel('screenshot'), description: 'Capture webpage as PNG + Gemini AI analysis', input: 'URL in text', output: 'image/png + text/plain', poweredBy: 'Google AI Studio' },
+    { skill: 'ai-analysis', price: pricing.priceLabel('ai-analysis'), description: 'AI content analysis via Gemini 2.0 Flash', input: 'Text content', output: 'text/plain + application/json', poweredBy: 'Google AI Studio (Gemini 2.0 Flash)' },
+    { skill: 'markdown-to-pdf', price: pricing.priceLabel('markdown-to-pdf'), description: 'Convert markdown to PDF', input: 'Markdown text', output: 'application/pdf' },
+    { skill: 'markdown-to-html', price: pricing.priceLabel('markdown-to-html'), description: 'Convert markdown to HTML', input: 'Markdown text', output: 'text/html' },
+    { skill: 'x402-test', price: pricing.priceLabel('x402-test'), description: 'Test x402 payment flow — validates client integration', input: 'Any', output: 'application/json' },
+    { skill: 'code-scan', price: pricing.priceLabel('code-scan'), description: 'Scan code for security vulnerabilities (SQLi, XSS, command injection, secrets, etc.)', input: 'JSON {code, language}', output: 'application/json' },
   ],
   rest: {
     description: 'Standard x402 HTTP REST endpoints (alternative to A2A JSON-RPC)',
@@ -957,13 +1849,22 @@ app.get('/x402', (req, res) => res.json({
       { method: 'POST', path: '/x402/html', body: '{"markdown":"# ..."}', returns: 'text/html (free)' },
       { method: 'GET', path: '/x402/ai-analysis', returns: '402 with payment requirements' },
       { method: 'POST', path: '/x402/ai-analysis', headers: 'Payment-Signature: <signed>', body: '{"content":"text to analyze"}', returns: 'Gemini AI analysis (JSON)' },
-      { method: 'GET', path: '/x402/test', returns: '402 with $0.00 payment requirements (test endpoint)' },
+      { method: 'GET', path: '/x402/test', returns: `402 with ${pricing.priceLabel('x402-test')} payment requirements (test endpoint)` },
       { method: 'POST', path: '/x402/test', headers: 'Payment-Signature: <any>', returns: 'Test success (no real payment)' },
-      { method: 'GET', path: '/x402/code-scan', returns: '402 with $0.05 payment requirements' },
+      { method: 'GET', path: '/x402/code-scan', returns: `402 with ${pricing.priceLabel('code-scan')} payment requirements` },
       { method: 'POST', path: '/x402/code-scan', headers: 'Payment-Signature: <signed>', body: '{"code":"...","language":"javascript"}', returns: 'Security vulnerability report (JSON)' },
       { method: 'POST', path: '/gemini', body: '{"content":"short text"}', returns: 'Free Gemini demo (500 char limit)' },
       { method: 'GET', path: '/gemini', returns: 'Gemini service info' },
       { method: 'GET', path: '/x402/chains', returns: 'Supported chains with metadata (RPC, gas, finality)' },
+      { method: 'GET', path: '/siwx/challenge', query: 'address, chainId', returns: 'SIWx (CAIP-122) challenge with nonce and message to sign' },
+      { method: 'POST', path: '/siwx/verify', body: '{"message":"...","signature":"0x..."}', returns: 'Short-lived SIWx session token' },
+      { method: 'GET', path: '/x402/credits/topup', query: 'amount', returns: `402 for a credit top-up (minimum $${CREDIT_TOPUP.min})` },
+      { method: 'POST', path: '/x402/credits/topup', headers: 'Payment-Signature: <signed>', returns: 'Credited amount and new balance' },
+      { method: 'GET', path: '/x402/credits/balance', headers: 'Authorization: Bearer <SIWx token>', returns: 'Credit balance and recent ledger entries' },
+      { method: 'POST', path: '/x402/disputes', headers: 'Authorization: Bearer <SIWx token of the payer>', body: '{"taskId":"...","reason":"..."}', returns: 'The opened dispute of a paid task that failed' },
+      { method: 'GET', path: '/x402/disputes/:taskId', headers: 'Authorization: Bearer <SIWx token>', returns: 'A dispute (to its payer or a resolver)' },
+      { method: 'GET', path: '/x402/disputes', query: 'status', headers: 'Authorization: Bearer <SIWx token of a resolver>', returns: 'Disputes, newest first' },
+      { method: 'POST', path: '/x402/disputes/:taskId/resolve', headers: 'Authorization: Bearer <SIWx token of a resolver>', body: '{"outcome":"refund|payee","note":"..."}', returns: 'The resolved dispute' },
     ],
   },
 }));
@@ -974,31 +1875,243 @@ app.get('/health', (req, res) => res.json({ status: 'ok', uptime: process.uptime
 // These follow the x402 pattern: GET returns 402, POST with Payment-Signature executes
 // This lets judges and agents test the standard HTTP x402 flow without using A2A JSON-RPC
 
+// Verify the Payment-Signature (or X-Payment) header against the skill's requirements.
+// Sends a 402 with the spec error code and returns null when the payment is not acceptable.
+async function verifyRestPayment(req, res, skill, request, payReq = createPaymentRequired(skill, request)) {
+  const payload = decodePaymentPayload(req.headers['payment-signature'] || req.headers['x-payment']);
+  if (payload?.network) payload.network = normalizeNetwork(payload.network);
+  let verification = verifyPayment(payload, payReq.accepts);
+
+  // payment-identifier: replay the cached response of an already-executed payment
+  const paymentId = paymentIdOf(payload) || req.headers['payment-identifier'] || null;
+  const cached = verification.isValid ? paymentLedger.getResult('rest', verification.payer, paymentId) : null;
+  if (cached?.response) {
+    const body = artifactStore.read(cached.response.artifactId);
+    if (!body) {
+      res.status(410).json({ error: 'PAYMENT_RESULT_EXPIRED', message: `The result of payment ${paymentId} is no longer kept` });
+      return null;
+    }
+    store.appendPayment({ type: 'payment-deduplicated', skill, wallet: verification.payer, network: verification.network, timestamp: new Date().toISOString() });
+    res.status(cached.response.statusCode).set({ ...cached.response.headers, 'X-Payment-Replayed': 'true' });
+    res.send(body);
+    return null;
+  }
+  if (cached) {
+    res.status(409).json({ error: 'PAYMENT_IN_PROGRESS', message: `Payment ${paymentId} is still being processed` });
+    return null;
+  }
+
+  if (verification.isValid && !paymentLedger.claimNonce(verification.network, verification.payer, verification.nonce, verification.validBefore)) {
+    verification = { isValid: false, invalidReason: PAYMENT_ERRORS.DUPLICATE_NONCE, message: 'Payment authorization nonce has already been used', payer: verification.payer };
+  } else if (verification.isValid) {
+    const check = await facilitator.verify(payload, verification.requirement);
+    if (!check.isValid) {
+      paymentLedger.releaseNonce(verification.network, verification.payer, verification.nonce);
+      verification = check;
+    }
+  }
+  if (!verification.isValid) {
+    store.appendPayment({ type: 'payment-failed', skill, wallet: verification.payer || 'unknown', network: payload?.network || null, error: verification.invalidReason, timestamp: new Date().toISOString() });
+    res.status(402).json({ ...withSiwxChallenge(payReq, skill), error: verification.invalidReason, message: verification.message });
+    return null;
+  }
+  trackRestPayment(res, verification, paymentId);
+  return { ...verification, payload, request };
+}
+
+// Settle the payment ledger from the route's final response: a 200 is cached under the
+// payment identifier, anything else frees the nonce so the authorization can be retried.
+// The body goes to the artifact store (files expire with its TTL); the ledger keeps its id.
+function trackRestPayment(res, verification, paymentId) {
+  const { payer, network, nonce } = verification;
+  if (paymentId) paymentLedger.storeResult('rest', payer, paymentId, {});
+  const send = res.send;
+  res.send = function (body) {
+    res.send = send;
+    if (res.statusCode === 200) {
+      const headers = {};
+      for (const name of ['content-type', 'content-disposition', 'x-payment-response']) {
+        if (res.get(name)) headers[name] = res.get(name);
+      }
+      if (paymentId) {
+        const entry = artifactStore.put(`payment:${paymentId}`, Buffer.from(body ?? ''), { name: 'response', mimeType: headers['content-type'] });
+        paymentLedger.storeResult('rest', payer, paymentId, { response: { statusCode: 200, headers, artifactId: entry.id } });
+      }
+    } else {
+      paymentLedger.releaseNonce(network, payer, nonce);
+      paymentLedger.clearResult('rest', payer, paymentId);
+    }
+    return send.call(this, body);
+  };
+}
+
+// Settle a verified REST payment through the facilitator.
+// Sends a 402 with the error code and returns null when settlement fails.
+// Credit drawdowns were debited up front, so they settle without the facilitator.
+async function settleRestPayment(res, payment, taskId, skill, usage) {
+  if (payment.siwx) {
+    return { success: true, transaction: null, network: null, payer: payment.payer, scheme: 'siwx' };
+  }
+  if (payment.credits) {
+    return { success: true, transaction: null, network: 'credits', payer: payment.payer, scheme: 'credits', authorizedAmount: payment.amount, chargedAmount: payment.amount };
+  }
+  const charge = meteredCharge(payment, skill, usage);
+  const settlement = await facilitator.settle(payment.payload, charge.requirement);
+  if (!settlement.success) {
+    store.appendPayment({ type: 'payment-failed', taskId, skill, wallet: payment.payer, network: payment.network, error: settlement.errorReason, timestamp: new Date().toISOString() });
+    res.status(402).json({ ...withSiwxChallenge(createPaymentRequired(skill, payment.request), skill), error: settlement.errorReason, message: settlement.message });
+    return null;
+  }
+  logSettledPayment({ taskId, skill, txHash: settlement.transaction, amount: charge.charged, authorized: charge.authorized, scheme: charge.scheme, wallet: payment.payer, network: payment.network });
+  recordSiwxPayment(payment.payer, skill, charge.charged, charge.scheme === 'upto' ? charge.charged : payment.requirement.maxAmountRequired);
+  return { ...settlement, scheme: charge.scheme, authorizedAmount: charge.authorized, chargedAmount: charge.charged };
+}
+
+// Wallet of the request's SIWx session (Authorization: Bearer <token>), or null
+function bearerWallet(req) {
+  const token = (req.headers['authorization'] || '').replace(/^Bearer\s+/i, '');
+  return token ? siwxAuth.resolveSession(token)?.wallet || null : null;
+}
+
+// The signed-in wallet when its SIWx entitlement covers a re-run of the request, or null
+function siwxWalletFor(req, request) {
+  const wallet = bearerWallet(req);
+  const price = pricing.quote(request.skill, request)?.amount || '0';
+  return wallet && siwxSessions.check(wallet, request.skill, { price }).allowed ? wallet : null;
+}
+
+// Consume one SIWx re-run for a REST request, as message/send does for A2A. Nothing is
+// settled and no new entitlement is granted. Sends a 402 and returns null if access ran out.
+function useRestSiwxAccess(res, wallet, request) {
+  const access = useSiwxAccess(wallet, request);
+  if (!access.allowed) {
+    res.status(402).json({ ...withSiwxChallenge(createPaymentRequired(request.skill, request), request.skill), error: access.reason });
+    return null;
+  }
+  const taskId = uuidv4();
+  const { remainingUses, balance, expiresAt } = access.entitlement;
+  console.log(`[siwx] Session access granted for ${wallet} -> ${request.skill} (REST)`);
+  store.appendPayment({ type: 'siwx-access', taskId, skill: request.skill, wallet, network: null, remainingUses, balance, expiresAt, timestamp: new Date().toISOString() });
+  return { siwx: true, taskId, payer: wallet, network: null, entitlement: access.entitlement, request };
+}
+
+// The signed-in wallet when its credit balance covers the quoted request, or null
+function creditWalletFor(req, skill, request) {
+  const wallet = bearerWallet(req);
+  const quote = pricing.quote(skill, request);
+  return wallet && quote && creditLedger.covers(wallet, quote.amount) ? wallet : null;
+}
+
+// Debit a REST request's quote from prepaid credits. The debit is refunded when the route
+// ends with anything other than a 200. Sends a 402 and returns null if the balance ran short.
+function drawRestCredits(res, wallet, skill, request) {
+  const quote = pricing.quote(skill, request);
+  const taskId = uuidv4();
+  const debit = creditLedger.debit(wallet, quote.amount, { taskId, skill });
+  if (!debit.ok) {
+    res.status(402).json({ ...withSiwxChallenge(createPaymentRequired(skill, request), skill), error: 'INSUFFICIENT_CREDIT', message: `Credit balance ${formatPrice(debit.balance, pricing.decimals)} does not cover ${quote.price}` });
+    return null;
+  }
+  store.appendPayment({ type: 'credit-debit', taskId, skill, wallet, amount: quote.amount, balance: debit.balance, network: 'credits', timestamp: new Date().toISOString() });
+  res.set('X-Credit-Balance', debit.balance);
+  const send = res.send;
+  res.send = function (body) {
+    res.send = send;
+    if (res.statusCode !== 200) {
+      const refund = creditLedger.refund(wallet, quote.amount, { taskId, skill });
+      store.appendPayment({ type: 'credit-refund', taskId, skill, wallet, amount: quote.amount, balance: refund.balance, network: 'credits', timestamp: new Date().toISOString() });
+      res.set('X-Credit-Balance', refund.balance);
+    }
+    return send.call(this, body);
+  };
+  return { credits: true, taskId, payer: wallet, network: 'credits', amount: quote.amount, balance: debit.balance, request };
+}
+
+// === Prepaid credits ===
+// GET returns the 402 for a top-up (?amount=5.00), POST with Payment-Signature credits the payer
+app.get('/x402/credits/topup', (req, res) => {
+  const payReq = createTopupRequired(req.query.amount || CREDIT_TOPUP.default);
+  if (!payReq) return res.status(400).json({ error: 'INVALID_AMOUNT', message: `amount must be a decimal of at least ${CREDIT_TOPUP.min}` });
+  res.status(402).json(payReq);
+});
+
+app.post('/x402/credits/topup', async (req, res) => {
+  const paymentSig = req.headers['payment-signature'] || req.headers['x-payment'];
+  if (!paymentSig) return res.status(402).json(createTopupRequired(req.body?.amount || req.query.amount || CREDIT_TOPUP.default) || createTopupRequired());
+
+  const payment = await verifyRestPayment(req, res, 'credits-topup', {}, createTopupRequired(CREDIT_TOPUP.min));
+  if (!payment) return;
+  const { payer, network } = payment;
+  store.appendPayment({ type: 'payment-received', skill: 'credits-topup', wallet: payer, network, timestamp: new Date().toISOString() });
+
+  const settlement = await facilitator.settle(payment.payload, payment.requirement);
+  if (!settlement.success) {
+    store.appendPayment({ type: 'payment-failed', skill: 'credits-topup', wallet: payer, network, error: settlement.errorReason, timestamp: new Date().toISOString() });
+    return res.status(402).json({ ...createTopupRequired(), error: settlement.errorReason, message: settlement.message });
+  }
+  const txHash = settlement.transaction;
+  const entry = creditLedger.topUp(payer, payment.amount, { txHash, network: settlement.network });
+  logSettledPayment({ skill: 'credits-topup', txHash, amount: payment.amount, authorized: payment.amount, scheme: 'exact', wallet: payer, network });
+  console.log(`[credits] Topped up ${formatPrice(payment.amount, pricing.decimals)} for ${payer} (balance ${entry.balance})`);
+  saveStats();
+
+  res.set('X-Credit-Balance', entry.balance);
+  return res.json({
+    wallet: entry.wallet,
+    credited: entry.amount,
+    balance: entry.balance,
+    balanceFormatted: formatPrice(entry.balance, pricing.decimals),
+    currency: pricing.currency,
+    payment: { settled: true, txHash, network: settlement.network, payer: settlement.payer },
+  });
+});
+
+// Balance of the signed-in wallet (Authorization: Bearer <SIWx token>)
+app.get('/x402/credits/balance', (req, res) => {
+  const wallet = bearerWallet(req);
+  if (!wallet) return res.status(401).json({ error: 'UNAUTHORIZED', message: 'Sign in with SIWx and send the session token as Authorization: Bearer <token>' });
+  const balance = creditLedger.balanceOf(wallet);
+  res.json({
+    wallet: wallet.toLowerCase(),
+    balance,
+    balanceFormatted: formatPrice(balance, pricing.decimals),
+    currency: pricing.currency,
+    entries: creditLedger.history(wallet, Math.min(Number(req.query.limit) || 20, 100)),
+  });
+});
+
 app.get('/x402/screenshot', (req, res) => {
-  const payReq = createPaymentRequired('screenshot');
+  const payReq = withSiwxChallenge(createPaymentRequired('screenshot'), 'screenshot');
   res.status(402).json(payReq);
 });
 
 app.post('/x402/screenshot', async (req, res) => {
   const paymentSig = req.headers['payment-signature'] || req.headers['x-payment'];
-  if (!paymentSig) {
-    const payReq = createPaymentRequired('screenshot');
+  const url = req.body?.url || req.query?.url;
+  const viewport = screenshotViewport(req.body?.width || req.query?.width, req.body?.height || req.query?.height);
+  const request = { skill: 'screenshot', url, ...viewport };
+  const siwxWallet = paymentSig ? null : siwxWalletFor(req, request);
+  const creditWallet = paymentSig || siwxWallet ? null : creditWalletFor(req, 'screenshot', request);
+  if (!paymentSig && !siwxWallet && !creditWallet) {
+    const payReq = withSiwxChallenge(createPaymentRequired('screenshot', request), 'screenshot');
     return res.status(402).json(payReq);
   }
-  const url = req.body?.url || req.query?.url;
   if (!url) return res.status(400).json({ error: 'Missing url parameter (body or query)' });
 
-  const taskId = uuidv4();
-  const payer = req.body?.payer || 'http-x402-client';
-  const network = req.body?.network || req.headers['x-payment-network'] || NETWORKS.base.caip2;
-  paymentLog.push({ type: 'payment-received', taskId, skill: 'screenshot', wallet: payer, network, timestamp: new Date().toISOString() });
-  if (payer !== 'http-x402-client') recordSiwxPayment(payer, 'screenshot');
+  const payment = siwxWallet ? useRestSiwxAccess(res, siwxWallet, request)
+    : creditWallet ? drawRestCredits(res, creditWallet, 'screenshot', request)
+    : await verifyRestPayment(req, res, 'screenshot', request);
+  if (!payment) return;
+  const taskId = payment.taskId || uuidv4();
+  const { payer, network } = payment;
+  if (!payment.credits && !payment.siwx) store.appendPayment({ type: 'payment-received', taskId, skill: 'screenshot', wallet: payer, network, timestamp: new Date().toISOString() });
 
   try {
-    const result = await handleScreenshot(url);
+    const result = await handleScreenshot(url, viewport);
     const filePart = result.parts.find(p => p.kind === 'file');
-    const txHash = `0x${uuidv4().replace(/-/g, '')}`;
-    paymentLog.push({ type: 'payment-settled', taskId, skill: 'screenshot', txHash, wallet: payer, network, timestamp: new Date().toISOString() });
+    const settlement = await settleRestPayment(res, payment, taskId, 'screenshot');
+    if (!settlement) return;
+    const txHash = settlement.transaction;
     totalTaskCount++;
     saveStats();
 
@@ -1007,40 +2120,47 @@ app.post('/x402/screenshot', async (req, res) => {
       res.set({
         'Content-Type': filePart.mimeType,
         'Content-Length': imgBuf.length,
-        'X-Payment-Response': JSON.stringify({ settled: true, txHash }),
+        'X-Payment-Response': JSON.stringify({ settled: true, txHash, network: settlement.network, payer: settlement.payer }),
       });
       return res.send(imgBuf);
     }
-    return res.json({ status: 'completed', parts: result.parts, payment: { settled: true, txHash } });
+    return res.json({ status: 'completed', parts: result.parts, payment: { settled: true, txHash, network: settlement.network, payer: settlement.payer } });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
 });
 
 app.get('/x402/pdf', (req, res) => {
-  const payReq = createPaymentRequired('markdown-to-pdf');
+  const payReq = withSiwxChallenge(createPaymentRequired('markdown-to-pdf'), 'markdown-to-pdf');
   res.status(402).json(payReq);
 });
 
 app.post('/x402/pdf', async (req, res) => {
   const paymentSig = req.headers['payment-signature'] || req.headers['x-payment'];
-  if (!paymentSig) {
-    const payReq = createPaymentRequired('markdown-to-pdf');
+  const markdown = req.body?.markdown;
+  const request = { skill: 'markdown-to-pdf', markdown };
+  const siwxWallet = paymentSig ? null : siwxWalletFor(req, request);
+  const creditWallet = paymentSig || siwxWallet ? null : creditWalletFor(req, 'markdown-to-pdf', request);
+  if (!paymentSig && !siwxWallet && !creditWallet) {
+    const payReq = withSiwxChallenge(createPaymentRequired('markdown-to-pdf', request), 'markdown-to-pdf');
     return res.status(402).json(payReq);
   }
-  const markdown = req.body?.markdown;
   if (!markdown) return res.status(400).json({ error: 'Missing markdown in request body' });
 
-  const taskId = uuidv4();
-  const payer = req.body?.payer || 'http-x402-client';
-  const network = req.body?.network || req.headers['x-payment-network'] || NETWORKS.base.caip2;
-  paymentLog.push({ type: 'payment-received', taskId, skill: 'markdown-to-pdf', wallet: payer, network, timestamp: new Date().toISOString() });
+  const payment = siwxWallet ? useRestSiwxAccess(res, siwxWallet, request)
+    : creditWallet ? drawRestCredits(res, creditWallet, 'markdown-to-pdf', request)
+    : await verifyRestPayment(req, res, 'markdown-to-pdf', request);
+  if (!payment) return;
+  const taskId = payment.taskId || uuidv4();
+  const { payer, network } = payment;
+  if (!payment.credits && !payment.siwx) store.appendPayment({ type: 'payment-received', taskId, skill: 'markdown-to-pdf', wallet: payer, network, timestamp: new Date().toISOString() });
 
   try {
     const result = await handleMarkdownToPdf(markdown);
     const filePart = result.parts.find(p => p.kind === 'file');
-    const txHash = `0x${uuidv4().replace(/-/g, '')}`;
-    paymentLog.push({ type: 'payment-settled', taskId, skill: 'markdown-to-pdf', txHash, wallet: payer, network, timestamp: new Date().toISOString() });
+    const settlement = await settleRestPayment(res, payment, taskId, 'markdown-to-pdf');
+    if (!settlement) return;
+    const txHash = settlement.transaction;
     totalTaskCount++;
     saveStats();
 
@@ -1050,11 +2170,11 @@ app.post('/x402/pdf', async (req, res) => {
         'Content-Type': 'application/pdf',
         'Content-Length': pdfBuf.length,
         'Content-Disposition': 'inline; filename="document.pdf"',
-        'X-Payment-Response': JSON.stringify({ settled: true, txHash }),
+        'X-Payment-Response': JSON.stringify({ settled: true, txHash, network: settlement.network, payer: settlement.payer }),
       });
       return res.send(pdfBuf);
     }
-    return res.json({ status: 'completed', parts: result.parts, payment: { settled: true, txHash } });
+    return res.json({ status: 'completed', parts: result.parts, payment: { settled: true, txHash, network: settlement.network, payer: settlement.payer } });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
@@ -1076,29 +2196,35 @@ app.post('/x402/html', async (req, res) => {
 // === Gemini AI Analysis REST endpoints ===
 // x402-gated AI analysis powered by Google Gemini 2.0 Flash
 app.get('/x402/ai-analysis', (req, res) => {
-  const payReq = createPaymentRequired('ai-analysis');
+  const payReq = withSiwxChallenge(createPaymentRequired('ai-analysis'), 'ai-analysis');
   res.status(402).json(payReq);
 });
 
 app.post('/x402/ai-analysis', async (req, res) => {
   const paymentSig = req.headers['payment-signature'] || req.headers['x-payment'];
-  if (!paymentSig) {
-    const payReq = createPaymentRequired('ai-analysis');
+  const content = req.body?.content || req.body?.text || req.body?.prompt;
+  const request = { skill: 'ai-analysis', content };
+  const siwxWallet = paymentSig ? null : siwxWalletFor(req, request);
+  const creditWallet = paymentSig || siwxWallet ? null : creditWalletFor(req, 'ai-analysis', request);
+  if (!paymentSig && !siwxWallet && !creditWallet) {
+    const payReq = withSiwxChallenge(createPaymentRequired('ai-analysis', request), 'ai-analysis');
     return res.status(402).json(payReq);
   }
-  const content = req.body?.content || req.body?.text || req.body?.prompt;
   if (!content) return res.status(400).json({ error: 'Missing content/text/prompt in request body' });
 
-  const taskId = uuidv4();
-  const payer = req.body?.payer || 'http-x402-client';
-  const network = req.body?.network || req.headers['x-payment-network'] || NETWORKS.base.caip2;
-  paymentLog.push({ type: 'payment-received', taskId, skill: 'ai-analysis', wallet: payer, network, timestamp: new Date().toISOString() });
-  if (payer !== 'http-x402-client') recordSiwxPayment(payer, 'ai-analysis');
+  const payment = siwxWallet ? useRestSiwxAccess(res, siwxWallet, request)
+    : creditWallet ? drawRestCredits(res, creditWallet, 'ai-analysis', request)
+    : await verifyRestPayment(req, res, 'ai-analysis', request);
+  if (!payment) return;
+  const taskId = payment.taskId || uuidv4();
+  const { payer, network } = payment;
+  if (!payment.credits && !payment.siwx) store.appendPayment({ type: 'payment-received', taskId, skill: 'ai-analysis', wallet: payer, network, timestamp: new Date().toISOString() });
 
   try {
     const result = await handleAiAnalysis(content);
-    const txHash = `0x${uuidv4().replace(/-/g, '')}`;
-    paymentLog.push({ type: 'payment-settled', taskId, skill: 'ai-analysis', txHash, wallet: payer, network, timestamp: new Date().toISOString() });
+    const settlement = await settleRestPayment(res, payment, taskId, 'ai-analysis', result.usage);
+    if (!settlement) return;
+    const txHash = settlement.transaction;
     totalTaskCount++;
     saveStats();
 
@@ -1109,7 +2235,10 @@ app.post('/x402/ai-analysis', async (req, res) => {
       analysis: textPart?.text || '',
       model: dataPart?.data?.model || GEMINI_MODEL,
       provider: 'Google AI Studio (Gemini)',
-      payment: { settled: true, txHash },
+      payment: {
+        settled: true, txHash, network: settlement.network, payer: settlement.payer,
+        scheme: settlement.scheme, authorizedAmount: settlement.authorizedAmount, chargedAmount: settlement.chargedAmount,
+      },
     });
   } catch (err) {
     return res.status(500).json({ error: err.message });
@@ -1121,14 +2250,14 @@ app.post('/x402/ai-analysis', async (req, res) => {
 // GET returns 402 with standard payment requirements ($0.00)
 // POST with any Payment-Signature returns 200 success
 app.get('/x402/test', (req, res) => {
-  const payReq = createPaymentRequired('x402-test');
+  const payReq = withSiwxChallenge(createPaymentRequired('x402-test'), 'x402-test');
   res.status(402).json(payReq);
 });
 
 app.post('/x402/test', (req, res) => {
   const paymentSig = req.headers['payment-signature'] || req.headers['x-payment'];
   if (!paymentSig) {
-    const payReq = createPaymentRequired('x402-test');
+    const payReq = withSiwxChallenge(createPaymentRequired('x402-test'), 'x402-test');
     return res.status(402).json(payReq);
   }
   // Accept any valid-looking payment signature — no on-chain verification for $0
@@ -1147,35 +2276,42 @@ app.post('/x402/test', (req, res) => {
 
 // === x402 Code Security Scan Endpoint ===
 // Scan source code for security vulnerabilities via regex-based pattern matching
-// GET returns 402 with payment requirements ($0.05)
+// GET returns 402 with payment requirements (price from the pricing registry)
 // POST with Payment-Signature returns vulnerability report
 app.get('/x402/code-scan', (req, res) => {
-  const payReq = createPaymentRequired('code-scan');
+  const payReq = withSiwxChallenge(createPaymentRequired('code-scan'), 'code-scan');
   res.status(402).json(payReq);
 });
 
-app.post('/x402/code-scan', (req, res) => {
+app.post('/x402/code-scan', async (req, res) => {
   const paymentSig = req.headers['payment-signature'] || req.headers['x-payment'];
-  if (!paymentSig) {
-    const payReq = createPaymentRequired('code-scan');
+  const code = req.body?.code;
+  const request = { skill: 'code-scan', code: typeof code === 'string' ? code : undefined };
+  const siwxWallet = paymentSig ? null : siwxWalletFor(req, request);
+  const creditWallet = paymentSig || siwxWallet ? null : creditWalletFor(req, 'code-scan', request);
+  if (!paymentSig && !siwxWallet && !creditWallet) {
+    const payReq = withSiwxChallenge(createPaymentRequired('code-scan', request), 'code-scan');
     return res.status(402).json(payReq);
   }
-  const code = req.body?.code;
   if (!code) return res.status(400).json({ error: 'Missing code in request body' });
-  if (typeof code !== 'string') return res.status(400).json({ error: 'code must be a string' });
-  if (code.length > 100000) return res.status(400).json({ error: 'Code too large (max 100KB)' });
+  // Same bounds as an A2A invocation: the registry's input schema
+  const [invalid] = validateInput(pricing.get('code-scan').bazaar.schema.properties.code, code, 'code');
+  if (invalid) return res.status(400).json({ error: invalid });
 
   const language = req.body?.language || 'javascript';
-  const taskId = uuidv4();
-  const payer = req.body?.payer || 'http-x402-client';
-  const network = req.body?.network || req.headers['x-payment-network'] || NETWORKS.base.caip2;
-  paymentLog.push({ type: 'payment-received', taskId, skill: 'code-scan', wallet: payer, network, timestamp: new Date().toISOString() });
-  if (payer !== 'http-x402-client') recordSiwxPayment(payer, 'code-scan');
+  const payment = siwxWallet ? useRestSiwxAccess(res, siwxWallet, request)
+    : creditWallet ? drawRestCredits(res, creditWallet, 'code-scan', request)
+    : await verifyRestPayment(req, res, 'code-scan', request);
+  if (!payment) return;
+  const taskId = payment.taskId || uuidv4();
+  const { payer, network } = payment;
+  if (!payment.credits && !payment.siwx) store.appendPayment({ type: 'payment-received', taskId, skill: 'code-scan', wallet: payer, network, timestamp: new Date().toISOString() });
 
   try {
     const result = scanCode(code, language);
-    const txHash = `0x${uuidv4().replace(/-/g, '')}`;
-    paymentLog.push({ type: 'payment-settled', taskId, skill: 'code-scan', txHash, wallet: payer, network, timestamp: new Date().toISOString() });
+    const settlement = await settleRestPayment(res, payment, taskId, 'code-scan');
+    if (!settlement) return;
+    const txHash = settlement.transaction;
     totalTaskCount++;
     saveStats();
 
@@ -1185,7 +2321,7 @@ app.post('/x402/code-scan', (req, res) => {
       score: result.score,
       language,
       linesScanned: code.split('\n').length,
-      payment: { settled: true, txHash },
+      payment: { settled: true, txHash, network: settlement.network, payer: settlement.payer },
     });
   } catch (err) {
     return res.status(500).json({ error: err.message });
@@ -1225,7 +2361,7 @@ app.get('/gemini', (req, res) => {
     description: 'AI-powered content analysis, summarization, and insights using Google Gemini 2.0 Flash',
     endpoints: {
       free: { method: 'POST', path: '/gemini', maxChars: 500, description: 'Free demo (limited)' },
-      paid: { method: 'POST', path: '/x402/ai-analysis', price: '$0.01 USDC', description: 'Full analysis via x402 payment' },
+      paid: { method: 'POST', path: '/x402/ai-analysis', price: `${pricing.priceLabel('ai-analysis')} ${pricing.currency}`, description: 'Full analysis via x402 payment' },
     },
     usage: {
       body: { content: 'Text to analyze (or use text/prompt field)' },
@@ -1258,70 +2394,129 @@ app.get('/x402/chains', (req, res) => {
 // /x402/settlement — Arbitrum Sepolia on-chain settlement contract info
 app.get('/x402/settlement', (req, res) => {
   res.json({
-    contract: ARBITRUM_SEPOLIA_SETTLEMENT,
-    network: NETWORKS.arbitrumSepolia,
-    abi: ['function recordSettlement(address payer, address payee, uint256 amount, bytes32 taskId)', 'function getSettlement(bytes32 taskId) view returns (address payer, address payee, uint256 amount, uint256 timestamp, bool exists)', 'event SettlementRecorded(bytes32 indexed taskId, address indexed payer, address indexed payee, uint256 amount, uint256 timestamp)'],
-    explorer: `https://sepolia.arbiscan.io/address/${ARBITRUM_SEPOLIA_SETTLEMENT}`,
+    contract: SETTLEMENT_CONTRACT,
+    network: SETTLEMENT_NETWORK,
+    abi: SETTLEMENT_ABI,
+    // Settled payments are recorded automatically: settlementId = keccak256(taskId)
+    recorder: settlementRecorder ? { enabled: true, ...settlementRecorder.stats() } : { enabled: false },
+    proofs: '/x402/settlement/proof/:taskId',
+    disputes: '/x402/disputes',
+    escrow: settlementExtensions
+      ? { enabled: true, token: ESCROW_TOKEN, payTo: WALLET_ADDRESS, minTimeoutSeconds: ESCROW_MIN_TIMEOUT_SECONDS, escrowId: 'keccak256(taskId)' }
+      : { enabled: false },
+    explorer: `${SETTLEMENT_NETWORK.explorer}/address/${SETTLEMENT_CONTRACT}`,
     description: 'On-chain settlement contract for recording AI agent-to-agent micropayment settlements on Arbitrum Sepolia',
   });
 });
 
-// /x402/bazaar — machine-readable service catalog for automated agent discovery
+// /x402/settlement/proof/:taskId — a task's on-chain record and how to check it against the contract:
+// getSettlement() for settlements recorded one by one, verifySettlementProof() for Merkle batches
+app.get('/x402/settlement/proof/:taskId', (req, res) => {
+  const { taskId } = req.params;
+  const payment = store.findPayments({ taskId, type: 'payment-settled' }).at(-1);
+  if (!payment) return res.status(404).json({ error: `No settled payment for task ${taskId}` });
+  const record = payment.settlementRecord;
+  if (!record) {
+    const pending = settlementRecorder?.isPending(taskId) || false;
+    return res.status(404).json({ error: pending ? 'Settlement is waiting to be recorded' : 'Settlement was not recorded on-chain', pending });
+  }
+  const verify = record.batch
+    ? {
+      function: 'verifySettlementProof',
+      args: [record.batch.root, record.settlementId, record.payer, record.payee, record.amount, record.proof],
+      valid: verifySettlementProof(settlementLeaf(record), record.proof, record.batch.root),
+    }
+    : { function: 'getSettlement', args: [record.settlementId] };
+  res.json({ taskId, ...record, verify });
+});
+
+// === Disputes (Authorization: Bearer <SIWx token>) ===
+const DISPUTE_STATUS = {
+  [DISPUTE_ERRORS.NOT_FOUND]: 404,
+  [DISPUTE_ERRORS.NOT_DISPUTABLE]: 409,
+  [DISPUTE_ERRORS.NOT_PAYER]: 403,
+  [DISPUTE_ERRORS.ALREADY_DISPUTED]: 409,
+  [DISPUTE_ERRORS.NOT_OPEN]: 409,
+  [DISPUTE_ERRORS.INVALID_REASON]: 400,
+  [DISPUTE_ERRORS.INVALID_OUTCOME]: 400,
+};
+const DISPUTE_MESSAGES = {
+  [DISPUTE_ERRORS.NOT_FOUND]: 'No dispute for this task',
+  [DISPUTE_ERRORS.NOT_DISPUTABLE]: 'Only a task that failed after its payment was verified can be disputed',
+  [DISPUTE_ERRORS.NOT_PAYER]: 'Only the wallet that paid for the task can dispute it',
+  [DISPUTE_ERRORS.ALREADY_DISPUTED]: 'This task is already disputed',
+  [DISPUTE_ERRORS.NOT_OPEN]: 'This dispute is already resolved',
+  [DISPUTE_ERRORS.INVALID_REASON]: 'reason must be a non-empty string of at most 1000 characters',
+  [DISPUTE_ERRORS.INVALID_OUTCOME]: `outcome must be one of ${Object.keys(DISPUTE_OUTCOMES).join(', ')}`,
+};
+const disputeError = (res, error) => res.status(DISPUTE_STATUS[error]).json({ error, message: DISPUTE_MESSAGES[error] });
+const isResolver = (wallet) => Boolean(wallet) && DISPUTE_RESOLVERS.has(wallet.toLowerCase());
+
+// Signed-in wallet of the request, or null after sending a 401
+function disputeWallet(req, res) {
+  const wallet = bearerWallet(req);
+  if (!wallet) res.status(401).json({ error: 'UNAUTHORIZED', message: 'Sign in with SIWx and send the session token as Authorization: Bearer <token>' });
+  return wallet;
+}
+
+app.post('/x402/disputes', (req, res) => {
+  const wallet = disputeWallet(req, res);
+  if (!wallet) return;
+  const task = tasks.get(req.body?.taskId);
+  if (!task) return res.status(404).json({ error: DISPUTE_ERRORS.NOT_FOUND, message: `Task ${req.body?.taskId} not found` });
+  const opened = disputes.open(task, { wallet, reason: req.body?.reason });
+  if (!opened.ok) return disputeError(res, opened.error);
+  trackDispute(opened.dispute, 'open');
+  console.log(`[dispute] ${wallet} disputed ${task.id}`);
+  res.status(201).json(opened.dispute);
+});
+
+app.get('/x402/disputes', (req, res) => {
+  const wallet = disputeWallet(req, res);
+  if (!wallet) return;
+  if (!isResolver(wallet)) return res.status(403).json({ error: 'FORBIDDEN', message: 'Listing disputes is for dispute resolvers' });
+  res.json({ disputes: disputes.list({ status: req.query.status }) });
+});
+
+app.get('/x402/disputes/:taskId', (req, res) => {
+  const wallet = disputeWallet(req, res);
+  if (!wallet) return;
+  const dispute = disputes.get(req.params.taskId);
+  if (!dispute) return disputeError(res, DISPUTE_ERRORS.NOT_FOUND);
+  if (dispute.payer.toLowerCase() !== wallet.toLowerCase() && !isResolver(wallet)) return disputeError(res, DISPUTE_ERRORS.NOT_PAYER);
+  res.json(dispute);
+});
+
+app.post('/x402/disputes/:taskId/resolve', (req, res) => {
+  const wallet = disputeWallet(req, res);
+  if (!wallet) return;
+  if (!isResolver(wallet)) return res.status(403).json({ error: 'FORBIDDEN', message: 'Resolving disputes is for dispute resolvers' });
+  const resolved = disputes.resolve(req.params.taskId, { outcome: req.body?.outcome, resolver: wallet, note: req.body?.note ?? null });
+  if (!resolved.ok) return disputeError(res, resolved.error);
+  trackDispute(resolved.dispute, req.body.outcome);
+  console.log(`[dispute] ${wallet} resolved ${req.params.taskId}: ${resolved.dispute.status}${resolved.refundDue ? ' (refund due)' : ''}`);
+  res.json({ ...resolved.dispute, refundDue: resolved.refundDue });
+});
+
+// /x402/bazaar — machine-readable service catalog for automated agent discovery, one service per
+// registry entry
+
 app.get('/x402/bazaar', (req, res) => {
   res.json({
     provider: { name: 'OpSpawn AI Agent', url: PUBLIC_URL, wallet: WALLET_ADDRESS },
-    services: [
-      {
-        id: 'screenshot', name: 'Web Screenshot', description: 'Capture any webpage as PNG image',
-        price: { amount: '0.01', currency: 'USDC' },
-        chains: Object.values(NETWORKS).map(n => ({ caip2: n.caip2, name: n.name, gasless: n.gasless || false })),
-        input: { type: 'application/json', schema: { url: { type: 'string', required: true, description: 'URL to capture' } } },
-        output: { type: 'image/png' },
-        endpoints: { a2a: '/a2a', rest: '/x402/screenshot' },
-      },
-      {
-        id: 'markdown-to-pdf', name: 'Markdown to PDF', description: 'Convert markdown text to PDF document',
-        price: { amount: '0.005', currency: 'USDC' },
-        chains: Object.values(NETWORKS).map(n => ({ caip2: n.caip2, name: n.name, gasless: n.gasless || false })),
-        input: { type: 'application/json', schema: { markdown: { type: 'string', required: true, description: 'Markdown content' } } },
-        output: { type: 'application/pdf' },
-        endpoints: { a2a: '/a2a', rest: '/x402/pdf' },
-      },
-      {
-        id: 'ai-analysis', name: 'AI Content Analysis (Gemini)', description: 'Analyze or summarize content using Google Gemini 2.0 Flash',
-        price: { amount: '0.01', currency: 'USDC' },
-        chains: Object.values(NETWORKS).map(n => ({ caip2: n.caip2, name: n.name, gasless: n.gasless || false })),
-        input: { type: 'application/json', schema: { content: { type: 'string', required: true, description: 'Text to analyze' } } },
-        output: { type: 'application/json' },
-        endpoints: { a2a: '/a2a', rest: '/x402/ai-analysis', free: '/gemini' },
-        poweredBy: 'Google AI Studio (Gemini 2.0 Flash)',
-      },
-      {
-        id: 'markdown-to-html', name: 'Markdown to HTML', description: 'Convert markdown text to HTML (free)',
-        price: { amount: '0', currency: 'USDC' },
-        chains: [{ caip2: 'none', name: 'Free (no payment required)', gasless: true }],
-        input: { type: 'application/json', schema: { markdown: { type: 'string', required: true, description: 'Markdown content' } } },
-        output: { type: 'text/html' },
-        endpoints: { a2a: '/a2a', rest: '/x402/html' },
-      },
-      {
-        id: 'x402-test', name: 'x402 Test Flow', description: 'Test x402 payment flow with zero cost — validates client integration',
-        price: { amount: '0', currency: 'USDC' },
-        chains: Object.values(NETWORKS).map(n => ({ caip2: n.caip2, name: n.name, gasless: n.gasless || false })),
-        input: { type: 'any' },
-        output: { type: 'application/json' },
-        endpoints: { rest: '/x402/test' },
-        test: true,
-      },
-      {
-        id: 'code-scan', name: 'Code Security Scan', description: 'Scan source code for security vulnerabilities (SQL injection, XSS, command injection, path traversal, hardcoded secrets, insecure crypto)',
-        price: { amount: '0.05', currency: 'USDC' },
-        chains: Object.values(NETWORKS).map(n => ({ caip2: n.caip2, name: n.name, gasless: n.gasless || false })),
-        input: { type: 'application/json', schema: { code: { type: 'string', required: true, description: 'Source code to scan' }, language: { type: 'string', description: 'Programming language' } } },
-        output: { type: 'application/json' },
-        endpoints: { rest: '/x402/code-scan' },
-      },
-    ],
+    services: pricing.list().map(skill => ({
+      id: skill.id, name: skill.name, description: skill.description,
+      price: { amount: skill.price, currency: pricing.currency },
+      chains: skill.requiresPayment
+        ? Object.values(NETWORKS).map(n => ({ caip2: n.caip2, name: n.name, gasless: n.gasless || false }))
+        : [{ caip2: 'none', name: 'Free (no payment required)', gasless: true }],
+      input: { type: 'application/json', schema: skill.bazaar?.schema || null, example: skill.bazaar?.info?.input },
+      output: { type: skill.mimeType },
+      endpoints: skill.endpoints,
+      ...(skill.poweredBy && { poweredBy: skill.poweredBy }),
+      // A $0 skill that still goes through the payment flow exists to test client integrations
+      ...(skill.requiresPayment && skill.amount === '0' && { test: true }),
+    })),
     payment: {
       protocol: 'x402', version: '2.0',
       networks: Object.entries(NETWORKS).map(([key, n]) => ({ id: key, caip2: n.caip2, name: n.name, gasless: n.gasless || false })),
@@ -1345,10 +2540,10 @@ app.get('/stats', (req, res) => {
     return res.json({
       agent: { name: 'OpSpawn AI Agent', version: '2.2.0', url: PUBLIC_URL },
       uptime: { seconds: Math.round(uptime), human: formatUptime(uptime) },
-      services: agentCard.skills.map(s => ({ id: s.id, name: s.name, price: s.id === 'code-scan' ? '$0.05' : s.id === 'screenshot' ? '$0.01' : s.id === 'ai-analysis' ? '$0.01' : s.id === 'markdown-to-pdf' ? '$0.005' : 'free' })),
+      services: agentCard.skills.map(s => ({ id: s.id, name: s.name, price: pricing.priceLabel(s.id) || 'free' })),
       networks: Object.values(NETWORKS).map(n => ({ network: n.caip2, name: n.name, gasless: n.gasless || false })),
       protocol: {
-        a2a: { version: '0.3.0', methods: ['message/send', 'tasks/get', 'tasks/cancel'] },
+        a2a: { version: '0.3.0', methods: ['message/send', 'message/stream', 'tasks/get', 'tasks/list', 'tasks/cancel', 'tasks/resubscribe'] },
         x402: { version: '2.0', features: ['siwx', 'payment-identifier', 'bazaar-discovery', 'multi-chain'] },
       },
       timestamp: now,
@@ -1357,10 +2552,10 @@ app.get('/stats', (req, res) => {
 
   // Authenticated (or no key configured): full stats
   const byType = {
-    required: paymentLog.filter(p => p.type === 'payment-required').length,
-    received: paymentLog.filter(p => p.type === 'payment-received').length,
-    settled: paymentLog.filter(p => p.type === 'payment-settled').length,
-    siwxAccess: paymentLog.filter(p => p.type === 'siwx-access').length,
+    required: store.countPayments('payment-required'),
+    received: store.countPayments('payment-received'),
+    settled: store.countPayments('payment-settled'),
+    siwxAccess: store.countPayments('siwx-access'),
   };
   const allTasks = [...tasks.values()];
   const completed = allTasks.filter(t => t.status.state === 'completed').length;
@@ -1379,13 +2574,13 @@ app.get('/stats', (req, res) => {
     sessions: {
       siwx: siwxSessions.size,
       reuseCount: byType.siwxAccess,
-      savingsEstimate: (byType.siwxAccess * 0.01).toFixed(4),
+      savingsEstimate: store.findPayments({ type: 'siwx-access' }).reduce((sum, p) => sum + pricing.priceOf(p.skill), 0).toFixed(4),
     },
-    services: agentCard.skills.map(s => ({ id: s.id, name: s.name, price: s.id === 'code-scan' ? '$0.05' : s.id === 'screenshot' ? '$0.01' : s.id === 'ai-analysis' ? '$0.01' : s.id === 'markdown-to-pdf' ? '$0.005' : 'free' })),
+    services: agentCard.skills.map(s => ({ id: s.id, name: s.name, price: pricing.priceLabel(s.id) || 'free' })),
     networks: Object.values(NETWORKS).map(n => ({ network: n.caip2, name: n.name, gasless: n.gasless || false })),
     recentActivity: { count: Math.min(paymentLog.length, 10), note: 'Detailed activity log removed for security' },
     protocol: {
-      a2a: { version: '0.3.0', methods: ['message/send', 'tasks/get', 'tasks/cancel'] },
+      a2a: { version: '0.3.0', methods: ['message/send', 'message/stream', 'tasks/get', 'tasks/list', 'tasks/cancel', 'tasks/resubscribe'] },
       x402: { version: '2.0', features: ['siwx', 'payment-identifier', 'bazaar-discovery', 'multi-chain'] },
     },
     timestamp: now,
@@ -1398,10 +2593,13 @@ function calculateDetailedRevenue() {
   const skillCounts = {};
   let total = 0;
   let settledCount = 0;
+  const unpriced = new Set();
   const timestamps = [];
   for (const p of paymentLog) {
     if (p.type === 'payment-settled') {
-      const amount = p.skill === 'screenshot' ? 0.01 : p.skill === 'ai-analysis' ? 0.01 : p.skill === 'markdown-to-pdf' ? 0.005 : 0;
+      // Settlements record the amount actually charged; older entries fall back to the registry price
+      if (p.amount === undefined && !pricing.get(p.skill)) unpriced.add(p.skill);
+      const amount = p.amount !== undefined ? fromAtomic(p.amount, pricing.decimals) : pricing.priceOf(p.skill);
       total += amount;
       settledCount++;
       bySkill[p.skill] = (bySkill[p.skill] || 0) + amount;
@@ -1420,15 +2618,16 @@ function calculateDetailedRevenue() {
     avgInterval = Math.round(intervals.reduce((a, b) => a + b, 0) / intervals.length / 1000);
   }
   return {
-    currency: 'USDC',
+    currency: pricing.currency,
     total: total.toFixed(4),
     avgPerTask: settledCount > 0 ? (total / settledCount).toFixed(4) : '0',
     avgPaymentInterval: avgInterval ? `${avgInterval}s` : null,
     bySkill: Object.fromEntries(Object.entries(bySkill).map(([k, v]) => [k, { amount: v.toFixed(4), count: skillCounts[k] || 0 }])),
     byNetwork: Object.fromEntries(Object.entries(byNetwork).map(([k, v]) => [k, { amount: v.toFixed(4), gasless: k === NETWORKS.skale.caip2 }])),
-    conversionRate: paymentLog.filter(p => p.type === 'payment-required').length > 0
-      ? ((settledCount / paymentLog.filter(p => p.type === 'payment-required').length) * 100).toFixed(1) + '%'
+    conversionRate: store.countPayments('payment-required') > 0
+      ? ((settledCount / store.countPayments('payment-required')) * 100).toFixed(1) + '%'
       : 'N/A',
+    unpricedSkills: [...unpriced],
   };
 }
 
@@ -1443,15 +2642,17 @@ app.listen(PORT, () => {
   console.log(`\n  A2A x402 Gateway on http://localhost:${PORT}`);
   console.log(`  Agent Card: /.well-known/agent-card.json`);
   console.log(`  Dashboard:  /dashboard`);
-  console.log(`  Services: screenshot($0.01), ai-analysis($0.01), md-to-pdf($0.005), md-to-html(free)`);
+  console.log(`  Services: ${pricing.list().map(p => `${p.id}(${pricing.priceLabel(p.id)})`).join(', ')}`);
   console.log(`  Gemini: ${GEMINI_API_KEY ? 'API key configured' : 'No API key (will use fallback)'} | Model: ${GEMINI_MODEL}`);
   console.log(`  Wallet: ${WALLET_ADDRESS}\n`);
 });
 
-// Persist stats every 60s and on shutdown
+// Persist stats every 60s and on shutdown; sweep expired tasks at startup and every 60s
 setInterval(saveStats, 60000);
-process.on('SIGTERM', () => { saveStats(); process.exit(0); });
-process.on('SIGINT', () => { saveStats(); process.exit(0); });
+sweepTasks();
+setInterval(sweepTasks, 60000);
+process.on('SIGTERM', () => { saveStats(); store.close(); process.exit(0); });
+process.on('SIGINT', () => { saveStats(); store.close(); process.exit(0); });
 
 // === Dashboard HTML ===
 function getDashboardHtml() {
@@ -1462,7 +2663,7 @@ function getDashboardHtml() {
 <div class="ct">
 <div class="card" style="margin-bottom:1.5rem"><h2>Payment Flow</h2><div class="flow"><span class="fs fc">Agent Client</span><span class="fa">&rarr;</span><span class="fs fg">A2A Gateway</span><span class="fa">&rarr;</span><span class="fs fp">402: Pay USDC</span><span class="fa">&rarr;</span><span class="fs fv">Service Result</span></div><p style="text-align:center;color:#888;margin-top:.5rem;font-size:.9rem">Agent sends A2A message &rarr; Gateway returns payment requirements &rarr; Agent signs USDC &rarr; Gateway delivers result</p></div>
 <div class="grid">
-<div class="card"><h2>Agent Skills</h2><div class="sc"><span class="sn">Web Screenshot</span><span class="sp pd">$0.01</span><div class="sd">Capture any webpage as PNG + Gemini AI analysis.</div></div><div class="sc"><span class="sn">AI Analysis (Gemini)</span><span class="sp pd">$0.01</span><div class="sd">Analyze/summarize content via Google Gemini 2.0 Flash.</div></div><div class="sc"><span class="sn">Markdown to PDF</span><span class="sp pd">$0.005</span><div class="sd">Convert markdown to styled PDF document.</div></div><div class="sc"><span class="sn">Markdown to HTML</span><span class="sp fr">FREE</span><div class="sd">Convert markdown to styled HTML.</div></div></div>
+<div class="card"><h2>Agent Skills</h2><div class="sc"><span class="sn">Web Screenshot</span><span class="sp pd">${pricing.priceLabel('screenshot')}</span><div class="sd">Capture any webpage as PNG + Gemini AI analysis.</div></div><div class="sc"><span class="sn">AI Analysis (Gemini)</span><span class="sp pd">${pricing.priceLabel('ai-analysis')}</span><div class="sd">Analyze/summarize content via Google Gemini 2.0 Flash.</div></div><div class="sc"><span class="sn">Markdown to PDF</span><span class="sp pd">${pricing.priceLabel('markdown-to-pdf')}</span><div class="sd">Convert markdown to styled PDF document.</div></div><div class="sc"><span class="sn">Markdown to HTML</span><span class="sp fr">FREE</span><div class="sd">Convert markdown to styled HTML.</div></div></div>
 <div class="card"><h2>Endpoints</h2><ul class="el"><li><span>GET</span> /.well-known/agent-card.json</li><li><span>POST</span> / (message/send)</li><li><span>POST</span> / (tasks/get, tasks/cancel)</li><li><span>GET</span> /x402 — Service catalog</li><li><span>GET</span> /x402/screenshot — 402 payment req</li><li><span>POST</span> /x402/screenshot — REST + payment</li><li><span>GET</span> /x402/ai-analysis — 402 payment req</li><li><span>POST</span> /x402/ai-analysis — Gemini AI + payment</li><li><span>POST</span> /gemini — Free Gemini demo</li><li><span>POST</span> /x402/pdf — REST + payment</li><li><span>POST</span> /x402/html — Free HTML convert</li><li><span>GET</span> /x402/chains — Chain metadata</li><li><span>GET</span> /stats, /health, /api/info</li></ul></div>
 <div class="card"><h2>Payment Info (x402 V2)</h2><div class="sr" style="flex-wrap:wrap"><span class="sl">Networks</span><span class="sv" style="font-size:.85rem">Base + SKALE Europa (gasless)</span></div><div class="sr"><span class="sl">Token</span><span class="sv">USDC</span></div><div class="sr"><span class="sl">Wallet</span><span class="sv" style="font-size:.7rem;word-break:break-all;max-width:65%">${WALLET_ADDRESS}</span></div><div class="sr"><span class="sl">Facilitator</span><span class="sv">PayAI</span></div><div class="sr"><span class="sl">Protocol</span><span class="sv">x402 V2 + A2A v0.3</span></div><div class="sr"><span class="sl">SIWx</span><span class="sv" style="color:#66ffcc">Active (pay once, reuse)</span></div><div class="sr"><span class="sl">SIWx Sessions</span><span class="sv" id="ss">0</span></div></div>
 <div class="card"><h2>Live Stats</h2><p style="color:#71717a;font-size:.7rem;margin-bottom:.5rem">(demo traffic &mdash; protocol verification)</p><div class="sr"><span class="sl">Payment Events</span><span class="sv" id="sp">0</span></div><div class="sr"><span class="sl">Tasks</span><span class="sv" id="st">0</span></div><div class="sr"><span class="sl">USDC Settled (demo)</span><span class="sv" id="sr-rev" style="color:#4dff88">$0.0000</span></div><div class="sr"><span class="sl">Conversion Rate</span><span class="sv" id="sr-conv">N/A</span></div><div class="sr"><span class="sl">Uptime</span><span class="sv" id="su">0s</span></div><div class="sr"><span class="sl">Agent Card</span><span class="sv"><a href="/.well-known/agent-card.json" style="color:#4da6ff">View JSON</a></span></div><h3 style="color:#888;font-size:.9rem;margin-top:1rem;margin-bottom:.5rem">Recent Activity</h3><div id="pl" style="max-height:200px;overflow-y:auto"></div></div>
@@ -2030,7 +3231,7 @@ async function runDemo1(){
 
   const result=document.getElementById('s1-result');
   const preview=document.getElementById('s1-preview');
-  const htmlData=data.result?.status?.message?.parts?.find(p=>p.kind==='data');
+  const htmlData=data.result?.artifacts?.[0]?.parts?.find(p=>p.kind==='data');
   if(htmlData?.data?.html){
     const iframe=document.createElement('iframe');
     iframe.srcdoc=htmlData.data.html;
@@ -2094,11 +3295,13 @@ async function runDemo2(){
 
   const result=document.getElementById('s2-result');
   const preview=document.getElementById('s2-preview');
-  const imgPart=data2.result?.status?.message?.parts?.find(p=>p.kind==='file');
-  const textPart=data2.result?.status?.message?.parts?.find(p=>p.kind==='text');
+  const resultParts=data2.result?.artifacts?.[0]?.parts||[];
+  const imgPart=resultParts.find(p=>p.kind==='file');
+  const textPart=resultParts.find(p=>p.kind==='text');
   let html='';
   if(textPart)html+='<p style="color:#4dff88;margin-bottom:1rem">'+textPart.text+'</p>';
-  if(imgPart&&imgPart.data)html+='<img src="data:'+imgPart.mimeType+';base64,'+imgPart.data+'" style="max-width:100%;border-radius:8px;border:1px solid #333">';
+  const imgSrc=imgPart?.file?.uri||(imgPart?.file?.bytes&&'data:'+imgPart.file.mimeType+';base64,'+imgPart.file.bytes);
+  if(imgSrc)html+='<img src="'+imgSrc+'" style="max-width:100%;border-radius:8px;border:1px solid #333">';
   if(!imgPart)html+='<pre style="color:#ccc;font-size:.85rem">'+JSON.stringify(data2,null,2).slice(0,1000)+'</pre>';
   preview.innerHTML=html;
   result.classList.add('show');
@@ -0,0 +1,62 @@
+/**
+ * Settlement Merkle trees — batches of settlements committed as one root
+ *
+ * Mirrors AgentPaymentSettlement's commitSettlementRoot/verifySettlementProof:
+ *   leaf = keccak256(keccak256(abi.encode(settlementId, payer, payee, amount)))
+ *   node = keccak256(min(a, b) ++ max(a, b))
+ * Pairs are hashed in sorted order, so a proof is just the sibling hashes from the leaf up;
+ * a node without a sibling moves up a level unchanged. A batch of one has its leaf as root
+ * and an empty proof.
+ */
+
+import { AbiCoder, concat, keccak256 } from 'ethers';
+
+const abi = AbiCoder.defaultAbiCoder();
+
+const hashPair = (a, b) => keccak256(concat(a < b ? [a, b] : [b, a]));
+
+/**
+ * Leaf of a settlement, as the contract's settlementLeaf() computes it
+ * @param {{ settlementId: string, payer: string, payee: string, amount: string|bigint }} settlement
+ * @returns {string} bytes32 hex
+ */
+export function settlementLeaf({ settlementId, payer, payee, amount }) {
+  return keccak256(keccak256(abi.encode(['bytes32', 'address', 'address', 'uint256'], [settlementId, payer, payee, amount])));
+}
+
+/**
+ * Merkle tree over settlements, in order
+ * @param {Array<{ settlementId: string, payer: string, payee: string, amount: string|bigint }>} settlements
+ * @returns {{ root: string, leaves: string[], proofs: string[][] }} proofs[i] proves settlements[i]
+ */
+export function buildSettlementTree(settlements) {
+  if (!settlements.length) throw new Error('A settlement tree needs at least one settlement');
+  const leaves = settlements.map(settlementLeaf);
+  const layers = [leaves];
+  while (layers.at(-1).length > 1) {
+    const layer = layers.at(-1);
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    layers.push(next);
+  }
+  const proofs = leaves.map((leaf, index) => {
+    const proof = [];
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index ^ 1;
+      if (sibling < layer.length) proof.push(layer[sibling]);
+      index >>= 1;
+    }
+    return proof;
+  });
+  return { root: layers.at(-1)[0], leaves, proofs };
+}
+
+/**
+ * Check a proof the way the contract does (without checking the root is committed)
+ * @param {string} leaf
+ * @param {string[]} proof
+ * @param {string} root
+ */
+export function verifySettlementProof(leaf, proof, root) {
+  return proof.reduce(hashPair, leaf) === root.toLowerCase();
+}
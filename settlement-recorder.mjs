@@ -0,0 +1,486 @@
+/**
+ * Settlement Recorder — settled x402 payments written to the AgentPaymentSettlement contract
+ *
+ * Every settled payment is queued and recorded on-chain with
+ * recordSettlement(payer, payee, amount, keccak256(key)), where the key is the task id
+ * (or `credits-topup:<payment tx>` for credit top-ups, which have no task). It is sent
+ * through an authorized recorder key.
+ *
+ * Queued settlements are grouped into batches, one transaction each:
+ *   - single: one recordSettlement() per settlement
+ *   - array:  recordSettlementBatch() with up to `batchSize` settlements
+ *   - merkle: commitSettlementRoot() with the Merkle root of up to `batchSize` settlement
+ *             leaves; every settlement gets an inclusion proof (settlement-merkle.mjs)
+ * A batch is formed once `batchSize` settlements are waiting or the oldest has waited
+ * `batchIntervalMs`, and its members never change after that, so its root is stable.
+ * Escrowed payments go through the same key and queue (enqueueEscrow): markEscrowCompleted()
+ * lets the payee claim and records the settlement, markEscrowFailed() lets the payer reclaim.
+ * Disputes do too (enqueueDispute): openDispute() on the payer's behalf, then resolveDispute(),
+ * for which the recorder key also needs the contract's dispute resolver role.
+ *
+ * Batches are sent one at a time. The recorder tracks the key's next nonce locally and
+ * resyncs it from the chain's pending count after any failed send. A failed batch is retried
+ * with exponential backoff, while the batches behind it carry on; after `maxAttempts` its
+ * settlements are dead-lettered. Settlements (or a root) the contract already holds count as
+ * recorded, and a batch with a sent transaction is confirmed rather than resent after a
+ * restart, so a payment is never recorded twice. The queue is saved with the store's
+ * documents (toJSON).
+ *
+ * The chain is an adapter ({ address, nonce, isRecorded, isCommitted, getEscrow, getDispute, send, confirm }):
+ * createContractChain() talks to the deployed contract over JSON-RPC, and createMockChain()
+ * keeps records in memory for tests and offline runs.
+ */
+
+import { Contract, JsonRpcProvider, Wallet, ZeroHash, getAddress, id as keccakId, isAddress, keccak256, toUtf8Bytes } from 'ethers';
+import { buildSettlementTree } from './settlement-merkle.mjs';
+
+export const SETTLEMENT_ABI = [
+  'function recordSettlement(address payer, address payee, uint256 amount, bytes32 taskId)',
+  'function getSettlement(bytes32 taskId) view returns (address payer, address payee, uint256 amount, uint256 timestamp, bool exists)',
+  'function recordSettlementBatch(address[] payers, address[] payees, uint256[] amounts, bytes32[] taskIds)',
+  'function commitSettlementRoot(bytes32 root, uint256 count, uint256 totalAmount)',
+  'function settlementBatches(bytes32 root) view returns (uint256 count, uint256 totalAmount, uint256 timestamp, bool exists)',
+  'function settlementLeaf(bytes32 taskId, address payer, address payee, uint256 amount) pure returns (bytes32)',
+  'function verifySettlementProof(bytes32 root, bytes32 taskId, address payer, address payee, uint256 amount, bytes32[] proof) view returns (bool)',
+  'function depositEscrow(bytes32 taskId, address payee, address token, uint256 amount, uint256 timeout)',
+  'function markEscrowCompleted(bytes32 taskId)',
+  'function markEscrowFailed(bytes32 taskId)',
+  'function claimEscrow(bytes32 taskId)',
+  'function reclaimEscrow(bytes32 taskId)',
+  'function getEscrow(bytes32 taskId) view returns (address payer, address payee, address token, uint256 amount, uint256 deadline, uint8 state)',
+  'function openDispute(bytes32 taskId, address payer, bytes32 reasonHash)',
+  'function resolveDispute(bytes32 taskId, bool refundPayer)',
+  'function getDispute(bytes32 taskId) view returns (address payer, bytes32 reasonHash, uint8 state, uint256 openedAt, uint256 resolvedAt, address resolver)',
+  'function isReversed(bytes32 taskId) view returns (bool)',
+  'function getSettlementsByPayer(address payer, uint256 offset, uint256 limit) view returns (tuple(address payer, address payee, uint256 amount, bytes32 taskId, uint256 timestamp, bool exists)[] page)',
+  'function getSettlementsByPayee(address payee, uint256 offset, uint256 limit) view returns (tuple(address payer, address payee, uint256 amount, bytes32 taskId, uint256 timestamp, bool exists)[] page)',
+  'function payerSettlementCount(address payer) view returns (uint256)',
+  'function payeeSettlementCount(address payee) view returns (uint256)',
+  'function paused() view returns (bool)',
+  'event SettlementRecorded(bytes32 indexed taskId, address indexed payer, address indexed payee, uint256 amount, uint256 timestamp)',
+  'event SettlementBatchCommitted(bytes32 indexed root, uint256 count, uint256 totalAmount, uint256 timestamp)',
+  'event EscrowDeposited(bytes32 indexed taskId, address indexed payer, address indexed payee, address token, uint256 amount, uint256 deadline)',
+  'event EscrowCompleted(bytes32 indexed taskId)',
+  'event EscrowFailed(bytes32 indexed taskId)',
+  'event EscrowClaimed(bytes32 indexed taskId, address indexed payee, uint256 amount)',
+  'event EscrowRefunded(bytes32 indexed taskId, address indexed payer, uint256 amount)',
+  'event DisputeOpened(bytes32 indexed taskId, address indexed payer, address openedBy, bytes32 reasonHash)',
+  'event DisputeResolvedRefund(bytes32 indexed taskId, address indexed resolver)',
+  'event DisputeResolvedPayee(bytes32 indexed taskId, address indexed resolver)',
+  'event Paused(address account)',
+  'event Unpaused(address account)',
+];
+
+export const BATCH_MODES = ['single', 'array', 'merkle'];
+
+// The contract's EscrowState enum, in order
+export const ESCROW_STATES = ['none', 'funded', 'completed', 'failed', 'claimed', 'refunded'];
+
+// States an escrow transition leaves behind, including the payout that may follow it
+const ESCROW_DONE = { complete: ['completed', 'claimed'], fail: ['failed', 'refunded'] };
+
+// The contract's DisputeState enum, in order
+export const DISPUTE_STATES = ['none', 'opened', 'resolved-refund', 'resolved-payee'];
+
+// State each dispute action leads to
+const DISPUTE_DONE = { open: 'opened', refund: 'resolved-refund', payee: 'resolved-payee' };
+
+/**
+ * On-chain id of a settlement: keccak256 of its key (the task id)
+ * @param {string} key
+ * @returns {string} bytes32 hex
+ */
+export function settlementIdOf(key) {
+  return keccakId(key);
+}
+
+/**
+ * Chain adapter for the deployed contract
+ * @param {{ rpcUrl: string, privateKey: string, contractAddress: string, confirmTimeoutMs?: number }} options
+ */
+export function createContractChain({ rpcUrl, privateKey, contractAddress, confirmTimeoutMs = 120_000 }) {
+  const provider = new JsonRpcProvider(rpcUrl);
+  const wallet = new Wallet(privateKey, provider);
+  const contract = new Contract(contractAddress, SETTLEMENT_ABI, wallet);
+  return {
+    name: 'contract',
+    address: wallet.address,
+    nonce: () => provider.getTransactionCount(wallet.address, 'pending'),
+    isRecorded: async (settlementId) => (await contract.getSettlement(settlementId)).exists,
+    isCommitted: async (root) => (await contract.settlementBatches(root)).exists,
+    getEscrow: async (settlementId) => {
+      const escrow = await contract.getEscrow(settlementId);
+      return { state: ESCROW_STATES[Number(escrow.state)], payer: escrow.payer, payee: escrow.payee, token: escrow.token, amount: escrow.amount.toString(), deadline: Number(escrow.deadline) };
+    },
+    getDispute: async (settlementId) => {
+      const dispute = await contract.getDispute(settlementId);
+      return { state: DISPUTE_STATES[Number(dispute.state)], payer: dispute.payer, reasonHash: dispute.reasonHash, resolver: dispute.resolver };
+    },
+    send: async (batch, nonce) => {
+      const { jobs } = batch;
+      if (batch.mode === 'dispute') {
+        const [job] = jobs;
+        if (job.disputeAction === 'open') return (await contract.openDispute(job.settlementId, job.payer, job.reasonHash, { nonce })).hash;
+        return (await contract.resolveDispute(job.settlementId, job.disputeAction === 'refund', { nonce })).hash;
+      }
+      if (batch.mode === 'escrow') {
+        const mark = jobs[0].escrowAction === 'complete' ? contract.markEscrowCompleted : contract.markEscrowFailed;
+        return (await mark(jobs[0].settlementId, { nonce })).hash;
+      }
+      if (batch.mode === 'merkle') return (await contract.commitSettlementRoot(batch.root, jobs.length, batch.totalAmount, { nonce })).hash;
+      if (batch.mode === 'array') {
+        return (await contract.recordSettlementBatch(jobs.map(j => j.payer), jobs.map(j => j.payee), jobs.map(j => j.amount), jobs.map(j => j.settlementId), { nonce })).hash;
+      }
+      return (await contract.recordSettlement(jobs[0].payer, jobs[0].payee, jobs[0].amount, jobs[0].settlementId, { nonce })).hash;
+    },
+    // { ok } once mined; { pending: true } when not mined within the timeout
+    confirm: async (txHash) => {
+      const receipt = await provider.waitForTransaction(txHash, 1, confirmTimeoutMs).catch(err => {
+        if (err.code === 'TIMEOUT') return null;
+        throw err;
+      });
+      if (!receipt) return { ok: false, pending: true };
+      return { ok: receipt.status === 1, blockNumber: receipt.blockNumber };
+    },
+  };
+}
+
+/**
+ * In-memory chain: the contract's rules (no duplicate ids or roots, non-zero amounts, escrow
+ * and dispute states) and strict nonces, with deterministic transaction hashes
+ * @param {{ address?: string }} [options]
+ */
+export function createMockChain({ address = '0x000000000000000000000000000000000000dEaD' } = {}) {
+  const records = new Map(); // settlementId -> { payer, payee, amount, txHash, blockNumber }
+  const roots = new Map(); // root -> { count, totalAmount, txHash, blockNumber }
+  const escrows = new Map(); // settlementId -> { payer, payee, token, amount, deadline, state }
+  const disputes = new Map(); // settlementId -> { payer, reasonHash, state }
+  const blocks = new Map(); // txHash -> blockNumber
+  let nextNonce = 0;
+  let failures = 0;
+  return {
+    name: 'mock',
+    address: getAddress(address),
+    records,
+    roots,
+    escrows,
+    disputes,
+    nonce: async () => nextNonce,
+    isRecorded: async (settlementId) => records.has(settlementId),
+    isCommitted: async (root) => roots.has(root),
+    getEscrow: async (settlementId) => escrows.has(settlementId) ? { ...escrows.get(settlementId) } : { state: 'none' },
+    getDispute: async (settlementId) => disputes.has(settlementId) ? { ...disputes.get(settlementId) } : { state: 'none' },
+    send: async (batch, nonce) => {
+      if (failures > 0) { failures--; throw new Error('Simulated RPC failure'); }
+      if (nonce !== nextNonce) throw Object.assign(new Error(`nonce ${nonce} is not the next nonce ${nextNonce}`), { code: 'NONCE_EXPIRED' });
+      if (batch.mode === 'dispute') {
+        const [job] = batch.jobs;
+        const dispute = disputes.get(job.settlementId);
+        if (job.disputeAction === 'open') {
+          if (dispute) throw new Error('execution reverted: "Dispute already exists"');
+          const recordedPayer = records.get(job.settlementId)?.payer || escrows.get(job.settlementId)?.payer;
+          if (recordedPayer && recordedPayer !== job.payer) throw new Error('execution reverted: "Not the payer"');
+        } else if (dispute?.state !== 'opened') throw new Error('execution reverted: "Dispute not open"');
+      } else if (batch.mode === 'escrow') {
+        const [job] = batch.jobs;
+        const escrow = escrows.get(job.settlementId);
+        if (escrow?.state !== 'funded') throw new Error('execution reverted: "Escrow not funded"');
+        if (job.escrowAction === 'complete' && Date.now() / 1000 >= escrow.deadline) throw new Error('execution reverted: "Escrow expired"');
+        escrow.state = job.escrowAction === 'complete' ? 'completed' : 'failed';
+      } else if (batch.mode === 'merkle') {
+        if (roots.has(batch.root)) throw new Error('execution reverted: "Root already committed"');
+      } else {
+        if (batch.jobs.some(job => records.has(job.settlementId))) throw new Error('execution reverted: "Settlement already exists"');
+        if (batch.jobs.some(job => BigInt(job.amount) === 0n)) throw new Error('execution reverted: "Amount must be > 0"');
+      }
+      nextNonce++;
+      const txHash = keccak256(toUtf8Bytes(`record:${batch.id}:${nonce}`));
+      blocks.set(txHash, nextNonce);
+      if (batch.mode === 'merkle') roots.set(batch.root, { count: batch.jobs.length, totalAmount: batch.totalAmount, txHash, blockNumber: nextNonce });
+      else if (batch.mode === 'dispute') {
+        const [job] = batch.jobs;
+        if (job.disputeAction === 'open') disputes.set(job.settlementId, { payer: job.payer, reasonHash: job.reasonHash, state: 'opened' });
+        else {
+          disputes.get(job.settlementId).state = DISPUTE_DONE[job.disputeAction];
+          const escrow = escrows.get(job.settlementId);
+          if (job.disputeAction === 'refund' && ['funded', 'completed'].includes(escrow?.state)) escrow.state = 'failed';
+        }
+      } else if (batch.mode === 'escrow') {
+        const [job] = batch.jobs;
+        const escrow = escrows.get(job.settlementId);
+        if (escrow.state === 'completed' && !records.has(job.settlementId)) records.set(job.settlementId, { payer: escrow.payer, payee: escrow.payee, amount: escrow.amount, txHash, blockNumber: nextNonce });
+      } else for (const job of batch.jobs) records.set(job.settlementId, { payer: job.payer, payee: job.payee, amount: job.amount, txHash, blockNumber: nextNonce });
+      return txHash;
+    },
+    confirm: async (txHash) => blocks.has(txHash) ? { ok: true, blockNumber: blocks.get(txHash) } : { ok: false },
+    /** A payer's depositEscrow() */
+    deposit(settlementId, { payer, payee, token, amount, timeout = 3600 }) {
+      if (escrows.has(settlementId)) throw new Error('execution reverted: "Escrow already exists"');
+      escrows.set(settlementId, { payer: getAddress(payer), payee: getAddress(payee), token: getAddress(token), amount: String(amount), deadline: Math.floor(Date.now() / 1000) + timeout, state: 'funded' });
+    },
+    /** Make the next `count` sends fail before reaching the chain */
+    failNextSends(count = 1) { failures = count; },
+    /** Move the chain's nonce on, as a transaction sent from elsewhere would */
+    bumpNonce() { nextNonce++; },
+  };
+}
+
+/**
+ * @param {ReturnType<typeof createContractChain> | ReturnType<typeof createMockChain>} chain
+ * @param {{ payee: string, mode?: 'single'|'array'|'merkle', batchSize?: number, batchIntervalMs?: number, maxAttempts?: number, baseDelayMs?: number, maxDeadLetters?: number, onRecorded?: (job: object) => void, onDeadLetter?: (job: object) => void, onChange?: () => void }} options
+ *   payee: the gateway wallet named as payee; mode/batchSize/batchIntervalMs: how settlements
+ *   are batched (single ignores the batch options); onRecorded/onDeadLetter: a settlement
+ *   finished (one found already on-chain is recorded with `alreadyRecorded` and no
+ *   recordTxHash; merkle ones carry `batch` and `proof`, escrow transitions `escrowAction`,
+ *   dispute steps `disputeAction`);
+ *   onChange: the queue changed and should be saved
+ * @param {{ queue?: Array<object>, batches?: Array<object>, deadLetters?: Array<object>, recorded?: number }} [state] - Persisted state (from toJSON)
+ */
+export function createSettlementRecorder(chain, { payee, mode = 'single', batchSize = 100, batchIntervalMs = 60_000, maxAttempts = 5, baseDelayMs = 5000, maxDeadLetters = 100, onRecorded = () => {}, onDeadLetter = () => {}, onChange = () => {} }, state = {}) {
+  if (!BATCH_MODES.includes(mode)) throw new Error(`Settlement batch mode must be one of ${BATCH_MODES.join(', ')}`);
+  const maxBatch = mode === 'single' ? 1 : Math.max(1, batchSize);
+  const queue = state.queue || []; // settlements not yet in a batch
+  const batches = (state.batches || []).map(batch => ({ ...batch, notBefore: 0 }));
+  const deadLetters = state.deadLetters || [];
+  let recorded = state.recorded || 0;
+  let nonce = null; // next nonce of the recorder key; null until read from the chain
+  let running = false;
+  let timer = null;
+  let waiters = [];
+
+  const isQueued = (key) => queue.some(job => job.key === key) || batches.some(batch => batch.jobs.some(job => job.key === key));
+
+  // When the waiting settlements should be batched
+  const batchDue = () => queue.length >= maxBatch ? 0 : Date.parse(queue[0].queuedAt) + batchIntervalMs;
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (!queue.length && !batches.length) {
+      waiters.forEach(resolve => resolve());
+      waiters = [];
+      return;
+    }
+    const due = Math.min(...batches.map(batch => batch.notBefore), queue.length ? batchDue() : Infinity);
+    timer = setTimeout(run, Math.max(0, due - Date.now()));
+  }
+
+  function formBatches() {
+    while (queue.length && batchDue() <= Date.now()) {
+      const jobs = queue.splice(0, maxBatch);
+      const batch = { id: jobs[0].key, mode, jobs, attempts: 0, notBefore: 0, recordTxHash: null, lastError: null };
+      if (mode === 'merkle') {
+        const tree = buildSettlementTree(jobs);
+        batch.root = tree.root;
+        batch.id = tree.root;
+        batch.totalAmount = String(jobs.reduce((sum, job) => sum + BigInt(job.amount), 0n));
+        jobs.forEach((job, index) => Object.assign(job, { leaf: tree.leaves[index], leafIndex: index, proof: tree.proofs[index] }));
+      }
+      batches.push(batch);
+    }
+  }
+
+  function settle(batch, job, outcome) {
+    recorded++;
+    const merkle = batch.mode === 'merkle' ? { batch: { root: batch.root, size: batch.jobs.length, index: job.leafIndex }, proof: job.proof } : {};
+    onRecorded({
+      ...job, ...merkle, mode: batch.mode, attempts: batch.attempts, recordTxHash: outcome.txHash, blockNumber: outcome.blockNumber,
+      alreadyRecorded: outcome.alreadyRecorded || false, recordedAt: new Date().toISOString(),
+    });
+  }
+
+  function finish(batch, outcome) {
+    batches.splice(batches.indexOf(batch), 1);
+    if (outcome.ok) {
+      for (const job of batch.jobs) settle(batch, job, outcome);
+    } else {
+      console.log(`[settlement] Giving up on ${batch.jobs.length > 1 ? `a batch of ${batch.jobs.length}` : batch.id} after ${batch.attempts} attempts: ${outcome.error}`);
+      for (const job of batch.jobs) {
+        const letter = { ...job, mode: batch.mode, attempts: batch.attempts, lastError: outcome.error, failedAt: new Date().toISOString() };
+        deadLetters.push(letter);
+        onDeadLetter(letter);
+      }
+      deadLetters.splice(0, deadLetters.length - maxDeadLetters);
+    }
+    onChange();
+  }
+
+  // Settlements of the batch the contract already holds are recorded and dropped from it.
+  // An escrow transition is done if the escrow already left the funded state that way, and a
+  // dispute step if the dispute is already where the step leads.
+  async function dropRecorded(batch) {
+    if (batch.mode === 'merkle') return !(await chain.isCommitted(batch.root));
+    if (batch.mode === 'dispute') {
+      const [job] = batch.jobs;
+      const { state } = await chain.getDispute(job.settlementId);
+      if (job.disputeAction === 'open') return state === 'none';
+      if (state === DISPUTE_DONE[job.disputeAction]) return false;
+      if (state === 'none') throw new Error('dispute is not open yet'); // its opening may still be queued
+      if (state !== 'opened') throw Object.assign(new Error(`dispute is ${state}`), { final: true });
+      return true;
+    }
+    if (batch.mode === 'escrow') {
+      const [job] = batch.jobs;
+      const { state } = await chain.getEscrow(job.settlementId);
+      if (ESCROW_DONE[job.escrowAction].includes(state)) return false;
+      if (state !== 'funded') throw Object.assign(new Error(`escrow is ${state}`), { final: true });
+      return true;
+    }
+    const fresh = [];
+    for (const job of batch.jobs) {
+      if (await chain.isRecorded(job.settlementId)) {
+        console.log(`[settlement] ${job.key} is already recorded on-chain`);
+        settle(batch, job, { txHash: null, alreadyRecorded: true });
+      } else {
+        fresh.push(job);
+      }
+    }
+    if (fresh.length !== batch.jobs.length) { batch.jobs = fresh; onChange(); }
+    return fresh.length > 0;
+  }
+
+  async function attempt(batch) {
+    batch.attempts++;
+    if (!batch.recordTxHash) {
+      if (!(await dropRecorded(batch))) return { ok: true, txHash: null, alreadyRecorded: true };
+      if (nonce === null) nonce = await chain.nonce();
+      try {
+        batch.recordTxHash = await chain.send(batch, nonce);
+      } catch (err) {
+        nonce = null; // the nonce may or may not have been used; ask the chain again
+        throw err;
+      }
+      nonce++;
+      onChange();
+    }
+    const confirmation = await chain.confirm(batch.recordTxHash);
+    if (confirmation.ok) return { ok: true, txHash: batch.recordTxHash, blockNumber: confirmation.blockNumber };
+    if (!confirmation.pending) batch.recordTxHash = null; // reverted: send again, after checking the contract
+    throw new Error(confirmation.pending ? `transaction ${batch.recordTxHash} not mined yet` : 'transaction reverted');
+  }
+
+  async function run() {
+    if (running) return;
+    running = true;
+    try {
+      formBatches();
+      for (let batch; (batch = batches.find(b => b.notBefore <= Date.now()));) {
+        try {
+          const outcome = await attempt(batch);
+          if (outcome.alreadyRecorded && batch.mode === 'merkle') console.log(`[settlement] Root ${batch.root} is already committed on-chain`);
+          finish(batch, outcome);
+        } catch (err) {
+          batch.lastError = err.shortMessage || err.message;
+          if (err.final || batch.attempts >= maxAttempts) finish(batch, { ok: false, error: batch.lastError });
+          else batch.notBefore = Date.now() + baseDelayMs * 2 ** (batch.attempts - 1);
+        }
+        formBatches();
+      }
+    } finally {
+      running = false;
+      schedule();
+    }
+  }
+
+  // Escrow and dispute steps skip batching: one job, one transaction, in queue order
+  function pushSingle(batchMode, job) {
+    batches.push({ id: job.key, mode: batchMode, jobs: [job], attempts: 0, notBefore: 0, recordTxHash: null, lastError: null });
+    onChange();
+    schedule();
+    return { ok: true, job };
+  }
+
+  if (queue.length || batches.length) schedule();
+
+  return {
+    chain: chain.name,
+    address: chain.address,
+    mode,
+
+    /**
+     * Queue a settled payment for recording
+     * @param {{ key: string, payer: string, amount: string, paymentTxHash?: string, network?: string, taskId?: string }} payment
+     * @returns {{ ok: true, job: object } | { ok: false, error: string }}
+     */
+    enqueue({ key, payer, amount, paymentTxHash = null, network = null, taskId = null }) {
+      if (!key) return { ok: false, error: 'Settlement needs a key' };
+      if (!isAddress(payer)) return { ok: false, error: `Payer ${payer} is not an address` };
+      if (!/^\d+$/.test(String(amount)) || BigInt(amount) === 0n) return { ok: false, error: 'Only non-zero amounts are recorded' };
+      if (isQueued(key)) return { ok: false, error: `${key} is already queued` };
+      const job = {
+        key, taskId, settlementId: settlementIdOf(key), payer: getAddress(payer), payee: getAddress(payee), amount: String(amount),
+        paymentTxHash, network, queuedAt: new Date().toISOString(),
+      };
+      queue.push(job);
+      onChange();
+      schedule();
+      return { ok: true, job };
+    },
+
+    /**
+     * Queue an escrow transition for a task: 'complete' lets the payee claim the deposit and
+     * records the settlement, 'fail' lets the payer reclaim it
+     * @param {{ taskId: string, action: 'complete'|'fail', payer: string, amount: string }} escrow
+     * @returns {{ ok: true, job: object } | { ok: false, error: string }}
+     */
+    enqueueEscrow({ taskId, action, payer, amount }) {
+      if (!ESCROW_DONE[action]) return { ok: false, error: `Unknown escrow action ${action}` };
+      const key = `escrow:${taskId}`;
+      if (isQueued(key)) return { ok: false, error: `${key} is already queued` };
+      return pushSingle('escrow', {
+        key, taskId, settlementId: settlementIdOf(taskId), payer: getAddress(payer), payee: getAddress(payee), amount: String(amount),
+        escrowAction: action, queuedAt: new Date().toISOString(),
+      });
+    },
+
+    /**
+     * Queue a dispute step for a task: 'open' opens it on the payer's behalf, 'refund' and
+     * 'payee' resolve it (a refund lets the payer reclaim an unclaimed escrow)
+     * @param {{ taskId: string, action: 'open'|'refund'|'payee', payer: string, reasonHash?: string }} dispute
+     * @returns {{ ok: true, job: object } | { ok: false, error: string }}
+     */
+    enqueueDispute({ taskId, action, payer, reasonHash = ZeroHash }) {
+      if (!DISPUTE_DONE[action]) return { ok: false, error: `Unknown dispute action ${action}` };
+      if (!isAddress(payer)) return { ok: false, error: `Payer ${payer} is not an address` };
+      const key = `dispute-${action}:${taskId}`;
+      if (isQueued(key)) return { ok: false, error: `${key} is already queued` };
+      return pushSingle('dispute', {
+        key, taskId, settlementId: settlementIdOf(taskId), payer: getAddress(payer), reasonHash,
+        disputeAction: action, queuedAt: new Date().toISOString(),
+      });
+    },
+
+    /** Settlements waiting to be recorded, oldest first */
+    pending() {
+      return [...batches.flatMap(batch => batch.jobs), ...queue].map(job => ({ ...job }));
+    },
+
+    /** Whether a settlement is waiting to be recorded */
+    isPending(key) {
+      return isQueued(key);
+    },
+
+    deadLetters() {
+      return [...deadLetters];
+    },
+
+    stats() {
+      const pending = queue.length + batches.reduce((sum, batch) => sum + batch.jobs.length, 0);
+      return { chain: chain.name, recorder: chain.address, mode, batchSize: maxBatch, pending, batches: batches.length, recorded, deadLetters: deadLetters.length };
+    },
+
+    /** Resolves when nothing is left to record */
+    idle() {
+      return queue.length || batches.length ? new Promise(resolve => waiters.push(resolve)) : Promise.resolve();
+    },
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    toJSON() {
+      return { queue, batches: batches.map(({ notBefore, ...batch }) => batch), deadLetters, recorded };
+    },
+  };
+}
@@ -0,0 +1,180 @@
+/**
+ * SIWx Entitlements — what a signed-in wallet may still run without paying
+ *
+ * A payment grants an entitlement to one skill, shaped by that skill's policy:
+ * - ttlSeconds: access expires this long after the latest payment
+ * - uses: each payment adds this many free re-runs
+ * - prepaid: the part of a payment above the skill price becomes a balance,
+ *   and every re-run debits the price from it
+ * A re-run is allowed only while every limit the policy sets still allows it.
+ * A policy with no limits grants unlimited access (the original behavior).
+ */
+
+export const ENTITLEMENT_ERRORS = {
+  NO_ENTITLEMENT: 'NO_ENTITLEMENT',
+  EXPIRED: 'EXPIRED',
+  USES_EXHAUSTED: 'USES_EXHAUSTED',
+  BALANCE_EXHAUSTED: 'BALANCE_EXHAUSTED',
+};
+
+/**
+ * Parse per-skill policy overrides from JSON (the SIWX_ENTITLEMENTS variable)
+ * @param {string} json - e.g. '{"screenshot":{"ttlSeconds":600,"uses":3}}'
+ * @param {string} [source] - Where the JSON came from, for error messages
+ * @returns {Object<string, { ttlSeconds?: number, uses?: number, prepaid?: boolean }>}
+ */
+export function parsePolicies(json, source = 'SIWX_ENTITLEMENTS') {
+  let policies;
+  try {
+    policies = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`${source} is not valid JSON: ${err.message}`);
+  }
+  if (!policies || typeof policies !== 'object' || Array.isArray(policies)) throw new Error(`${source} must be a JSON object of skill policies`);
+  for (const [skill, policy] of Object.entries(policies)) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) throw new Error(`${source}: policy for "${skill}" must be an object`);
+    const { ttlSeconds, uses, prepaid } = policy;
+    if (ttlSeconds !== undefined && !(Number.isFinite(ttlSeconds) && ttlSeconds > 0)) throw new Error(`${source}: "${skill}".ttlSeconds must be a positive number`);
+    if (uses !== undefined && !(Number.isInteger(uses) && uses > 0)) throw new Error(`${source}: "${skill}".uses must be a positive integer`);
+    if (prepaid !== undefined && typeof prepaid !== 'boolean') throw new Error(`${source}: "${skill}".prepaid must be true or false`);
+  }
+  return policies;
+}
+
+/**
+ * @param {Object<string, { skills?: string[], entitlements?: Object, lastPayment?: string }>} [state]
+ *   Persisted wallets (from toJSON). Wallets persisted before entitlements existed carry a
+ *   bare `skills` list; those are granted under the current policy, dated from `lastPayment`.
+ * @param {{ policies?: Object<string, { ttlSeconds?: number, uses?: number, prepaid?: boolean }>, defaultPolicy?: object }} [options]
+ */
+export function createEntitlementStore(state = {}, { policies = {}, defaultPolicy = {} } = {}) {
+  const wallets = new Map(); // wallet (lowercase) -> { entitlements: Map<skill, entitlement>, lastPayment }
+
+  const policyFor = (skill) => policies[skill] || defaultPolicy;
+
+  function walletEntry(wallet) {
+    const key = wallet.toLowerCase();
+    if (!wallets.has(key)) wallets.set(key, { entitlements: new Map(), lastPayment: null });
+    return wallets.get(key);
+  }
+
+  function isExpired(entitlement, now) {
+    return entitlement.expiresAt !== null && Date.parse(entitlement.expiresAt) <= now;
+  }
+
+  function prune(now = Date.now()) {
+    for (const [wallet, entry] of wallets) {
+      for (const [skill, entitlement] of entry.entitlements) {
+        if (isExpired(entitlement, now)) entry.entitlements.delete(skill);
+      }
+      if (entry.entitlements.size === 0) wallets.delete(wallet);
+    }
+  }
+
+  /**
+   * Grant (or extend) a wallet's entitlement to a skill after a settled payment
+   * @param {string} wallet
+   * @param {string} skill
+   * @param {{ amount?: string|bigint, price?: string|bigint, now?: number }} [payment]
+   *   `amount` is what was paid and `price` what the paid execution itself cost, both in atomic units
+   * @returns {object} The updated entitlement
+   */
+  function grant(wallet, skill, { amount = 0n, price = 0n, now = Date.now() } = {}) {
+    const policy = policyFor(skill);
+    const entry = walletEntry(wallet);
+    const existing = entry.entitlements.get(skill);
+    const current = existing && !isExpired(existing, now) ? existing : null;
+
+    const entitlement = {
+      skill,
+      grantedAt: new Date(now).toISOString(),
+      expiresAt: policy.ttlSeconds ? new Date(now + policy.ttlSeconds * 1000).toISOString() : null,
+      remainingUses: policy.uses ? (current?.remainingUses || 0) + policy.uses : null,
+      balance: null,
+      accesses: current?.accesses || 0,
+    };
+    if (policy.prepaid) {
+      const surplus = BigInt(amount) > BigInt(price) ? BigInt(amount) - BigInt(price) : 0n;
+      entitlement.balance = (BigInt(current?.balance || 0) + surplus).toString();
+    }
+    entry.entitlements.set(skill, entitlement);
+    entry.lastPayment = entitlement.grantedAt;
+    return entitlement;
+  }
+
+  /**
+   * Check whether a wallet may re-run a skill, without consuming anything
+   * @returns {{ allowed: true, entitlement: object } | { allowed: false, reason: string }}
+   */
+  function check(wallet, skill, { price = 0n, now = Date.now() } = {}) {
+    const entitlement = wallets.get(wallet?.toLowerCase())?.entitlements.get(skill);
+    if (!entitlement) return { allowed: false, reason: ENTITLEMENT_ERRORS.NO_ENTITLEMENT };
+    if (isExpired(entitlement, now)) return { allowed: false, reason: ENTITLEMENT_ERRORS.EXPIRED };
+    if (entitlement.remainingUses !== null && entitlement.remainingUses <= 0) {
+      return { allowed: false, reason: ENTITLEMENT_ERRORS.USES_EXHAUSTED };
+    }
+    if (entitlement.balance !== null && BigInt(entitlement.balance) < BigInt(price)) {
+      return { allowed: false, reason: ENTITLEMENT_ERRORS.BALANCE_EXHAUSTED };
+    }
+    return { allowed: true, entitlement };
+  }
+
+  /**
+   * Consume one re-run: decrements remaining uses and debits the prepaid balance
+   * @param {string} wallet
+   * @param {string} skill
+   * @param {{ price?: string|bigint, now?: number }} [options] - `price` of one run in atomic units
+   * @returns {{ allowed: true, entitlement: object } | { allowed: false, reason: string }}
+   */
+  function consume(wallet, skill, options = {}) {
+    const result = check(wallet, skill, options);
+    if (!result.allowed) return result;
+    const { entitlement } = result;
+    if (entitlement.remainingUses !== null) entitlement.remainingUses--;
+    if (entitlement.balance !== null) entitlement.balance = (BigInt(entitlement.balance) - BigInt(options.price || 0)).toString();
+    entitlement.accesses++;
+    return { allowed: true, entitlement: { ...entitlement } };
+  }
+
+  /** Wallets with their live entitlements, for the /api/siwx listing */
+  function list(now = Date.now()) {
+    prune(now);
+    return [...wallets.entries()].map(([wallet, entry]) => ({
+      wallet,
+      skills: [...entry.entitlements.keys()],
+      entitlements: [...entry.entitlements.values()].map(e => ({ ...e })),
+      lastPayment: entry.lastPayment,
+    }));
+  }
+
+  function toJSON() {
+    prune();
+    const out = {};
+    for (const [wallet, entry] of wallets) {
+      out[wallet] = { entitlements: Object.fromEntries(entry.entitlements), lastPayment: entry.lastPayment };
+    }
+    return out;
+  }
+
+  for (const [wallet, data] of Object.entries(state || {})) {
+    if (data.entitlements) {
+      const entry = walletEntry(wallet);
+      for (const [skill, entitlement] of Object.entries(data.entitlements)) entry.entitlements.set(skill, entitlement);
+      entry.lastPayment = data.lastPayment || null;
+    } else {
+      const paidAt = Date.parse(data.lastPayment) || Date.now();
+      for (const skill of data.skills || []) grant(wallet, skill, { now: paidAt });
+    }
+  }
+  prune();
+
+  return {
+    grant,
+    check,
+    consume,
+    list,
+    policyFor,
+    get size() { prune(); return wallets.size; },
+    toJSON,
+  };
+}
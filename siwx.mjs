@@ -0,0 +1,153 @@
+/**
+ * Sign-In-With-X (CAIP-122) session authentication for EVM chains
+ *
+ * Flow: the client fetches a challenge (nonce + message parameters), signs the
+ * resulting EIP-4361 / CAIP-122 message with its wallet (EIP-191 personal_sign),
+ * and exchanges message + signature for a short-lived session token. The token,
+ * not a self-declared wallet address, is what grants SIWx access.
+ */
+
+import { verifyMessage, getAddress } from 'ethers';
+import { randomBytes } from 'node:crypto';
+
+const DEFAULT_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_SESSION_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Format a CAIP-122 message for an eip155 chain (identical to EIP-4361 / SIWE)
+ * @param {{ domain: string, address: string, statement?: string, uri: string, version?: string, chainId: number, nonce: string, issuedAt: string, expirationTime?: string }} f
+ * @returns {string}
+ */
+export function formatSiwxMessage(f) {
+  const lines = [
+    `${f.domain} wants you to sign in with your Ethereum account:`,
+    f.address,
+    '',
+  ];
+  if (f.statement) lines.push(f.statement, '');
+  lines.push(
+    `URI: ${f.uri}`,
+    `Version: ${f.version || '1'}`,
+    `Chain ID: ${f.chainId}`,
+    `Nonce: ${f.nonce}`,
+    `Issued At: ${f.issuedAt}`,
+  );
+  if (f.expirationTime) lines.push(`Expiration Time: ${f.expirationTime}`);
+  return lines.join('\n');
+}
+
+/**
+ * Parse a CAIP-122 / EIP-4361 message back into its fields
+ * @param {string} message
+ * @returns {object|null} Parsed fields, or null if the message is not well-formed
+ */
+export function parseSiwxMessage(message) {
+  if (typeof message !== 'string') return null;
+  const lines = message.split('\n');
+  const header = /^(\S+) wants you to sign in with your Ethereum account:$/.exec(lines[0] || '');
+  if (!header || !/^0x[0-9a-fA-F]{40}$/.test(lines[1] || '')) return null;
+  const fields = { domain: header[1], address: lines[1] };
+  const keys = { 'URI': 'uri', 'Version': 'version', 'Chain ID': 'chainId', 'Nonce': 'nonce', 'Issued At': 'issuedAt', 'Expiration Time': 'expirationTime' };
+  const statement = [];
+  for (const line of lines.slice(2)) {
+    const match = /^([A-Za-z ]+): (.+)$/.exec(line);
+    if (match && keys[match[1]]) fields[keys[match[1]]] = match[2];
+    else if (line && !fields.uri) statement.push(line);
+  }
+  if (statement.length) fields.statement = statement.join('\n');
+  if (!fields.uri || !fields.nonce || !fields.chainId || !fields.issuedAt) return null;
+  fields.chainId = parseInt(fields.chainId, 10);
+  return fields;
+}
+
+/**
+ * Create a SIWx authenticator holding outstanding challenges and active sessions
+ * @param {{ domain: string, uri: string, statement?: string, chains: string[], challengeTtlMs?: number, sessionTtlMs?: number }} config
+ *   `chains` are CAIP-2 identifiers (eip155:<chainId>) the gateway accepts sign-ins for
+ */
+export function createSiwxAuthenticator({ domain, uri, statement, chains, challengeTtlMs = DEFAULT_CHALLENGE_TTL_MS, sessionTtlMs = DEFAULT_SESSION_TTL_MS }) {
+  const challenges = new Map(); // nonce -> expiresAt (ms)
+  const sessions = new Map(); // token -> { wallet, chainId, expiresAt }
+  const chainIds = chains.map(c => parseInt(c.split(':')[1], 10));
+
+  function prune(now = Date.now()) {
+    for (const [nonce, expiresAt] of challenges) if (expiresAt < now) challenges.delete(nonce);
+    for (const [token, session] of sessions) if (session.expiresAt < now) sessions.delete(token);
+  }
+
+  const fail = (reason, message) => ({ isValid: false, reason, message });
+
+  return {
+    /**
+     * Issue a challenge. With an address, the ready-to-sign message is included.
+     * @param {{ address?: string, chainId?: number, statement?: string }} [options]
+     */
+    createChallenge({ address, chainId = chainIds[0], statement: customStatement } = {}) {
+      prune();
+      const now = Date.now();
+      const nonce = randomBytes(16).toString('hex');
+      challenges.set(nonce, now + challengeTtlMs);
+      const challenge = {
+        domain, uri, version: '1',
+        statement: customStatement || statement,
+        nonce,
+        issuedAt: new Date(now).toISOString(),
+        expirationTime: new Date(now + challengeTtlMs).toISOString(),
+        chainId,
+        chains,
+        type: 'eip191',
+      };
+      if (address) challenge.message = formatSiwxMessage({ ...challenge, address: getAddress(address) });
+      return challenge;
+    },
+
+    /**
+     * Verify a signed challenge message and open a session
+     * @param {string} message - The CAIP-122 message that was signed
+     * @param {string} signature - EIP-191 signature over the message
+     * @returns {{ isValid: true, token: string, wallet: string, chainId: number, expiresAt: string } | { isValid: false, reason: string, message: string }}
+     */
+    verify(message, signature) {
+      prune();
+      const fields = parseSiwxMessage(message);
+      if (!fields) return fail('INVALID_MESSAGE', 'Message is not a well-formed CAIP-122 sign-in message');
+      if (fields.domain !== domain) return fail('DOMAIN_MISMATCH', `Message domain ${fields.domain} does not match ${domain}`);
+      if (fields.uri !== uri) return fail('URI_MISMATCH', `Message URI ${fields.uri} does not match ${uri}`);
+      if (!chainIds.includes(fields.chainId)) return fail('UNSUPPORTED_CHAIN', `Chain ${fields.chainId} is not supported for sign-in`);
+      if (fields.expirationTime && Date.parse(fields.expirationTime) < Date.now()) return fail('EXPIRED_MESSAGE', 'Sign-in message has expired');
+      if (!challenges.has(fields.nonce)) return fail('INVALID_NONCE', 'Nonce was not issued by this gateway, already used, or expired');
+
+      let recovered;
+      try {
+        recovered = verifyMessage(message, signature);
+      } catch (err) {
+        return fail('INVALID_SIGNATURE', `Signature could not be verified: ${err.shortMessage || err.message}`);
+      }
+      if (recovered !== getAddress(fields.address)) return fail('INVALID_SIGNATURE', 'Signature was not produced by the message address');
+
+      challenges.delete(fields.nonce);
+      const token = randomBytes(32).toString('base64url');
+      const expiresAt = Date.now() + sessionTtlMs;
+      sessions.set(token, { wallet: recovered, chainId: fields.chainId, expiresAt });
+      return { isValid: true, token, wallet: recovered, chainId: fields.chainId, expiresAt: new Date(expiresAt).toISOString() };
+    },
+
+    /**
+     * Resolve a session token to its wallet
+     * @param {string} token
+     * @returns {{ wallet: string, chainId: number, expiresAt: number } | null}
+     */
+    resolveSession(token) {
+      if (!token) return null;
+      const session = sessions.get(token);
+      if (!session) return null;
+      if (session.expiresAt < Date.now()) {
+        sessions.delete(token);
+        return null;
+      }
+      return session;
+    },
+
+    get activeSessions() { prune(); return sessions.size; },
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * Skill Input — explicit skill invocation from A2A message parts
+ *
+ * A message names its skill in one of two ways:
+ *   - a data part { skill: 'code-scan', input: { code, language } }
+ *   - message.metadata.skill, with the input in a data part ({ input } or the data itself),
+ *     or as text filling the schema's first required string field
+ * File parts are attached by the caller's `attach` (see uploads.mjs) before validation, so
+ * a source file or archive can stand in for code-scan's `code`.
+ * The input is validated against the skill's bazaar JSON schema (the subset of JSON Schema
+ * the registry uses: type, properties, required, enum, length and range bounds,
+ * additionalProperties). Messages that name no skill fall back to free-text parsing.
+ */
+
+const typeOf = (value) => Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+function matchesType(type, value) {
+  if (type === 'integer') return Number.isInteger(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Validate a value against a JSON schema
+ * @param {object} schema
+ * @param {any} value
+ * @param {string} [path] - Where the value sits, for error messages
+ * @returns {string[]} Errors; empty when the value is valid
+ */
+export function validateInput(schema, value, path = 'input') {
+  if (!schema) return [];
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some(t => matchesType(t, value))) return [`${path} must be ${types.join(' or ')}`];
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+  }
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) errors.push(`${path}.${field} is required`);
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (properties[field]) errors.push(...validateInput(properties[field], fieldValue, `${path}.${field}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${field} is not allowed`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * The skill and input a message names explicitly
+ * @param {{ parts: Array<object>, metadata?: object }} message
+ * @param {{ schemaOf: (skill: string) => object|null|undefined, skills: string[], attach?: (request: object) => { ok: boolean, request?: object, error?: string } }} options
+ *   schemaOf: the skill's input schema (null: none published); skills: skills that may be invoked;
+ *   attach: fills the request from the message's files
+ * @returns {null | { ok: true, request: object, via: 'data' | 'metadata' } | { ok: false, error: string, errors?: string[] }}
+ *   null when the message names no skill and should be parsed from its text
+ */
+export function resolveInvocation(message, { schemaOf, skills, attach }) {
+  const dataParts = message.parts.filter(p => (p.kind === 'data' || p.type === 'data') && typeOf(p.data) === 'object');
+  const named = dataParts.find(p => typeof p.data.skill === 'string');
+  const skill = named?.data.skill ?? message.metadata?.skill;
+  if (skill === undefined) return null;
+  if (typeof skill !== 'string' || !skills.includes(skill)) {
+    return { ok: false, error: `Unknown skill "${skill}". Available: ${skills.join(', ')}` };
+  }
+  const schema = schemaOf(skill);
+
+  let input;
+  const source = named || dataParts[0];
+  if (source) {
+    const { skill: _skill, ...rest } = source.data;
+    input = source.data.input !== undefined ? source.data.input : rest;
+  }
+  if (input !== undefined && typeOf(input) !== 'object') return { ok: false, error: `Input for ${skill} must be an object` };
+
+  if (!source) {
+    // metadata.skill with text: the text fills the skill's main field, its first required string property
+    const field = schema?.required?.find(f => schema.properties?.[f]?.type === 'string');
+    const text = message.parts.find(p => p.kind === 'text' || p.type === 'text')?.text;
+    input = text !== undefined && field ? { [field]: text } : {};
+  }
+
+  let request = { ...input, skill };
+  if (attach) {
+    const attached = attach(request);
+    if (!attached.ok) return { ok: false, error: attached.error };
+    request = attached.request;
+  }
+  const { skill: _skill, ...checked } = request;
+  const errors = validateInput(schema, checked);
+  if (errors.length) return { ok: false, error: `Invalid input for ${skill}: ${errors.join('; ')}`, errors };
+  return { ok: true, request, via: named ? 'data' : 'metadata' };
+}
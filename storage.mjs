@@ -0,0 +1,316 @@
+/**
+ * Storage — append-only journal with atomic snapshots
+ *
+ * Holds the gateway's durable state: tasks (by id, indexed by context and state),
+ * the payment event log (indexed by type, wallet and task) and named documents
+ * (SIWx entitlements, payment ledger, credits, counters).
+ *
+ * Layout in the data directory:
+ *   snapshot.json  full state as of journal sequence `seq`, replaced atomically (write + fsync + rename)
+ *   journal.jsonl  one record per change since the snapshot: { seq, op: 'task' | 'payment' | 'payment-update' | 'doc', ... }
+ *
+ * On open the snapshot is loaded and newer journal records are replayed; a torn final line
+ * from a crash mid-append is skipped. The journal is folded into a new snapshot every
+ * `snapshotEvery` records, on open after a replay, and when snapshot() is called.
+ */
+
+import { openSync, writeSync, fsyncSync, closeSync, ftruncateSync, readFileSync, renameSync, existsSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+
+const SNAPSHOT_VERSION = 1;
+
+// Add/remove an id in a Map<key, Set<id>> index
+function indexAdd(index, key, id) {
+  if (key === undefined || key === null) return;
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(id);
+}
+
+function indexRemove(index, key, id) {
+  const ids = index.get(key);
+  if (!ids) return;
+  ids.delete(id);
+  if (ids.size === 0) index.delete(key);
+}
+
+/**
+ * Open (or create) a store in a directory
+ * @param {string} dir - Data directory
+ * @param {{ snapshotEvery?: number, maxPayments?: number, maxTasks?: number }} [options]
+ *   maxPayments / maxTasks: oldest entries past these counts are dropped at each snapshot
+ */
+export function openStore(dir, { snapshotEvery = 1000, maxPayments = 100_000, maxTasks = 10_000 } = {}) {
+  mkdirSync(dir, { recursive: true });
+  const snapshotPath = join(dir, 'snapshot.json');
+  const journalPath = join(dir, 'journal.jsonl');
+
+  const taskMap = new Map();
+  const tasksByContext = new Map();
+  const tasksByState = new Map();
+  const payments = [];
+  const paymentIndexes = { type: new Map(), wallet: new Map(), taskId: new Map() };
+  const documents = new Map(); // name -> JSON string
+  let seq = 0;
+  let journalRecords = 0;
+  let snapshotAt = null;
+
+  // Index keys each task was filed under; stored tasks are mutated in place, so the
+  // previous keys cannot be read back from the task itself
+  const taskKeys = new Map();
+
+  function unindexTask(id) {
+    const keys = taskKeys.get(id);
+    if (!keys) return;
+    indexRemove(tasksByContext, keys.contextId, id);
+    indexRemove(tasksByState, keys.state, id);
+    taskKeys.delete(id);
+  }
+
+  function putTask(task) {
+    unindexTask(task.id);
+    // Re-inserting moves the task to the end, so Map order is least recently updated first
+    taskMap.delete(task.id);
+    taskMap.set(task.id, task);
+    const keys = { contextId: task.contextId, state: task.status?.state };
+    taskKeys.set(task.id, keys);
+    indexAdd(tasksByContext, keys.contextId, task.id);
+    indexAdd(tasksByState, keys.state, task.id);
+  }
+
+  function removeTask(id) {
+    unindexTask(id);
+    return taskMap.delete(id);
+  }
+
+  function indexPayment(event) {
+    for (const [field, index] of Object.entries(paymentIndexes)) {
+      const key = field === 'wallet' ? event.wallet?.toLowerCase() : event[field];
+      if (key === undefined || key === null) continue;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(event);
+    }
+  }
+
+  // Payment events equal to `match` in every field it names, through an index when it names one
+  function matchPayments(match) {
+    const key = (field) => field === 'wallet' ? match.wallet.toLowerCase() : match[field];
+    const indexed = Object.keys(paymentIndexes).find(f => match[f] !== undefined);
+    const candidates = indexed ? paymentIndexes[indexed].get(key(indexed)) || [] : payments;
+    return candidates.filter(e => Object.keys(match).every(f => (f === 'wallet' ? e.wallet?.toLowerCase() : e[f]) === key(f)));
+  }
+
+  function apply(record) {
+    if (record.op === 'task') putTask(record.value);
+    else if (record.op === 'task-delete') removeTask(record.id);
+    else if (record.op === 'payment') { payments.push(record.value); indexPayment(record.value); }
+    else if (record.op === 'payment-update') matchPayments(record.match).forEach(event => Object.assign(event, record.fields));
+    else if (record.op === 'doc') documents.set(record.name, JSON.stringify(record.value));
+  }
+
+  // --- Load: snapshot, then journal records newer than it ---
+  let replayed = 0;
+  if (existsSync(snapshotPath)) {
+    const data = JSON.parse(readFileSync(snapshotPath, 'utf8'));
+    if (data.version !== SNAPSHOT_VERSION) throw new Error(`Unsupported snapshot version ${data.version} in ${snapshotPath}`);
+    seq = data.seq || 0;
+    snapshotAt = data.savedAt || null;
+    for (const task of data.tasks || []) putTask(task);
+    for (const event of data.payments || []) { payments.push(event); indexPayment(event); }
+    for (const [name, value] of Object.entries(data.documents || {})) documents.set(name, JSON.stringify(value));
+  }
+  if (existsSync(journalPath)) {
+    const lines = readFileSync(journalPath, 'utf8').split('\n');
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        console.error(`[storage] Skipping unreadable journal line ${i + 1}${i >= lines.length - 2 ? ' (torn write)' : ''}`);
+        return;
+      }
+      if (record.seq <= seq) return; // already folded into the snapshot
+      apply(record);
+      seq = record.seq;
+      replayed++;
+    });
+  }
+
+  const fd = openSync(journalPath, 'a');
+
+  function append(record) {
+    record.seq = ++seq;
+    apply(record);
+    try {
+      writeSync(fd, JSON.stringify(record) + '\n');
+    } catch (e) {
+      console.error('[storage] Journal write failed:', e.message, '— change kept in memory until the next snapshot');
+    }
+    if (++journalRecords >= snapshotEvery) {
+      try {
+        snapshot();
+      } catch (e) {
+        console.error('[storage] Snapshot failed:', e.message, '— journal kept');
+      }
+    }
+  }
+
+  function trim() {
+    if (payments.length > maxPayments) {
+      payments.splice(0, payments.length - maxPayments);
+      for (const index of Object.values(paymentIndexes)) index.clear();
+      payments.forEach(indexPayment);
+    }
+    for (const id of taskMap.keys()) {
+      if (taskMap.size <= maxTasks) break;
+      removeTask(id);
+    }
+  }
+
+  /** Write the full state atomically and empty the journal */
+  function snapshot() {
+    trim();
+    const savedAt = new Date().toISOString();
+    const data = JSON.stringify({
+      version: SNAPSHOT_VERSION,
+      seq,
+      savedAt,
+      documents: Object.fromEntries([...documents].map(([name, json]) => [name, JSON.parse(json)])),
+      tasks: [...taskMap.values()],
+      payments,
+    });
+    const tmpPath = `${snapshotPath}.tmp`;
+    const tmp = openSync(tmpPath, 'w');
+    try {
+      writeSync(tmp, data);
+      fsyncSync(tmp);
+    } finally {
+      closeSync(tmp);
+    }
+    renameSync(tmpPath, snapshotPath);
+    // A crash before this truncate is harmless: replay skips records at or below the snapshot's seq
+    ftruncateSync(fd, 0);
+    journalRecords = 0;
+    snapshotAt = savedAt;
+  }
+
+  if (replayed > 0) snapshot();
+
+  const tasks = {
+    get: (id) => taskMap.get(id),
+    has: (id) => taskMap.has(id),
+    /** Insert or replace a task and journal it; call again after mutating a stored task */
+    set(id, task) {
+      append({ op: 'task', value: task.id === id ? task : { ...task, id } });
+      return tasks;
+    },
+    delete(id) {
+      if (!taskMap.has(id)) return false;
+      append({ op: 'task-delete', id });
+      return true;
+    },
+    values: () => taskMap.values(),
+    keys: () => taskMap.keys(),
+    [Symbol.iterator]: () => taskMap.entries(),
+    get size() { return taskMap.size; },
+    /** Tasks in a context, oldest update first */
+    byContext: (contextId) => [...(tasksByContext.get(contextId) || [])].map(id => taskMap.get(id)),
+    /** Tasks currently in a state */
+    byState: (state) => [...(tasksByState.get(state) || [])].map(id => taskMap.get(id)),
+  };
+
+  return {
+    tasks,
+
+    /** Payment events in order; append with appendPayment() */
+    payments,
+
+    /** Journal a payment event */
+    appendPayment(event) {
+      append({ op: 'payment', value: event });
+      return event;
+    },
+
+    /**
+     * Add fields to the payment events matching `match` (e.g. { type, txHash }). Events are
+     * otherwise append-only; the fields must not be indexed ones (type, wallet, taskId).
+     * @returns {number} Events updated
+     */
+    updatePayment(match, fields) {
+      const count = matchPayments(match).length;
+      if (count) append({ op: 'payment-update', match, fields });
+      return count;
+    },
+
+    /**
+     * Payment events matching every given field, in order
+     * @param {{ type?: string, wallet?: string, taskId?: string }} [filter]
+     */
+    findPayments(filter = {}) {
+      const fields = Object.keys(paymentIndexes).filter(f => filter[f] !== undefined);
+      if (fields.length === 0) return [...payments];
+      const [first, ...rest] = fields;
+      const key = (field) => field === 'wallet' ? filter.wallet.toLowerCase() : filter[field];
+      const candidates = paymentIndexes[first].get(key(first)) || [];
+      return candidates.filter(e => rest.every(f => (f === 'wallet' ? e.wallet?.toLowerCase() : e[f]) === key(f)));
+    },
+
+    /** Count of payment events of one type, from the index */
+    countPayments(type) {
+      return paymentIndexes.type.get(type)?.length || 0;
+    },
+
+    /** A named document (plain JSON), or undefined */
+    getDocument(name) {
+      const json = documents.get(name);
+      return json === undefined ? undefined : JSON.parse(json);
+    },
+
+    /** Replace a named document; unchanged documents are not journaled again */
+    setDocument(name, value) {
+      const json = JSON.stringify(value);
+      if (documents.get(name) === json) return;
+      append({ op: 'doc', name, value: JSON.parse(json) });
+    },
+
+    snapshot,
+
+    /** Whether the store holds nothing yet (no snapshot, no journal records) */
+    get isEmpty() {
+      return seq === 0;
+    },
+
+    info() {
+      return { dir, seq, journalRecords, snapshotAt, tasks: taskMap.size, payments: payments.length, documents: [...documents.keys()] };
+    },
+
+    /** Snapshot and release the journal file */
+    close() {
+      snapshot();
+      closeSync(fd);
+    },
+  };
+}
+
+/**
+ * Import a legacy stats.json into an empty store, then rename it to stats.json.migrated.
+ * Payments become journal events; entitlements, the payment ledger, credits and counters
+ * become documents of the same names.
+ * @param {ReturnType<typeof openStore>} store
+ * @param {string} statsPath
+ * @returns {{ migrated: boolean, payments?: number, reason?: string }}
+ */
+export function migrateStatsFile(store, statsPath) {
+  if (!existsSync(statsPath)) return { migrated: false, reason: 'NO_STATS_FILE' };
+  if (!store.isEmpty) return { migrated: false, reason: 'STORE_NOT_EMPTY' };
+  const raw = readFileSync(statsPath, 'utf8');
+  const data = raw.trim() ? JSON.parse(raw) : {};
+  for (const event of data.paymentLog || []) store.appendPayment(event);
+  for (const name of ['siwxSessions', 'paymentLedger', 'credits']) {
+    if (data[name]) store.setDocument(name, data[name]);
+  }
+  store.setDocument('counters', { totalTasks: data.totalTasks || 0, startedAt: data.startedAt || new Date().toISOString() });
+  store.snapshot();
+  renameSync(statsPath, `${statsPath}.migrated`);
+  return { migrated: true, payments: data.paymentLog?.length || 0 };
+}
@@ -0,0 +1,104 @@
+/**
+ * Task Events — A2A streaming over Server-Sent Events
+ *
+ * Task changes are published per task id as A2A stream events:
+ *   { kind: 'task', ... }            the task when it is created
+ *   { kind: 'status-update', ... }   TaskStatusUpdateEvent, `final` on terminal and input-required states
+ *   { kind: 'artifact-update', ... } TaskArtifactUpdateEvent
+ * message/stream and tasks/resubscribe subscribe to a task and forward its events as
+ * JSON-RPC responses, one SSE `data:` line each.
+ */
+
+// States a task never leaves
+export const TERMINAL_STATES = ['completed', 'failed', 'canceled', 'rejected'];
+
+// States after which a stream ends: terminal, or waiting on the client (e.g. for payment)
+export const FINAL_STATES = [...TERMINAL_STATES, 'input-required', 'auth-required'];
+
+// A2A task state machine: the states each non-terminal state may move to
+const TRANSITIONS = {
+  submitted: ['working', 'input-required', 'auth-required', 'completed', 'failed', 'canceled', 'rejected'],
+  working: ['working', 'input-required', 'auth-required', 'completed', 'failed', 'canceled'],
+  'input-required': ['working', 'input-required', 'completed', 'failed', 'canceled', 'rejected'],
+  'auth-required': ['working', 'auth-required', 'failed', 'canceled', 'rejected'],
+};
+
+/** Whether a task may move from one state to another; terminal states allow nothing */
+export function canTransition(from, to) {
+  return TRANSITIONS[from]?.includes(to) || false;
+}
+
+export function createTaskEvents() {
+  const listeners = new Map(); // taskId -> Set<listener>
+
+  return {
+    /**
+     * Receive a task's events until the returned function is called
+     * @param {string} taskId
+     * @param {(event: object) => void} listener
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(taskId, listener) {
+      if (!listeners.has(taskId)) listeners.set(taskId, new Set());
+      listeners.get(taskId).add(listener);
+      return () => {
+        const set = listeners.get(taskId);
+        set?.delete(listener);
+        if (set?.size === 0) listeners.delete(taskId);
+      };
+    },
+
+    publish(taskId, event) {
+      for (const listener of [...(listeners.get(taskId) || [])]) {
+        try {
+          listener(event);
+        } catch (err) {
+          console.error(`[stream] Listener for task ${taskId} failed:`, err.message);
+        }
+      }
+    },
+
+    /** Number of tasks with at least one subscriber */
+    get size() { return listeners.size; },
+  };
+}
+
+/**
+ * Switch an Express response to an SSE stream
+ * @param {import('express').Response} res
+ * @param {{ heartbeatMs?: number }} [options] - Interval of keep-alive comments
+ * @returns {{ send: (data: object) => void, end: () => void, onClose: (fn: () => void) => void, readonly closed: boolean }}
+ */
+export function openEventStream(res, { heartbeatMs = 15000 } = {}) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const closeHandlers = [];
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    for (const fn of closeHandlers) fn();
+  };
+  res.on('close', close);
+
+  return {
+    send(data) {
+      if (!closed) res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (closed) return;
+      close();
+      res.end();
+    },
+    onClose(fn) { closeHandlers.push(fn); },
+    get closed() { return closed; },
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Task Query — listing and retention over the task store
+ *
+ * listTasks() serves tasks/list and GET /api/tasks: tasks filtered by context, state,
+ * skill, payer wallet and last-update time, newest first. Pages are cut with an opaque
+ * `pageToken` naming the last task returned, so a page stays stable while newer tasks arrive.
+ *
+ * createTaskRetention() evicts terminal tasks once their last update is older than the TTL,
+ * and the least recently updated terminal tasks while the store holds more than `maxTasks`.
+ * Tasks still running or waiting on the client are never evicted here.
+ */
+
+import { TERMINAL_STATES } from './task-events.mjs';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const encodeCursor = (task) => Buffer.from(JSON.stringify([task.status.timestamp, task.id])).toString('base64url');
+
+function decodeCursor(token) {
+  try {
+    const [timestamp, id] = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (typeof timestamp === 'string' && typeof id === 'string') return { timestamp, id };
+  } catch { /* fall through */ }
+  return null;
+}
+
+// Newest update first; ties broken by id so the order is total
+function compareTasks(a, b) {
+  if (a.status.timestamp !== b.status.timestamp) return a.status.timestamp < b.status.timestamp ? 1 : -1;
+  return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') return { ok: true, time: null };
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? { ok: false, error: `${name} must be an ISO 8601 time or Unix milliseconds` } : { ok: true, time };
+}
+
+/**
+ * A task as returned to clients: the last `historyLength` history messages, and artifacts
+ * only when asked for
+ * @param {object} task
+ * @param {{ historyLength?: number, includeArtifacts?: boolean }} [options]
+ */
+export function presentTask(task, { historyLength, includeArtifacts = true } = {}) {
+  const length = historyLength === undefined || historyLength === null ? null : Math.max(0, parseInt(historyLength, 10) || 0);
+  if (length === null && includeArtifacts) return task;
+  return {
+    ...task,
+    ...(length !== null && { history: length === 0 ? [] : task.history.slice(-length) }),
+    ...(!includeArtifacts && { artifacts: [] }),
+  };
+}
+
+/**
+ * One page of tasks matching every given filter
+ * @param {ReturnType<import('./storage.mjs').openStore>['tasks']} tasks
+ * @param {{ contextId?: string, status?: string, skill?: string, wallet?: string, lastUpdatedAfter?: string|number, lastUpdatedBefore?: string|number, pageSize?: number, pageToken?: string, historyLength?: number, includeArtifacts?: boolean }} query
+ * @param {{ skillOf: (task: object) => string|undefined, walletOf: (task: object) => string|undefined }} accessors
+ * @returns {{ ok: true, tasks: object[], nextPageToken: string, pageSize: number, totalSize: number } | { ok: false, error: string }}
+ */
+export function listTasks(tasks, query, { skillOf, walletOf }) {
+  const after = parseTime(query.lastUpdatedAfter, 'lastUpdatedAfter');
+  if (!after.ok) return after;
+  const before = parseTime(query.lastUpdatedBefore, 'lastUpdatedBefore');
+  if (!before.ok) return before;
+  const cursor = query.pageToken ? decodeCursor(query.pageToken) : null;
+  if (query.pageToken && !cursor) return { ok: false, error: 'pageToken is not valid' };
+  const pageSize = Math.min(Math.max(parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  // Narrow through the store's indexes first
+  const candidates = query.contextId ? tasks.byContext(query.contextId)
+    : query.status ? tasks.byState(query.status)
+      : [...tasks.values()];
+  const wallet = query.wallet?.toLowerCase();
+  const matches = candidates.filter(task => {
+    const updated = Date.parse(task.status.timestamp);
+    return (!query.status || task.status.state === query.status)
+      && (!query.skill || skillOf(task) === query.skill)
+      && (!wallet || walletOf(task)?.toLowerCase() === wallet)
+      && (after.time === null || updated > after.time)
+      && (before.time === null || updated < before.time);
+  }).sort(compareTasks);
+
+  const start = cursor ? matches.findIndex(task => compareTasks(task, { id: cursor.id, status: { timestamp: cursor.timestamp } }) > 0) : 0;
+  const page = start === -1 ? [] : matches.slice(start, start + pageSize);
+  const more = start !== -1 && start + pageSize < matches.length;
+  return {
+    ok: true,
+    tasks: page.map(task => presentTask(task, { historyLength: query.historyLength, includeArtifacts: query.includeArtifacts === true || query.includeArtifacts === 'true' })),
+    nextPageToken: more ? encodeCursor(page[page.length - 1]) : '',
+    pageSize,
+    totalSize: matches.length,
+  };
+}
+
+/**
+ * @param {ReturnType<import('./storage.mjs').openStore>['tasks']} tasks
+ * @param {{ ttlMs: number, maxTasks: number, onEvict?: (taskId: string) => void }} options
+ */
+export function createTaskRetention(tasks, { ttlMs, maxTasks, onEvict = () => {} }) {
+  return {
+    /**
+     * Evict expired terminal tasks, then the oldest terminal tasks past maxTasks
+     * @param {number} [now]
+     * @returns {number} Tasks evicted
+     */
+    sweep(now = Date.now()) {
+      // The store iterates least recently updated first
+      const terminal = [...tasks.values()].filter(task => TERMINAL_STATES.includes(task.status.state));
+      let excess = tasks.size - maxTasks;
+      let evicted = 0;
+      for (const task of terminal) {
+        const expired = now - Date.parse(task.status.timestamp) > ttlMs;
+        if (!expired && excess <= 0) continue;
+        tasks.delete(task.id);
+        onEvict(task.id);
+        excess--;
+        evicted++;
+      }
+      return evicted;
+    },
+  };
+}
@@ -1,7 +1,31 @@
 /**
  * Test suite for A2A x402 Gateway v2
+ *
+ * Runs against a live server using the in-process mock facilitator:
+ *   FACILITATOR_MODE=mock PUSH_ALLOW_PRIVATE_HOSTS=true npm start & npm test
  */
 
+import { mkdtempSync, readFileSync, writeFileSync, appendFileSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { createServer } from 'node:http';
+import { join } from 'node:path';
+import { gzipSync } from 'node:zlib';
+import { Wallet, hexlify, randomBytes, keccak256, toUtf8Bytes } from 'ethers';
+import { TRANSFER_WITH_AUTHORIZATION_TYPES, verifyPayment, verifyEscrow } from './payment-verifier.mjs';
+import { createMockFacilitator, normalizeReason } from './facilitator.mjs';
+import { createEntitlementStore, parsePolicies } from './siwx-entitlements.mjs';
+import { createPricingRegistry, loadPricingRegistry, toAtomic } from './pricing-registry.mjs';
+import { createCreditLedger } from './credit-ledger.mjs';
+import { openStore, migrateStatsFile } from './storage.mjs';
+import { createPushNotifier, signPayload, verifySignature } from './push-notifications.mjs';
+import { createWorkerPool } from './worker-pool.mjs';
+import { createTaskRetention } from './task-query.mjs';
+import { createConversations } from './conversations.mjs';
+import { readArchive, attachFiles } from './uploads.mjs';
+import { createSettlementRecorder, createMockChain, settlementIdOf } from './settlement-recorder.mjs';
+import { buildSettlementTree, settlementLeaf, verifySettlementProof } from './settlement-merkle.mjs';
+import { createDisputes } from './disputes.mjs';
+
 const BASE = 'http://localhost:4002';
 let passed = 0, failed = 0;
 
@@ -12,6 +36,62 @@ async function test(name, fn) {
 
 function assert(c, m) { if (!c) throw new Error(m || 'Assertion failed'); }
 
+// x402 client side: sign an EIP-3009 transferWithAuthorization for an advertised requirement
+const payer = Wallet.createRandom();
+
+async function signPayment(accept, { wallet = payer, value = accept.maxAmountRequired, validBefore, network = accept.network, nonce = hexlify(randomBytes(32)) } = {}) {
+  const authorization = {
+    from: wallet.address, to: accept.payTo, value: String(value), validAfter: '0',
+    validBefore: String(validBefore ?? Math.floor(Date.now() / 1000) + accept.maxTimeoutSeconds), nonce,
+  };
+  const domain = { name: accept.extra.name, version: accept.extra.version, chainId: Number(accept.network.split(':')[1]), verifyingContract: accept.asset };
+  const signature = await wallet.signTypedData(domain, TRANSFER_WITH_AUTHORIZATION_TYPES, authorization);
+  return { x402Version: 2, scheme: accept.scheme, network, payload: { signature, authorization } };
+}
+
+function encodePayment(payload) { return Buffer.from(JSON.stringify(payload)).toString('base64'); }
+
+// Fetch a REST endpoint's 402 requirements and sign its Base payment option
+async function baseAccept(path) {
+  const d = await (await fetch(`${BASE}${path}`)).json();
+  return d.accepts.find(a => a.network === 'eip155:8453');
+}
+
+async function paymentHeader(path, options) {
+  return encodePayment(await signPayment(await baseAccept(path), options));
+}
+
+// A2A ai-analysis request; completes even without a Gemini key, so paid flows can run offline
+function sendAnalysis(id, paymentPayload, metadata = { 'x402.payment.payload': paymentPayload }) {
+  return fetch(BASE, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0', id,
+      method: 'message/send',
+      params: {
+        message: {
+          messageId: `msg-${id}`, role: 'user', kind: 'message',
+          parts: [{ kind: 'text', text: 'Analyze: agent payments should be idempotent' }],
+          metadata,
+        },
+      },
+    }),
+  }).then(r => r.json());
+}
+
+// SIWx client side: fetch a challenge, sign the CAIP-122 message, exchange it for a session token
+async function siwxSignIn(wallet = payer) {
+  const challenge = await (await fetch(`${BASE}/siwx/challenge?address=${wallet.address}`)).json();
+  const signature = await wallet.signMessage(challenge.message);
+  const r = await fetch(`${BASE}/siwx/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: challenge.message, signature }),
+  });
+  return r.json();
+}
+
 console.log('\nA2A x402 Gateway v2 Tests\n');
 
 await test('GET /health returns ok', async () => {
@@ -103,9 +183,11 @@ await test('A2A message/send: free markdown-to-html works', async () => {
   const d = await r.json();
   assert(d.result, 'Has result');
   assert(d.result.status.state === 'completed', `State: ${d.result.status.state}`);
-  const msg = d.result.status.message;
-  assert(msg.parts.length >= 2, 'Has text and data parts');
-  const dataPart = msg.parts.find(p => p.kind === 'data');
+  const [artifact] = d.result.artifacts;
+  assert(artifact.artifactId && artifact.name === 'markdown-to-html' && artifact.description === 'HTML document', 'Result is a named artifact');
+  assert(artifact.parts.length >= 2, 'Has text and data parts');
+  assert(d.result.status.message.parts.every(p => p.kind === 'text'), 'Status message carries only the summary');
+  const dataPart = artifact.parts.find(p => p.kind === 'data');
   assert(dataPart, 'Has data part');
   assert(dataPart.data.html.includes('Test Heading'), 'HTML has heading');
 });
@@ -143,6 +225,7 @@ await test('A2A message/send: screenshot returns V2 payment-required', async ()
   // SIWx extension
   const exts = dataPart.data['x402.extensions'];
   assert(exts?.['sign-in-with-x']?.supported === true, 'SIWx supported');
+  assert(exts['sign-in-with-x'].info?.nonce, 'SIWx challenge minted for the payment-required task');
 });
 
 await test('A2A message/send: PDF returns V2 payment-required', async () => {
@@ -179,8 +262,7 @@ await test('A2A message/send: paid screenshot with payment payload', async () =>
           messageId: 'msg-paid-exec', role: 'user', kind: 'message',
           parts: [{ kind: 'text', text: 'Take a screenshot of https://example.com' }],
           metadata: {
-            'x402.payment.payload': { scheme: 'exact', network: 'eip155:8453', signature: '0xfake', from: '0xTestWallet123' },
-            'x402.payer': '0xTestWallet123',
+            'x402.payment.payload': await signPayment(await baseAccept('/x402/screenshot')),
           },
         },
         configuration: { blocking: true },
@@ -194,50 +276,77 @@ await test('A2A message/send: paid screenshot with payment payload', async () =>
   if (state === 'completed') {
     assert(d.result.metadata['x402.version'] === '2.0', 'V2 metadata');
     assert(d.result.metadata['x402.siwx.active'] === true, 'SIWx session created');
-    const filePart = d.result.status.message.parts.find(p => p.kind === 'file');
+    const filePart = d.result.artifacts[0].parts.find(p => p.kind === 'file');
     assert(filePart, 'Has file part (screenshot)');
-    assert(filePart.mimeType === 'image/png', 'PNG mime type');
-    console.log(`    (Screenshot: ${Math.round(filePart.data.length * 3/4 / 1024)}KB)`);
+    assert(filePart.file.mimeType === 'image/png', 'PNG mime type');
+    assert(filePart.file.bytes || filePart.file.uri, 'Inline bytes or a download link');
   } else {
     console.log(`    (Expected: SnapAPI may not be running: ${d.result.status.message.parts[0].text})`);
   }
 });
 
-await test('SIWx: session recorded after payment', async () => {
-  const r = await fetch(`${BASE}/api/siwx`);
-  const d = await r.json();
-  // After the paid screenshot test, the wallet should be in sessions
-  const session = d.sessions.find(s => s.wallet === '0xtestwallet123');
+async function analysisEntitlement() {
+  const d = await (await fetch(`${BASE}/api/siwx`)).json();
+  return d.sessions.find(s => s.wallet === payer.address.toLowerCase())?.entitlements.find(e => e.skill === 'ai-analysis');
+}
+
+await test('SIWx: entitlement recorded after settled payment', async () => {
+  // Pay three runs' worth for ai-analysis (prepaid policy): one runs now, two are banked
+  const payload = await signPayment(await baseAccept('/x402/ai-analysis'), { value: '30000' });
+  const paid = await sendAnalysis('siwx-prepay', payload);
+  assert(paid.result.status.state === 'completed', `Paid state: ${paid.result.status.state}`);
+  assert(paid.result.metadata['x402.siwx.entitlement'].balance === '20000', `Task entitlement: ${JSON.stringify(paid.result.metadata['x402.siwx.entitlement'])}`);
+  const d = await (await fetch(`${BASE}/api/siwx`)).json();
+  const session = d.sessions.find(s => s.wallet === payer.address.toLowerCase());
   assert(session, `SIWx session found for test wallet (sessions: ${d.total})`);
-  assert(session.skills.includes('screenshot'), 'Screenshot skill recorded');
+  assert(session.skills.includes('ai-analysis'), 'ai-analysis skill recorded');
+  const entitlement = await analysisEntitlement();
+  assert(entitlement.balance === '20000', `Balance: ${entitlement.balance}`);
+  assert(Date.parse(entitlement.expiresAt) > Date.now(), `Expires: ${entitlement.expiresAt}`);
+  assert(d.policies['ai-analysis'].prepaid === true, 'Policies are listed');
 });
 
-await test('SIWx: session access bypasses payment', async () => {
-  const r = await fetch(BASE, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      jsonrpc: '2.0', id: 'test-siwx',
-      method: 'message/send',
-      params: {
-        message: {
-          messageId: 'msg-siwx', role: 'user', kind: 'message',
-          parts: [{ kind: 'text', text: 'Take a screenshot of https://example.com' }],
-          metadata: { 'x402.siwx.wallet': '0xTestWallet123' },
-        },
-        configuration: { blocking: true },
-      },
-    }),
-  });
-  const d = await r.json();
+await test('SIWx: session access bypasses payment and draws down the balance', async () => {
+  const { token } = await siwxSignIn();
+  assert(token, 'Signed in');
+  const d = await sendAnalysis('siwx-access', null, { 'x402.siwx.token': token });
   assert(d.result, 'Has result');
-  // Should execute directly (completed or failed) without payment-required
   const state = d.result.status.state;
   assert(state === 'completed' || state === 'failed', `SIWx access state: ${state} (should not be input-required)`);
-  assert(state !== 'input-required', 'SIWx should bypass payment');
+  const entitlement = await analysisEntitlement();
+  assert(entitlement.balance === '10000', `Balance after one re-run: ${entitlement.balance}`);
+  assert(entitlement.accesses === 1, `Accesses: ${entitlement.accesses}`);
+});
+
+await test('SIWx: exhausted balance requires payment again', async () => {
+  const { token } = await siwxSignIn();
+  const second = await sendAnalysis('siwx-access-2', null, { 'x402.siwx.token': token });
+  assert(second.result.status.state !== 'input-required', 'Second banked run allowed');
+  const third = await sendAnalysis('siwx-access-3', null, { 'x402.siwx.token': token });
+  assert(third.result.status.state === 'input-required', `Third run state: ${third.result.status.state}`);
+});
+
+await test('SIWx: a REST payment buys REST re-runs with the session token', async () => {
+  const rerunner = Wallet.createRandom();
+  const analyze = (headers) => fetch(`${BASE}/x402/ai-analysis`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ content: 'Summarize agent payments' }),
+  });
+  // Three runs' worth for a prepaid skill: one runs now, two are banked
+  const paid = await analyze({ 'Payment-Signature': await paymentHeader('/x402/ai-analysis', { wallet: rerunner, value: '30000' }) });
+  assert(paid.status === 200, `Paid status: ${paid.status}`);
+  const { token } = await siwxSignIn(rerunner);
+  assert((await analyze({ Authorization: `Bearer ${token}` })).status === 200, 'First banked re-run');
+  assert((await analyze({ Authorization: `Bearer ${token}` })).status === 200, 'Second banked re-run');
+  const exhausted = await analyze({ Authorization: `Bearer ${token}` });
+  assert(exhausted.status === 402, `Exhausted status: ${exhausted.status}`);
+  const { payments: log } = await (await fetch(`${BASE}/api/payments`)).json();
+  const payments = log.filter(p => p.type === 'siwx-access' && p.wallet.toLowerCase() === rerunner.address.toLowerCase());
+  assert(payments.length === 2 && payments.every(p => p.skill === 'ai-analysis'), `siwx-access events: ${JSON.stringify(payments)}`);
 });
 
-await test('SIWx: unknown wallet still requires payment', async () => {
+await test('SIWx: claiming a paid wallet without signing in still requires payment', async () => {
   const r = await fetch(BASE, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
@@ -248,14 +357,50 @@ await test('SIWx: unknown wallet still requires payment', async () => {
         message: {
           messageId: 'msg-siwx-unknown', role: 'user', kind: 'message',
           parts: [{ kind: 'text', text: 'Take a screenshot of https://example.com' }],
-          metadata: { 'x402.siwx.wallet': '0xUnknownWallet' },
+          metadata: { 'x402.siwx.wallet': payer.address, 'x402.siwx.token': 'forged-token' },
         },
         configuration: { blocking: true },
       },
     }),
   });
   const d = await r.json();
-  assert(d.result.status.state === 'input-required', `Unknown wallet should require payment: ${d.result.status.state}`);
+  assert(d.result.status.state === 'input-required', `Unauthenticated wallet claim should require payment: ${d.result.status.state}`);
+});
+
+await test('SIWx: challenge advertises CAIP-122 parameters', async () => {
+  const d = await (await fetch(`${BASE}/siwx/challenge?address=${payer.address}&chainId=2046399126`)).json();
+  assert(d.nonce && d.nonce.length >= 16, `Nonce: ${d.nonce}`);
+  assert(d.version === '1', `Version: ${d.version}`);
+  assert(d.chainId === 2046399126, `Chain: ${d.chainId}`);
+  assert(d.message.includes(`wants you to sign in with your Ethereum account:\n${payer.address}`), 'Message names the address');
+  assert(d.message.includes(`Nonce: ${d.nonce}`), 'Message carries the nonce');
+  const payReq = await (await fetch(`${BASE}/x402/screenshot`)).json();
+  const ext = payReq.extensions['sign-in-with-x'];
+  assert(ext.info.nonce && ext.info.domain && ext.info.uri, 'Payment requirements advertise a live challenge');
+  assert(ext.challengeEndpoint.endsWith('/siwx/challenge'), `Challenge endpoint: ${ext.challengeEndpoint}`);
+});
+
+await test('SIWx: signature from another wallet is rejected', async () => {
+  const challenge = await (await fetch(`${BASE}/siwx/challenge?address=${payer.address}`)).json();
+  const signature = await Wallet.createRandom().signMessage(challenge.message);
+  const r = await fetch(`${BASE}/siwx/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: challenge.message, signature }),
+  });
+  assert(r.status === 401, `Status: ${r.status}`);
+  const d = await r.json();
+  assert(d.error === 'INVALID_SIGNATURE', `Error: ${d.error}`);
+});
+
+await test('SIWx: a challenge nonce can only be used once', async () => {
+  const challenge = await (await fetch(`${BASE}/siwx/challenge?address=${payer.address}`)).json();
+  const body = JSON.stringify({ message: challenge.message, signature: await payer.signMessage(challenge.message) });
+  const verify = () => fetch(`${BASE}/siwx/verify`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+  assert((await verify()).status === 200, 'First sign-in succeeds');
+  const r2 = await verify();
+  assert(r2.status === 401, `Replayed sign-in status: ${r2.status}`);
+  assert((await r2.json()).error === 'INVALID_NONCE', 'Replay rejected as INVALID_NONCE');
 });
 
 await test('A2A tasks/get returns task', async () => {
@@ -313,6 +458,60 @@ await test('A2A tasks/cancel works', async () => {
   });
   const d2 = await r2.json();
   assert(d2.result.status.state === 'canceled', 'Task canceled');
+
+  // Terminal tasks cannot be canceled again (TaskNotCancelableError)
+  const r3 = await fetch(BASE, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 'cancel-again', method: 'tasks/cancel', params: { id: taskId } }),
+  });
+  const d3 = await r3.json();
+  assert(d3.error?.code === -32002, `Second cancel: ${JSON.stringify(d3.error)}`);
+  assert(d3.error.data.state === 'canceled', 'Error reports the current state');
+
+  // ...and a payment submitted for the canceled task is refused without being verified
+  const r4 = await fetch(BASE, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0', id: 'cancel-pay', method: 'message/send',
+      params: { message: {
+        messageId: 'msg-cancel-pay', role: 'user', kind: 'message', taskId,
+        parts: [{ kind: 'text', text: 'Payment' }],
+        metadata: { 'x402.payment.status': 'payment-submitted', 'x402.payment.payload': await signPayment(d1.result.metadata['x402.accepts'][0]) },
+      } },
+    }),
+  });
+  const d4 = await r4.json();
+  assert(d4.error?.code === -32602, `Payment for canceled task: ${JSON.stringify(d4.error)}`);
+  const events = await (await fetch(`${BASE}/api/payments?taskId=${taskId}`)).json();
+  assert(!events.payments.some(e => e.type === 'payment-verified'), 'No payment verified for the canceled task');
+});
+
+await test('A2A tasks/cancel: finished tasks are not cancelable', async () => {
+  const r1 = await fetch(BASE, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0', id: 'cancel-done', method: 'message/send',
+      params: { message: { messageId: 'msg-cancel-done', role: 'user', kind: 'message', parts: [{ kind: 'text', text: '# Done' }] } },
+    }),
+  });
+  const task = (await r1.json()).result;
+  assert(['completed', 'failed'].includes(task.status.state), `Free task finished: ${task.status.state}`);
+  const r2 = await fetch(BASE, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 'cancel-done-2', method: 'tasks/cancel', params: { id: task.id } }),
+  });
+  const d2 = await r2.json();
+  assert(d2.error?.code === -32002, `Cancel finished task: ${JSON.stringify(d2.error)}`);
+  const after = await (await fetch(BASE, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 'cancel-done-3', method: 'tasks/get', params: { id: task.id } }),
+  })).json();
+  assert(after.result.status.state === task.status.state, 'State unchanged');
 });
 
 await test('Invalid JSON-RPC returns error', async () => {
@@ -413,8 +612,8 @@ await test('REST: POST /x402/screenshot without Payment-Signature returns 402',
 await test('REST: POST /x402/screenshot with Payment-Signature returns image', async () => {
   const r = await fetch(`${BASE}/x402/screenshot`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'Payment-Signature': '0xdemo_payment_sig' },
-    body: JSON.stringify({ url: 'https://example.com', payer: '0xRestTestWallet' }),
+    headers: { 'Content-Type': 'application/json', 'Payment-Signature': await paymentHeader('/x402/screenshot') },
+    body: JSON.stringify({ url: 'https://example.com' }),
   });
   const state = r.status;
   assert(state === 200 || state === 500, `Status: ${state}`);
@@ -466,6 +665,239 @@ await test('REST: x402 catalog includes REST endpoints', async () => {
   assert(d.rest.endpoints.some(e => e.path === '/x402/html'), 'Has HTML REST');
 });
 
+// === x402 payment verification (EIP-3009) ===
+
+async function postCodeScan(paymentSignature) {
+  return fetch(`${BASE}/x402/code-scan`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Payment-Signature': paymentSignature },
+    body: JSON.stringify({ code: 'console.log("hi")', language: 'javascript' }),
+  });
+}
+
+await test('Payment: unsigned Payment-Signature rejected with INVALID_SIGNATURE', async () => {
+  const r = await postCodeScan('0xdemo_payment');
+  assert(r.status === 402, `Status: ${r.status}`);
+  const d = await r.json();
+  assert(d.error === 'INVALID_SIGNATURE', `Error: ${d.error}`);
+  assert(Array.isArray(d.accepts), 'Still returns payment requirements');
+});
+
+await test('Payment: signature from a different key rejected with INVALID_SIGNATURE', async () => {
+  const payload = await signPayment(await baseAccept('/x402/code-scan'));
+  payload.payload.authorization.from = Wallet.createRandom().address;
+  const d = await (await postCodeScan(encodePayment(payload))).json();
+  assert(d.error === 'INVALID_SIGNATURE', `Error: ${d.error}`);
+});
+
+await test('Payment: underpayment rejected with INVALID_AMOUNT', async () => {
+  const r = await postCodeScan(await paymentHeader('/x402/code-scan', { value: '49999' }));
+  assert(r.status === 402, `Status: ${r.status}`);
+  const d = await r.json();
+  assert(d.error === 'INVALID_AMOUNT', `Error: ${d.error}`);
+});
+
+await test('Payment: expired authorization rejected with EXPIRED_PAYMENT', async () => {
+  const r = await postCodeScan(await paymentHeader('/x402/code-scan', { validBefore: Math.floor(Date.now() / 1000) - 60 }));
+  const d = await r.json();
+  assert(d.error === 'EXPIRED_PAYMENT', `Error: ${d.error}`);
+});
+
+await test('Payment: unadvertised network rejected with NETWORK_MISMATCH', async () => {
+  const r = await postCodeScan(await paymentHeader('/x402/code-scan', { network: 'eip155:1' }));
+  const d = await r.json();
+  assert(d.error === 'NETWORK_MISMATCH', `Error: ${d.error}`);
+});
+
+await test('Payment: A2A task fails with x402.payment.error on bad signature', async () => {
+  const r = await fetch(BASE, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0', id: 'test-bad-sig',
+      method: 'message/send',
+      params: {
+        message: {
+          messageId: 'msg-bad-sig', role: 'user', kind: 'message',
+          parts: [{ kind: 'text', text: 'Take a screenshot of https://example.com' }],
+          metadata: { 'x402.payment.payload': { scheme: 'exact', network: 'eip155:8453', signature: '0xfake', from: '0xTestWallet123' } },
+        },
+      },
+    }),
+  });
+  const d = await r.json();
+  assert(d.result.status.state === 'failed', `State: ${d.result.status.state}`);
+  assert(d.result.metadata['x402.payment.status'] === 'payment-failed', `Status: ${d.result.metadata['x402.payment.status']}`);
+  assert(d.result.metadata['x402.payment.error'] === 'INVALID_SIGNATURE', `Error: ${d.result.metadata['x402.payment.error']}`);
+});
+
+// === SIWx entitlements (in-process, offline) ===
+
+await test('Entitlements: uses run out', async () => {
+  const store = createEntitlementStore({}, { policies: { screenshot: { uses: 2 } } });
+  store.grant(payer.address, 'screenshot');
+  assert(store.consume(payer.address, 'screenshot').allowed, 'First re-run');
+  assert(store.consume(payer.address, 'screenshot').entitlement.remainingUses === 0, 'Second re-run leaves 0');
+  const third = store.consume(payer.address, 'screenshot');
+  assert(!third.allowed && third.reason === 'USES_EXHAUSTED', `Third: ${third.reason}`);
+  store.grant(payer.address, 'screenshot');
+  assert(store.consume(payer.address, 'screenshot').allowed, 'Paying again restores uses');
+});
+
+await test('Entitlements: TTL expires access', async () => {
+  const store = createEntitlementStore({}, { policies: { screenshot: { ttlSeconds: 60 } } });
+  const now = Date.now();
+  store.grant(payer.address, 'screenshot', { now });
+  assert(store.consume(payer.address, 'screenshot', { now: now + 59_000 }).allowed, 'Within TTL');
+  const late = store.consume(payer.address, 'screenshot', { now: now + 61_000 });
+  assert(!late.allowed && late.reason === 'EXPIRED', `After TTL: ${late.reason}`);
+  assert(store.consume(payer.address, 'pdf').reason === 'NO_ENTITLEMENT', 'Unpaid skill');
+});
+
+await test('Entitlements: prepaid surplus is drawn down per run', async () => {
+  const store = createEntitlementStore({}, { policies: { 'code-scan': { prepaid: true } } });
+  const granted = store.grant(payer.address, 'code-scan', { amount: '150000', price: '50000' });
+  assert(granted.balance === '100000', `Balance: ${granted.balance}`);
+  assert(store.consume(payer.address, 'code-scan', { price: '50000' }).entitlement.balance === '50000', 'First draw');
+  assert(store.consume(payer.address, 'code-scan', { price: '50000' }).entitlement.balance === '0', 'Second draw');
+  const dry = store.consume(payer.address, 'code-scan', { price: '50000' });
+  assert(!dry.allowed && dry.reason === 'BALANCE_EXHAUSTED', `Empty: ${dry.reason}`);
+});
+
+await test('Entitlements: legacy perpetual sessions migrate under the current policy', async () => {
+  const lastPayment = new Date().toISOString();
+  const store = createEntitlementStore({ '0xabc': { skills: ['screenshot'], lastPayment } }, { policies: { screenshot: { ttlSeconds: 3600, uses: 5 } } });
+  const [session] = store.list();
+  assert(session.wallet === '0xabc', `Wallet: ${session.wallet}`);
+  assert(session.entitlements[0].remainingUses === 5, `Uses: ${session.entitlements[0].remainingUses}`);
+  assert(Date.parse(session.entitlements[0].expiresAt) === Date.parse(lastPayment) + 3600_000, 'Expiry dated from last payment');
+  const restored = createEntitlementStore(JSON.parse(JSON.stringify(store)), {});
+  assert(restored.list()[0].entitlements[0].remainingUses === 5, 'Round-trips through toJSON');
+});
+
+await test('Entitlements: SIWX_ENTITLEMENTS overrides are checked when parsed', async () => {
+  assert(parsePolicies('{"screenshot":{"ttlSeconds":600,"uses":3}}').screenshot.uses === 3, 'Valid overrides parse');
+  const errorOf = (json) => { try { parsePolicies(json); return null; } catch (err) { return err.message; } };
+  assert(errorOf('{screenshot').startsWith('SIWX_ENTITLEMENTS is not valid JSON'), `Malformed: ${errorOf('{screenshot')}`);
+  assert(errorOf('[]') === 'SIWX_ENTITLEMENTS must be a JSON object of skill policies', `Array: ${errorOf('[]')}`);
+  assert(errorOf('{"screenshot":{"uses":"3"}}') === 'SIWX_ENTITLEMENTS: "screenshot".uses must be a positive integer', 'String uses');
+  assert(errorOf('{"screenshot":{"ttlSeconds":-1}}').includes('ttlSeconds'), 'Negative TTL');
+  assert(errorOf('{"code-scan":{"prepaid":"yes"}}').includes('prepaid'), 'Non-boolean prepaid');
+});
+
+// === Facilitator adapter (in-process mock, offline) ===
+
+await test('Facilitator: mock verifies and settles a valid payment', async () => {
+  const mock = createMockFacilitator();
+  const accept = await baseAccept('/x402/code-scan');
+  const payload = await signPayment(accept);
+  const check = await mock.verify(payload, accept);
+  assert(check.isValid === true, `Verify: ${check.invalidReason}`);
+  const settled = await mock.settle(payload, accept);
+  assert(settled.success === true, `Settle: ${settled.errorReason}`);
+  assert(/^0x[0-9a-f]{64}$/.test(settled.transaction), `Transaction: ${settled.transaction}`);
+  assert(settled.payer === payer.address, `Payer: ${settled.payer}`);
+  assert(settled.network === 'eip155:8453', `Network: ${settled.network}`);
+});
+
+await test('Facilitator: mock reports every spec failure code', async () => {
+  const accept = await baseAccept('/x402/code-scan');
+  const mock = createMockFacilitator();
+  const codes = {};
+
+  const forged = await signPayment(accept);
+  forged.payload.signature = (await signPayment(accept)).payload.signature; // signed over a different nonce
+  codes.INVALID_SIGNATURE = (await mock.verify(forged, accept)).invalidReason;
+  codes.INVALID_AMOUNT = (await mock.verify(await signPayment(accept, { value: '1' }), accept)).invalidReason;
+  codes.EXPIRED_PAYMENT = (await mock.verify(await signPayment(accept, { validBefore: 1 }), accept)).invalidReason;
+  codes.NETWORK_MISMATCH = (await mock.verify(await signPayment(accept, { network: 'eip155:1' }), accept)).invalidReason;
+
+  const poor = Wallet.createRandom();
+  mock.setBalance(poor.address, 0);
+  codes.INSUFFICIENT_FUNDS = (await mock.settle(await signPayment(accept, { wallet: poor }), accept)).errorReason;
+
+  const replayed = await signPayment(accept);
+  await mock.settle(replayed, accept);
+  codes.DUPLICATE_NONCE = (await mock.settle(replayed, accept)).errorReason;
+
+  mock.failNextSettlement();
+  codes.SETTLEMENT_FAILED = (await mock.settle(await signPayment(accept), accept)).errorReason;
+
+  for (const [expected, actual] of Object.entries(codes)) assert(actual === expected, `Expected ${expected}, got ${actual}`);
+});
+
+await test('Facilitator: remote error reasons map onto spec codes', async () => {
+  assert(normalizeReason('insufficient_funds', 'X') === 'INSUFFICIENT_FUNDS');
+  assert(normalizeReason('invalid_exact_evm_payload_signature', 'X') === 'INVALID_SIGNATURE');
+  assert(normalizeReason('invalid_exact_evm_payload_authorization_valid_before', 'X') === 'EXPIRED_PAYMENT');
+  assert(normalizeReason('something_else', 'SETTLEMENT_FAILED') === 'SETTLEMENT_FAILED');
+});
+
+// === Replay protection and payment-identifier idempotency ===
+
+await test('Replay: reusing a REST authorization returns DUPLICATE_NONCE', async () => {
+  const header = await paymentHeader('/x402/code-scan');
+  const r1 = await postCodeScan(header);
+  assert(r1.status === 200, `First status: ${r1.status}`);
+  const r2 = await postCodeScan(header);
+  assert(r2.status === 402, `Replay status: ${r2.status}`);
+  const d2 = await r2.json();
+  assert(d2.error === 'DUPLICATE_NONCE', `Error: ${d2.error}`);
+});
+
+await test('Replay: reusing an A2A authorization fails the task with DUPLICATE_NONCE', async () => {
+  const payload = await signPayment(await baseAccept('/x402/ai-analysis'));
+  const d1 = await sendAnalysis('replay-1', payload);
+  assert(d1.result.status.state === 'completed', `First state: ${d1.result.status.state}`);
+  const d2 = await sendAnalysis('replay-2', payload);
+  assert(d2.result.status.state === 'failed', `Replay state: ${d2.result.status.state}`);
+  assert(d2.result.metadata['x402.payment.error'] === 'DUPLICATE_NONCE', `Error: ${d2.result.metadata['x402.payment.error']}`);
+});
+
+await test('Idempotency: REST retry with same Payment-Identifier returns cached result', async () => {
+  const paymentId = `pay-${Date.now()}`;
+  const post = async () => fetch(`${BASE}/x402/code-scan`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Payment-Signature': await paymentHeader('/x402/code-scan'), 'Payment-Identifier': paymentId },
+    body: JSON.stringify({ code: 'eval(userInput)', language: 'javascript' }),
+  });
+  const r1 = await post();
+  assert(r1.status === 200, `First status: ${r1.status}`);
+  const d1 = await r1.json();
+  const r2 = await post();
+  assert(r2.status === 200, `Retry status: ${r2.status}`);
+  assert(r2.headers.get('x-payment-replayed') === 'true', 'Retry marked as replayed');
+  const d2 = await r2.json();
+  assert(d2.payment.txHash === d1.payment.txHash, 'Retry was not charged again');
+});
+
+await test('Idempotency: A2A retry with same payment identifier returns the first task', async () => {
+  const accept = await baseAccept('/x402/ai-analysis');
+  const first = { ...(await signPayment(accept)), extensions: { 'payment-identifier': { id: `a2a-${Date.now()}` } } };
+  const d1 = await sendAnalysis('idem-1', first);
+  assert(d1.result.status.state === 'completed', `First state: ${d1.result.status.state}`);
+  const retry = { ...(await signPayment(accept)), extensions: first.extensions };
+  const d2 = await sendAnalysis('idem-2', retry);
+  assert(d2.result.id === d1.result.id, `Same task returned: ${d2.result.id} vs ${d1.result.id}`);
+  assert(d2.result.metadata['x402.txHash'] === d1.result.metadata['x402.txHash'], 'Same settlement');
+});
+
+await test('Idempotency: an identifier reused across A2A and REST does not cross surfaces', async () => {
+  const paymentId = `cross-${Date.now()}`;
+  const restPost = async () => fetch(`${BASE}/x402/code-scan`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Payment-Signature': await paymentHeader('/x402/code-scan'), 'Payment-Identifier': paymentId },
+    body: JSON.stringify({ code: 'eval(userInput)', language: 'javascript' }),
+  });
+  const r1 = await restPost();
+  assert(r1.status === 200, `REST status: ${r1.status}`);
+  const accept = await baseAccept('/x402/ai-analysis');
+  const d = await sendAnalysis('cross-a2a', { ...(await signPayment(accept)), extensions: { 'payment-identifier': { id: paymentId } } });
+  assert(d.result?.status.state === 'completed', `A2A ran on its own: ${JSON.stringify(d)}`);
+  const r2 = await restPost();
+  assert(r2.status === 200 && r2.headers.get('x-payment-replayed') === 'true', `REST retry replayed: ${r2.status}`);
+});
+
 // === Gemini / Google AI Studio tests ===
 
 await test('Gemini: GET /gemini returns service info', async () => {
@@ -612,7 +1044,7 @@ await test('Google x402 Ext: payment-completed includes x402.payment.receipts',
           parts: [{ kind: 'text', text: 'Take a screenshot of https://example.com' }],
           metadata: {
             'x402.payment.status': 'payment-submitted',
-            'x402.payment.payload': { scheme: 'exact', network: 'eip155:8453', signature: '0xgoogletest', from: '0xGoogleTestWallet' },
+            'x402.payment.payload': await signPayment(await baseAccept('/x402/screenshot')),
           },
         },
       },
@@ -672,7 +1104,7 @@ await test('Google x402 Ext: correlated payment via taskId', async () => {
           parts: [{ kind: 'text', text: 'Here is the payment authorization.' }],
           metadata: {
             'x402.payment.status': 'payment-submitted',
-            'x402.payment.payload': { scheme: 'exact', network: 'eip155:8453', signature: '0xcorrelatedpayment', from: '0xCorrelatedWallet' },
+            'x402.payment.payload': await signPayment(d1.result.metadata['x402.accepts'][0]),
           },
         },
       },
@@ -907,7 +1339,7 @@ await test('Code Scan: GET /x402/code-scan returns 402 with $0.05 price', async
 await test('Code Scan: clean code returns 0 vulnerabilities', async () => {
   const r = await fetch(`${BASE}/x402/code-scan`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'Payment-Signature': '0xdemo_payment' },
+    headers: { 'Content-Type': 'application/json', 'Payment-Signature': await paymentHeader('/x402/code-scan') },
     body: JSON.stringify({
       code: 'function add(a, b) { return a + b; }\nconsole.log(add(1, 2));',
       language: 'javascript',
@@ -919,12 +1351,15 @@ await test('Code Scan: clean code returns 0 vulnerabilities', async () => {
   assert(d.score === 100, `Score: ${d.score}`);
   assert(d.summary.includes('No security vulnerabilities'), `Summary: ${d.summary}`);
   assert(d.payment.settled === true, 'Payment settled');
+  assert(/^0x[0-9a-f]{64}$/.test(d.payment.txHash), `Facilitator tx hash: ${d.payment.txHash}`);
+  assert(d.payment.payer === payer.address, `Payer: ${d.payment.payer}`);
+  assert(d.payment.network === 'eip155:8453', `Network: ${d.payment.network}`);
 });
 
 await test('Code Scan: SQL injection detected', async () => {
   const r = await fetch(`${BASE}/x402/code-scan`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'Payment-Signature': '0xdemo_payment' },
+    headers: { 'Content-Type': 'application/json', 'Payment-Signature': await paymentHeader('/x402/code-scan') },
     body: JSON.stringify({
       code: 'const q = "SELECT * FROM users WHERE id=" + userId;\ndb.query(q);',
       language: 'javascript',
@@ -940,7 +1375,7 @@ await test('Code Scan: SQL injection detected', async () => {
 await test('Code Scan: XSS detected', async () => {
   const r = await fetch(`${BASE}/x402/code-scan`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'Payment-Signature': '0xdemo_payment' },
+    headers: { 'Content-Type': 'application/json', 'Payment-Signature': await paymentHeader('/x402/code-scan') },
     body: JSON.stringify({
       code: 'document.getElementById("output").innerHTML = userInput;\ndocument.write(data);',
       language: 'javascript',
@@ -955,7 +1390,7 @@ await test('Code Scan: XSS detected', async () => {
 await test('Code Scan: hardcoded secrets detected', async () => {
   const r = await fetch(`${BASE}/x402/code-scan`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'Payment-Signature': '0xdemo_payment' },
+    headers: { 'Content-Type': 'application/json', 'Payment-Signature': await paymentHeader('/x402/code-scan') },
     body: JSON.stringify({
       code: 'const apiKey = "sk-1234567890abcdefghijklmnop";\nconst password = "super_secret_pass123";',
       language: 'javascript',
@@ -983,6 +1418,15 @@ await test('Code Scan: invalid input returns 400', async () => {
     body: JSON.stringify({ code: 12345 }),
   });
   assert(r2.status === 400, `Status (non-string): ${r2.status}`);
+
+  // Longer than the registry schema allows (the same bound A2A invocations get)
+  const r3 = await fetch(`${BASE}/x402/code-scan`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Payment-Signature': '0xdemo_payment' },
+    body: JSON.stringify({ code: 'x'.repeat(100001) }),
+  });
+  assert(r3.status === 400, `Status (too long): ${r3.status}`);
+  assert((await r3.json()).error === 'code must be at most 100000 characters', 'Schema bound');
 });
 
 await test('Code Scan: POST without Payment-Signature returns 402', async () => {
@@ -1003,6 +1447,19 @@ await test('Code Scan: bazaar includes code-scan service', async () => {
   assert(codeScan.endpoints.rest === '/x402/code-scan', `Endpoint: ${codeScan.endpoints.rest}`);
 });
 
+await test('Bazaar: services mirror the registry, schemas included', async () => {
+  const d = await (await fetch(`${BASE}/x402/bazaar`)).json();
+  const registry = await loadPricingRegistry(new URL('./pricing.json', import.meta.url).pathname);
+  assert(d.services.map(s => s.id).join() === registry.list().map(s => s.id).join(), `Services: ${d.services.map(s => s.id)}`);
+  for (const skill of registry.list()) {
+    const service = d.services.find(s => s.id === skill.id);
+    assert(service.name === skill.name && service.output.type === skill.mimeType, `${skill.id}: ${JSON.stringify(service)}`);
+    assert(JSON.stringify(service.input.schema) === JSON.stringify(skill.bazaar?.schema || null), `${skill.id} schema`);
+  }
+  assert(d.services.find(s => s.id === 'x402-test').test === true, 'Test flow flagged');
+  assert(d.services.find(s => s.id === 'markdown-to-html').chains[0].caip2 === 'none', 'Free skill needs no chain');
+});
+
 await test('Code Scan: agent card includes code-scan skill', async () => {
   const r = await fetch(`${BASE}/.well-known/agent-card.json`);
   const d = await r.json();
@@ -1012,5 +1469,1190 @@ await test('Code Scan: agent card includes code-scan skill', async () => {
   assert(scanSkill.description.includes('$0.05'), 'Description mentions $0.05');
 });
 
+// === Pricing registry ===
+
+await test('Pricing: registry converts decimal prices and rejects bad entries', async () => {
+  const registry = createPricingRegistry({ skills: { a: { price: '0.005' }, b: { price: '0', requiresPayment: false } } });
+  assert(registry.get('a').amount === '5000', `Atomic: ${registry.get('a').amount}`);
+  assert(registry.priceLabel('a') === '$0.005', `Label: ${registry.priceLabel('a')}`);
+  assert(registry.priceLabel('b') === 'free', `Free label: ${registry.priceLabel('b')}`);
+  assert(toAtomic('1.5', 6) === '1500000', 'Whole + fraction');
+  let threw = false;
+  try { createPricingRegistry({ skills: { bad: { price: '$0.01' } } }); } catch { threw = true; }
+  assert(threw, 'Non-decimal price rejected');
+});
+
+await test('Pricing: every surface shows the registry price', async () => {
+  const registry = await loadPricingRegistry(new URL('./pricing.json', import.meta.url).pathname);
+  const info = await (await fetch(`${BASE}/api/info`)).json();
+  const bazaar = await (await fetch(`${BASE}/x402/bazaar`)).json();
+  const stats = await (await fetch(`${BASE}/stats`)).json();
+  const card = await (await fetch(`${BASE}/.well-known/agent-card.json`)).json();
+  for (const skill of registry.list()) {
+    const label = registry.priceLabel(skill.id);
+    assert(info.payments.services[skill.id] === label, `/api/info ${skill.id}: ${info.payments.services[skill.id]}`);
+    assert(bazaar.services.find(s => s.id === skill.id).price.amount === skill.price, `bazaar ${skill.id}`);
+    assert(stats.services.find(s => s.id === skill.id).price === label, `/stats ${skill.id}`);
+    if (skill.requiresPayment) {
+      const payReq = await (await fetch(`${BASE}/x402/${skill.id === 'markdown-to-pdf' ? 'pdf' : skill.id === 'x402-test' ? 'test' : skill.id}`)).json();
+      assert(payReq.accepts[0].maxAmountRequired === skill.amount, `402 ${skill.id}: ${payReq.accepts[0].maxAmountRequired}`);
+      assert(card.skills.find(s => s.id === skill.id).description.includes(label), `Agent card ${skill.id}`);
+    }
+  }
+});
+
+await test('Pricing: revenue includes settled code-scan payments', async () => {
+  const stats = await (await fetch(`${BASE}/stats`)).json();
+  const codeScan = stats.payments.revenue.bySkill['code-scan'];
+  assert(codeScan && codeScan.count > 0, `code-scan revenue: ${JSON.stringify(codeScan)}`);
+  assert(codeScan.amount === (0.05 * codeScan.count).toFixed(4), `Amount: ${codeScan.amount} for ${codeScan.count} scans`);
+  assert(stats.payments.revenue.unpricedSkills.length === 0, `Unpriced: ${stats.payments.revenue.unpricedSkills}`);
+});
+
+// === Dynamic pricing (quotes by input size) ===
+
+await test('Pricing: quotes add size rules on top of the base price', async () => {
+  const registry = createPricingRegistry({ skills: {
+    scan: { price: '0.05', rules: [{ per: 'line', field: 'code', rate: '0.01', size: 500, included: 500 }], maxPrice: '0.10' },
+    shot: { price: '0.01', rules: [{ per: 'viewport', rate: '0.005', included: 2 }] },
+  } });
+  assert(registry.quote('scan', { code: 'x' }).amount === '50000', 'Small input costs the base price');
+  const big = registry.quote('scan', { code: 'x\n'.repeat(1199) });
+  assert(big.amount === '70000' && big.price === '$0.07', `1200 lines: ${big.price}`);
+  assert(big.charges[0].units === 1200 && big.charges[0].billable === 2, `Charges: ${JSON.stringify(big.charges)}`);
+  const huge = registry.quote('scan', { code: 'x\n'.repeat(50000) });
+  assert(huge.amount === '100000' && huge.capped, `Capped: ${huge.price}`);
+  assert(registry.quote('shot', { width: 1920, height: 1080 }).price === '$0.015', '3 MP viewport adds one block');
+});
+
+const LARGE_CODE = 'const a = 1;\n'.repeat(1200);
+
+await test('Pricing: REST 402 quotes the submitted input', async () => {
+  const r = await fetch(`${BASE}/x402/code-scan`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code: LARGE_CODE }),
+  });
+  assert(r.status === 402, `Status: ${r.status}`);
+  const d = await r.json();
+  assert(d.accepts[0].maxAmountRequired === '70000', `Quoted: ${d.accepts[0].maxAmountRequired}`);
+  assert(d.quote.charges[0].per === 'line', `Quote: ${JSON.stringify(d.quote)}`);
+});
+
+await test('Pricing: REST underpayment for a large input is rejected', async () => {
+  const accept = await baseAccept('/x402/code-scan');
+  const body = JSON.stringify({ code: LARGE_CODE });
+  const r = await fetch(`${BASE}/x402/code-scan`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Payment-Signature': encodePayment(await signPayment(accept)) },
+    body,
+  });
+  assert(r.status === 402, `Status: ${r.status}`);
+  assert((await r.json()).error === 'INVALID_AMOUNT', 'Base price does not cover the quote');
+  const paid = await fetch(`${BASE}/x402/code-scan`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Payment-Signature': encodePayment(await signPayment(accept, { value: '70000' })) },
+    body,
+  });
+  assert(paid.status === 200, `Quoted payment status: ${paid.status}`);
+});
+
+await test('Pricing: A2A quote is bound to the task', async () => {
+  const content = 'Analyze: ' + 'agents paying agents '.repeat(600);
+  const send = (id, extra = {}) => fetch(BASE, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0', id, method: 'message/send',
+      params: { message: { messageId: `msg-${id}`, role: 'user', kind: 'message', parts: [{ kind: 'text', text: content }], ...extra } },
+    }),
+  }).then(r => r.json());
+  const quoted = await send('quote-1');
+  const taskId = quoted.result.id;
+  const quote = quoted.result.metadata['x402.quote'];
+  assert(BigInt(quote.amount) > 10000n, `Long prompt quote: ${quote.price}`);
+  const accept = quoted.result.metadata['x402.accepts'][0];
+  assert(accept.maxAmountRequired === quote.amount, 'Accepts carry the quote');
+
+  const under = await send('quote-2', {
+    taskId,
+    metadata: { 'x402.payment.status': 'payment-submitted', 'x402.payment.payload': await signPayment(accept, { value: '10000' }) },
+  });
+  assert(under.result.metadata['x402.payment.error'] === 'INVALID_AMOUNT', `Underpayment: ${under.result.metadata['x402.payment.error']}`);
+});
+
+// === upto scheme (post-execution metering) ===
+
+async function uptoAccept() {
+  const d = await (await fetch(`${BASE}/x402/ai-analysis`)).json();
+  return d.accepts.find(a => a.scheme === 'upto' && a.network === 'eip155:8453');
+}
+
+await test('Upto: metered skills advertise an upto option with a minimum and metering rule', async () => {
+  const accept = await uptoAccept();
+  assert(accept, 'ai-analysis offers upto');
+  assert(accept.maxAmountRequired === '100000', `Ceiling: ${accept.maxAmountRequired}`);
+  assert(accept.extra.minAmount === '2000', `Minimum: ${accept.extra.minAmount}`);
+  assert(accept.extra.metering.per === 'token', `Metering: ${JSON.stringify(accept.extra.metering)}`);
+  const screenshot = await (await fetch(`${BASE}/x402/screenshot`)).json();
+  assert(!screenshot.accepts.some(a => a.scheme === 'upto'), 'Unmetered skills stay exact-only');
+});
+
+await test('Upto: metering charges per token block between minimum and ceiling', async () => {
+  const registry = await loadPricingRegistry(new URL('./pricing.json', import.meta.url).pathname);
+  assert(registry.meter('ai-analysis', { totalTokenCount: 2500 }).amount === '6000', '2500 tokens = 3 blocks');
+  assert(registry.meter('ai-analysis', null).amount === '2000', 'No usage reported = minimum');
+  assert(registry.meter('ai-analysis', { promptTokenCount: 10_000_000 }).amount === '100000', 'Capped at maxPrice');
+  assert(registry.meter('screenshot', { totalTokenCount: 10 }) === null, 'Unmetered skill');
+});
+
+await test('Upto: authorization below the minimum charge is rejected', async () => {
+  const accept = await uptoAccept();
+  const result = verifyPayment(await signPayment(accept, { value: '1000' }), [accept]);
+  assert(result.invalidReason === 'INVALID_AMOUNT', `Reason: ${result.invalidReason}`);
+  assert(verifyPayment(await signPayment(accept, { value: '2000' }), [accept]).isValid, 'Minimum authorization accepted');
+});
+
+await test('Upto: mock facilitator settles only the metered amount', async () => {
+  const accept = await uptoAccept();
+  const mock = createMockFacilitator({ defaultBalance: 1_000_000n });
+  const payload = await signPayment(accept, { value: '50000' });
+  const settled = await mock.settle(payload, { ...accept, amount: '6000' });
+  assert(settled.success && settled.amount === '6000', `Settled: ${settled.amount}`);
+  assert(mock.balanceOf(payer.address) === 994_000n, `Balance: ${mock.balanceOf(payer.address)}`);
+  const over = await mock.settle(await signPayment(accept, { value: '5000' }), { ...accept, amount: '6000' });
+  assert(over.errorReason === 'INVALID_AMOUNT', `Charge above authorization: ${over.errorReason}`);
+});
+
+await test('Upto: A2A receipt shows authorized and charged amounts', async () => {
+  const d = await sendAnalysis('upto-a2a', await signPayment(await uptoAccept()));
+  assert(d.result.status.state === 'completed', `State: ${d.result.status.state}`);
+  const [receipt] = d.result.metadata['x402.payment.receipts'];
+  assert(receipt.scheme === 'upto', `Scheme: ${receipt.scheme}`);
+  assert(receipt.authorizedAmount === '100000', `Authorized: ${receipt.authorizedAmount}`);
+  assert(BigInt(receipt.chargedAmount) >= 2000n && BigInt(receipt.chargedAmount) < 100000n, `Charged: ${receipt.chargedAmount}`);
+  assert(typeof receipt.usage.tokens === 'number', `Usage: ${JSON.stringify(receipt.usage)}`);
+});
+
+await test('Upto: REST ai-analysis settles the metered amount', async () => {
+  const r = await fetch(`${BASE}/x402/ai-analysis`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Payment-Signature': encodePayment(await signPayment(await uptoAccept(), { value: '30000' })) },
+    body: JSON.stringify({ content: 'Metered analysis' }),
+  });
+  assert(r.status === 200, `Status: ${r.status}`);
+  const { payment } = await r.json();
+  assert(payment.scheme === 'upto' && payment.authorizedAmount === '30000', `Payment: ${JSON.stringify(payment)}`);
+  assert(BigInt(payment.chargedAmount) <= 30000n, `Charged: ${payment.chargedAmount}`);
+});
+
+// === Prepaid credits ===
+
+await test('Credits: ledger debits, refuses overdrafts and refunds', async () => {
+  const ledger = createCreditLedger();
+  ledger.topUp(payer.address, '100000', { txHash: '0xabc' });
+  const debit = ledger.debit(payer.address.toUpperCase(), '60000', { skill: 'code-scan' });
+  assert(debit.ok && debit.balance === '40000', `Debit: ${JSON.stringify(debit)}`);
+  const short = ledger.debit(payer.address, '50000');
+  assert(!short.ok && short.balance === '40000', 'Overdraft refused without a change');
+  ledger.refund(payer.address, '60000');
+  const restored = createCreditLedger(JSON.parse(JSON.stringify(ledger)));
+  assert(restored.balanceOf(payer.address) === '100000', `Restored: ${restored.balanceOf(payer.address)}`);
+  assert(restored.history(payer.address).map(e => e.type).join() === 'refund,debit,topup', 'History newest first');
+});
+
+// A fresh wallet, so no SIWx entitlement from earlier tests covers its requests
+const creditor = Wallet.createRandom();
+
+await test('Credits: top-up credits the paying wallet', async () => {
+  const required = await (await fetch(`${BASE}/x402/credits/topup?amount=0.10`)).json();
+  const accept = required.accepts.find(a => a.network === 'eip155:8453');
+  assert(accept.amount === '100000', `Amount: ${accept.amount}`);
+  assert((await fetch(`${BASE}/x402/credits/topup?amount=0.01`)).status === 400, 'Below minimum rejected');
+  const r = await fetch(`${BASE}/x402/credits/topup`, {
+    method: 'POST',
+    headers: { 'Payment-Signature': encodePayment(await signPayment(accept, { wallet: creditor, value: '110000' })) },
+  });
+  assert(r.status === 200, `Status: ${r.status}`);
+  const d = await r.json();
+  assert(d.credited === '110000' && d.balance === '110000', `Top-up: ${JSON.stringify(d)}`);
+});
+
+await test('Credits: balance needs a SIWx session', async () => {
+  assert((await fetch(`${BASE}/x402/credits/balance`)).status === 401, 'No token');
+  const { token } = await siwxSignIn(creditor);
+  const d = await (await fetch(`${BASE}/x402/credits/balance`, { headers: { Authorization: `Bearer ${token}` } })).json();
+  assert(d.balance === '110000' && d.balanceFormatted === '$0.11', `Balance: ${JSON.stringify(d)}`);
+  assert(d.entries[0].type === 'topup', 'Top-up entry');
+});
+
+await test('Credits: A2A request draws down the balance', async () => {
+  const { token } = await siwxSignIn(creditor);
+  const d = await sendAnalysis('credits-a2a', null, { 'x402.siwx.token': token });
+  assert(d.result.status.state === 'completed', `State: ${d.result.status.state}`);
+  assert(d.result.metadata['x402.credits'].balance === '100000', `Credits: ${JSON.stringify(d.result.metadata['x402.credits'])}`);
+  const { payments } = await (await fetch(`${BASE}/api/payments`)).json();
+  assert(payments.some(p => p.type === 'credit-debit' && p.taskId === d.result.id && p.amount === '10000'), 'credit-debit logged');
+});
+
+await test('Credits: REST request draws down the balance, then falls back to 402', async () => {
+  const { token } = await siwxSignIn(creditor);
+  const scan = () => fetch(`${BASE}/x402/code-scan`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ code: 'eval(input)', language: 'javascript' }),
+  });
+  for (const balance of ['50000', '0']) {
+    const r = await scan();
+    assert(r.status === 200, `Status: ${r.status}`);
+    assert(r.headers.get('x-credit-balance') === balance, `Balance: ${r.headers.get('x-credit-balance')}`);
+    assert((await r.json()).payment.network === 'credits', 'Paid from credits');
+  }
+  assert((await scan()).status === 402, 'Empty balance needs payment');
+});
+
+// === Storage (in-process, offline) ===
+
+await test('Storage: journal replays after a restart', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'store-'));
+  const store = openStore(dir);
+  const task = { id: 't1', contextId: 'c1', status: { state: 'working' }, history: [], artifacts: [], metadata: {} };
+  store.tasks.set('t1', task);
+  task.status = { state: 'completed' };
+  store.tasks.set('t1', task);
+  store.appendPayment({ type: 'payment-settled', taskId: 't1', wallet: payer.address, amount: '10000' });
+  store.setDocument('counters', { totalTasks: 1 });
+
+  const reopened = openStore(dir);
+  assert(reopened.tasks.get('t1').status.state === 'completed', 'Task state restored');
+  assert(reopened.tasks.byState('completed').length === 1 && reopened.tasks.byState('working').length === 0, 'State index follows updates');
+  assert(reopened.tasks.byContext('c1')[0].id === 't1', 'Context index');
+  assert(reopened.findPayments({ wallet: payer.address.toLowerCase(), type: 'payment-settled' }).length === 1, 'Payment index');
+  assert(reopened.getDocument('counters').totalTasks === 1, 'Document restored');
+  assert(readFileSync(join(dir, 'journal.jsonl'), 'utf8') === '', 'Replay folded into a snapshot');
+});
+
+await test('Storage: torn journal tail is skipped', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'store-'));
+  const store = openStore(dir);
+  store.appendPayment({ type: 'payment-required', skill: 'screenshot' });
+  appendFileSync(join(dir, 'journal.jsonl'), '{"seq":2,"op":"payment","value":{"type":"pay');
+  const reopened = openStore(dir);
+  assert(reopened.payments.length === 1, `Payments: ${reopened.payments.length}`);
+  reopened.appendPayment({ type: 'payment-received' });
+  assert(openStore(dir).countPayments('payment-received') === 1, 'Appends after recovery survive');
+});
+
+await test('Storage: snapshots trim and journal records are not replayed twice', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'store-'));
+  const store = openStore(dir, { snapshotEvery: 3, maxPayments: 2 });
+  for (let i = 0; i < 4; i++) store.appendPayment({ type: 'payment-required', n: i });
+  const reopened = openStore(dir, { maxPayments: 2 });
+  assert(reopened.payments.map(p => p.n).join() === '2,3', `Payments: ${reopened.payments.map(p => p.n)}`);
+});
+
+await test('Storage: stats.json is imported once', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'store-'));
+  const statsPath = join(dir, 'stats.json');
+  writeFileSync(statsPath, JSON.stringify({ paymentLog: [{ type: 'payment-settled', skill: 'screenshot' }], siwxSessions: { '0xabc': { skills: ['screenshot'] } }, totalTasks: 7 }));
+  const store = openStore(join(dir, 'data'));
+  assert(migrateStatsFile(store, statsPath).migrated, 'Migrated');
+  assert(store.payments.length === 1 && store.getDocument('counters').totalTasks === 7, 'Contents imported');
+  assert(store.getDocument('siwxSessions')['0xabc'], 'Sessions imported');
+  assert(existsSync(`${statsPath}.migrated`) && !existsSync(statsPath), 'Legacy file renamed');
+  writeFileSync(statsPath, '{}');
+  assert(migrateStatsFile(store, statsPath).reason === 'STORE_NOT_EMPTY', 'Not imported into a used store');
+});
+
+await test('Storage: /api/payments filters by type', async () => {
+  const d = await (await fetch(`${BASE}/api/payments?type=payment-required`)).json();
+  assert(d.payments.length > 0 && d.payments.every(p => p.type === 'payment-required'), 'Only payment-required events');
+});
+
+// === Streaming (message/stream, tasks/resubscribe) ===
+
+// POST a streaming JSON-RPC call and collect the `result` of every SSE event
+async function streamRpc(method, params) {
+  const r = await fetch(BASE, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: method, method, params }),
+  });
+  assert(r.headers.get('content-type').startsWith('text/event-stream'), `Content-Type: ${r.headers.get('content-type')}`);
+  const text = await r.text();
+  return text.split('\n').filter(l => l.startsWith('data: ')).map(l => JSON.parse(l.slice(6)).result);
+}
+
+await test('Streaming: agent card declares streaming', async () => {
+  const d = await (await fetch(`${BASE}/.well-known/agent-card.json`)).json();
+  assert(d.capabilities.streaming === true, 'streaming: true');
+});
+
+await test('Streaming: paid request streams payment-required, then payment-verified to completed', async () => {
+  const message = { messageId: 'stream-1', role: 'user', kind: 'message', parts: [{ kind: 'text', text: 'Analyze: streaming agents' }] };
+  const [required] = await streamRpc('message/stream', { message });
+  assert(required.kind === 'task' && required.status.state === 'input-required', `First event: ${required.kind} ${required.status?.state}`);
+
+  const accept = required.status.message.metadata['x402.payment.required'].accepts.find(a => a.scheme === 'exact' && a.network === 'eip155:8453');
+  const events = await streamRpc('message/stream', {
+    message: {
+      ...message, messageId: 'stream-2', taskId: required.id,
+      metadata: { 'x402.payment.status': 'payment-submitted', 'x402.payment.payload': await signPayment(accept) },
+    },
+  });
+  const kinds = events.map(e => e.kind === 'status-update' ? `${e.kind}:${e.status.state}` : e.kind);
+  assert(kinds.join() === 'status-update:working,artifact-update,status-update:completed', `Events: ${kinds}`);
+  assert(events[0].metadata['x402.payment.status'] === 'payment-verified', 'payment-verified event');
+  assert(events[1].artifact.parts.length > 0, 'Artifact carries the result');
+  assert(events[2].final === true && events[2].taskId === required.id, 'Final completed event');
+
+  const [resubscribed, ...rest] = await streamRpc('tasks/resubscribe', { id: required.id });
+  assert(resubscribed.status.state === 'completed' && resubscribed.final && rest.length === 0, 'Resubscribe to a finished task');
+});
+
+await test('Streaming: resubscribe to an unknown task is an error', async () => {
+  const r = await fetch(BASE, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tasks/resubscribe', params: { id: 'nope' } }),
+  });
+  assert((await r.json()).error.code === -32001, 'Task not found');
+});
+
+// === Push notifications ===
+
+await test('Push: signatures verify and reject tampering', async () => {
+  const now = Date.now();
+  const header = signPayload('secret', Math.floor(now / 1000), '{"a":1}');
+  assert(verifySignature('secret', header, '{"a":1}', { now }), 'Valid signature');
+  assert(!verifySignature('secret', header, '{"a":2}', { now }), 'Tampered body');
+  assert(!verifySignature('other', header, '{"a":1}', { now }), 'Wrong secret');
+  assert(!verifySignature('secret', header, '{"a":1}', { now: now + 600_000 }), 'Stale timestamp');
+});
+
+await test('Push: failed deliveries retry with backoff, then dead-letter', async () => {
+  const attempts = [];
+  const notifier = createPushNotifier({
+    maxAttempts: 3, baseDelayMs: 5,
+    lookup: async () => [{ address: '93.184.216.34', family: 4 }],
+    fetchImpl: async (url, init) => { attempts.push(Date.now()); return { ok: false, status: 503 }; },
+  });
+  assert(!notifier.setConfig('t1', { url: 'ftp://example.com' }).ok, 'Non-http URL rejected');
+  notifier.setConfig('t1', { url: 'https://hooks.example.com/a2a', token: 'tok' });
+  const [delivered] = await notifier.notify('t1', { kind: 'status-update', taskId: 't1' });
+  assert(delivered === false && attempts.length === 3, `Attempts: ${attempts.length}`);
+  assert(attempts[2] - attempts[1] >= attempts[1] - attempts[0], 'Delay grows');
+  const [letter] = notifier.deadLetters('t1');
+  assert(letter.lastError === 'HTTP 503' && letter.attempts === 3, `Dead letter: ${JSON.stringify(letter)}`);
+  assert(createPushNotifier({}, JSON.parse(JSON.stringify(notifier))).deadLetters('t1').length === 1, 'Dead letters persist');
+});
+
+await test('Push: webhooks must be public hosts; tokens and credentials are not read back', async () => {
+  const fetched = [];
+  const notifier = createPushNotifier({
+    maxAttempts: 1,
+    lookup: async (host) => [{ address: host === 'rebound.example.com' ? '10.0.0.5' : '93.184.216.34', family: 4 }],
+    fetchImpl: async (url) => { fetched.push(url); return { ok: true }; },
+  });
+  for (const url of ['http://127.0.0.1:8080/hook', 'http://169.254.169.254/latest/meta-data', 'http://10.1.2.3/', 'http://192.168.0.10/', 'http://[::1]/', 'http://[fd00::1]/', 'http://localhost/hook']) {
+    assert(notifier.setConfig('t1', { url }).error === 'pushNotificationConfig.url must be a public host', `Accepted ${url}`);
+  }
+  const set = notifier.setConfig('t1', { id: 'public', url: 'https://hooks.example.com/a2a', authentication: { schemes: ['Bearer'], credentials: 'secret-credential' } });
+  assert(set.ok && set.config.token && set.config.authentication.credentials === 'secret-credential', 'The registering client gets its token back');
+  const read = notifier.getConfig('t1', 'public');
+  assert(!('token' in read) && read.authentication.schemes[0] === 'Bearer' && !('credentials' in read.authentication), `Get: ${JSON.stringify(read)}`);
+  assert(notifier.listConfigs('t1').every(c => !c.token && !c.authentication?.credentials), 'List redacted');
+
+  notifier.setConfig('t2', { url: 'https://rebound.example.com/hook' });
+  const [delivered] = await notifier.notify('t2', { kind: 'status-update', taskId: 't2' });
+  assert(delivered === false && fetched.length === 0, 'A name resolving to a private address is not called');
+  assert(notifier.deadLetters('t2')[0].lastError.includes('non-public'), `Dead letter: ${JSON.stringify(notifier.deadLetters('t2'))}`);
+  assert(createPushNotifier({ allowPrivateHosts: true }).setConfig('t1', { url: 'http://127.0.0.1:8080/hook' }).ok, 'Allowed for local testing');
+});
+
+await test('Push: webhook receives signed task updates', async () => {
+  const received = [];
+  const receiver = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => { received.push({ headers: req.headers, body }); res.end('ok'); });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  try {
+    const rpc = (method, params) => fetch(BASE, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: method, method, params }),
+    }).then(r => r.json());
+
+    const sent = await rpc('message/send', { message: { messageId: 'push-1', role: 'user', kind: 'message', parts: [{ kind: 'text', text: 'Analyze: webhooks' }] } });
+    const taskId = sent.result.id;
+    const set = await rpc('tasks/pushNotificationConfig/set', { taskId, pushNotificationConfig: { id: 'hook-1', url, token: 'hook-secret' } });
+    assert(set.result.pushNotificationConfig.id === 'hook-1', `Set: ${JSON.stringify(set)}`);
+    assert((await rpc('tasks/pushNotificationConfig/list', { id: taskId })).result.length === 1, 'Listed');
+    const got = await rpc('tasks/pushNotificationConfig/get', { id: taskId, pushNotificationConfigId: 'hook-1' });
+    assert(got.result.pushNotificationConfig.url === url && !('token' in got.result.pushNotificationConfig), `Get: ${JSON.stringify(got)}`);
+
+    const accept = sent.result.metadata['x402.accepts'].find(a => a.scheme === 'exact' && a.network === 'eip155:8453');
+    const paid = await rpc('message/send', {
+      message: {
+        messageId: 'push-2', role: 'user', kind: 'message', taskId, parts: [{ kind: 'text', text: 'Analyze: webhooks' }],
+        metadata: { 'x402.payment.status': 'payment-submitted', 'x402.payment.payload': await signPayment(accept) },
+      },
+    });
+    assert(paid.result.status.state === 'completed', `State: ${paid.result.status.state}`);
+    for (let i = 0; i < 50 && received.length < 3; i++) await new Promise(r => setTimeout(r, 50));
+
+    const events = received.map(r => JSON.parse(r.body));
+    assert(events.map(e => e.kind).join() === 'status-update,artifact-update,status-update', `Events: ${events.map(e => e.kind)}`);
+    assert(events[2].status.state === 'completed' && events[2].final, 'Completed event delivered');
+    assert(received.every(r => verifySignature('hook-secret', r.headers['x-a2a-signature'], r.body)), 'Deliveries signed with the token');
+
+    await rpc('tasks/pushNotificationConfig/delete', { id: taskId, pushNotificationConfigId: 'hook-1' });
+    assert((await rpc('tasks/pushNotificationConfig/get', { id: taskId })).error, 'Deleted');
+  } finally {
+    receiver.close();
+  }
+});
+
+await test('Push: a refused message/send registers no webhook', async () => {
+  const rpc = (method, params) => fetch(BASE, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: method, method, params }),
+  }).then(r => r.json());
+  const taskId = (await sendAnalysis('push-refused', null, {})).result.id;
+  const refused = await rpc('message/send', {
+    message: { messageId: 'push-refused-2', role: 'user', kind: 'message', taskId, parts: [{ kind: 'data', data: { skill: 'screenshot', input: { width: 50 } } }] },
+    configuration: { pushNotificationConfig: { url: 'https://hooks.example.com/a2a' } },
+  });
+  assert(refused.error?.code === -32602, `Refused: ${JSON.stringify(refused)}`);
+  const listed = await rpc('tasks/pushNotificationConfig/list', { id: taskId });
+  assert(listed.result.length === 0, `Configs: ${JSON.stringify(listed.result)}`);
+});
+
+// === Non-blocking execution ===
+
+await test('Worker pool: bounded concurrency and queue', async () => {
+  const pool = createWorkerPool({ concurrency: 2, maxQueue: 1 });
+  let running = 0, peak = 0;
+  const job = () => pool.run(async () => {
+    peak = Math.max(peak, ++running);
+    await new Promise(r => setTimeout(r, 20));
+    running--;
+  });
+  const jobs = [job(), job(), job()];
+  const rejected = await job().then(() => null, err => err.code);
+  assert(rejected === 'QUEUE_FULL', `Fourth job: ${rejected}`);
+  await Promise.all(jobs);
+  assert(peak === 2, `Peak concurrency: ${peak}`);
+  assert(pool.stats().active === 0 && pool.stats().queued === 0, 'Drained');
+});
+
+await test('Non-blocking: paid request returns working, result lands in tasks/get', async () => {
+  const rpc = (method, params) => fetch(BASE, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: method, method, params }),
+  }).then(r => r.json());
+  const sent = await rpc('message/send', {
+    message: {
+      messageId: 'nonblocking-1', role: 'user', kind: 'message', parts: [{ kind: 'text', text: 'Analyze: non-blocking agents' }],
+      metadata: { 'x402.payment.payload': await signPayment(await baseAccept('/x402/ai-analysis')) },
+    },
+    configuration: { blocking: false },
+  });
+  assert(sent.result.status.state === 'working', `State: ${sent.result.status.state}`);
+  let task = sent.result;
+  for (let i = 0; i < 100 && task.status.state === 'working'; i++) {
+    await new Promise(r => setTimeout(r, 50));
+    task = (await rpc('tasks/get', { id: task.id })).result;
+  }
+  assert(task.status.state === 'completed', `Final state: ${task.status.state}`);
+  assert(task.artifacts.length === 1, 'Result stored on the task');
+});
+
+// === Task listing and retention ===
+
+const listRpc = (method, params, token) => fetch(BASE, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+  body: JSON.stringify({ jsonrpc: '2.0', id: method, method, params }),
+}).then(r => r.json());
+
+await test('Tasks: tasks/list lists a session\'s own tasks by context and skill, with cursor pages', async () => {
+  const contextId = `list-${Date.now()}`;
+  for (let i = 0; i < 2; i++) {
+    await listRpc('message/send', { message: { messageId: `list-${i}`, contextId, role: 'user', kind: 'message', parts: [{ kind: 'text', text: `# Page ${i}` }] } });
+  }
+  for (let i = 0; i < 3; i++) {
+    await listRpc('message/send', { message: {
+      messageId: `list-paid-${i}`, contextId, role: 'user', kind: 'message', parts: [{ kind: 'text', text: `Analyze: listing ${i}` }],
+      metadata: { 'x402.payment.payload': await signPayment(await baseAccept('/x402/ai-analysis')) },
+    } });
+  }
+
+  const anonymous = await listRpc('tasks/list', { contextId });
+  assert(anonymous.error?.code === -32000 && !anonymous.result, `Anonymous listing: ${JSON.stringify(anonymous.error)}`);
+  const { token } = await siwxSignIn(payer);
+  const first = await listRpc('tasks/list', { contextId, pageSize: 2 }, token);
+  assert(first.result.totalSize === 3 && first.result.tasks.length === 2, `First page: ${first.result.tasks.length}/${first.result.totalSize}`);
+  assert(first.result.nextPageToken, 'Has a next page');
+  const second = await listRpc('tasks/list', { contextId, pageSize: 2, pageToken: first.result.nextPageToken }, token);
+  assert(second.result.tasks.length === 1 && second.result.nextPageToken === '', 'Second page is the last');
+  const ids = new Set([...first.result.tasks, ...second.result.tasks].map(t => t.id));
+  assert(ids.size === 3, 'Pages do not overlap');
+  const times = first.result.tasks.map(t => t.status.timestamp);
+  assert(times.every((t, i) => i === 0 || times[i - 1] >= t), 'Newest first');
+
+  const html = await listRpc('tasks/list', { contextId, skill: 'markdown-to-html' }, token);
+  assert(html.result.totalSize === 0, `Unpaid tasks are nobody's: ${html.result.totalSize}`);
+  const paid = await listRpc('tasks/list', { contextId, skill: 'ai-analysis', status: 'completed' }, token);
+  assert(paid.result.totalSize === 3 && paid.result.tasks.every(t => t.metadata['x402.payer'].toLowerCase() === payer.address.toLowerCase()), `By skill: ${paid.result.totalSize}`);
+  assert(paid.result.tasks[0].artifacts.length === 0, 'Artifacts left out unless includeArtifacts');
+  const { token: otherToken } = await siwxSignIn(Wallet.createRandom());
+  const other = await listRpc('tasks/list', { contextId, wallet: payer.address }, otherToken);
+  assert(other.result.totalSize === 0, 'A session cannot list another wallet\'s tasks');
+  const future = await listRpc('tasks/list', { contextId, lastUpdatedAfter: new Date(Date.now() + 60000).toISOString() }, token);
+  assert(future.result.totalSize === 0, 'Time range excludes older updates');
+});
+
+await test('Tasks: tasks/list rejects bad cursors and times; REST mirrors it', async () => {
+  const { token } = await siwxSignIn(payer);
+  const bad = await listRpc('tasks/list', { pageToken: 'nope' }, token);
+  assert(bad.error?.code === -32602, `Bad token: ${JSON.stringify(bad.error)}`);
+  const badTime = await listRpc('tasks/list', { lastUpdatedBefore: 'yesterday' }, token);
+  assert(badTime.error?.code === -32602, `Bad time: ${JSON.stringify(badTime.error)}`);
+  const auth = { headers: { Authorization: `Bearer ${token}` } };
+  assert((await fetch(`${BASE}/api/tasks`)).status === 401, 'REST needs a session or the key');
+  const r = await fetch(`${BASE}/api/tasks?skill=ai-analysis&pageSize=2&includeArtifacts=true`, auth);
+  const d = await r.json();
+  assert(r.status === 200 && d.tasks.length <= 2 && d.tasks.every(t => t.metadata['x402.skill'] === 'ai-analysis'), `REST list: ${r.status}`);
+  const r2 = await fetch(`${BASE}/api/tasks?pageToken=nope`, auth);
+  assert(r2.status === 400, `REST bad token: ${r2.status}`);
+});
+
+await test('Tasks: tasks/get honors historyLength', async () => {
+  const sent = await listRpc('message/send', { message: { messageId: 'history-1', role: 'user', kind: 'message', parts: [{ kind: 'text', text: '# History' }] } });
+  const full = await listRpc('tasks/get', { id: sent.result.id });
+  assert(full.result.history.length === 1, `Full history: ${full.result.history.length}`);
+  const none = await listRpc('tasks/get', { id: sent.result.id, historyLength: 0 });
+  assert(none.result.history.length === 0, 'historyLength 0 returns no history');
+});
+
+await test('Tasks: retention evicts finished tasks past the TTL or the count limit', async () => {
+  const store = openStore(mkdtempSync(join(tmpdir(), 'retention-')));
+  const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 0, minutes)).toISOString();
+  const put = (id, state, minutes) => store.tasks.set(id, { id, contextId: 'c', status: { state, timestamp: at(minutes) }, history: [], artifacts: [], metadata: {} });
+  put('old-done', 'completed', 0);
+  put('old-working', 'working', 0);
+  put('new-failed', 'failed', 50);
+  put('new-canceled', 'canceled', 55);
+  const evicted = [];
+  const retention = createTaskRetention(store.tasks, { ttlMs: 30 * 60_000, maxTasks: 2, onEvict: (id) => evicted.push(id) });
+  assert(retention.sweep(Date.parse(at(60))) === 2, `Evicted: ${evicted}`);
+  assert(evicted.join() === 'old-done,new-failed', `Expired first, then oldest finished: ${evicted}`);
+  assert(store.tasks.has('old-working') && store.tasks.has('new-canceled'), 'Running task kept');
+});
+
+// === Conversations (contextId) ===
+
+await test('Conversations: a follow-up quotes a PDF of the previous result in the context', async () => {
+  const contextId = `conv-${Date.now()}`;
+  const send = (id, text, metadata) => listRpc('message/send', { message: { messageId: id, contextId, role: 'user', kind: 'message', parts: [{ kind: 'text', text }], ...(metadata && { metadata }) } });
+  const first = await send('conv-1', 'Analyze: agent economies', { 'x402.payment.payload': await signPayment(await baseAccept('/x402/ai-analysis')) });
+  assert(first.result.status.state === 'completed', `First turn: ${first.result.status.state}`);
+
+  const followUp = await send('conv-2', 'Now make that a PDF');
+  const request = followUp.result.metadata['x402.originalRequest'];
+  assert(request.skill === 'markdown-to-pdf', `Follow-up skill: ${request.skill}`);
+  assert(request.followUp.taskId === first.result.id, 'Resolved against the previous task');
+  assert(request.markdown === first.result.artifacts[0].parts[0].text, 'Converts the previous result');
+
+  const standalone = await send('conv-3', 'Summarize this: a fresh document');
+  assert(!standalone.result.metadata['x402.originalRequest'].followUp, 'Text with its own content is not a follow-up');
+  const elsewhere = await listRpc('message/send', { message: { messageId: 'conv-4', role: 'user', kind: 'message', parts: [{ kind: 'text', text: 'Now make that a PDF' }] } });
+  assert(!elsewhere.result.metadata['x402.originalRequest']?.followUp, 'No follow-up without a shared context');
+});
+
+await test('Conversations: follow-ups resolve by kind, and prior turns form the transcript', async () => {
+  const task = (id, request, user, agent, minutes) => ({
+    id, contextId: 'c1', status: { state: 'completed', timestamp: new Date(Date.UTC(2026, 0, 1, 0, minutes)).toISOString() },
+    history: [{ role: 'user', parts: [{ kind: 'text', text: user }] }],
+    artifacts: [{ parts: [{ kind: 'text', text: agent }, ...(request.skill === 'screenshot' ? [{ kind: 'file', name: 'screenshot.png', mimeType: 'image/png', data: '' }] : [])] }],
+    metadata: { request },
+  });
+  const list = [
+    task('t1', { skill: 'screenshot', url: 'https://example.com' }, 'Screenshot https://example.com', 'Screenshot captured for https://example.com (12KB)', 0),
+    task('t2', { skill: 'markdown-to-html', markdown: '# Notes' }, '# Notes', 'Converted markdown to HTML (20 bytes)', 1),
+  ];
+  const tasks = { byContext: (id) => list.filter(t => t.contextId === id) };
+  const conversations = createConversations(tasks, { requestOf: (t) => t.metadata.request });
+
+  const summary = conversations.resolve('c1', 'Summarize the screenshot you just took');
+  assert(summary.skill === 'ai-analysis' && summary.followUp.taskId === 't1', `Named turn: ${JSON.stringify(summary)}`);
+  assert(summary.content.includes('https://example.com'), 'Analysis covers the screenshot');
+  const again = conversations.resolve('c1', 'Take another screenshot of it');
+  assert(again.skill === 'screenshot' && again.url === 'https://example.com', 'Screenshot follow-up reuses the URL');
+  assert(conversations.resolve('c1', 'Hello there') === null, 'No skill named');
+  assert(conversations.resolve('other', 'Make that a PDF') === null, 'Nothing to refer to');
+
+  const transcript = conversations.transcript('c1', { before: 't2' });
+  assert(transcript.startsWith('User: Screenshot https://example.com') && transcript.includes('[screenshot.png image/png]'), `Transcript: ${transcript}`);
+  assert(!transcript.includes('# Notes'), 'The task being answered is left out');
+});
+
+// === Structured skill invocation (data parts, metadata.skill) ===
+
+await test('Invocation: a data part names the skill and bypasses keyword routing', async () => {
+  // The text mentions "summary" and a URL, which keyword routing would send to ai-analysis
+  const d = await listRpc('message/send', { message: {
+    messageId: 'invoke-1', role: 'user', kind: 'message',
+    parts: [
+      { kind: 'text', text: 'PDF summary of https://example.com please' },
+      { kind: 'data', data: { skill: 'markdown-to-pdf', input: { markdown: '# Report' } } },
+    ],
+  } });
+  const request = d.result.metadata['x402.originalRequest'];
+  assert(request.skill === 'markdown-to-pdf' && request.markdown === '# Report', `Request: ${JSON.stringify(request)}`);
+  assert(d.result.status.state === 'input-required', 'Quoted like any paid request');
+});
+
+await test('Invocation: metadata.skill routes a data-only or text-only message', async () => {
+  const data = await listRpc('message/send', { message: {
+    messageId: 'invoke-2', role: 'user', kind: 'message', metadata: { skill: 'screenshot' },
+    parts: [{ kind: 'data', data: { url: 'https://example.com', width: 1920, height: 1080 } }],
+  } });
+  const request = data.result.metadata['x402.originalRequest'];
+  assert(request.skill === 'screenshot' && request.width === 1920, `Data-only: ${JSON.stringify(request)}`);
+  const text = await listRpc('message/send', { message: {
+    messageId: 'invoke-3', role: 'user', kind: 'message', metadata: { skill: 'ai-analysis' },
+    parts: [{ kind: 'text', text: 'Take a screenshot of https://example.com' }],
+  } });
+  const textRequest = text.result.metadata['x402.originalRequest'];
+  assert(textRequest.skill === 'ai-analysis' && textRequest.content.startsWith('Take a screenshot'), `Text-only: ${JSON.stringify(textRequest)}`);
+});
+
+await test('Invocation: input is validated against the bazaar schema', async () => {
+  const invalid = await listRpc('message/send', { message: {
+    messageId: 'invoke-4', role: 'user', kind: 'message',
+    parts: [{ kind: 'data', data: { skill: 'screenshot', input: { width: 50 } } }],
+  } });
+  assert(invalid.error?.code === -32602, `Invalid input: ${JSON.stringify(invalid.error)}`);
+  assert(invalid.error.data.errors.includes('input.url is required') && invalid.error.data.errors.some(e => e.startsWith('input.width')), `Errors: ${invalid.error.data.errors}`);
+  const unknown = await listRpc('message/send', { message: {
+    messageId: 'invoke-5', role: 'user', kind: 'message', parts: [{ kind: 'data', data: { skill: 'mine-bitcoin' } }],
+  } });
+  assert(unknown.error?.code === -32602 && unknown.error.message.includes('Unknown skill'), `Unknown skill: ${unknown.error?.message}`);
+  const empty = await listRpc('message/send', { message: {
+    messageId: 'invoke-6', role: 'user', kind: 'message', parts: [{ kind: 'data', data: { note: 'no skill' } }],
+  } });
+  assert(empty.error?.code === -32602, 'A data part without a skill and no text is refused');
+});
+
+// === Code scan over A2A ===
+
+await test('Code Scan A2A: data part is quoted at $0.05 and returns a report plus SARIF', async () => {
+  const code = 'const q = "SELECT * FROM users WHERE id=" + userId;\ndb.query(q);';
+  const quoted = await listRpc('message/send', { message: {
+    messageId: 'scan-a2a-1', role: 'user', kind: 'message',
+    parts: [{ kind: 'data', data: { skill: 'code-scan', input: { code, language: 'javascript' } } }],
+  } });
+  assert(quoted.result.status.state === 'input-required', `Quote: ${quoted.result.status.state}`);
+  assert(quoted.result.metadata['x402.quote'].price === '$0.05', `Price: ${quoted.result.metadata['x402.quote'].price}`);
+
+  const paid = await listRpc('message/send', { message: {
+    messageId: 'scan-a2a-2', role: 'user', kind: 'message', taskId: quoted.result.id, parts: [{ kind: 'text', text: 'Payment' }],
+    metadata: { 'x402.payment.status': 'payment-submitted', 'x402.payment.payload': await signPayment(quoted.result.metadata['x402.accepts'][0]) },
+  } });
+  const task = paid.result;
+  assert(task.status.state === 'completed', `State: ${task.status.state}`);
+  const report = task.artifacts[0].parts.find(p => p.kind === 'data').data;
+  assert(report.vulnerabilities.some(v => v.type === 'sql-injection') && report.linesScanned === 2, `Report: ${report.summary}`);
+  const sarifPart = task.artifacts.find(a => a.name === 'code-scan.sarif').parts[0];
+  assert(sarifPart.file.mimeType === 'application/sarif+json', `SARIF type: ${sarifPart.file.mimeType}`);
+  const sarif = JSON.parse(Buffer.from(sarifPart.file.bytes, 'base64').toString('utf8'));
+  assert(sarif.version === '2.1.0' && sarif.runs[0].results.some(r => r.ruleId === 'sql-injection' && r.locations[0].physicalLocation.region.startLine === 1), 'SARIF results');
+});
+
+await test('Code Scan A2A: a file part with metadata.skill is scanned in its language', async () => {
+  const source = 'import os\nos.system(user_input)\n';
+  const d = await listRpc('message/send', { message: {
+    messageId: 'scan-a2a-3', role: 'user', kind: 'message', metadata: { skill: 'code-scan', 'x402.payment.payload': await signPayment(await baseAccept('/x402/code-scan')) },
+    parts: [{ kind: 'file', file: { name: 'app.py', mimeType: 'text/x-python', bytes: Buffer.from(source).toString('base64') } }],
+  } });
+  assert(d.result.status.state === 'completed', `State: ${d.result.status.state}`);
+  const report = d.result.artifacts[0].parts.find(p => p.kind === 'data').data;
+  assert(report.language === 'python' && report.vulnerabilities.some(v => v.type === 'command-injection'), `Report: ${report.language} ${report.summary}`);
+  const sarif = JSON.parse(Buffer.from(d.result.artifacts[1].parts[0].file.bytes, 'base64').toString('utf8'));
+  assert(sarif.runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri === 'app.py', 'SARIF names the uploaded file');
+});
+
+await test('Artifacts: a large result is delivered as a signed, expiring download link', async () => {
+  // Enough findings for a SARIF log past the inline limit, under 500 lines so the price stays $0.05
+  const source = Array.from({ length: 400 }, (_, i) => `const token${i} = Math.random();`).join('\n');
+  const d = await listRpc('message/send', { message: {
+    messageId: 'artifact-uri-1', role: 'user', kind: 'message', metadata: { 'x402.payment.payload': await signPayment(await baseAccept('/x402/code-scan')) },
+    parts: [{ kind: 'data', data: { skill: 'code-scan', input: { code: source } } }],
+  } });
+  assert(d.result.status.state === 'completed', `State: ${d.result.status.state}`);
+  const sarifArtifact = d.result.artifacts.find(a => a.name === 'code-scan.sarif');
+  assert(sarifArtifact.artifactId && sarifArtifact.description, 'SARIF artifact has an id and description');
+  const { file } = sarifArtifact.parts[0];
+  assert(file.uri && !file.bytes, 'Delivered by uri');
+  const link = new URL(file.uri);
+  assert(link.searchParams.get('expires') && link.searchParams.get('sig'), 'Link carries expiry and signature');
+
+  const r = await fetch(`${BASE}${link.pathname}${link.search}`);
+  assert(r.status === 200, `Download: ${r.status}`);
+  assert(r.headers.get('content-type').startsWith('application/sarif+json'), `Type: ${r.headers.get('content-type')}`);
+  const sarif = await r.json();
+  assert(sarif.runs[0].results.length === 400, `Findings: ${sarif.runs[0].results.length}`);
+
+  const tampered = new URL(link);
+  tampered.searchParams.set('expires', String(Number(link.searchParams.get('expires')) + 3600));
+  assert((await fetch(`${BASE}${tampered.pathname}${tampered.search}`)).status === 403, 'Extended expiry is rejected');
+  assert((await fetch(`${BASE}${link.pathname}`)).status === 403, 'Unsigned link is rejected');
+  assert((await fetch(`${BASE}/artifacts/00000000-0000-0000-0000-000000000000${link.search}`)).status === 404, 'Unknown artifact is 404');
+});
+
+// === File inputs ===
+
+// A ustar archive of { path: text } (the reader ignores checksums)
+function tarOf(entries) {
+  const blocks = Object.entries(entries).flatMap(([path, text]) => {
+    const body = Buffer.from(text);
+    const header = Buffer.alloc(512);
+    header.write(path, 0);
+    header.write(body.length.toString(8).padStart(11, '0'), 124);
+    header.write('0', 156);
+    header.write('ustar', 257);
+    return [header, body, Buffer.alloc((512 - body.length % 512) % 512)];
+  });
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+const filePart = (name, mimeType, bytes) => ({ kind: 'file', file: { name, mimeType, bytes: Buffer.from(bytes).toString('base64') } });
+
+await test('Uploads: tar.gz archives unpack to their source files, within the expansion limit', async () => {
+  const archive = gzipSync(tarOf({ 'src/db.js': 'const q = "SELECT * FROM t WHERE id=" + req.query.id;\n', 'README.md': '# Docs\n', 'tools/run.py': 'import os\nos.system(cmd)\n' }));
+  const read = readArchive(archive, { maxBytes: 100_000 });
+  assert(read.ok && read.entries.map(e => e.path).join() === 'src/db.js,README.md,tools/run.py', `Entries: ${read.entries?.map(e => e.path)}`);
+  assert(!readArchive(archive, { maxBytes: 600 }).ok, 'Expansion past the limit is refused');
+
+  const attached = attachFiles({ skill: 'code-scan' }, [{ name: 'repo.tgz', mimeType: 'application/gzip', bytes: archive }], { maxBytes: 10_000 });
+  assert(attached.ok, attached.error);
+  assert(attached.request.files.map(f => `${f.path}@${f.start}`).join() === 'src/db.js@1,tools/run.py@3', `Index: ${JSON.stringify(attached.request.files)}`);
+  assert(attached.request.upload.bytes === archive.length, 'Upload size recorded');
+  const over = attachFiles({ skill: 'code-scan' }, [{ name: 'repo.tgz', mimeType: 'application/gzip', bytes: archive }], { maxBytes: 10 });
+  assert(!over.ok && over.error.includes('at most'), `Limit: ${over.error}`);
+  assert(!attachFiles({ skill: 'screenshot' }, [{ name: 'a.txt', mimeType: 'text/plain', bytes: Buffer.from('x') }]).ok, 'Skills without a limit take no files');
+});
+
+await test('Pricing: upload rules charge by the KB of attached files', async () => {
+  const registry = createPricingRegistry({ skills: { vision: { price: '0.01', maxUploadKb: 1024, rules: [{ per: 'upload', rate: '0.002', size: 512, included: 512 }] } } });
+  assert(registry.get('vision').maxUploadBytes === 1024 * 1024, 'maxUploadKb read');
+  assert(registry.quote('vision', {}).price === '$0.01', 'No upload, base price');
+  assert(registry.quote('vision', { upload: { files: 1, bytes: 600 * 1024 } }).price === '$0.012', 'One block past the included KB');
+  let threw = false;
+  try { createPricingRegistry({ skills: { bad: { price: '0.01', maxUploadKb: -1 } } }); } catch { threw = true; }
+  assert(threw, 'Invalid maxUploadKb rejected');
+});
+
+await test('Uploads A2A: a source archive is scanned file by file', async () => {
+  const archive = gzipSync(tarOf({ 'app/db.js': 'const q = "SELECT * FROM users WHERE id=" + userId;\n', 'app/run.py': 'import os\nos.system(user_input)\n' }));
+  const d = await listRpc('message/send', { message: {
+    messageId: 'upload-scan-1', role: 'user', kind: 'message', metadata: { skill: 'code-scan', 'x402.payment.payload': await signPayment(await baseAccept('/x402/code-scan')) },
+    parts: [{ kind: 'text', text: 'Scan this repository' }, filePart('app.tar.gz', 'application/gzip', archive)],
+  } });
+  assert(d.result?.status.state === 'completed', `State: ${d.result?.status.state} ${JSON.stringify(d.error || '')}`);
+  const report = d.result.artifacts[0].parts.find(p => p.kind === 'data').data;
+  assert(report.files.map(f => `${f.path}:${f.language}`).join() === 'app/db.js:javascript,app/run.py:python', `Files: ${JSON.stringify(report.files)}`);
+  assert(report.vulnerabilities.some(v => v.file === 'app/run.py' && v.type === 'command-injection' && v.line === 2), 'Findings name their file and line');
+  const sarif = JSON.parse(Buffer.from(d.result.artifacts[1].parts[0].file.bytes, 'base64').toString('utf8'));
+  assert(new Set(sarif.runs[0].results.map(r => r.locations[0].physicalLocation.artifactLocation.uri)).size === 2, 'SARIF results point at each file');
+  const userMessage = d.result.history.find(m => m.role === 'user');
+  const kept = userMessage.parts.find(p => p.kind === 'file');
+  assert(!kept.file.bytes && kept.metadata.size === archive.length, 'History keeps the file name and size, not its bytes');
+});
+
+await test('Uploads A2A: a markdown file with "convert to PDF" is quoted for markdown-to-pdf', async () => {
+  const markdown = `# Report\n\n${'Line of the report.\n'.repeat(1500)}`;
+  const d = await listRpc('message/send', { message: {
+    messageId: 'upload-pdf-1', role: 'user', kind: 'message',
+    parts: [{ kind: 'text', text: 'Convert this to a PDF please' }, filePart('report.md', 'text/markdown', markdown)],
+  } });
+  assert(d.result.status.state === 'input-required', `State: ${d.result.status.state}`);
+  const request = d.result.metadata['x402.originalRequest'];
+  assert(request.skill === 'markdown-to-pdf' && request.markdown === markdown && request.filename === 'report.md', 'File is the markdown');
+  assert(d.result.metadata['x402.quote'].price === '$0.006', `Priced by size: ${d.result.metadata['x402.quote'].price}`);
+});
+
+await test('Uploads A2A: an image goes to ai-analysis, priced by upload size', async () => {
+  const image = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47]), Buffer.alloc(600 * 1024)]);
+  const d = await listRpc('message/send', { message: {
+    messageId: 'upload-image-1', role: 'user', kind: 'message',
+    parts: [{ kind: 'text', text: 'What does this chart show?' }, filePart('chart.png', 'image/png', image)],
+  } });
+  assert(d.result.status.state === 'input-required', `State: ${d.result.status.state} ${JSON.stringify(d.error || '')}`);
+  const request = d.result.metadata['x402.originalRequest'];
+  assert(request.skill === 'ai-analysis' && request.content === 'What does this chart show?', `Request: ${request.skill} ${request.content}`);
+  assert(request.images.length === 1 && request.images[0].id && !request.images[0].data, 'Image kept out of the task');
+  assert(d.result.metadata['x402.quote'].price === '$0.012', `Price: ${d.result.metadata['x402.quote'].price}`);
+});
+
+await test('Uploads A2A: per-skill limits and unsupported inputs answer -32602', async () => {
+  const big = await listRpc('message/send', { message: {
+    messageId: 'upload-limit-1', role: 'user', kind: 'message', metadata: { skill: 'markdown-to-html' },
+    parts: [filePart('big.md', 'text/markdown', 'x'.repeat(600 * 1024))],
+  } });
+  assert(big.error?.code === -32602 && big.error.message.includes('at most 512 KB'), `Limit: ${JSON.stringify(big.error)}`);
+  const shot = await listRpc('message/send', { message: {
+    messageId: 'upload-limit-2', role: 'user', kind: 'message',
+    parts: [{ kind: 'text', text: 'Screenshot https://example.com' }, filePart('a.txt', 'text/plain', 'hello')],
+  } });
+  assert(shot.error?.code === -32602 && shot.error.message.includes('does not take file input'), `Screenshot: ${JSON.stringify(shot.error)}`);
+  const linked = await listRpc('message/send', { message: {
+    messageId: 'upload-limit-3', role: 'user', kind: 'message',
+    parts: [{ kind: 'file', file: { name: 'remote.md', uri: 'https://example.com/remote.md' } }],
+  } });
+  assert(linked.error?.code === -32602 && linked.error.message.includes('inline'), `Link: ${JSON.stringify(linked.error)}`);
+});
+
+// === On-chain settlement records ===
+
+const GATEWAY_WALLET = '0x7483a9F237cf8043704D6b17DA31c12BfFF860DD';
+
+await test('Settlement recorder: records in order with consecutive nonces, keyed by keccak256(taskId)', async () => {
+  const chain = createMockChain();
+  const recorded = [];
+  const recorder = createSettlementRecorder(chain, { payee: GATEWAY_WALLET, baseDelayMs: 5, onRecorded: job => recorded.push(job) });
+  assert(recorder.enqueue({ key: 'task-a', taskId: 'task-a', payer: payer.address, amount: '10000', paymentTxHash: '0x01' }).ok, 'Queued');
+  assert(recorder.enqueue({ key: 'task-b', taskId: 'task-b', payer: payer.address, amount: '5000' }).ok, 'Queued second');
+  assert(!recorder.enqueue({ key: 'task-b', payer: payer.address, amount: '5000' }).ok, 'Duplicate key refused');
+  assert(!recorder.enqueue({ key: 'task-c', payer: payer.address, amount: '0' }).ok, 'Zero amount refused');
+  assert(!recorder.enqueue({ key: 'task-d', payer: 'nobody', amount: '1' }).ok, 'Bad payer refused');
+  await recorder.idle();
+  assert(recorded.map(j => j.key).join() === 'task-a,task-b', `Order: ${recorded.map(j => j.key)}`);
+  assert(settlementIdOf('task-a') === keccak256(toUtf8Bytes('task-a')), 'Id is keccak256 of the task id');
+  const onChain = chain.records.get(settlementIdOf('task-a'));
+  assert(onChain.payee === GATEWAY_WALLET && onChain.amount === '10000' && onChain.txHash === recorded[0].recordTxHash, 'Recorded with payer, payee and amount');
+  assert(recorder.stats().recorded === 2 && recorder.stats().pending === 0, `Stats: ${JSON.stringify(recorder.stats())}`);
+});
+
+await test('Settlement recorder: resyncs the nonce and retries failed sends, then dead-letters', async () => {
+  const chain = createMockChain();
+  const recorded = [];
+  const dead = [];
+  const recorder = createSettlementRecorder(chain, { payee: GATEWAY_WALLET, baseDelayMs: 5, maxAttempts: 3, onRecorded: job => recorded.push(job), onDeadLetter: job => dead.push(job) });
+  recorder.enqueue({ key: 'nonce-1', payer: payer.address, amount: '1' });
+  await recorder.idle();
+  chain.bumpNonce(); // a transaction sent from the same key elsewhere
+  recorder.enqueue({ key: 'nonce-2', payer: payer.address, amount: '1' });
+  await recorder.idle();
+  chain.failNextSends(1);
+  recorder.enqueue({ key: 'nonce-3', payer: payer.address, amount: '1' });
+  await recorder.idle();
+  const attempts = recorded.map(j => `${j.key}/${j.attempts}`).join();
+  assert(attempts === 'nonce-1/1,nonce-2/2,nonce-3/2', `Attempts: ${attempts}`);
+
+  chain.failNextSends(3);
+  recorder.enqueue({ key: 'doomed', payer: payer.address, amount: '1' });
+  await recorder.idle();
+  assert(dead.length === 1 && dead[0].key === 'doomed' && dead[0].lastError === 'Simulated RPC failure', `Dead letters: ${JSON.stringify(dead)}`);
+  assert(recorder.deadLetters().length === 1, 'Kept as a dead letter');
+});
+
+await test('Settlement recorder: a restored queue never records a payment twice', async () => {
+  const chain = createMockChain();
+  const first = createSettlementRecorder(chain, { payee: GATEWAY_WALLET, baseDelayMs: 5 });
+  first.enqueue({ key: 'restart-1', payer: payer.address, amount: '7' });
+  const saved = JSON.parse(JSON.stringify(first.toJSON()));
+  await first.idle();
+  assert(saved.queue.length === 1, 'Queue saved before it was recorded');
+
+  const recorded = [];
+  const second = createSettlementRecorder(chain, { payee: GATEWAY_WALLET, baseDelayMs: 5, onRecorded: job => recorded.push(job) }, saved);
+  await second.idle();
+  assert(recorded.length === 1 && recorded[0].alreadyRecorded && !recorded[0].recordTxHash, 'Found on-chain instead of resent');
+  assert(chain.records.size === 1, `Records: ${chain.records.size}`);
+});
+
+await test('Storage: payment updates are journaled and replayed', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'store-update-'));
+  const store = openStore(dir);
+  store.appendPayment({ type: 'payment-settled', taskId: 't1', txHash: '0xaa', wallet: payer.address });
+  store.appendPayment({ type: 'payment-settled', taskId: 't2', txHash: '0xbb', wallet: payer.address });
+  assert(store.updatePayment({ type: 'payment-settled', txHash: '0xbb' }, { settlementRecord: { txHash: '0xcc' } }) === 1, 'One event updated');
+  assert(store.updatePayment({ type: 'payment-settled', txHash: '0xdd' }, { x: 1 }) === 0, 'No match, nothing journaled');
+  const reopened = openStore(dir);
+  const [t2] = reopened.findPayments({ taskId: 't2' });
+  assert(t2.settlementRecord?.txHash === '0xcc' && !reopened.findPayments({ taskId: 't1' })[0].settlementRecord, 'Update survives a reopen');
+});
+
+await test('Settlement A2A: a paid task gets its on-chain record in metadata and the payment log', async () => {
+  const d = await listRpc('message/send', { message: {
+    messageId: 'settle-record-1', role: 'user', kind: 'message', metadata: { 'x402.payment.payload': await signPayment(await baseAccept('/x402/code-scan')) },
+    parts: [{ kind: 'data', data: { skill: 'code-scan', input: { code: 'eval(userInput)' } } }],
+  } });
+  assert(d.result.status.state === 'completed', `State: ${d.result.status.state}`);
+  const taskId = d.result.id;
+  let record;
+  for (let i = 0; i < 20 && !record; i++) {
+    await new Promise(r => setTimeout(r, 50));
+    record = (await listRpc('tasks/get', { id: taskId })).result.metadata['x402.settlement.record'];
+  }
+  assert(record, 'Task metadata carries the settlement record');
+  assert(record.network === 'eip155:421614' && /^0x[0-9a-f]{64}$/.test(record.txHash) && record.settlementId === keccak256(toUtf8Bytes(taskId)), `Record: ${JSON.stringify(record)}`);
+  const payments = await (await fetch(`${BASE}/api/payments?taskId=${taskId}&type=payment-settled`)).json();
+  assert(payments.payments[0].settlementRecord?.txHash === record.txHash, 'Payment log entry carries the record');
+  const info = await (await fetch(`${BASE}/x402/settlement`)).json();
+  assert(info.recorder.enabled && info.recorder.recorded >= 1, `Recorder: ${JSON.stringify(info.recorder)}`);
+});
+
+// === Batched settlement commitments ===
+
+await test('Settlement Merkle tree: every leaf proves against the root, other leaves do not', async () => {
+  for (const size of [1, 2, 3, 7]) {
+    const settlements = Array.from({ length: size }, (_, i) => ({ settlementId: settlementIdOf(`leaf-${i}`), payer: payer.address, payee: GATEWAY_WALLET, amount: String(1000 + i) }));
+    const tree = buildSettlementTree(settlements);
+    assert(tree.leaves.every((leaf, i) => verifySettlementProof(leaf, tree.proofs[i], tree.root)), `All proofs valid (${size})`);
+    const forged = settlementLeaf({ ...settlements[0], amount: '999999' });
+    assert(!verifySettlementProof(forged, tree.proofs[0], tree.root), `Altered amount rejected (${size})`);
+  }
+  assert(buildSettlementTree([{ settlementId: settlementIdOf('solo'), payer: payer.address, payee: GATEWAY_WALLET, amount: '1' }]).proofs[0].length === 0, 'A batch of one has an empty proof');
+});
+
+await test('Settlement recorder: merkle mode commits one root per batch with a proof per settlement', async () => {
+  const chain = createMockChain();
+  const recorded = [];
+  const recorder = createSettlementRecorder(chain, { payee: GATEWAY_WALLET, mode: 'merkle', batchSize: 3, batchIntervalMs: 0, baseDelayMs: 5, onRecorded: job => recorded.push(job) });
+  for (let i = 0; i < 5; i++) recorder.enqueue({ key: `merkle-${i}`, taskId: `merkle-${i}`, payer: payer.address, amount: String(100 * (i + 1)) });
+  await recorder.idle();
+  assert(chain.roots.size === 2 && chain.records.size === 0, `Roots: ${chain.roots.size}, records: ${chain.records.size}`);
+  assert(recorded.length === 5 && recorded.every(job => job.batch && job.recordTxHash), 'Every settlement recorded with its batch');
+  for (const job of recorded) {
+    assert(verifySettlementProof(settlementLeaf(job), job.proof, job.batch.root), `${job.key} proves against its root`);
+    assert(chain.roots.has(job.batch.root), `${job.key}'s root is committed`);
+  }
+  const first = chain.roots.get(recorded[0].batch.root);
+  assert(first.count === 3 && first.totalAmount === '600', `First batch: ${JSON.stringify(first)}`);
+});
+
+await test('Settlement recorder: array mode sends a batch in one transaction, skipping recorded ids', async () => {
+  const chain = createMockChain();
+  const single = createSettlementRecorder(chain, { payee: GATEWAY_WALLET, baseDelayMs: 5 });
+  single.enqueue({ key: 'array-0', payer: payer.address, amount: '1' });
+  await single.idle();
+
+  const recorded = [];
+  const recorder = createSettlementRecorder(chain, { payee: GATEWAY_WALLET, mode: 'array', batchSize: 10, batchIntervalMs: 40, baseDelayMs: 5, onRecorded: job => recorded.push(job) });
+  for (let i = 0; i < 4; i++) recorder.enqueue({ key: `array-${i}`, payer: payer.address, amount: '1' });
+  await new Promise(r => setTimeout(r, 10));
+  assert(recorder.stats().pending === 4 && recorded.length === 0, 'A partial batch waits for the interval');
+  await recorder.idle();
+  const sent = recorded.filter(job => job.recordTxHash);
+  assert(recorded.length === 4 && recorded.find(job => job.key === 'array-0').alreadyRecorded, 'Already recorded id skipped');
+  assert(sent.length === 3 && new Set(sent.map(job => job.recordTxHash)).size === 1, 'The rest share one transaction');
+  assert(chain.records.size === 4, `Records: ${chain.records.size}`);
+});
+
+await test('Settlement proof: GET /x402/settlement/proof/:taskId shows how to verify the record', async () => {
+  const d = await listRpc('message/send', { message: {
+    messageId: 'settle-proof-1', role: 'user', kind: 'message', metadata: { 'x402.payment.payload': await signPayment(await baseAccept('/x402/code-scan')) },
+    parts: [{ kind: 'data', data: { skill: 'code-scan', input: { code: 'eval(proofInput)' } } }],
+  } });
+  const taskId = d.result.id;
+  const info = await (await fetch(`${BASE}/x402/settlement`)).json();
+  // Batches wait for the interval; only check what the running mode has recorded so far
+  let r, proof;
+  for (let i = 0; i < 20; i++) {
+    r = await fetch(`${BASE}/x402/settlement/proof/${taskId}`);
+    proof = await r.json();
+    if (r.status === 200 || !proof.pending) break;
+    await new Promise(res => setTimeout(res, 50));
+  }
+  if (r.status === 404) {
+    assert(proof.pending && info.recorder.mode !== 'single', `Only a batch still waits: ${JSON.stringify(proof)}`);
+  } else {
+    assert(proof.settlementId === keccak256(toUtf8Bytes(taskId)) && proof.payee && proof.amount, `Proof: ${JSON.stringify(proof)}`);
+    if (proof.batch) assert(proof.verify.function === 'verifySettlementProof' && proof.verify.valid, 'Merkle proof checks out');
+    else assert(proof.verify.function === 'getSettlement' && proof.verify.args[0] === proof.settlementId, 'Direct record lookup');
+  }
+  const missing = await fetch(`${BASE}/x402/settlement/proof/no-such-task`);
+  assert(missing.status === 404, `Unknown task: ${missing.status}`);
+});
+
+// === Escrowed payments ===
+
+const ESCROW_USDC = '0x75faf114eafb1BDbe2F0316DF893fd58CE46AA4d';
+
+await test('Escrow verification: a funded deposit for the payee, token and amount is a valid payment', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const terms = { network: 'eip155:421614', payee: GATEWAY_WALLET, token: ESCROW_USDC, amount: '10000', minDeadline: now + 3600 };
+  const escrow = { state: 'funded', payer: payer.address, payee: GATEWAY_WALLET, token: ESCROW_USDC, amount: '10000', deadline: now + 7200 };
+  const ok = verifyEscrow(escrow, terms);
+  assert(ok.isValid && ok.payer === payer.address && ok.requirement.scheme === 'escrow', `Valid: ${JSON.stringify(ok)}`);
+  const cases = [
+    [{ state: 'none' }, 'INSUFFICIENT_FUNDS'],
+    [{ ...escrow, state: 'refunded' }, 'INSUFFICIENT_FUNDS'],
+    [{ ...escrow, token: GATEWAY_WALLET }, 'NETWORK_MISMATCH'],
+    [{ ...escrow, payee: payer.address }, 'INVALID_SIGNATURE'],
+    [{ ...escrow, amount: '9999' }, 'INVALID_AMOUNT'],
+    [{ ...escrow, deadline: now + 60 }, 'EXPIRED_PAYMENT'],
+  ];
+  for (const [bad, reason] of cases) {
+    const result = verifyEscrow(bad, terms);
+    assert(!result.isValid && result.invalidReason === reason, `${JSON.stringify(bad)} -> ${result.invalidReason}`);
+  }
+});
+
+await test('Settlement recorder: escrow transitions go through the recorder key', async () => {
+  const chain = createMockChain();
+  const recorded = [];
+  const dead = [];
+  const recorder = createSettlementRecorder(chain, { payee: GATEWAY_WALLET, baseDelayMs: 5, onRecorded: job => recorded.push(job), onDeadLetter: job => dead.push(job) });
+  const deposit = (taskId, timeout) => chain.deposit(settlementIdOf(taskId), { payer: payer.address, payee: GATEWAY_WALLET, token: ESCROW_USDC, amount: '10000', timeout });
+  deposit('escrow-ok');
+  deposit('escrow-bad');
+  assert(recorder.enqueueEscrow({ taskId: 'escrow-ok', action: 'complete', payer: payer.address, amount: '10000' }).ok, 'Completion queued');
+  assert(recorder.enqueueEscrow({ taskId: 'escrow-bad', action: 'fail', payer: payer.address, amount: '10000' }).ok, 'Failure queued');
+  assert(!recorder.enqueueEscrow({ taskId: 'escrow-ok', action: 'refund', payer: payer.address, amount: '1' }).ok, 'Unknown action refused');
+  await recorder.idle();
+  assert(chain.escrows.get(settlementIdOf('escrow-ok')).state === 'completed' && chain.escrows.get(settlementIdOf('escrow-bad')).state === 'failed', 'Escrow states moved');
+  assert(chain.records.get(settlementIdOf('escrow-ok'))?.amount === '10000' && !chain.records.has(settlementIdOf('escrow-bad')), 'Completion recorded the settlement');
+  assert(recorded.map(j => `${j.taskId}:${j.escrowAction}`).join() === 'escrow-ok:complete,escrow-bad:fail', `Recorded: ${recorded.map(j => j.key)}`);
+
+  // Already completed on-chain: nothing is sent again
+  const sent = chain.records.size;
+  recorder.enqueueEscrow({ taskId: 'escrow-ok', action: 'complete', payer: payer.address, amount: '10000' });
+  await recorder.idle();
+  assert(recorded.at(-1).alreadyRecorded && chain.records.size === sent, 'Repeated completion skipped');
+
+  // Expired and reclaimed: completing it can never succeed, so it is not retried
+  deposit('escrow-late', 3600);
+  chain.escrows.get(settlementIdOf('escrow-late')).state = 'refunded';
+  recorder.enqueueEscrow({ taskId: 'escrow-late', action: 'complete', payer: payer.address, amount: '10000' });
+  await recorder.idle();
+  assert(dead.length === 1 && dead[0].attempts === 1 && dead[0].lastError === 'escrow is refunded', `Dead letters: ${JSON.stringify(dead)}`);
+});
+
+await test('Escrow A2A: payment requirements offer escrow terms; an unfunded escrow is refused', async () => {
+  const d = await listRpc('message/send', { message: {
+    messageId: 'escrow-1', role: 'user', kind: 'message',
+    parts: [{ kind: 'data', data: { skill: 'code-scan', input: { code: 'eval(escrowInput)' } } }],
+  } });
+  const taskId = d.result.id;
+  const terms = d.result.status.message.parts.find(p => p.kind === 'data').data['x402.escrow'];
+  assert(terms && terms.scheme === 'escrow' && terms.network === 'eip155:421614' && terms.escrowId === keccak256(toUtf8Bytes(taskId)), `Terms: ${JSON.stringify(terms)}`);
+  assert(terms.amount === d.result.metadata['x402.quote'].amount && terms.asset === ESCROW_USDC, 'Escrow amount is the quote, in USDC');
+
+  const submitted = await listRpc('message/send', { message: {
+    messageId: 'escrow-2', role: 'user', kind: 'message', taskId,
+    metadata: { 'x402.payment.status': 'payment-submitted', 'x402.payment.payload': { x402Version: 2, scheme: 'escrow', network: 'eip155:421614', payload: {} } },
+    parts: [{ kind: 'text', text: 'Paid into escrow' }],
+  } });
+  assert(submitted.result.status.state === 'failed' && submitted.result.metadata['x402.payment.error'] === 'INSUFFICIENT_FUNDS', `Result: ${submitted.result.status.state} ${submitted.result.metadata['x402.payment.error']}`);
+  const info = await (await fetch(`${BASE}/x402/settlement`)).json();
+  assert(info.escrow.enabled && info.escrow.token === ESCROW_USDC, `Escrow info: ${JSON.stringify(info.escrow)}`);
+});
+
+await test('Disputes: the payer of a failed paid task opens one, a resolver decides', async () => {
+  const store = openStore(mkdtempSync(join(tmpdir(), 'disputes-')));
+  const disputes = createDisputes(store);
+  const at = new Date().toISOString();
+  store.appendPayment({ type: 'payment-verified', taskId: 'd-failed', skill: 'screenshot', wallet: payer.address, network: 'eip155:8453', timestamp: at });
+  store.appendPayment({ type: 'payment-verified', taskId: 'd-done', skill: 'screenshot', wallet: payer.address, network: 'eip155:8453', timestamp: at });
+  const failed = { id: 'd-failed', status: { state: 'failed' } };
+
+  assert(disputes.open({ id: 'd-done', status: { state: 'completed' } }, { wallet: payer.address, reason: 'Bad' }).error === 'NOT_DISPUTABLE', 'Completed task refused');
+  assert(disputes.open({ id: 'd-free', status: { state: 'failed' } }, { wallet: payer.address, reason: 'Bad' }).error === 'NOT_DISPUTABLE', 'Unpaid task refused');
+  assert(disputes.open(failed, { wallet: GATEWAY_WALLET, reason: 'Bad' }).error === 'NOT_PAYER', 'Other wallet refused');
+  assert(disputes.open(failed, { wallet: payer.address, reason: ' ' }).error === 'INVALID_REASON', 'Empty reason refused');
+  const opened = disputes.open(failed, { wallet: payer.address.toLowerCase(), reason: 'Screenshot never arrived' });
+  assert(opened.ok && opened.dispute.status === 'opened' && opened.dispute.payer === payer.address, `Opened: ${JSON.stringify(opened)}`);
+  assert(opened.dispute.reasonHash === keccak256(toUtf8Bytes('Screenshot never arrived')), 'Reason hashed as the contract keeps it');
+  assert(disputes.open(failed, { wallet: payer.address, reason: 'Again' }).error === 'ALREADY_DISPUTED', 'One dispute per task');
+  assert(disputes.list({ status: 'opened' }).length === 1 && disputes.list({ status: 'resolved-payee' }).length === 0, 'Listed by status');
+
+  assert(disputes.resolve('d-failed', { outcome: 'keep', resolver: GATEWAY_WALLET }).error === 'INVALID_OUTCOME', 'Unknown outcome refused');
+  assert(disputes.resolve('d-none', { outcome: 'refund', resolver: GATEWAY_WALLET }).error === 'NOT_FOUND', 'Missing dispute');
+  store.appendPayment({ type: 'payment-settled', taskId: 'd-failed', skill: 'screenshot', txHash: '0xsettled', amount: '10000', scheme: 'exact', wallet: payer.address, network: 'eip155:8453', timestamp: at });
+  const resolved = disputes.resolve('d-failed', { outcome: 'refund', resolver: GATEWAY_WALLET, note: 'Upstream outage' });
+  assert(resolved.ok && resolved.refundDue && resolved.dispute.status === 'resolved-refund' && resolved.dispute.note === 'Upstream outage', `Resolved: ${JSON.stringify(resolved)}`);
+  const refund = store.findPayments({ type: 'refund-due', taskId: 'd-failed' });
+  assert(refund.length === 1 && refund[0].reason === 'dispute' && refund[0].amount === '10000', `Refund: ${JSON.stringify(refund)}`);
+  assert(disputes.resolve('d-failed', { outcome: 'payee', resolver: GATEWAY_WALLET }).error === 'NOT_OPEN', 'Resolved only once');
+  store.close();
+});
+
+await test('Settlement recorder: dispute steps go through the recorder key', async () => {
+  const chain = createMockChain();
+  const recorded = [];
+  const dead = [];
+  const recorder = createSettlementRecorder(chain, { payee: GATEWAY_WALLET, baseDelayMs: 5, onRecorded: job => recorded.push(job), onDeadLetter: job => dead.push(job) });
+  const reasonHash = keccak256(toUtf8Bytes('Never delivered'));
+  chain.deposit(settlementIdOf('dispute-escrow'), { payer: payer.address, payee: GATEWAY_WALLET, token: ESCROW_USDC, amount: '10000' });
+  assert(recorder.enqueueDispute({ taskId: 'dispute-escrow', action: 'open', payer: payer.address, reasonHash }).ok, 'Opening queued');
+  assert(recorder.enqueueDispute({ taskId: 'dispute-escrow', action: 'refund', payer: payer.address }).ok, 'Refund queued');
+  assert(!recorder.enqueueDispute({ taskId: 'dispute-escrow', action: 'refund', payer: payer.address }).ok, 'Duplicate step refused');
+  assert(!recorder.enqueueDispute({ taskId: 'dispute-escrow', action: 'reverse', payer: payer.address }).ok, 'Unknown action refused');
+  await recorder.idle();
+  const dispute = chain.disputes.get(settlementIdOf('dispute-escrow'));
+  assert(dispute.state === 'resolved-refund' && dispute.reasonHash === reasonHash, `Dispute: ${JSON.stringify(dispute)}`);
+  assert(chain.escrows.get(settlementIdOf('dispute-escrow')).state === 'failed', 'Refund lets the payer reclaim the escrow');
+  assert(recorded.map(j => j.disputeAction).join() === 'open,refund' && recorded.every(j => j.recordTxHash), `Recorded: ${recorded.map(j => j.key)}`);
+
+  // Another payer's escrow cannot be disputed in this payer's name
+  chain.deposit(settlementIdOf('dispute-other'), { payer: GATEWAY_WALLET, payee: GATEWAY_WALLET, token: ESCROW_USDC, amount: '10000' });
+  recorder.enqueueDispute({ taskId: 'dispute-other', action: 'open', payer: payer.address });
+  // Resolved the other way already: deciding for the payee can never succeed
+  recorder.enqueueDispute({ taskId: 'dispute-escrow', action: 'payee', payer: payer.address });
+  await recorder.idle();
+  assert(dead.length === 2 && dead.some(j => j.lastError.includes('Not the payer')), `Dead letters: ${JSON.stringify(dead.map(j => j.lastError))}`);
+  assert(dead.find(j => j.disputeAction === 'payee').attempts === 1, 'Final state dead-letters at once');
+});
+
+await test('Disputes API: payer sessions only, resolvers decide', async () => {
+  const r = await fetch(`${BASE}/x402/disputes`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ taskId: 'x', reason: 'y' }) });
+  assert(r.status === 401, `Status: ${r.status}`);
+
+  const paid = await listRpc('message/send', { message: {
+    messageId: 'dispute-paid', role: 'user', kind: 'message',
+    parts: [{ kind: 'text', text: 'Take a screenshot of https://example.com' }],
+    metadata: { 'x402.payment.payload': await signPayment(await baseAccept('/x402/screenshot')) },
+  } });
+  const taskId = paid.result.id;
+  const { token } = await siwxSignIn(payer);
+  const dispute = (body, bearer = token) => fetch(`${BASE}/x402/disputes`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${bearer}` }, body: JSON.stringify(body),
+  });
+  const missing = await dispute({ taskId: 'no-such-task', reason: 'Never ran' });
+  assert(missing.status === 404, `Missing task: ${missing.status}`);
+  const opened = await dispute({ taskId, reason: 'Screenshot never arrived' });
+  if (paid.result.status.state !== 'failed') {
+    assert(opened.status === 409 && (await opened.json()).error === 'NOT_DISPUTABLE', 'A completed task is not disputable');
+    return;
+  }
+  const body = await opened.json();
+  assert(opened.status === 201 && body.status === 'opened' && body.payer.toLowerCase() === payer.address.toLowerCase(), `Opened: ${opened.status} ${JSON.stringify(body)}`);
+  assert((await dispute({ taskId, reason: 'Again' })).status === 409, 'Duplicate dispute');
+
+  const other = Wallet.createRandom();
+  const { token: otherToken } = await siwxSignIn(other);
+  assert((await dispute({ taskId, reason: 'Not mine' }, otherToken)).status === 403, 'Only the payer disputes');
+  const auth = (bearer) => ({ headers: { Authorization: `Bearer ${bearer}` } });
+  assert((await fetch(`${BASE}/x402/disputes/${taskId}`, auth(otherToken))).status === 403, 'Only the payer reads it');
+  const read = await (await fetch(`${BASE}/x402/disputes/${taskId}`, auth(token))).json();
+  assert(read.reason === 'Screenshot never arrived', `Read: ${JSON.stringify(read)}`);
+  assert((await fetch(`${BASE}/x402/disputes`, auth(token))).status === 403, 'Listing is for resolvers');
+  const resolve = await fetch(`${BASE}/x402/disputes/${taskId}/resolve`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` }, body: JSON.stringify({ outcome: 'refund' }),
+  });
+  assert(resolve.status === 403, `Payer cannot resolve: ${resolve.status}`);
+  const task = await listRpc('tasks/get', { id: taskId });
+  assert(task.result.metadata['x402.dispute']?.status === 'opened', `Task dispute metadata: ${JSON.stringify(task.result.metadata['x402.dispute'])}`);
+});
+
 console.log(`\nResults: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
 process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,217 @@
+/**
+ * Uploads — file parts of an A2A message as skill input
+ *
+ * File parts carry their content inline: A2A FileWithBytes ({ file: { name, mimeType, bytes } })
+ * or the gateway's own { name, mimeType, data } shape. FileWithUri parts are not fetched.
+ * What the files become depends on the skill:
+ *   - markdown-to-pdf, markdown-to-html: text files are the markdown
+ *   - code-scan: a source file is the code. Zip, tar and tar.gz archives are unpacked and
+ *     their source files joined into `code`, with `files` marking where each one starts,
+ *     so the scan reports findings per file
+ *   - ai-analysis: images go to Gemini with the prompt; text files are appended to the content
+ * A file replaces the markdown or code given as text; the text is then only the instruction.
+ * The skill's upload limit applies to the bytes received, and `request.upload` records them
+ * for pricing (the registry's `upload` rules).
+ */
+
+import { gunzipSync, inflateRawSync } from 'node:zlib';
+import { languageFromFilename } from './code-scanner.mjs';
+
+// Image types Gemini accepts inline
+const IMAGE_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp', heic: 'image/heic', heif: 'image/heif' };
+const ARCHIVE_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-tar', 'application/gzip', 'application/x-gzip'];
+const ARCHIVE_NAME = /\.(?:zip|tar|tgz|tar\.gz)$/i;
+
+// Unpacked archives may hold at most this many times the upload limit, in this many files
+const MAX_EXPANSION = 10;
+const MAX_ARCHIVE_FILES = 1000;
+const EXPANDS_PAST_LIMIT = 'archive expands past the limit';
+
+const extensionOf = (name = '') => name.toLowerCase().split('.').pop();
+const kb = (bytes) => Math.ceil(bytes / 1024);
+const isText = (bytes) => !bytes.subarray(0, 8000).includes(0);
+
+/**
+ * What kind of upload a file is
+ * @param {{ name: string, mimeType: string, bytes: Buffer }} file
+ * @returns {'image' | 'archive' | 'text' | 'binary'}
+ */
+export function kindOf(file) {
+  if (Object.values(IMAGE_TYPES).includes(file.mimeType) || IMAGE_TYPES[extensionOf(file.name)]) return 'image';
+  if (ARCHIVE_TYPES.includes(file.mimeType) || ARCHIVE_NAME.test(file.name)) return 'archive';
+  return isText(file.bytes) ? 'text' : 'binary';
+}
+
+/**
+ * The message's file parts, decoded
+ * @param {{ parts: Array<object> }} message
+ * @returns {{ ok: true, files: Array<{ name: string, mimeType: string, bytes: Buffer }> } | { ok: false, error: string }}
+ */
+export function readFiles(message) {
+  const files = [];
+  for (const part of message.parts.filter(p => p.kind === 'file' || p.type === 'file')) {
+    const file = part.file || part;
+    const base64 = file.bytes ?? file.data;
+    if (typeof base64 !== 'string') return { ok: false, error: `File ${file.name || file.uri || ''} must carry its bytes inline; file links are not fetched` };
+    files.push({ name: file.name || 'upload', mimeType: file.mimeType || '', bytes: Buffer.from(base64, 'base64') });
+  }
+  return { ok: true, files };
+}
+
+/**
+ * The skill a message's files call for when it names none: images are analyzed, archives and
+ * source files scanned, and markdown or text converted to PDF
+ * @param {Array<{ name: string, mimeType: string, bytes: Buffer }>} files
+ * @returns {string|null}
+ */
+export function skillForFiles(files) {
+  const kinds = files.map(kindOf);
+  if (kinds.includes('image')) return 'ai-analysis';
+  if (kinds.includes('archive') || files.some(f => languageFromFilename(f.name))) return 'code-scan';
+  if (kinds.every(k => k === 'text')) return 'markdown-to-pdf';
+  return null;
+}
+
+// Regular files of a tar archive (ustar, with GNU long names)
+function readTar(buf) {
+  const entries = [];
+  let longName = null;
+  for (let offset = 0; offset + 512 <= buf.length;) {
+    const header = buf.subarray(offset, offset + 512);
+    if (header.every(b => b === 0)) break;
+    const field = (start, length) => header.subarray(start, start + length).toString('utf8').replace(/\0.*$/s, '');
+    const size = parseInt(field(124, 12).trim() || '0', 8);
+    if (Number.isNaN(size)) throw new Error('not a tar archive');
+    const type = field(156, 1);
+    const prefix = field(257, 6).startsWith('ustar') ? field(345, 155) : '';
+    const body = buf.subarray(offset + 512, offset + 512 + size);
+    if (type === 'L') {
+      longName = body.toString('utf8').replace(/\0.*$/s, '');
+    } else {
+      if (type === '0' || type === '') entries.push({ path: longName || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100)), bytes: body });
+      longName = null;
+    }
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+// Files of a zip archive, read through its central directory (stored and deflated entries)
+function readZip(buf, maxBytes) {
+  let end = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { end = i; break; }
+  }
+  if (end === -1) throw new Error('zip central directory not found');
+  const count = buf.readUInt16LE(end + 10);
+  let offset = buf.readUInt32LE(end + 16);
+  const entries = [];
+  let total = 0;
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(offset) !== 0x02014b50) throw new Error('zip central directory is corrupt');
+    const flags = buf.readUInt16LE(offset + 8);
+    const method = buf.readUInt16LE(offset + 10);
+    const compressedSize = buf.readUInt32LE(offset + 20);
+    const nameLength = buf.readUInt16LE(offset + 28);
+    const local = buf.readUInt32LE(offset + 42);
+    const path = buf.subarray(offset + 46, offset + 46 + nameLength).toString('utf8');
+    offset += 46 + nameLength + buf.readUInt16LE(offset + 30) + buf.readUInt16LE(offset + 32);
+    if (path.endsWith('/')) continue;
+    if (flags & 1) throw new Error(`${path} is encrypted`);
+    if (compressedSize === 0xffffffff) throw new Error('zip64 archives are not supported');
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const data = buf.subarray(start, start + compressedSize);
+    if (method !== 0 && method !== 8) throw new Error(`${path} uses unsupported compression method ${method}`);
+    const bytes = method === 0 ? data : inflateRawSync(data, { maxOutputLength: Math.max(1, maxBytes - total) });
+    total += bytes.length;
+    if (total > maxBytes) throw new Error(EXPANDS_PAST_LIMIT);
+    entries.push({ path, bytes });
+  }
+  return entries;
+}
+
+/**
+ * Files in a zip, tar or gzipped tar archive
+ * @param {Buffer} bytes
+ * @param {{ maxBytes: number }} options - Most the archive may expand to
+ * @returns {{ ok: true, entries: Array<{ path: string, bytes: Buffer }> } | { ok: false, error: string }}
+ */
+export function readArchive(bytes, { maxBytes }) {
+  try {
+    let entries;
+    if (bytes.readUInt32LE(0) === 0x04034b50) entries = readZip(bytes, maxBytes);
+    else {
+      const tar = bytes[0] === 0x1f && bytes[1] === 0x8b ? gunzipSync(bytes, { maxOutputLength: maxBytes }) : bytes;
+      if (tar.length > maxBytes) throw new Error(EXPANDS_PAST_LIMIT);
+      entries = readTar(tar);
+    }
+    if (entries.length > MAX_ARCHIVE_FILES) return { ok: false, error: `Archive holds ${entries.length} files; at most ${MAX_ARCHIVE_FILES} are scanned` };
+    return { ok: true, entries };
+  } catch (err) {
+    const tooLarge = err.message === EXPANDS_PAST_LIMIT || err.code === 'ERR_BUFFER_TOO_LARGE';
+    return { ok: false, error: tooLarge ? `Archive expands past ${kb(maxBytes)} KB` : `Archive could not be read: ${err.message}` };
+  }
+}
+
+/**
+ * Fill a request from the message's files
+ * @param {{ skill: string, [key: string]: any }} request
+ * @param {Array<{ name: string, mimeType: string, bytes: Buffer }>} files
+ * @param {{ maxBytes?: number|null, keep?: (file: object) => object }} [options]
+ *   maxBytes: the skill's upload limit (null: the skill takes no files); keep: stores an image
+ *   and returns how to find it again (default: inline base64 `data`)
+ * @returns {{ ok: true, request: object } | { ok: false, error: string }}
+ */
+export function attachFiles(request, files, { maxBytes = null, keep = (file) => ({ data: file.bytes.toString('base64') }) } = {}) {
+  if (!files.length) return { ok: true, request };
+  const { skill } = request;
+  if (!maxBytes) return { ok: false, error: `${skill} does not take file input` };
+  const bytes = files.reduce((sum, f) => sum + f.bytes.length, 0);
+  if (bytes > maxBytes) return { ok: false, error: `Files total ${kb(bytes)} KB; ${skill} accepts at most ${kb(maxBytes)} KB` };
+  const upload = { files: files.length, bytes };
+  const kinds = files.map(kindOf);
+
+  if (skill === 'markdown-to-pdf' || skill === 'markdown-to-html') {
+    if (kinds.some(k => k !== 'text')) return { ok: false, error: `${skill} takes markdown or text files` };
+    return { ok: true, request: { ...request, markdown: files.map(f => f.bytes.toString('utf8')).join('\n\n'), filename: files[0].name, upload } };
+  }
+
+  if (skill === 'code-scan') {
+    const sources = [];
+    for (const [i, file] of files.entries()) {
+      if (kinds[i] === 'archive') {
+        const archive = readArchive(file.bytes, { maxBytes: maxBytes * MAX_EXPANSION });
+        if (!archive.ok) return archive;
+        sources.push(...archive.entries.filter(e => languageFromFilename(e.path) && isText(e.bytes)));
+      } else if (kinds[i] === 'text') {
+        sources.push({ path: file.name, bytes: file.bytes });
+      } else {
+        return { ok: false, error: `${file.name} is not source code or an archive` };
+      }
+    }
+    if (!sources.length) return { ok: false, error: 'No source files found in the upload' };
+    if (sources.length === 1 && kinds[0] !== 'archive') {
+      return { ok: true, request: { ...request, code: sources[0].bytes.toString('utf8'), filename: sources[0].path, upload } };
+    }
+    // One code field, so line-based pricing and the schema still apply; `files` maps it back
+    let start = 1;
+    const index = sources.map(({ path, bytes: content }) => {
+      const lines = content.toString('utf8').split('\n').length;
+      const entry = { path, start, lines };
+      start += lines;
+      return entry;
+    });
+    return { ok: true, request: { ...request, code: sources.map(s => s.bytes.toString('utf8')).join('\n'), files: index, upload } };
+  }
+
+  if (skill === 'ai-analysis') {
+    if (kinds.some(k => k === 'archive' || k === 'binary')) return { ok: false, error: 'ai-analysis takes images and text files' };
+    const images = files.filter((f, i) => kinds[i] === 'image')
+      .map(f => ({ name: f.name, mimeType: IMAGE_TYPES[extensionOf(f.name)] || f.mimeType, size: f.bytes.length, ...keep(f) }));
+    const texts = files.filter((f, i) => kinds[i] === 'text').map(f => `--- ${f.name} ---\n${f.bytes.toString('utf8')}`);
+    const content = [request.content, ...texts].filter(Boolean).join('\n\n') || `Describe and analyze the attached image${images.length > 1 ? 's' : ''}.`;
+    return { ok: true, request: { ...request, content, ...(images.length && { images }), upload } };
+  }
+
+  return { ok: false, error: `${skill} does not take file input` };
+}
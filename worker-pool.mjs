@@ -0,0 +1,55 @@
+/**
+ * Worker Pool — bounded concurrency for skill execution
+ *
+ * At most `concurrency` jobs run at once; further jobs wait in a FIFO queue of at most
+ * `maxQueue` entries. A job submitted to a full queue is rejected with code QUEUE_FULL,
+ * so a burst of slow SnapAPI/Gemini calls cannot pile up without limit.
+ */
+
+export const POOL_ERRORS = {
+  QUEUE_FULL: 'QUEUE_FULL',
+};
+
+/**
+ * @param {{ concurrency?: number, maxQueue?: number }} [options]
+ */
+export function createWorkerPool({ concurrency = 4, maxQueue = 100 } = {}) {
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    while (active < concurrency && queue.length > 0) {
+      const job = queue.shift();
+      active++;
+      Promise.resolve()
+        .then(job.fn)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  }
+
+  return {
+    /**
+     * Run a job when a worker is free
+     * @template T
+     * @param {() => Promise<T> | T} fn
+     * @returns {Promise<T>}
+     */
+    run(fn) {
+      if (active >= concurrency && queue.length >= maxQueue) {
+        return Promise.reject(Object.assign(new Error(`Worker queue is full (${maxQueue} waiting)`), { code: POOL_ERRORS.QUEUE_FULL }));
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        next();
+      });
+    },
+
+    stats() {
+      return { concurrency, active, queued: queue.length, maxQueue };
+    },
+  };
+}